@@ -1,2 +1,8 @@
+export * from "./pp_depthoffield";
+export * from "./pp_dynamicexposure";
+export * from "./pp_filmgrain";
+export * from "./pp_fog";
+export * from "./pp_godrays";
 export * from "./pp_outline";
-export * from "./pp_texture";
\ No newline at end of file
+export * from "./pp_texture";
+export * from "./pp_vignette";
@@ -0,0 +1,81 @@
+import { vs, func } from "./shared";
+import { BlitCurrent, EveSpaceSceneDepthMap } from "../shared/texture";
+import { G_CAMERA, G_TEXEL_SIZE } from "../shared/constant";
+import { WidgetType } from "../shared/util";
+import { precision } from "../shared/func";
+
+
+const DepthOfField = {
+    name: "DepthOfField",
+    value: [ 0, 1, 0, 0 ],
+    ui: {
+        description: "Depth of field parameters",
+        components: [
+            "focus distance",
+            "distance from the focus that is fully blurred",
+            "maximum blur radius (in pixels)"
+        ],
+        widget: WidgetType.MIXED
+    }
+};
+
+
+export const pp_depthoffield = {
+
+    name: "pp_depthoffield",
+    description: "Blurs the frame by each pixel's distance from the focus distance",
+    techniques: {
+        Main: {
+            vs: vs.post,
+            ps: {
+                textures: [
+                    BlitCurrent,
+                    EveSpaceSceneDepthMap
+                ],
+                constants: [
+                    G_TEXEL_SIZE,
+                    G_CAMERA,
+                    DepthOfField
+                ],
+                shader: `
+                
+                    ${precision}
+                    
+                    varying vec2 texcoord;
+                    
+                    uniform sampler2D s0; // Blit current
+                    uniform sampler2D s1; // Depth
+                    
+                    uniform vec4 cb7[3];
+                    
+                    ${func.toLinearDepth}
+                    
+                    const int SAMPLES = 24;
+                    const float GOLDEN_ANGLE = 2.39996323;
+    
+                    void main() 
+                    {
+                        float depth = texture2D(s1, texcoord.xy).x;
+                        float viewDistance = depth < 1.0 ? toLinearDepth(depth, cb7[1].xy) : cb7[1].y;
+                        
+                        float blur = clamp(abs(viewDistance - cb7[2].x) / max(cb7[2].y, 0.0001), 0.0, 1.0);
+                        vec2 radius = blur * cb7[2].z * cb7[0].xy;
+                        
+                        // Golden angle spiral over a disc sized by the blur
+                        vec3 color = vec3(0.0);
+                        for (int i = 0; i < SAMPLES; i++)
+                        {
+                            float r = sqrt((float(i) + 0.5) / float(SAMPLES));
+                            float a = float(i) * GOLDEN_ANGLE;
+                            color += texture2D(s0, texcoord.xy + vec2(cos(a), sin(a)) * r * radius).xyz;
+                        }
+                        
+                        gl_FragData[0].xyz = color / float(SAMPLES);
+                        gl_FragData[0].w = 1.0;
+                    }
+                `
+            }
+        }
+    }
+
+};
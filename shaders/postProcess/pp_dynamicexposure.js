@@ -0,0 +1,85 @@
+import { vs } from "./shared";
+import { BlitCurrent } from "../shared/texture";
+import { WidgetType } from "../shared/util";
+import { precision } from "../shared/func";
+
+
+const Exposure = {
+    name: "Exposure",
+    value: [ 0, 0.18, 0, 0 ],
+    ui: {
+        description: "Exposure parameters",
+        components: [
+            "manual exposure adjustment (in stops)",
+            "middle grey luminance",
+            "automatic exposure influence"
+        ],
+        widget: WidgetType.MIXED
+    }
+};
+
+
+export const pp_dynamicexposure = {
+
+    name: "pp_dynamicexposure",
+    description: "Scales the frame so its average luminance is brought towards a middle grey",
+    techniques: {
+        Main: {
+            vs: vs.post,
+            ps: {
+                textures: [
+                    BlitCurrent
+                ],
+                constants: [
+                    Exposure
+                ],
+                shader: `
+                
+                    ${precision}
+                    
+                    varying vec2 texcoord;
+                    
+                    uniform sampler2D s0; // Blit current
+                    
+                    uniform vec4 cb7[1];
+                    
+                    const vec3 LUMINANCE = vec3(0.2126, 0.7152, 0.0722);
+                    
+                    vec3 toLinear(vec3 color) {
+                        return pow(max(color, vec3(0.0)), vec3(2.2));
+                    }
+                    
+                    vec3 toGamma(vec3 color) {
+                        return pow(max(color, vec3(0.0)), vec3(1.0 / 2.2));
+                    }
+                    
+                    // Every pixel samples the same grid, so the whole frame shares one average
+                    float averageLuminance() {
+                        float total = 0.0;
+                        for (int y = 0; y < 4; y++)
+                        {
+                            for (int x = 0; x < 4; x++)
+                            {
+                                vec2 uv = (vec2(float(x), float(y)) + 0.5) / 4.0;
+                                total += log(dot(toLinear(texture2D(s0, uv).xyz), LUMINANCE) + 0.0001);
+                            }
+                        }
+                        return exp(total / 16.0);
+                    }
+                    
+                    void main() 
+                    {
+                        vec3 color = toLinear(texture2D(s0, texcoord.xy).xyz);
+                        
+                        float automatic = clamp(cb7[0].y / averageLuminance(), 0.125, 8.0);
+                        float exposure = exp2(cb7[0].x) * mix(1.0, automatic, cb7[0].z);
+                        
+                        gl_FragData[0].xyz = toGamma(color * exposure);
+                        gl_FragData[0].w = 1.0;
+                    }
+                `
+            }
+        }
+    }
+
+};
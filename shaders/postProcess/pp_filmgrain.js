@@ -0,0 +1,69 @@
+import { vs } from "./shared";
+import { BlitCurrent } from "../shared/texture";
+import { WidgetType } from "../shared/util";
+import { precision } from "../shared/func";
+
+
+const FilmGrain = {
+    name: "FilmGrain",
+    value: [ 0.05, 1.6, 0, 0 ],
+    ui: {
+        description: "Film grain parameters",
+        components: [
+            "film grain intensity",
+            "film grain size (in pixels)",
+            "time"
+        ],
+        widget: WidgetType.MIXED
+    }
+};
+
+
+export const pp_filmgrain = {
+
+    name: "pp_filmgrain",
+    description: "Adds animated noise to the frame",
+    techniques: {
+        Main: {
+            vs: vs.post,
+            ps: {
+                textures: [
+                    BlitCurrent
+                ],
+                constants: [
+                    FilmGrain
+                ],
+                shader: `
+                
+                    ${precision}
+                    
+                    varying vec2 texcoord;
+                    
+                    uniform sampler2D s0; // Blit current
+                    
+                    uniform vec4 cb7[1];
+                    
+                    float random(vec2 co) {
+                        return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+                    }
+                    
+                    void main() 
+                    {
+                        vec3 color = texture2D(s0, texcoord.xy).xyz;
+                        
+                        vec2 cell = floor(gl_FragCoord.xy / max(cb7[0].y, 1.0));
+                        float noise = random(cell + fract(cb7[0].z) * 100.0) - 0.5;
+                        
+                        // Grain is strongest in the mid tones
+                        float luminance = dot(color, vec3(0.299, 0.587, 0.114));
+                        float weight = 1.0 - abs(luminance * 2.0 - 1.0);
+                        
+                        gl_FragData[0].xyz = clamp(color + noise * cb7[0].x * weight, 0.0, 1.0);
+                        gl_FragData[0].w = 1.0;
+                    }
+                `
+            }
+        }
+    }
+
+};
@@ -0,0 +1,138 @@
+import { vs, func } from "./shared";
+import { BlitCurrent, EveSpaceSceneDepthMap, EveSpaceSceneEnvMap } from "../shared/texture";
+import { G_CAMERA } from "../shared/constant";
+import { WidgetType } from "../shared/util";
+import { precision } from "../shared/func";
+
+
+const createBlend = index => ({
+    name: `FogBlend${index}`,
+    value: [ 0, 0, 0, 1 ],
+    ui: {
+        description: `Fog density band ${index}`,
+        components: [
+            "distance the band reaches full density at",
+            "band amount",
+            "band bias",
+            "band power"
+        ],
+        widget: WidgetType.MIXED
+    }
+});
+
+const createViewRay = (name, description) => ({
+    name,
+    value: [ 0, 0, 0, 0 ],
+    ui: {
+        description,
+        components: [ "x", "y", "z" ],
+        widget: WidgetType.MIXED,
+        display: 0
+    }
+});
+
+const FogParams = {
+    name: "FogParams",
+    value: [ 0, 6, 0, 0 ],
+    ui: {
+        description: "Fog parameters",
+        components: [
+            "nebula influence",
+            "nebula blur",
+            "brighten only amount",
+            "background occlusion"
+        ],
+        widget: WidgetType.MIXED
+    }
+};
+
+const FogColor = {
+    name: "FogColor",
+    value: [ 0.8, 0.8, 0.8, 0 ],
+    ui: {
+        description: "Fog colour and colour influence",
+        components: [
+            "red",
+            "green",
+            "blue",
+            "colour influence"
+        ],
+        widget: WidgetType.MIXED
+    }
+};
+
+
+export const pp_fog = {
+
+    name: "pp_fog",
+    description: "Blends the frame towards the nebula and a fog colour by the scene's depth",
+    techniques: {
+        Main: {
+            vs: vs.post,
+            ps: {
+                textures: [
+                    BlitCurrent,
+                    EveSpaceSceneDepthMap,
+                    EveSpaceSceneEnvMap
+                ],
+                constants: [
+                    G_CAMERA,
+                    createViewRay("FogViewForward", "Camera forward, in env map space"),
+                    createViewRay("FogViewRight", "Camera right scaled by the horizontal field of view, in env map space"),
+                    createViewRay("FogViewUp", "Camera up scaled by the vertical field of view, in env map space"),
+                    createBlend(0),
+                    createBlend(1),
+                    createBlend(2),
+                    FogParams,
+                    FogColor
+                ],
+                shader: `
+                
+                    ${precision}
+                    
+                    varying vec2 texcoord;
+                    
+                    uniform sampler2D s0;   // Blit current
+                    uniform sampler2D s1;   // Depth
+                    uniform samplerCube s2; // Nebula
+                    
+                    uniform vec4 cb7[9];
+                    
+                    ${func.toLinearDepth}
+                    
+                    float getBand(vec4 band, float viewDistance) {
+                        if (band.x <= 0.0) return 0.0;
+                        float t = clamp(viewDistance / band.x, 0.0, 1.0);
+                        return clamp(band.y * pow(t, max(band.w, 0.0001)) + band.z, 0.0, 1.0);
+                    }
+    
+                    void main() 
+                    {
+                        vec3 scene = texture2D(s0, texcoord.xy).xyz;
+                        float depth = texture2D(s1, texcoord.xy).x;
+                        
+                        // Each band adds its own density, nothing is drawn where the depth buffer was cleared
+                        float density = cb7[7].w;
+                        if (depth < 1.0)
+                        {
+                            float viewDistance = toLinearDepth(depth, cb7[0].xy);
+                            density = 1.0 - (1.0 - getBand(cb7[4], viewDistance)) * (1.0 - getBand(cb7[5], viewDistance)) * (1.0 - getBand(cb7[6], viewDistance));
+                        }
+                        
+                        vec2 ndc = texcoord.xy * 2.0 - 1.0;
+                        vec3 ray = cb7[1].xyz + ndc.x * cb7[2].xyz + ndc.y * cb7[3].xyz;
+                        vec3 nebula = textureCube(s2, ray, cb7[7].y).xyz;
+                        
+                        vec3 fog = mix(scene, max(scene, nebula), cb7[7].z);
+                        fog = mix(fog, nebula, cb7[7].x);
+                        fog = mix(fog, cb7[8].xyz, cb7[8].w);
+                        
+                        gl_FragData[0].xyz = mix(scene, fog, density);
+                        gl_FragData[0].w = 1.0;
+                    }
+                `
+            }
+        }
+    }
+
+};
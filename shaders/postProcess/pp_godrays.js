@@ -0,0 +1,81 @@
+import { vs } from "./shared";
+import { BlitCurrent, EveSpaceSceneDepthMap } from "../shared/texture";
+import { createTex, TEX_2D, WidgetType } from "../shared/util";
+import { precision } from "../shared/func";
+
+
+const NoiseTexture = createTex("NoiseTexture", TEX_2D);
+
+const GodRays = {
+    name: "GodRays",
+    value: [ 0.5, 0.5, 0, 0.95 ],
+    ui: {
+        description: "God ray parameters",
+        components: [
+            "sun screen position x",
+            "sun screen position y",
+            "ray strength",
+            "ray decay"
+        ],
+        widget: WidgetType.MIXED
+    }
+};
+
+
+export const pp_godrays = {
+
+    name: "pp_godrays",
+    description: "Adds rays cast from the sun through gaps between depth occluders",
+    techniques: {
+        Main: {
+            vs: vs.post,
+            ps: {
+                textures: [
+                    BlitCurrent,
+                    EveSpaceSceneDepthMap,
+                    NoiseTexture
+                ],
+                constants: [
+                    GodRays
+                ],
+                shader: `
+                
+                    ${precision}
+                    
+                    varying vec2 texcoord;
+                    
+                    uniform sampler2D s0; // Blit current
+                    uniform sampler2D s1; // Depth
+                    uniform sampler2D s2; // Noise
+                    
+                    uniform vec4 cb7[1];
+                    
+                    const int SAMPLES = 48;
+    
+                    void main() 
+                    {
+                        vec3 scene = texture2D(s0, texcoord.xy).xyz;
+                        
+                        vec2 delta = (texcoord.xy - cb7[0].xy) / float(SAMPLES);
+                        vec2 uv = texcoord.xy - delta * texture2D(s2, texcoord.xy * 8.0).x;
+                        
+                        // Only pixels where the depth buffer was cleared let light through
+                        vec3 rays = vec3(0.0);
+                        float illumination = 1.0;
+                        for (int i = 0; i < SAMPLES; i++)
+                        {
+                            uv -= delta;
+                            float open = step(1.0, texture2D(s1, uv).x);
+                            rays += texture2D(s0, uv).xyz * open * illumination;
+                            illumination *= cb7[0].w;
+                        }
+                        
+                        gl_FragData[0].xyz = scene + rays * cb7[0].z / float(SAMPLES);
+                        gl_FragData[0].w = 1.0;
+                    }
+                `
+            }
+        }
+    }
+
+};
@@ -0,0 +1,65 @@
+import { vs } from "./shared";
+import { BlitCurrent } from "../shared/texture";
+import { G_TEXEL_SIZE } from "../shared/constant";
+import { WidgetType } from "../shared/util";
+import { precision } from "../shared/func";
+
+
+const Vignette = {
+    name: "Vignette",
+    value: [ 1, 0.3, 0.9, 0 ],
+    ui: {
+        description: "Vignette parameters",
+        components: [
+            "vignette intensity",
+            "vignette inner radius",
+            "vignette outer radius"
+        ],
+        widget: WidgetType.MIXED
+    }
+};
+
+
+export const pp_vignette = {
+
+    name: "pp_vignette",
+    description: "Darkens the frame towards its edges",
+    techniques: {
+        Main: {
+            vs: vs.post,
+            ps: {
+                textures: [
+                    BlitCurrent
+                ],
+                constants: [
+                    G_TEXEL_SIZE,
+                    Vignette
+                ],
+                shader: `
+                
+                    ${precision}
+                    
+                    varying vec2 texcoord;
+                    
+                    uniform sampler2D s0; // Blit current
+                    
+                    uniform vec4 cb7[2];
+                    
+                    void main() 
+                    {
+                        vec3 color = texture2D(s0, texcoord.xy).xyz;
+                        
+                        // Keep the vignette round on wide viewports
+                        vec2 offset = (texcoord.xy - 0.5) * 2.0;
+                        offset.x *= cb7[0].z / max(cb7[0].w, 1.0);
+                        float edge = smoothstep(cb7[1].y, cb7[1].z, length(offset) * 0.7071);
+                        
+                        gl_FragData[0].xyz = color * (1.0 - clamp(edge * cb7[1].x, 0.0, 1.0));
+                        gl_FragData[0].w = 1.0;
+                    }
+                `
+            }
+        }
+    }
+
+};
@@ -3,6 +3,7 @@ import * as curve from "./curve";
 import * as eve from "./eve";
 import * as particle from "./particle";
 import * as sof from "./sof";
+import * as state from "./state";
 import * as unsupported from "./unsupported";
 import { DeviceTextureQuality, DeviceShaderQuality } from "constant/ccpwgl";
 import { vec4, mat4 } from "math";
@@ -144,7 +145,24 @@ export const config = {
         "maxWatchedCount": 10,
 
         // The maximum time to monitor watched objects
-        "maxWatchTime": 0.05
+        "maxWatchTime": 0.05,
+
+        // The estimated gpu memory resources can use before progressive textures are downgraded and the least recently
+        // used resources are purged, in bytes (0 for no budget)
+        "memoryBudget": 0,
+
+        // The estimated system memory resources can use before the least recently used are purged, in bytes (0 for no budget)
+        "systemMemoryBudget": 0,
+
+        // Loads textures with a mip level skip count at low quality first, then changes their quality to suit
+        // their size on screen and the memory budget (requires lod to be enabled on the scene)
+        "progressiveTextures": false,
+
+        // The time between texture quality updates, in seconds
+        "textureQualityInterval": 0.5,
+
+        // The maximum texture quality changes to request per update
+        "maxTextureQualityChanges": 4
 
     },
 
@@ -194,7 +212,11 @@ export const config = {
         "cake": core.Tw2GeometryRes,
         "obj": core.Tw2GeometryRes,
         "png": core.Tw2TextureRes,
+        "jpg": core.Tw2TextureRes,
+        "jpeg": core.Tw2TextureRes,
+        "webp": core.Tw2TextureRes,
         "dds": core.Tw2TextureRes,
+        "ktx2": core.Tw2TextureRes,
         "cube": core.Tw2TextureRes,
         "qube": core.Tw2TextureRes,
         "tga" : core.Tw2TextureRes,
@@ -214,6 +236,7 @@ export const config = {
         eve,
         particle,
         sof,
+        state,
         unsupported
     ],
 
@@ -1,4 +1,5 @@
-import { isFunction, template } from "utils";
+import { isFunction } from "global/utils/type";
+import { template } from "global/utils/obj";
 
 const HAS_CAPTURE_STACK_TRACE = isFunction(Error["captureStackTrace"]);
 
@@ -134,3 +135,36 @@ export class ErrAbstractMethod extends Tw2Error
         super(data, "Abstract class method not implemented on class '%class%': (%method%)");
     }
 }
+
+/**
+ * Throws in invalid resource formats
+ */
+export class ErrResourceFormatInvalid extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Resource format invalid: %format% (%reason=unknown%)");
+    }
+}
+
+/**
+ * Throws in invalid resource formats
+ */
+export class ErrResourceFormatUnsupported extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Resource format not supported: %format% (%reason=unknown%)");
+    }
+}
+
+/**
+ * Throws in invalid resource formats
+ */
+export class ErrResourceFormatNotImplemented extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Resource format not implemented: %format% (%reason=unknown%)");
+    }
+}
@@ -776,6 +776,49 @@ export class Tw2Library extends Tw2EventEmitter
         return this.resMan.motherLode.Remove(resPath);
     }
 
+    /**
+     * Creates a manual resource, optionally with data for it's Prepare method
+     * @param {String} resPath
+     * @param {*} [data]
+     * @returns {Tw2Resource}
+     */
+    CreateManualResource(resPath, data)
+    {
+        return this.resMan.CreateManualResource(resPath, data);
+    }
+
+    /**
+     * Registers a resource created in code to a manual path
+     * @param {String} resPath
+     * @param {Tw2Resource} resource
+     * @returns {Tw2Resource} the resource registered to the path, which can be an earlier released resource
+     */
+    RegisterManualResource(resPath, resource)
+    {
+        return this.resMan.RegisterManualResource(resPath, resource);
+    }
+
+    /**
+     * Updates a manual resource's data
+     * @param {String} resPath
+     * @param {*} data
+     * @returns {Tw2Resource}
+     */
+    UpdateManualResource(resPath, data)
+    {
+        return this.resMan.UpdateManualResource(resPath, data);
+    }
+
+    /**
+     * Releases a manual resource
+     * @param {String} resPath
+     * @returns {Boolean}
+     */
+    ReleaseManualResource(resPath)
+    {
+        return this.resMan.ReleaseManualResource(resPath);
+    }
+
     /**
      * Gets a resource
      * @param {String} resPath
@@ -876,6 +919,27 @@ export class Tw2Library extends Tw2EventEmitter
         return result;
     }
 
+    /**
+     * Fetches the resource paths an object file depends on, without constructing it
+     * @param {String} resPath
+     * @returns {Promise<Array<String>>}
+     */
+    async FetchDependencies(resPath)
+    {
+        return this.resMan.FetchDependencies(resPath);
+    }
+
+    /**
+     * Prefetches resources and resolves when they have all completed loading
+     * @param {Array<String>} resPaths
+     * @param {Function} [onProgress]
+     * @returns {Promise<Array<Tw2Resource>>}
+     */
+    async Prefetch(resPaths, onProgress)
+    {
+        return this.resMan.Prefetch(resPaths, onProgress);
+    }
+
     /**
      * Fetches resPaths from a (flat) plain object and returns the results in the same structure
      * @param {Object} obj
@@ -1080,34 +1144,38 @@ export class Tw2Library extends Tw2EventEmitter
     }
 
     /**
-     * Checks if a dynamic path exists
-     * @param prefix
-     * @returns {*}
+     * Checks if a dynamic path generator exists
+     * @param {String} name
+     * @returns {Boolean}
      */
-    HasDynamicPath(prefix)
+    HasDynamicPath(name)
     {
-        return this.dynamicPaths.Has(prefix);
+        return this.dynamicPaths.Has(name);
     }
 
     /**
-     * Gets a dynamic path by it's prefix
-     * @param {String} prefix
-     * @returns {*}
+     * Gets a dynamic path generator by it's name
+     * @param {String} name
+     * @returns {Function}
      */
-    GetDynamicPath(prefix)
+    GetDynamicPath(name)
     {
-        return this.dynamicPaths.Get(prefix);
+        return this.dynamicPaths.Get(name);
     }
 
     /**
-     * Sets a dynamic path by it's prefix
-     * @param prefix
-     * @param value
-     * @returns {*}
+     * Sets a dynamic path generator by it's name
+     * - "dynamic:/name/arg0/arg1.png" calls the generator with (res, [ "arg0", "arg1" ], tw2)
+     * - The path's extension identifies the resource type to create
+     * - The generator either returns (or resolves) data for the resource's Prepare method, or prepares the
+     * resource itself and returns nothing
+     * @param {String} name
+     * @param {Function} generator
+     * @returns {Function}
      */
-    SetDynamicPath(prefix, value)
+    SetDynamicPath(name, generator)
     {
-        return this.dynamicPaths.Set(prefix, value);
+        return this.dynamicPaths.Set(name, generator);
     }
 
     /**
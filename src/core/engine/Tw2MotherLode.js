@@ -364,6 +364,103 @@ export class Tw2MotherLode
         });
     }
 
+    /**
+     * Gets the estimated memory usage of loaded objects
+     * @param {Object} [out={}]
+     * @returns {{count: Number, byteLength: Number, systemByteLength: Number, types: Object}} out
+     */
+    GetMemoryUsage(out = {})
+    {
+        out.count = 0;
+        out.byteLength = 0;
+        out.systemByteLength = 0;
+        out.types = {};
+
+        for (const path in this._loadedObjects)
+        {
+            if (this._loadedObjects.hasOwnProperty(path))
+            {
+                const
+                    res = this._loadedObjects[path],
+                    byteLength = res.GetByteLength ? res.GetByteLength() : 0,
+                    systemByteLength = res.GetSystemByteLength ? res.GetSystemByteLength() : 0,
+                    typeName = res.constructor.name;
+
+                if (!out.types[typeName])
+                {
+                    out.types[typeName] = { count: 0, byteLength: 0, systemByteLength: 0 };
+                }
+
+                const type = out.types[typeName];
+                type.count++;
+                type.byteLength += byteLength;
+                type.systemByteLength += systemByteLength;
+
+                out.count++;
+                out.byteLength += byteLength;
+                out.systemByteLength += systemByteLength;
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Purges the least recently used loaded objects until their estimated memory usage is within budget
+     * - Loaded objects flagged with `doNotPurge` are never removed
+     * - Loaded objects used since the previous frame are never removed, as they would be reloaded straight away
+     * @param {Number} curFrame          - the current frame count
+     * @param {Number} [budget=0]        - the gpu memory budget in bytes, 0 for no budget
+     * @param {Number} [systemBudget=0]  - the system memory budget in bytes, 0 for no budget
+     * @returns {Number} the number of purged objects
+     */
+    PurgeLeastRecentlyUsed(curFrame, budget = 0, systemBudget = 0)
+    {
+        if (!budget && !systemBudget) return 0;
+
+        let { byteLength, systemByteLength } = this.GetMemoryUsage();
+
+        const isOverBudget = () => budget > 0 && byteLength > budget || systemBudget > 0 && systemByteLength > systemBudget;
+        if (!isOverBudget()) return 0;
+
+        const candidates = [];
+        for (const path in this._loadedObjects)
+        {
+            if (this._loadedObjects.hasOwnProperty(path))
+            {
+                const res = this._loadedObjects[path];
+                if (!res.doNotPurge && res.HasLoaded() && res.activeFrame < curFrame - 1)
+                {
+                    candidates.push({ path, res });
+                }
+            }
+        }
+
+        candidates.sort((a, b) => a.res.activeFrame - b.res.activeFrame);
+
+        let purged = 0;
+        for (let i = 0; i < candidates.length && isOverBudget(); i++)
+        {
+            const
+                { path, res } = candidates[i],
+                resByteLength = res.GetByteLength ? res.GetByteLength() : 0,
+                resSystemByteLength = res.GetSystemByteLength ? res.GetSystemByteLength() : 0;
+
+            if (!resByteLength && !resSystemByteLength) continue;
+
+            if (res.Unload({ hide: true, detail: "budget" }))
+            {
+                res.OnPurged({ detail: "budget" });
+                this.Remove(path);
+                byteLength -= resByteLength;
+                systemByteLength -= resSystemByteLength;
+                purged++;
+            }
+        }
+
+        return purged;
+    }
+
     /**
      * Purges inactive loaded objects (resources that have been loaded but are not being actively used)
      * - Loaded objects can flagged with `doNotPurge` to ensure they are never removed
@@ -1,8 +1,10 @@
 import { Tw2MotherLode } from "./Tw2MotherLode";
 import { Tw2LoadingObject } from "../resource/Tw2LoadingObject";
+import { Tw2BlackReader } from "../reader/Tw2BlackReader";
 import { Tw2GeometryRes } from "../resource/Tw2GeometryRes";
 import { Tw2EventEmitter } from "../Tw2EventEmitter";
-import { Tw2Error, ErrFeatureNotImplemented } from "../Tw2Error";
+import { Tw2ResourceDynamicPathStore } from "../store/Tw2ResourceDynamicPathStore";
+import { Tw2Error } from "../Tw2Error";
 import { assignIfExists, getPathExtension, isBoolean, isError, isFunction } from "utils";
 
 
@@ -30,8 +32,19 @@ export class Tw2ResMan extends Tw2EventEmitter
     _systemMirror = false;
 
     _autoReload = [];
+    _manualData = {};
+    _dependencies = null;
     minimumAutoReloadSeconds = 1;
 
+    memoryBudget = 0;
+    systemMemoryBudget = 0;
+
+    progressiveTextures = false;
+    textureQualityInterval = 0.5;
+    maxTextureQualityChanges = 4;
+
+    _textureQualityTime = 0;
+
     /**
      * Temporary
      */
@@ -94,7 +107,12 @@ export class Tw2ResMan extends Tw2EventEmitter
             "purgeTime",
             "maxWatchedTime",
             "maxWatchedCount",
-            "maxWatchedUpdateTime"
+            "maxWatchedUpdateTime",
+            "memoryBudget",
+            "systemMemoryBudget",
+            "progressiveTextures",
+            "textureQualityInterval",
+            "maxTextureQualityChanges"
         ]);
 
         if (opt.systemMirror !== undefined)
@@ -358,6 +376,16 @@ export class Tw2ResMan extends Tw2EventEmitter
 
         this.motherLode.UpdateWatched(this.maxWatchedUpdateTime, this.maxWatchedCount, this.maxWatchedTime);
 
+        if (this.progressiveTextures)
+        {
+            this._textureQualityTime += this.tw2.dt;
+            if (this._textureQualityTime >= this.textureQualityInterval)
+            {
+                this._textureQualityTime = 0;
+                this.UpdateTextureQuality();
+            }
+        }
+
         this._purgeTime += this.tw2.dt;
 
         if (this._purgeTime > 1)
@@ -373,11 +401,76 @@ export class Tw2ResMan extends Tw2EventEmitter
                     this.motherLode.PurgeInactive(this._purgeFrame, this._purgeFrameLimit, this.purgeTime);
                 }
             }
+
+            if (this.memoryBudget || this.systemMemoryBudget)
+            {
+                this.motherLode.PurgeLeastRecentlyUsed(this.activeFrame, this.memoryBudget, this.systemMemoryBudget);
+            }
         }
 
         return true;
     }
 
+    /**
+     * Gets the estimated memory usage of loaded resources, for diagnostics
+     * - Includes totals for each resource type, and the configured budgets
+     * @returns {{count: Number, byteLength: Number, systemByteLength: Number, types: Object, budget: Number, systemBudget: Number}}
+     */
+    GetMemoryUsage()
+    {
+        const usage = this.motherLode.GetMemoryUsage();
+        usage.budget = this.memoryBudget;
+        usage.systemBudget = this.systemMemoryBudget;
+        return usage;
+    }
+
+    /**
+     * Updates the quality of loaded textures
+     * - Textures are upgraded or downgraded to suit the largest size on screen they were requested at
+     * - When the memory budget would be exceeded the textures that are smallest on screen are downgraded first
+     * - Upgrades for the textures that are largest on screen are requested first
+     * @returns {Number} the estimated gpu memory usage once quality changes complete
+     */
+    UpdateTextureQuality()
+    {
+        const textures = this.motherLode.Filter((key, res) =>
+        {
+            return res.SetMipLevelSkip && res.HasPrepared() ? { res, skip: res.GetDesiredMipLevelSkip() } : null;
+        });
+
+        let { byteLength } = this.motherLode.GetMemoryUsage();
+        for (let i = 0; i < textures.length; i++)
+        {
+            byteLength += textures[i].res.GetByteLength(textures[i].skip) - textures[i].res.GetByteLength();
+        }
+
+        textures.sort((a, b) => a.res.GetScreenSize() - b.res.GetScreenSize());
+
+        if (this.memoryBudget > 0)
+        {
+            for (let i = 0; i < textures.length && byteLength > this.memoryBudget; i++)
+            {
+                const
+                    texture = textures[i],
+                    maxSkip = Math.max(this.tw2.device.mipLevelSkipCount, texture.res.constructor.maxMipLevelSkip);
+
+                while (texture.skip < maxSkip && byteLength > this.memoryBudget)
+                {
+                    byteLength -= texture.res.GetByteLength(texture.skip) - texture.res.GetByteLength(texture.skip + 1);
+                    texture.skip++;
+                }
+            }
+        }
+
+        let changes = 0;
+        for (let i = textures.length - 1; i >= 0 && changes < this.maxTextureQualityChanges; i--)
+        {
+            if (textures[i].res.SetMipLevelSkip(textures[i].skip)) changes++;
+        }
+
+        return byteLength;
+    }
+
     /**
      * Adds a resource and response to the prepare queue
      * @param {Tw2Resource} res
@@ -401,10 +494,9 @@ export class Tw2ResMan extends Tw2EventEmitter
         let res;
         path = Tw2ResMan.NormalizePath(path);
 
-        // TODO: Dynamic resources
-        if (path.indexOf("dynamic:/") === 0)
+        if (this._dependencies && !this._dependencies.includes(path))
         {
-            throw new ErrFeatureNotImplemented({ feature: "Dynamic resources" });
+            this._dependencies.push(path);
         }
 
         // Check if already loaded
@@ -415,12 +507,6 @@ export class Tw2ResMan extends Tw2EventEmitter
             return res;
         }
 
-        // Manually created resources
-        if (path.indexOf("manual:/") === 0)
-        {
-            throw new ErrFeatureNotImplemented({ feature: "Manually created resource" });
-        }
-
         try
         {
             const Constructor = this.tw2.GetExtensionFromPath(path);
@@ -435,6 +521,10 @@ export class Tw2ResMan extends Tw2EventEmitter
 
         res.path = path;
         res.RegisterCallbacks(onResolved, onRejected);
+
+        // Collected resources are left unloaded and aren't added to the mother lode
+        if (this._dependencies) return res;
+
         return this.LoadResource(res);
     }
 
@@ -488,9 +578,137 @@ export class Tw2ResMan extends Tw2EventEmitter
         });
     }
 
+    /**
+     * Checks if a path is loaded as an object rather than as a resource
+     * @param {String} path
+     * @returns {Boolean}
+     */
+    IsObjectPath(path)
+    {
+        const ext = getPathExtension(path);
+        return this.tw2.HasExtension(ext) && !!this.tw2.GetExtension(ext).isLoadingObject;
+    }
+
+    /**
+     * Gets the path that a dependency is requested with
+     * - Effect file paths are requested for the device's shader model
+     * @param {String} path
+     * @returns {String}
+     */
+    ToDependencyPath(path)
+    {
+        path = Tw2ResMan.NormalizePath(path);
+        if (getPathExtension(path) === "fx" && this.tw2.HasClass("Tw2Effect"))
+        {
+            return this.tw2.GetClass("Tw2Effect").ToEffectFilePath(path);
+        }
+        return path;
+    }
+
+    /**
+     * Checks if requested resource paths are being collected instead of loaded
+     * @returns {Boolean}
+     */
+    IsCollectingDependencies()
+    {
+        return !!this._dependencies;
+    }
+
+    /**
+     * Collects the resource paths requested while a function runs, instead of loading them
+     * - Resources that aren't already loaded are returned unloaded, so nothing is fetched and no GL resources are
+     *   created
+     * - Resources requested elsewhere before the function resolves are collected too, so it should only wait on
+     *   work it starts itself
+     * @param {Function} func
+     * @param {Array<String>} [out=[]]
+     * @returns {Promise<Array<String>>} out
+     */
+    async CollectDependencies(func, out = [])
+    {
+        const previous = this._dependencies;
+        this._dependencies = out;
+
+        try
+        {
+            await func();
+        }
+        finally
+        {
+            this._dependencies = previous;
+        }
+
+        return out;
+    }
+
+    /**
+     * Fetches the resource paths an object file depends on, without constructing it
+     * - Object files referenced by the file are included, along with their own dependencies
+     * - Only .black formatted object files can be read
+     * @param {String} path
+     * @param {Array<String>} [out=[]]
+     * @returns {Promise<Array<String>>} out
+     */
+    async FetchDependencies(path, out = [])
+    {
+        path = Tw2ResMan.NormalizePath(path);
+        if (out.includes(path)) return out;
+        out.push(path);
+
+        const
+            response = await this.Fetch(this.tw2.GetURL(path), "arraybuffer"),
+            paths = new Tw2BlackReader(response).GetPaths();
+
+        for (let i = 0; i < paths.length; i++)
+        {
+            if (this.IsObjectPath(paths[i]))
+            {
+                await this.FetchDependencies(paths[i], out);
+            }
+            else
+            {
+                const dependency = this.ToDependencyPath(paths[i]);
+                if (!out.includes(dependency)) out.push(dependency);
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Prefetches resources and resolves when they have all completed loading
+     * - Object file paths are skipped as they are only read when an object is constructed
+     * - Progress is reported in the same way as when watching an object
+     * @param {Array<String>} paths
+     * @param {Function} [onProgress]
+     * @returns {Promise<Array<Tw2Resource>>}
+     */
+    async Prefetch(paths, onProgress)
+    {
+        const resources = [];
+        for (let i = 0; i < paths.length; i++)
+        {
+            if (this.IsObjectPath(paths[i])) continue;
+
+            const res = this.GetResource(paths[i]);
+            if (res && !resources.includes(res)) resources.push(res);
+        }
+
+        await this.Watch({
+            GetResources: (out = []) =>
+            {
+                out.push(...resources);
+                return out;
+            }
+        }, onProgress);
+
+        return resources;
+    }
+
     /**
      * Loads a resource
-     * TODO: Create a res object for each quality level rather than just one
+     * - Geometry quality levels are separate resources selected by Tr2LodResource, texture quality levels are
+     *   fetched into the same resource by Tw2TextureRes
      * @param {Tw2Resource|*} res
      * @param {eventLog} [eventLog]
      */
@@ -504,6 +722,16 @@ export class Tw2ResMan extends Tw2EventEmitter
             return res;
         }
 
+        if (Tw2ResMan.IsDynamicPath(res.path))
+        {
+            return this.LoadDynamicResource(res, eventLog);
+        }
+
+        if (Tw2ResMan.IsManualPath(res.path))
+        {
+            return this.LoadManualResource(res, eventLog);
+        }
+
         try
         {
             const url = this.tw2.GetURL(res.path);
@@ -539,6 +767,201 @@ export class Tw2ResMan extends Tw2EventEmitter
         return res;
     }
 
+    /**
+     * Loads a resource from it's dynamic path generator
+     * - The generator is called with the resource, the path's arguments and the library
+     * - If the generator returns data (or a promise of data) it is queued for the resource's Prepare method
+     * - If the generator returns nothing it is expected to have prepared the resource itself
+     * @param {Tw2Resource|*} res
+     * @param {eventLog} [eventLog]
+     * @returns {Tw2Resource|*} res
+     */
+    LoadDynamicResource(res, eventLog)
+    {
+        try
+        {
+            const { generator, args } = this.tw2.dynamicPaths.Resolve(res.path);
+
+            res.OnRequested(eventLog);
+
+            Promise.resolve(generator(res, args, this.tw2))
+                .then(data =>
+                {
+                    if (res.HasErrored() || res.HasPrepared()) return;
+
+                    if (data === undefined)
+                    {
+                        res.OnLoaded();
+                        res.OnPrepared();
+                        return;
+                    }
+
+                    res.OnLoaded();
+                    this.Queue(res, data);
+                })
+                .catch(err =>
+                {
+                    res.OnError(err);
+                });
+        }
+        catch (err)
+        {
+            res.OnError(err);
+        }
+
+        return res;
+    }
+
+    /**
+     * Loads a manual resource from it's last updated data
+     * - Manual resources cannot be fetched, so they are never purged while registered
+     * - Resources without data wait until updated with {@link Tw2ResMan#UpdateManualResource}
+     * @param {Tw2Resource|*} res
+     * @param {eventLog} [eventLog]
+     * @returns {Tw2Resource|*} res
+     */
+    LoadManualResource(res, eventLog)
+    {
+        res.doNotPurge = Math.max(res.doNotPurge, 1);
+        res.OnRequested(eventLog);
+
+        if (res.path in this._manualData)
+        {
+            res.OnLoaded();
+            this.Queue(res, this._manualData[res.path]);
+        }
+
+        return res;
+    }
+
+    /**
+     * Creates a manual resource
+     * - If the path has already been requested the existing resource is updated so that dependents are notified
+     * - The resource type is identified by the path's extension
+     * @param {String} path
+     * @param {*} [data] - Optional data for the resource's Prepare method
+     * @returns {Tw2Resource|*} res
+     * @throws {ErrResourceManualPathInvalid} When the path isn't a manual path
+     */
+    CreateManualResource(path, data)
+    {
+        path = Tw2ResMan.NormalizePath(path);
+
+        if (!Tw2ResMan.IsManualPath(path))
+        {
+            throw new ErrResourceManualPathInvalid({ path });
+        }
+
+        let res = this.motherLode.Find(path);
+        if (!res)
+        {
+            const Constructor = this.tw2.GetExtensionFromPath(path);
+            res = new Constructor();
+            res.path = path;
+            if (data === undefined) this.LoadResource(res);
+        }
+
+        if (data !== undefined)
+        {
+            this.UpdateManualResource(path, data, res);
+        }
+
+        return res;
+    }
+
+    /**
+     * Registers a resource that was created in code
+     * - The resource is expected to be prepared already, or to be updated with {@link Tw2ResMan#UpdateManualResource}
+     * - If the path's resource was released or is still waiting to be created, the registered resource's state and
+     *   data are copied into it so that dependents are notified, and it is returned instead
+     * @param {String} path
+     * @param {Tw2Resource|*} res
+     * @returns {Tw2Resource|*} the resource registered to the path
+     * @throws {ErrResourceManualPathInvalid} When the path isn't a manual path
+     * @throws {ErrResourceManualExists} When another resource is already registered to the path
+     */
+    RegisterManualResource(path, res)
+    {
+        path = Tw2ResMan.NormalizePath(path);
+
+        if (!Tw2ResMan.IsManualPath(path))
+        {
+            throw new ErrResourceManualPathInvalid({ path });
+        }
+
+        const existing = this.motherLode.Find(path);
+        if (existing && existing !== res)
+        {
+            if (existing.HasLoaded() || existing.constructor !== res.constructor)
+            {
+                throw new ErrResourceManualExists({ path });
+            }
+
+            Object.keys(res).forEach(key =>
+            {
+                if (key !== "path" && key !== "_state" && key !== "_notifications")
+                {
+                    existing[key] = res[key];
+                }
+            });
+
+            existing.doNotPurge = Math.max(existing.doNotPurge, 1);
+            if (res.HasPrepared()) existing.OnPrepared({ detail: "registered" });
+            return existing;
+        }
+
+        res.path = path;
+        res.doNotPurge = Math.max(res.doNotPurge, 1);
+        this.motherLode.Add(path, res);
+        return res;
+    }
+
+    /**
+     * Updates a manual resource's data and re-prepares it
+     * - Dependents are notified as the resource moves through it's reloading, loaded and prepared states
+     * @param {String} path
+     * @param {*} data
+     * @param {Tw2Resource|*} [res]
+     * @returns {Tw2Resource|*} res
+     * @throws {ErrResourceManualNotFound} When there is no resource for the path
+     */
+    UpdateManualResource(path, data, res = this.motherLode.Find(Tw2ResMan.NormalizePath(path)))
+    {
+        if (!res)
+        {
+            throw new ErrResourceManualNotFound({ path });
+        }
+
+        this._manualData[res.path] = data;
+
+        if (res.HasLoaded())
+        {
+            res.Unload({ hide: true, message: "updating" });
+        }
+
+        return this.LoadResource(res, { message: "updating" });
+    }
+
+    /**
+     * Releases a manual resource and its data
+     * - The resource stays registered to its path and isn't purged, so dependents that still use it wait for it to be
+     *   created again
+     * @param {String} path
+     * @returns {Boolean} true if released
+     */
+    ReleaseManualResource(path)
+    {
+        path = Tw2ResMan.NormalizePath(path);
+        Reflect.deleteProperty(this._manualData, path);
+
+        const res = this.motherLode.Find(path);
+        if (!res) return false;
+
+        res.Unload({ hide: true, detail: "released" });
+        res.OnPurged({ detail: "released" });
+        return true;
+    }
+
     /**
      * Adds a pending url
      * @param {String} url
@@ -651,16 +1074,43 @@ export class Tw2ResMan extends Tw2EventEmitter
         return this.tw2.GetURL(path);
     }
 
+    /**
+     * Checks if a path is a dynamic resource path
+     * @param {String} path
+     * @returns {Boolean}
+     */
+    static IsDynamicPath(path)
+    {
+        return Tw2ResMan.NormalizePath(path).indexOf(Tw2ResourceDynamicPathStore.prefix) === 0;
+    }
+
+    /**
+     * Checks if a path is a manual resource path
+     * @param {String} path
+     * @returns {Boolean}
+     */
+    static IsManualPath(path)
+    {
+        return Tw2ResMan.NormalizePath(path).indexOf("manual:/") === 0;
+    }
+
     /**
      * Normalizes a file path by making it lower case and replaces all '\\' with '/'
+     * - Dynamic paths only have their prefix lower cased, as their generator's name and arguments are kept as given
      * @param {String} path
      * @returns {String}
      */
     static NormalizePath(path)
     {
-        path = path.toLowerCase();
         path = path.replace("\\", "/");
-        return path;
+
+        const { prefix } = Tw2ResourceDynamicPathStore;
+        if (path.substr(0, prefix.length).toLowerCase() === prefix)
+        {
+            return prefix + path.substr(prefix.length);
+        }
+
+        return path.toLowerCase();
     }
 
     /**
@@ -702,3 +1152,36 @@ export class ErrHTTPStatus extends Tw2Error
         super(data, "%statusText=Communication status error while loading resource% (%status%)");
     }
 }
+
+/**
+ * Throws when a manual resource path is invalid
+ */
+export class ErrResourceManualPathInvalid extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Invalid manual resource path");
+    }
+}
+
+/**
+ * Throws when a manual resource path is already in use
+ */
+export class ErrResourceManualExists extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Manual resource already exists");
+    }
+}
+
+/**
+ * Throws when a manual resource doesn't exist
+ */
+export class ErrResourceManualNotFound extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Manual resource not found");
+    }
+}
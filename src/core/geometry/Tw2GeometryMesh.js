@@ -116,6 +116,30 @@ export class Tw2GeometryMesh
         this._boundsDirty = true;
     }
 
+    /**
+     * Gets the mesh's estimated gpu memory usage
+     * @returns {Number} bytes
+     */
+    GetByteLength()
+    {
+        let byteLength = 0;
+        if (this.buffer) byteLength += this.bufferLength * 4;
+        if (this.indexes) byteLength += this._faces * 3 * (this.indexType === tw2.gl.UNSIGNED_INT ? 4 : 2);
+        return byteLength;
+    }
+
+    /**
+     * Gets the mesh's estimated system memory usage
+     * @returns {Number} bytes
+     */
+    GetSystemByteLength()
+    {
+        let byteLength = 0;
+        if (this.bufferData) byteLength += this.bufferData.byteLength || this.bufferData.length * 4;
+        if (this.indexData) byteLength += this.indexData.byteLength || this.indexData.length * 4;
+        return byteLength;
+    }
+
     /**
      * Checks if there is a system mirror of the buffer and index data
      * @returns {boolean}
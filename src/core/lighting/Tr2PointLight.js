@@ -0,0 +1,163 @@
+import { meta } from "utils";
+import { vec3, vec4, quat, noise } from "math";
+
+
+@meta.type("Tr2PointLight")
+export class Tr2PointLight extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.uint
+    boneIndex = -1;
+
+    @meta.float
+    brightness = 0;
+
+    @meta.color
+    color = vec4.fromValues(1, 1, 1, 1);
+
+    @meta.float
+    innerRadius = 0;
+
+    @meta.path
+    lightProfilePath = "";
+
+    @meta.string
+    flags = "";
+
+    @meta.float
+    noiseAmplitude = 0;
+
+    @meta.float
+    noiseFrequency = 0;
+
+    @meta.float
+    noiseOctaves = 0;
+
+    @meta.vector3
+    position = vec3.create();
+
+    @meta.float
+    radius = 0;
+
+    @meta.quaternion
+    rotation = quat.create();
+
+    // ccpwgl only
+
+    @meta.boolean
+    display = true;
+
+    _time = 0;
+    _brightness = 0;
+    _worldPosition = vec3.create();
+
+    /**
+     * Gets the light's current brightness including noise
+     * @returns {Number}
+     */
+    GetBrightness()
+    {
+        return this._brightness;
+    }
+
+    /**
+     * Gets the light's world position
+     * @param {vec3} out
+     * @returns {vec3} out
+     */
+    GetWorldPosition(out)
+    {
+        return vec3.copy(out, this._worldPosition);
+    }
+
+    /**
+     * Checks if the light contributes any lighting
+     * @returns {Boolean}
+     */
+    IsLit()
+    {
+        return this.display && this.radius > 0 && this._brightness > 0;
+    }
+
+    /**
+     * Per frame update
+     * @param {Number} dt
+     * @param {mat4} [parentTransform]
+     */
+    Update(dt, parentTransform)
+    {
+        this._time += dt;
+
+        let brightness = this.brightness;
+        if (this.noiseAmplitude && this.noiseFrequency)
+        {
+            const n = noise.perlin1D(this._time * this.noiseFrequency, 2, 2, Math.max(1, this.noiseOctaves));
+            brightness *= Math.max(0, 1 + n * this.noiseAmplitude);
+        }
+        this._brightness = brightness;
+
+        if (parentTransform) this.UpdateViewDependentData(parentTransform);
+    }
+
+    /**
+     * Updates view dependent data
+     * @param {mat4} parentTransform
+     * @param {Array<Tw2Bone>} [bones]
+     */
+    UpdateViewDependentData(parentTransform, bones)
+    {
+        const bone = bones && this.boneIndex >= 0 ? bones[this.boneIndex] : null;
+        vec3.copy(this._worldPosition, this.position);
+        if (bone) vec3.transformMat4(this._worldPosition, this._worldPosition, bone.offsetTransform);
+        vec3.transformMat4(this._worldPosition, this._worldPosition, parentTransform);
+    }
+
+    /**
+     * Gets the light's shader data
+     * - [ worldPosition, radius ]
+     * - [ color * brightness, innerRadius ]
+     * - [ worldDirection, type ]
+     * - [ cosInnerAngle, cosOuterAngle, 0, 0 ]
+     * @param {Float32Array|Array} out
+     * @param {Number} [offset=0]
+     * @returns {Float32Array|Array} out
+     */
+    GetLightData(out, offset = 0)
+    {
+        const brightness = this._brightness;
+
+        out[offset] = this._worldPosition[0];
+        out[offset + 1] = this._worldPosition[1];
+        out[offset + 2] = this._worldPosition[2];
+        out[offset + 3] = this.radius;
+        out[offset + 4] = this.color[0] * brightness;
+        out[offset + 5] = this.color[1] * brightness;
+        out[offset + 6] = this.color[2] * brightness;
+        out[offset + 7] = this.innerRadius;
+        out[offset + 8] = 0;
+        out[offset + 9] = 0;
+        out[offset + 10] = 0;
+        out[offset + 11] = this.constructor.lightType;
+        out[offset + 12] = 0;
+        out[offset + 13] = 0;
+        out[offset + 14] = 0;
+        out[offset + 15] = 0;
+        return out;
+    }
+
+    /**
+     * The light type identifier used in shader data
+     * @type {number}
+     */
+    static lightType = 0;
+
+    /**
+     * The number of floats a light writes to shader data
+     * @type {number}
+     */
+    static lightDataSize = 16;
+
+}
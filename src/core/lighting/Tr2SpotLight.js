@@ -0,0 +1,95 @@
+import { meta } from "utils";
+import { vec3, vec4, quat, mat3 } from "math";
+import { Tr2PointLight } from "./Tr2PointLight";
+
+
+@meta.type("Tr2SpotLight")
+export class Tr2SpotLight extends Tr2PointLight
+{
+
+    @meta.vector4
+    color = vec4.fromValues(0, 0, 0, 1);
+
+    @meta.float
+    innerAngle = 0;
+
+    @meta.uint
+    noiseOctaves = 0;
+
+    @meta.float
+    outerAngle = 0;
+
+    @meta.quaternion
+    rotation = quat.create();
+
+    _worldDirection = vec3.fromValues(0, 0, 1);
+
+    /**
+     * Gets the light's world direction
+     * @param {vec3} out
+     * @returns {vec3} out
+     */
+    GetWorldDirection(out)
+    {
+        return vec3.copy(out, this._worldDirection);
+    }
+
+    /**
+     * Updates view dependent data
+     * - The light points down its local z axis
+     * @param {mat4} parentTransform
+     * @param {Array<Tw2Bone>} [bones]
+     */
+    UpdateViewDependentData(parentTransform, bones)
+    {
+        super.UpdateViewDependentData(parentTransform, bones);
+
+        const
+            { mat3_0 } = Tr2SpotLight.global,
+            bone = bones && this.boneIndex >= 0 ? bones[this.boneIndex] : null,
+            direction = vec3.transformQuat(this._worldDirection, Tr2SpotLight.AXIS, this.rotation);
+
+        if (bone) vec3.transformMat3(direction, direction, mat3.fromMat4(mat3_0, bone.offsetTransform));
+        vec3.transformMat3(direction, direction, mat3.fromMat4(mat3_0, parentTransform));
+        vec3.normalize(direction, direction);
+    }
+
+    /**
+     * Gets the light's shader data
+     * - Angles are in degrees
+     * @param {Float32Array|Array} out
+     * @param {Number} [offset=0]
+     * @returns {Float32Array|Array} out
+     */
+    GetLightData(out, offset = 0)
+    {
+        super.GetLightData(out, offset);
+        out[offset + 8] = this._worldDirection[0];
+        out[offset + 9] = this._worldDirection[1];
+        out[offset + 10] = this._worldDirection[2];
+        out[offset + 12] = Math.cos(this.innerAngle * Math.PI / 180);
+        out[offset + 13] = Math.cos(this.outerAngle * Math.PI / 180);
+        return out;
+    }
+
+    /**
+     * The light's local direction
+     * @type {vec3}
+     */
+    static AXIS = vec3.fromValues(0, 0, 1);
+
+    /**
+     * The light type identifier used in shader data
+     * @type {number}
+     */
+    static lightType = 1;
+
+    /**
+     * Class global and scratch variables
+     * @type {Object}
+     */
+    static global = {
+        mat3_0: mat3.create()
+    };
+
+}
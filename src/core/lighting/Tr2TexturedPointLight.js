@@ -0,0 +1,68 @@
+import { meta } from "utils";
+import { vec4 } from "math";
+import { Tw2TextureParameter } from "../parameter";
+import { Tr2PointLight } from "./Tr2PointLight";
+
+
+@meta.type("Tr2TexturedPointLight")
+export class Tr2TexturedPointLight extends Tr2PointLight
+{
+
+    @meta.vector4
+    color = vec4.fromValues(0, 0, 0, 1);
+
+    @meta.path
+    texturePath = "";
+
+    _texture = new Tw2TextureParameter("LightTexture");
+
+    /**
+     * Initializes the light
+     */
+    Initialize()
+    {
+        this.RebuildTexture();
+    }
+
+    /**
+     * Fires on value changes
+     */
+    OnValueChanged()
+    {
+        this.RebuildTexture();
+    }
+
+    /**
+     * Updates the light's texture from it's texture path
+     */
+    RebuildTexture()
+    {
+        this._texture.SetValue(this.texturePath);
+    }
+
+    /**
+     * Gets the light's texture resource
+     * @returns {?Tw2TextureRes}
+     */
+    GetTextureRes()
+    {
+        return this._texture.textureRes;
+    }
+
+    /**
+     * Gets the light's resources
+     * @param {Array} [out=[]]
+     * @returns {Array} out
+     */
+    GetResources(out = [])
+    {
+        return this._texture.GetResources(out);
+    }
+
+    /**
+     * The light type identifier used in shader data
+     * @type {number}
+     */
+    static lightType = 2;
+
+}
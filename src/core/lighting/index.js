@@ -0,0 +1,3 @@
+export * from "./Tr2PointLight";
+export * from "./Tr2SpotLight";
+export * from "./Tr2TexturedPointLight";
@@ -8,11 +8,10 @@ import {
     RM_TRANSPARENT,
     RM_PICKABLE
 } from "constant";
+import { Tr2LodResource } from "../resource/Tr2LodResource";
 
 
-@meta.notImplemented
 @meta.type("Tr2MeshLod")
-@meta.todo("Implement LOD")
 export class Tr2MeshLod extends meta.Model
 {
 
@@ -63,44 +62,89 @@ export class Tr2MeshLod extends meta.Model
         depthAreas: true
     };
 
+    // ccpwgl only
 
-    _geometryResource = null;
+    @meta.uint
+    meshIndex = 0;
 
 
+    _textures = null;
+
+
+    /**
+     * Fires on value changes
+     * - Areas may have changed so textures are gathered again
+     */
+    OnValueChanged()
+    {
+        this._textures = null;
+    }
+
     /**
-     * Temporary alias for _geometryResource
-     * @returns {null}
+     * Gets the geometry resource for the current level of detail
+     * - While a level loads the previously displayed level is used
+     * @returns {null|Tw2GeometryRes}
      */
     get geometryResource()
     {
-        return this._geometryResource;
+        return this.geometryRes ? this.geometryRes.GetResource() : null;
     }
 
     /**
-     * Temporary alias for _geometryResource
-     * @param res
+     * Gets the current mesh index
+     * @returns {number}
      */
-    set geometryResource(res)
+    GetMeshIndex()
     {
-        this._geometryResource = res;
+        return this.meshIndex;
     }
 
     /**
-     * Initializes the object
+     * Sets the current mesh index
+     * @param index
      */
-    @meta.notImplemented
-    Initialize()
+    SetMeshIndex(index)
+    {
+        this.meshIndex = index;
+    }
+
+    /**
+     * Updates the level of detail from the mesh's size on screen
+     * - Geometry swaps between the lod resource's levels, and textures pick their quality level from the same size
+     * @param {Number} pixelSizeAcross
+     * @returns {Boolean} true if a different geometry level was requested
+     */
+    UpdateLod(pixelSizeAcross)
     {
+        const textures = this.GetTextures();
+        for (let i = 0; i < textures.length; i++)
+        {
+            textures[i].RequestPixelSize(pixelSizeAcross);
+        }
 
+        return this.geometryRes ? this.geometryRes.SetLevelFromPixelSize(pixelSizeAcross) : false;
+    }
+
+    /**
+     * Gets the textures used by the mesh's areas
+     * - Textures are gathered once, and again after the mesh's values change
+     * @returns {Array<Tw2TextureRes>}
+     */
+    GetTextures()
+    {
+        if (!this._textures)
+        {
+            this._textures = this.GetResources().filter(x => x.RequestPixelSize);
+        }
+        return this._textures;
     }
 
     /**
-     * Rebuilds cached data
-     * @param {Tw2GeometryRes} res
+     * Resets the level of detail
      */
-    OnResPrepared(res)
+    ResetLod()
     {
-        this._geometryResource = res;
+        if (this.geometryRes) this.geometryRes.SetLevel(Tr2LodResource.defaultLevel);
     }
 
     /**
@@ -109,7 +153,7 @@ export class Tr2MeshLod extends meta.Model
      */
     IsGood()
     {
-        return this._geometryResource && this._geometryResource.IsGood();
+        return !!this.geometryResource;
     }
 
     /**
@@ -119,15 +163,16 @@ export class Tr2MeshLod extends meta.Model
      */
     GetResources(out = [])
     {
-        for (let i = 0; i < this.associatedResources; i++)
+        for (let i = 0; i < this.associatedResources.length; i++)
         {
-            if (out[i] && !out.includes(this.associatedResources[i]))
+            if (!out.includes(this.associatedResources[i]))
             {
                 out.push(this.associatedResources[i]);
             }
         }
 
-        //return super.GetResources(out);
+        if (this.geometryRes) this.geometryRes.GetResources(out);
+
         const per = perArrayChild;
         per(this.additiveAreas, "GetResources", out);
         per(this.decalAreas, "GetResources", out);
@@ -192,6 +237,7 @@ export class Tr2MeshLod extends meta.Model
      */
     EmptyAreas()
     {
+        this._textures = null;
         this.additiveAreas.splice(0);
         this.decalAreas.splice(0);
         this.depthAreas.splice(0);
@@ -211,7 +257,10 @@ export class Tr2MeshLod extends meta.Model
      */
     static GetAreaBatches(mesh, areas, mode, accumulator, perObjectData)
     {
-        const c = accumulator.length;
+        const
+            c = accumulator.length,
+            geometryRes = mesh.geometryResource;
+
         for (let i = 0; i < areas.length; ++i)
         {
             const area = areas[i];
@@ -220,8 +269,8 @@ export class Tr2MeshLod extends meta.Model
                 const batch = new area.constructor.batchType();
                 batch.renderMode = mode;
                 batch.perObjectData = perObjectData;
-                batch.geometryRes = mesh._geometryResource;
-                batch.meshIx = 0;                           // Why no mesh index?
+                batch.geometryRes = geometryRes;
+                batch.meshIx = mesh.meshIndex;
                 batch.start = area.index;
                 batch.count = area.count;
                 batch.effect = area.effect;
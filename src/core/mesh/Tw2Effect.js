@@ -246,14 +246,9 @@ export class Tw2Effect extends meta.Model
         }
         else
         {
-            this.effectFilePath = this.effectFilePath ? this.effectFilePath.toLowerCase() : "";
+            this.effectFilePath = Tw2Effect.ToEffectFilePath(this.effectFilePath);
             if (this.effectFilePath)
             {
-                // Auto shader replacement
-                if (getPathExtension(this.effectFilePath) !== "sm_json") this.effectFilePath = Tw2Effect.getOverriddenShaderPath(this.effectFilePath);
-                // Auto fx quality
-                if (getPathExtension(this.effectFilePath) === "fx") this.effectFilePath = device.ToEffectPath(this.effectFilePath);
-
                 res = tw2.GetResource(this.effectFilePath);
             }
         }
@@ -264,6 +259,25 @@ export class Tw2Effect extends meta.Model
         }
     }
 
+    /**
+     * Gets the path an effect file path is loaded from
+     * - Handles shader replacement and picks the device's shader model for fx files
+     * @param {String} effectFilePath
+     * @returns {String}
+     */
+    static ToEffectFilePath(effectFilePath)
+    {
+        effectFilePath = effectFilePath ? effectFilePath.toLowerCase() : "";
+        if (effectFilePath)
+        {
+            // Auto shader replacement
+            if (getPathExtension(effectFilePath) !== "sm_json") effectFilePath = Tw2Effect.getOverriddenShaderPath(effectFilePath);
+            // Auto fx quality
+            if (getPathExtension(effectFilePath) === "fx") effectFilePath = device.ToEffectPath(effectFilePath);
+        }
+        return effectFilePath;
+    }
+
     /**
      * Temporary handler for unpacked textures
      * @param {String} path
@@ -352,7 +366,9 @@ export class Tw2Effect extends meta.Model
             this.shader = res.GetShader(this.options);
             this.BindParameters({ controller: res });
             this.EmitEvent(Tw2Resource.Event.RES_PREPARED, this, res);
-            res.UnregisterNotification(this);
+
+            // Manual resources can be updated at any time so keep listening
+            if (!res.isManual) res.UnregisterNotification(this);
         }
         catch (err)
         {
@@ -1,3 +1,4 @@
+export * from "./Tr2MeshLod";
 export * from "./Tw2Effect";
 export * from "./Tw2InstancedMesh";
 export * from "./Tw2Mesh";
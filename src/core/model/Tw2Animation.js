@@ -1,4 +1,11 @@
 import { meta } from "utils";
+import { num } from "math";
+
+
+const BlendMode = {
+    OVERRIDE: 0,
+    ADDITIVE: 1
+};
 
 
 @meta.type("Tw2Animation")
@@ -23,10 +30,30 @@ export class Tw2Animation extends meta.Model
     @meta.isPrivate
     trackGroups = [];
 
+    // ccpwgl only
+
+    @meta.float
+    weight = 1;
+
+    @meta.uint
+    layer = 0;
+
+    @meta.enums(BlendMode)
+    blendMode = BlendMode.OVERRIDE;
+
+    @meta.plain
+    boneMask = null;
+
 
     _callback = null;
     _controller = null;
     _state = Tw2Animation.State.FINISHED;
+    _fadeWeight = 1;
+    _fadeFrom = 1;
+    _fadeTo = 1;
+    _fadeTime = 0;
+    _fadeDuration = 0;
+    _stopOnFaded = false;
 
 
     /**
@@ -66,6 +93,123 @@ export class Tw2Animation extends meta.Model
         return this.animationRes ? Math.min(this.time, this.duration) / this.duration : 0;
     }
 
+    /**
+     * Gets the weight the animation is currently blended with
+     * @returns {Number}
+     */
+    GetBlendWeight()
+    {
+        return this.weight * this._fadeWeight;
+    }
+
+    /**
+     * Gets the weight a bone is blended with
+     * - Bones missing from a bone mask are not animated
+     * @param {String} boneName
+     * @returns {Number}
+     */
+    GetBoneWeight(boneName)
+    {
+        if (!this.boneMask) return 1;
+        return boneName in this.boneMask ? this.boneMask[boneName] : 0;
+    }
+
+    /**
+     * Sets the bones the animation is blended with
+     * @param {null|Array<String>|Object<String, Number>} mask - bone names, or bone names and weights
+     * @param {Number} [weight=1]                             - the weight for each bone when given bone names
+     */
+    SetBoneMask(mask, weight = 1)
+    {
+        if (Array.isArray(mask))
+        {
+            this.boneMask = {};
+            for (let i = 0; i < mask.length; i++)
+            {
+                this.boneMask[mask[i]] = weight;
+            }
+        }
+        else
+        {
+            this.boneMask = mask || null;
+        }
+    }
+
+    /**
+     * Fades the animation's weight over time
+     * @param {Number} to              - the fade weight to reach, from 0 to 1
+     * @param {Number} [duration=0]    - the fade duration in seconds
+     * @param {Boolean} [stop=false]   - stops the animation once faded
+     */
+    Fade(to, duration = 0, stop = false)
+    {
+        this._fadeFrom = this._fadeWeight;
+        this._fadeTo = num.clamp(to, 0, 1);
+        this._fadeTime = 0;
+        this._fadeDuration = Math.max(duration, 0);
+        this._stopOnFaded = stop;
+        if (!this._fadeDuration) this.UpdateFade(0);
+    }
+
+    /**
+     * Fades the animation in
+     * - Animations that are not playing start playing from no weight
+     * - Animations that are fading out carry on playing from their current weight
+     * @param {Number} [duration=0]
+     * @param {Object} [options]  - options for playing the animation
+     */
+    FadeIn(duration = 0, options)
+    {
+        if (!this.IsPlaying())
+        {
+            this._fadeWeight = 0;
+            this.Play(options);
+        }
+        this.Fade(1, duration);
+    }
+
+    /**
+     * Fades the animation out and stops it
+     * @param {Number} [duration=0]
+     */
+    FadeOut(duration = 0)
+    {
+        if (this.IsFinished()) return;
+        this.Fade(0, duration, true);
+    }
+
+    /**
+     * Checks if the animation is fading
+     * @returns {Boolean}
+     */
+    IsFading()
+    {
+        return this._fadeTime < this._fadeDuration;
+    }
+
+    /**
+     * Updates the animation's fade
+     * @param {Number} dt
+     */
+    UpdateFade(dt)
+    {
+        if (this._fadeDuration)
+        {
+            this._fadeTime = Math.min(this._fadeTime + dt, this._fadeDuration);
+            this._fadeWeight = this._fadeFrom + (this._fadeTo - this._fadeFrom) * (this._fadeTime / this._fadeDuration);
+        }
+        else
+        {
+            this._fadeWeight = this._fadeTo;
+        }
+
+        if (!this.IsFading() && this._stopOnFaded)
+        {
+            this._stopOnFaded = false;
+            this.Stop();
+        }
+    }
+
     /**
      * Adds a callback
      * - Provided for backwards compatibility
@@ -106,6 +250,10 @@ export class Tw2Animation extends meta.Model
      * @param {Number} [options.percent]            - the percentage of the duration to play from (overrides time)
      * @param {Boolean} [options.cycle=this.cycle]  - identifies if the animation should cycle
      * @param {Number} [options.timeScale]          - the time scale
+     * @param {Number} [options.weight]             - the blend weight
+     * @param {Number} [options.layer]              - the blend layer, higher layers are blended over lower layers
+     * @param {Number} [options.blendMode]          - the blend mode
+     * @param {Array|Object} [options.boneMask]     - the bones to blend
      * @param {Object} [options.events]             - events to add to the animation
      * @param {Function} [options.callback]         - a callback which is fired when the animation ends
      */
@@ -117,6 +265,10 @@ export class Tw2Animation extends meta.Model
             time = wasPaused ? this.time : 0,
             cycle = this.cycle,
             timeScale = this.timeScale,
+            weight = this.weight,
+            layer = this.layer,
+            blendMode = this.blendMode,
+            boneMask,
             callback,
             events,
             percent
@@ -130,6 +282,10 @@ export class Tw2Animation extends meta.Model
         this.time = Math.max(Math.min(time, this.duration), 0);
         this.timeScale = timeScale;
         this.cycle = cycle;
+        this.weight = weight;
+        this.layer = layer;
+        this.blendMode = blendMode;
+        if (boneMask !== undefined) this.SetBoneMask(boneMask);
         this._state = Tw2Animation.State.PLAYING;
 
         if (events) this.add(events);
@@ -194,6 +350,9 @@ export class Tw2Animation extends meta.Model
         {
             this._state = Tw2Animation.State.FINISHED;
             this.time = this.duration;
+            this._fadeWeight = this._fadeFrom = this._fadeTo = 1;
+            this._fadeTime = this._fadeDuration = 0;
+            this._stopOnFaded = false;
 
             /**
              * Fires when the animation ends
@@ -253,6 +412,12 @@ export class Tw2Animation extends meta.Model
     {
         if (this.IsFinished()) return false;
 
+        if (this.IsFading())
+        {
+            this.UpdateFade(dt);
+            if (this.IsFinished()) return false;
+        }
+
         // Keep calculating bone positions when paused
         if (this.IsPaused()) return true;
 
@@ -288,6 +453,14 @@ export class Tw2Animation extends meta.Model
         return true;
     }
 
+    /**
+     * Blend modes
+     * - Override animations replace the pose of lower layers by their weight
+     * - Additive animations add their difference from the bind pose to the pose of lower layers
+     * @type {{OVERRIDE: number, ADDITIVE: number}}
+     */
+    static BlendMode = BlendMode;
+
     /**
      * Animation state
      * @type {{PAUSED: number, CYCLING: number, FINISHED: number, PLAYING: number}}
@@ -34,11 +34,17 @@ export class Tw2AnimationController extends meta.Model
     @meta.boolean
     update = true;
 
+    // ccpwgl only
+
+    @meta.list("EveAnimationStateMachine")
+    stateMachines = [];
+
 
     _isLoaded = false;
     _isPlaying = false;
     _boundsDirty = false;
     _pendingCommands = [];
+    _blendFrame = 0;
 
 
     /**
@@ -164,11 +170,19 @@ export class Tw2AnimationController extends meta.Model
      * @param {Object} options
      * @param {Boolean} [options.cycle]
      * @param {Number} [options.time]
+     * @param {Number} [options.fadeDuration] - cross fades from other animations on the same layer when provided
      * @param {Function} [options.callback]
      * @param {Object} [options.events]
      */
     PlayAnimation(name, options)
     {
+        if (options && options.fadeDuration !== undefined)
+        {
+            const { fadeDuration, ...playOptions } = options;
+            this.CrossFade(name, fadeDuration, playOptions);
+            return;
+        }
+
         if (this.animations.length === 0)
         {
             this._pendingCommands.push({
@@ -186,6 +200,134 @@ export class Tw2AnimationController extends meta.Model
         }
     }
 
+    /**
+     * Cross fades to an animation
+     * - The animation fades in while other animations on its layer fade out and stop
+     * @param {String} name           - Animation's Name
+     * @param {Number} [duration=0.3] - Fade duration in seconds
+     * @param {Object} [options]      - Options for playing the animation, if it isn't already playing
+     */
+    CrossFade(name, duration = 0.3, options = {})
+    {
+        if (this.animations.length === 0)
+        {
+            this._pendingCommands.push({
+                "func": this.CrossFade,
+                "args": [ name, duration, options ]
+            });
+            return;
+        }
+
+        const animation = this.GetAnimation(name);
+        if (!animation) return;
+
+        const layer = options.layer !== undefined ? options.layer : animation.layer;
+        for (let i = 0; i < this.animations.length; i++)
+        {
+            const other = this.animations[i];
+            if (other !== animation && other.layer === layer && !other.IsFinished())
+            {
+                other.FadeOut(duration);
+            }
+        }
+
+        animation.FadeIn(duration, options);
+    }
+
+    /**
+     * Fades out an animation or an array of animations and stops them
+     * @param {String| Array.<string>} names - Animation Name, or Array of Animation Names
+     * @param {Number} [duration=0.3]        - Fade duration in seconds
+     */
+    FadeOutAnimation(names, duration = 0.3)
+    {
+        names = toArray(names);
+
+        for (let i = 0; i < this.animations.length; ++i)
+        {
+            if (names.includes(this.animations[i].name))
+            {
+                this.animations[i].FadeOut(duration);
+            }
+        }
+    }
+
+    /**
+     * Gets a state machine by name
+     * @param {String} name
+     * @returns {?EveAnimationStateMachine}
+     */
+    GetStateMachine(name)
+    {
+        for (let i = 0; i < this.stateMachines.length; i++)
+        {
+            if (this.stateMachines[i].name === name)
+            {
+                return this.stateMachines[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Requests a state from every state machine that has it
+     * @param {String} name - State name
+     * @returns {Boolean} true if any state machine has the state
+     */
+    RequestState(name)
+    {
+        let found = false;
+        for (let i = 0; i < this.stateMachines.length; i++)
+        {
+            if (this.stateMachines[i].RequestState(name))
+            {
+                found = true;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Sets a variable used by state machine transition conditions
+     * @param {String} name
+     * @param {*} value
+     */
+    SetStateVariable(name, value)
+    {
+        for (let i = 0; i < this.stateMachines.length; i++)
+        {
+            this.stateMachines[i].SetVariable(name, value);
+        }
+    }
+
+    /**
+     * Gets the names of bones and all of their descendants
+     * @param {Array<String>} names - Bone names
+     * @param {Array<String>} [out=[]]
+     * @returns {Array<String>} out
+     */
+    GetBoneNames(names, out = [])
+    {
+        for (let i = 0; i < this.models.length; i++)
+        {
+            const
+                bones = this.models[i].bones,
+                included = new Set();
+
+            // Parents come before their children
+            for (let j = 0; j < bones.length; j++)
+            {
+                const { name, parentIndex } = bones[j].boneRes;
+                if (names.includes(name) || included.has(parentIndex))
+                {
+                    included.add(j);
+                    if (!out.includes(name)) out.push(name);
+                }
+            }
+        }
+        return out;
+    }
+
     /**
      * Gets an array of all the currently playing animations by name
      * @returns {Array}
@@ -546,65 +688,27 @@ export class Tw2AnimationController extends meta.Model
             this.geometryResources[i].KeepAlive();
         }
 
-        const
-            g = Tw2AnimationController.global,
-            rotationMat = g.mat4_0,
-            orientation = g.quat_0,
-            position = g.vec3_0,
-            scale = g.mat3_0;
+        for (let i = 0; i < this.stateMachines.length; ++i)
+        {
+            this.stateMachines[i].Update(dt, this);
+        }
 
-        //var updateBones = false;
+        const active = [];
         for (let i = 0; i < this.animations.length; ++i)
         {
             const animation = this.animations[i];
             if (animation.Update(dt))
             {
                 this._isPlaying = true;
-                const res = animation.animationRes;
-
-                for (let j = 0; j < animation.trackGroups.length; ++j)
-                {
-                    for (let k = 0; k < animation.trackGroups[j].transformTracks.length; ++k)
-                    {
-                        const track = animation.trackGroups[j].transformTracks[k];
-                        if (track.trackRes.position)
-                        {
-                            curve.evaluate(track.trackRes.position, animation.time, position, animation.cycle, res.duration);
-                        }
-                        else
-                        {
-                            position[0] = position[1] = position[2] = 0;
-                        }
-
-                        if (track.trackRes.orientation)
-                        {
-                            curve.evaluate(track.trackRes.orientation, animation.time, orientation, animation.cycle, res.duration);
-                            quat.normalize(orientation, orientation);
-                        }
-                        else
-                        {
-                            quat.identity(orientation);
-                        }
-
-                        if (track.trackRes.scaleShear)
-                        {
-                            curve.evaluate(track.trackRes.scaleShear, animation.time, scale, animation.cycle, res.duration);
-                        }
-                        else
-                        {
-                            mat3.identity(scale);
-                        }
-
-                        mat4.fromMat3(track.bone.localTransform, scale);
-                        mat4.multiply(track.bone.localTransform, track.bone.localTransform, mat4.fromQuat(rotationMat, orientation));
-                        track.bone.localTransform[12] = position[0];
-                        track.bone.localTransform[13] = position[1];
-                        track.bone.localTransform[14] = position[2];
-                    }
-                }
+                if (animation.GetBlendWeight() > 0) active.push(animation);
             }
         }
 
+        if (active.length)
+        {
+            this.BlendAnimations(active);
+        }
+
         for (let i = 0; i < this.models.length; ++i)
         {
             for (let j = 0; j < this.models[i].bones.length; ++j)
@@ -650,6 +754,107 @@ export class Tw2AnimationController extends meta.Model
         }
     }
 
+    /**
+     * Blends animations into their bones' local transforms
+     * - Layers are blended in ascending order, each over the result of the layers below
+     * - Override animations on a layer are blended together by weight, then replace the pose below by their total weight
+     * - Additive animations on a layer are then added to the pose
+     * - Bones animated by any animation start from their rest pose, others keep their current local transform
+     * @param {Array<Tw2Animation>} animations
+     */
+    BlendAnimations(animations)
+    {
+        const
+            g = Tw2AnimationController.global,
+            orientation = g.quat_0,
+            position = g.vec3_0,
+            scale = g.mat3_0,
+            frame = ++this._blendFrame,
+            blended = [],
+            { ADDITIVE } = Tw2Animation.BlendMode;
+
+        // Stable sort keeps the animation order within a layer
+        animations.sort((a, b) => a.layer - b.layer);
+
+        let start = 0;
+        while (start < animations.length)
+        {
+            const layer = animations[start].layer;
+
+            let end = start;
+            while (end < animations.length && animations[end].layer === layer) end++;
+
+            const layerBones = [];
+
+            for (let pass = 0; pass < 2; pass++)
+            {
+                const isAdditivePass = pass === 1;
+
+                for (let i = start; i < end; i++)
+                {
+                    const animation = animations[i];
+                    if ((animation.blendMode === ADDITIVE) !== isAdditivePass) continue;
+
+                    const weight = animation.GetBlendWeight();
+
+                    for (let j = 0; j < animation.trackGroups.length; ++j)
+                    {
+                        for (let k = 0; k < animation.trackGroups[j].transformTracks.length; ++k)
+                        {
+                            const
+                                track = animation.trackGroups[j].transformTracks[k],
+                                bone = track.bone,
+                                w = weight * animation.GetBoneWeight(bone.boneRes.name);
+
+                            if (!w) continue;
+
+                            if (bone._blendFrame !== frame)
+                            {
+                                bone._blendFrame = frame;
+                                bone.ResetPose();
+                                blended.push(bone);
+                            }
+
+                            Tw2AnimationController.EvaluateTrack(track, animation, position, orientation, scale);
+
+                            if (isAdditivePass)
+                            {
+                                bone.AddAdditivePose(position, orientation, scale, w);
+                                continue;
+                            }
+
+                            if (bone._layerFrame !== frame)
+                            {
+                                bone._layerFrame = frame;
+                                bone.ResetLayerPose();
+                                layerBones.push(bone);
+                            }
+
+                            bone.AddLayerPose(position, orientation, scale, w);
+                        }
+                    }
+                }
+
+                // Override animations are blended over the pose before additive animations are added
+                if (!isAdditivePass)
+                {
+                    for (let i = 0; i < layerBones.length; i++)
+                    {
+                        layerBones[i].ApplyLayerPose();
+                        layerBones[i]._layerFrame = -1;
+                    }
+                }
+            }
+
+            start = end;
+        }
+
+        for (let i = 0; i < blended.length; i++)
+        {
+            blended[i].ComposePose();
+        }
+    }
+
     /**
      * RenderDebugInfo
      * TODO: Fix commented out code
@@ -677,6 +882,47 @@ export class Tw2AnimationController extends meta.Model
         }
     }
 
+    /**
+     * Evaluates a transform track at an animation's current time
+     * @param {Tw2Track} track
+     * @param {Tw2Animation} animation
+     * @param {vec3} position
+     * @param {quat} orientation
+     * @param {mat3} scale
+     */
+    static EvaluateTrack(track, animation, position, orientation, scale)
+    {
+        const duration = animation.animationRes.duration;
+
+        if (track.trackRes.position)
+        {
+            curve.evaluate(track.trackRes.position, animation.time, position, animation.cycle, duration);
+        }
+        else
+        {
+            position[0] = position[1] = position[2] = 0;
+        }
+
+        if (track.trackRes.orientation)
+        {
+            curve.evaluate(track.trackRes.orientation, animation.time, orientation, animation.cycle, duration);
+            quat.normalize(orientation, orientation);
+        }
+        else
+        {
+            quat.identity(orientation);
+        }
+
+        if (track.trackRes.scaleShear)
+        {
+            curve.evaluate(track.trackRes.scaleShear, animation.time, scale, animation.cycle, duration);
+        }
+        else
+        {
+            mat3.identity(scale);
+        }
+    }
+
     /**
      * Adds animations from a resource
      * @param {Tw2AnimationController} controller
@@ -1,5 +1,5 @@
 import { meta } from "utils";
-import { mat4 } from "math";
+import { vec3, quat, mat3, mat4 } from "math";
 
 
 @meta.type("Tw2Bone")
@@ -24,6 +24,22 @@ export class Tw2Bone
     @meta.matrix4
     offsetTransform = mat4.create();
 
+    // ccpwgl only
+
+    _position = vec3.create();
+    _orientation = quat.create();
+    _scaleShear = mat3.create();
+    _layerPosition = vec3.create();
+    _layerOrientation = quat.create();
+    _layerScaleShear = mat3.create();
+    _layerWeight = 0;
+    _restPosition = vec3.create();
+    _restOrientation = quat.create();
+    _restScaleShear = mat3.create();
+    _restBoneRes = null;
+    _blendFrame = -1;
+    _layerFrame = -1;
+
     /**
      * Gets the bone's parent bone index
      * @returns {Number}
@@ -33,4 +49,137 @@ export class Tw2Bone
         return this.boneRes ? this.boneRes.parentIndex : -1;
     }
 
+    /**
+     * Updates the bone's rest pose from its resource's local transform
+     * - The scale/shear is found from the rotation so that composing the pose returns the same transform
+     */
+    UpdateRestPose()
+    {
+        if (this._restBoneRes === this.boneRes) return;
+        this._restBoneRes = this.boneRes;
+
+        const
+            m = this.boneRes.localTransform,
+            rotation = mat3.fromQuat(Tw2Bone.global.mat3_0, mat4.getRotation(this._restOrientation, m));
+
+        quat.normalize(this._restOrientation, this._restOrientation);
+        mat4.getTranslation(this._restPosition, m);
+        mat3.multiply(this._restScaleShear, mat3.fromMat4(this._restScaleShear, m), mat3.transpose(rotation, rotation));
+    }
+
+    /**
+     * Resets the blended pose to the rest pose
+     */
+    ResetPose()
+    {
+        this.UpdateRestPose();
+        vec3.copy(this._position, this._restPosition);
+        quat.copy(this._orientation, this._restOrientation);
+        mat3.copy(this._scaleShear, this._restScaleShear);
+    }
+
+    /**
+     * Resets the layer pose
+     */
+    ResetLayerPose()
+    {
+        vec3.set(this._layerPosition, 0, 0, 0);
+        quat.set(this._layerOrientation, 0, 0, 0, 0);
+        this._layerScaleShear.fill(0);
+        this._layerWeight = 0;
+    }
+
+    /**
+     * Adds a weighted pose to the layer pose
+     * @param {vec3} position
+     * @param {quat} orientation
+     * @param {mat3} scaleShear
+     * @param {Number} weight
+     */
+    AddLayerPose(position, orientation, scaleShear, weight)
+    {
+        vec3.scaleAndAdd(this._layerPosition, this._layerPosition, position, weight);
+
+        // Keep orientations in the same hemisphere so that they don't cancel out
+        const w = quat.dot(this._layerOrientation, orientation) < 0 ? -weight : weight;
+        for (let i = 0; i < 4; i++) this._layerOrientation[i] += orientation[i] * w;
+        for (let i = 0; i < 9; i++) this._layerScaleShear[i] += scaleShear[i] * weight;
+
+        this._layerWeight += weight;
+    }
+
+    /**
+     * Blends the layer pose over the blended pose
+     * - Layers with a total weight under 1 only partially replace the blended pose
+     */
+    ApplyLayerPose()
+    {
+        const weight = this._layerWeight;
+        if (!weight) return;
+
+        const
+            g = Tw2Bone.global,
+            t = Math.min(weight, 1),
+            position = vec3.scale(g.vec3_0, this._layerPosition, 1 / weight),
+            orientation = quat.normalize(g.quat_0, this._layerOrientation);
+
+        vec3.lerp(this._position, this._position, position, t);
+        quat.slerp(this._orientation, this._orientation, orientation, t);
+        for (let i = 0; i < 9; i++)
+        {
+            this._scaleShear[i] += (this._layerScaleShear[i] / weight - this._scaleShear[i]) * t;
+        }
+    }
+
+    /**
+     * Adds a weighted pose's difference from the rest pose to the blended pose
+     * @param {vec3} position
+     * @param {quat} orientation
+     * @param {mat3} scaleShear
+     * @param {Number} weight
+     */
+    AddAdditivePose(position, orientation, scaleShear, weight)
+    {
+        this.UpdateRestPose();
+
+        const
+            g = Tw2Bone.global,
+            delta = g.quat_0,
+            identity = quat.identity(g.quat_1);
+
+        vec3.add(this._position, this._position, vec3.scale(g.vec3_0, vec3.subtract(g.vec3_0, position, this._restPosition), weight));
+
+        quat.multiply(delta, quat.conjugate(delta, this._restOrientation), orientation);
+        quat.slerp(delta, identity, delta, weight);
+        quat.normalize(this._orientation, quat.multiply(this._orientation, this._orientation, delta));
+
+        for (let i = 0; i < 9; i++)
+        {
+            this._scaleShear[i] += (scaleShear[i] - this._restScaleShear[i]) * weight;
+        }
+    }
+
+    /**
+     * Composes the blended pose into the local transform
+     */
+    ComposePose()
+    {
+        mat4.fromMat3(this.localTransform, this._scaleShear);
+        mat4.multiply(this.localTransform, this.localTransform, mat4.fromQuat(Tw2Bone.global.mat4_0, this._orientation));
+        this.localTransform[12] = this._position[0];
+        this.localTransform[13] = this._position[1];
+        this.localTransform[14] = this._position[2];
+    }
+
+    /**
+     * Global and scratch variables
+     */
+    static global = {
+        vec3_0: vec3.create(),
+        quat_0: quat.create(),
+        quat_1: quat.create(),
+        mat3_0: mat3.create(),
+        mat4_0: mat4.create()
+    };
+
 }
@@ -1,5 +1,5 @@
 import { meta, isString } from "utils";
-import { tw2, device } from "global";
+import { tw2, device, resMan } from "global";
 import { Tw2SamplerOverride } from "../sampler/Tw2SamplerOverride";
 import { Tw2Parameter } from "./Tw2Parameter";
 import { Tw2TextureRes } from "../resource/Tw2TextureRes";
@@ -231,6 +231,9 @@ export class Tw2TextureParameter extends Tw2Parameter
 
         if (this.resourcePath.indexOf("rgba:/") === 0)
         {
+            // Solid colours aren't resources, so aren't created when only dependencies are wanted
+            if (resMan.IsCollectingDependencies()) return;
+
             if (!this.textureRes || this.textureRes.path !== this.resourcePath)
             {
                 const
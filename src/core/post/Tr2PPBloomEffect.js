@@ -0,0 +1,57 @@
+import { meta } from "utils";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPBloomEffect")
+export class Tr2PPBloomEffect extends Tr2PPEffect
+{
+
+    @meta.float
+    luminanceThreshold = 0;
+
+    @meta.float
+    luminanceScale = 0;
+
+    @meta.float
+    brightness = 0;
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && this.brightness > 0;
+    }
+
+    /**
+     * Creates the effect's stages
+     * - Bright areas are extracted, blurred horizontally and vertically, and then added to the original frame
+     *   scaled by the effect's brightness
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [
+            Tr2PPEffect.CreateStage("colorhighpassfilter", {
+                LuminanceThreshold: [ 1, 0, 0, 0 ],
+                LuminanceScale: [ 0.5, 0, 0, 0 ]
+            }),
+            Tr2PPEffect.CreateStage("colorgaussianblurhorizontal"),
+            Tr2PPEffect.CreateStage("colorgaussianblurvertical"),
+            Tr2PPEffect.CreateStage("colorupfilter4_add", { ScalingFactor: [ 1, 0, 0, 0 ] })
+        ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     */
+    UpdateParameters()
+    {
+        const [ highPass, , , combine ] = this._stages;
+        Tr2PPEffect.SetStageParameter(highPass, "LuminanceThreshold", this.luminanceThreshold);
+        Tr2PPEffect.SetStageParameter(highPass, "LuminanceScale", this.luminanceScale);
+        Tr2PPEffect.SetStageParameter(combine, "ScalingFactor", this.brightness);
+    }
+
+}
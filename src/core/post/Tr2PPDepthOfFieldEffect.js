@@ -0,0 +1,51 @@
+import { meta } from "utils";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPDepthOfFieldEffect")
+export class Tr2PPDepthOfFieldEffect extends Tr2PPEffect
+{
+    @meta.float
+    focalDistance = 0;
+
+    @meta.float
+    focalLength = 0;
+
+    @meta.float
+    scale = 0;
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && this.scale > 0;
+    }
+
+    /**
+     * Creates the effect's stages
+     * - Each pixel is blurred by its depth's distance from the focal distance, reaching the full blur radius (scale,
+     *   in pixels) at the focal length
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [ Tr2PPEffect.CreateManualStage("pp_depthoffield", { DepthOfField: [ 0, 1, 0, 0 ] }) ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     */
+    UpdateParameters()
+    {
+        Tr2PPEffect.SetStageParameter(this._stages[0], "DepthOfField", this.focalDistance, this.focalLength, this.scale);
+    }
+
+    /**
+     * Identifies if the effect reads the scene's depth map
+     * @type {Boolean}
+     */
+    static requiresDepth = true;
+
+}
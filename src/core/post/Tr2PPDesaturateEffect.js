@@ -0,0 +1,39 @@
+import { meta } from "utils";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPDesaturateEffect")
+export class Tr2PPDesaturateEffect extends Tr2PPEffect
+{
+
+    @meta.float
+    intensity = 0;
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && this.intensity > 0;
+    }
+
+    /**
+     * Creates the effect's stages
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [ Tr2PPEffect.CreateStage("desaturate", { SaturationFactor: [ 1, 0, 0, 0 ] }) ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     * - The shader scales saturation, so full intensity leaves no saturation
+     */
+    UpdateParameters()
+    {
+        Tr2PPEffect.SetStageParameter(this._stages[0], "SaturationFactor", 1 - Math.min(this.intensity, 1));
+    }
+
+}
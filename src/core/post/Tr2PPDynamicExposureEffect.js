@@ -0,0 +1,46 @@
+import { meta } from "utils";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPDynamicExposureEffect")
+export class Tr2PPDynamicExposureEffect extends Tr2PPEffect
+{
+
+    @meta.float
+    adjustment = 0;
+
+    @meta.float
+    influence = 0;
+
+    @meta.float
+    middleValue = 0.18;
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && (this.influence > 0 || this.adjustment !== 0);
+    }
+
+    /**
+     * Creates the effect's stages
+     * - The frame is scaled by the adjustment in stops, and by the influence towards bringing its average luminance
+     *   to the middle value
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [ Tr2PPEffect.CreateManualStage("pp_dynamicexposure", { Exposure: [ 0, 0.18, 0, 0 ] }) ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     */
+    UpdateParameters()
+    {
+        Tr2PPEffect.SetStageParameter(this._stages[0], "Exposure", this.adjustment, this.middleValue, this.influence);
+    }
+
+}
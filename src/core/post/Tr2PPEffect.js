@@ -0,0 +1,134 @@
+/* eslint no-unused-vars:0 */
+import { meta } from "utils";
+import { vec4 } from "math";
+import { Tw2Effect } from "../mesh/Tw2Effect";
+import { getOverriddenShaderPath } from "../../../shaders";
+
+
+/**
+ * Base class for Tr2PostProcess2 effects
+ * - Each effect provides one or more full screen stages, which Tr2PostProcess2 chains with the stages of its other
+ *   enabled effects
+ */
+export class Tr2PPEffect extends meta.Model
+{
+
+    // ccpwgl only
+
+    @meta.boolean
+    display = true;
+
+    _stages = null;
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display;
+    }
+
+    /**
+     * Gets the effect's stages, creating them if required
+     * @returns {Array<Tw2Effect>}
+     */
+    GetStages()
+    {
+        if (!this._stages) this._stages = this.CreateStages();
+        return this._stages;
+    }
+
+    /**
+     * Creates the effect's stages
+     * @returns {Array<Tw2Effect>}
+     */
+    @meta.abstract
+    CreateStages()
+    {
+
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     * @param {Number} time            - post process time
+     * @param {EveSpaceScene} [scene]
+     */
+    @meta.abstract
+    UpdateParameters(time, scene)
+    {
+
+    }
+
+    /**
+     * Sets a stage's vector4 parameter
+     * @param {Tw2Effect} stage
+     * @param {String} name
+     * @param {Number} x
+     * @param {Number} [y=0]
+     * @param {Number} [z=0]
+     * @param {Number} [w=0]
+     */
+    static SetStageParameter(stage, name, x, y = 0, z = 0, w = 0)
+    {
+        const parameter = stage.parameters[name];
+        if (parameter) parameter.SetValue(vec4.set(Tr2PPEffect.global.vec4_0, x, y, z, w));
+    }
+
+    /**
+     * Creates a full screen stage
+     * @param {String} name                  - the stage's effect name
+     * @param {Object} [parameters={}]
+     * @param {Object} [textures={}]
+     * @returns {Tw2Effect}
+     */
+    static CreateStage(name, parameters = {}, textures = {})
+    {
+        return Tw2Effect.from({
+            name,
+            effectFilePath: Tr2PPEffect.effectPath + name + ".sm_hi",
+            parameters,
+            textures
+        });
+    }
+
+    /**
+     * Creates a full screen stage from one of the library's json shaders
+     * - Used for stages which have no postprocess effect file
+     * @param {String} name                  - the json shader's name
+     * @param {Object} [parameters={}]
+     * @param {Object} [textures={}]
+     * @returns {Tw2Effect}
+     */
+    static CreateManualStage(name, parameters = {}, textures = {})
+    {
+        return Tw2Effect.from({
+            name,
+            // Registers the json shader if it hasn't been loaded yet
+            effectFilePath: getOverriddenShaderPath(`manual:/${name}.sm_json`),
+            parameters,
+            textures
+        });
+    }
+
+    /**
+     * Identifies if the effect reads the scene's depth map
+     * @type {Boolean}
+     */
+    static requiresDepth = false;
+
+    /**
+     * The directory post process effect stages are loaded from
+     * @type {String}
+     */
+    static effectPath = "cdn:/graphics/effect.gles2/managed/space/postprocess/";
+
+    /**
+     * Class global and scratch variables
+     * @type {Object}
+     */
+    static global = {
+        vec4_0: vec4.create()
+    };
+
+}
@@ -0,0 +1,46 @@
+import { meta } from "utils";
+import { vec4 } from "math";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPFadeEffect")
+export class Tr2PPFadeEffect extends Tr2PPEffect
+{
+
+    // ccpwgl only
+
+    @meta.color
+    color = vec4.fromValues(0, 0, 0, 1);
+
+    @meta.float
+    intensity = 0;
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && this.intensity > 0;
+    }
+
+    /**
+     * Creates the effect's stages
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [ Tr2PPEffect.CreateStage("colorfade", { Color: [ 0, 0, 0, 0 ] }) ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     * - The shader blends towards the colour's rgb by its alpha, so the fade amount is passed in the alpha
+     */
+    UpdateParameters()
+    {
+        const { color, intensity } = this;
+        Tr2PPEffect.SetStageParameter(this._stages[0], "Color", color[0], color[1], color[2], color[3] * intensity);
+    }
+
+}
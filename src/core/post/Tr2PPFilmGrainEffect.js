@@ -0,0 +1,43 @@
+import { meta } from "utils";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPFilmGrainEffect")
+export class Tr2PPFilmGrainEffect extends Tr2PPEffect
+{
+
+    @meta.float
+    intensity = 0;
+
+    @meta.float
+    grainSize = 0;
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && this.intensity > 0;
+    }
+
+    /**
+     * Creates the effect's stages
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [ Tr2PPEffect.CreateManualStage("pp_filmgrain", { FilmGrain: [ 0.05, 1.6, 0, 0 ] }) ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     * - Time is used to animate the grain
+     * @param {Number} time
+     */
+    UpdateParameters(time)
+    {
+        Tr2PPEffect.SetStageParameter(this._stages[0], "FilmGrain", this.intensity, this.grainSize, time);
+    }
+
+}
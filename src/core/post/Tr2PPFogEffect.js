@@ -0,0 +1,171 @@
+import { meta } from "utils";
+import { device } from "global";
+import { vec3, vec4 } from "math";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPFogEffect")
+export class Tr2PPFogEffect extends Tr2PPEffect
+{
+
+    @meta.vector3
+    areaCenter = vec3.create();
+
+    @meta.float
+    backgroundOcclusion = 0;
+
+    @meta.float
+    blendAmount0 = 0;
+
+    @meta.float
+    blendAmount1 = 0;
+
+    @meta.float
+    blendAmount2 = 0;
+
+    @meta.float
+    blendBias0 = 0;
+
+    @meta.float
+    blendBias1 = 0;
+
+    @meta.float
+    blendBias2 = 0;
+
+    @meta.float
+    blendDistance0 = 0;
+
+    @meta.float
+    blendDistance1 = 0;
+
+    @meta.float
+    blendDistance2 = 0;
+
+    @meta.float
+    blendPower0 = 0;
+
+    @meta.float
+    blendPower1 = 0;
+
+    @meta.float
+    blendPower2 = 0;
+
+    @meta.float
+    brightnessAdjustmentAmount = 0;
+
+    @meta.color
+    color = vec4.create();
+
+    @meta.float
+    colorInfluence = 0;
+
+    @meta.float
+    nebulaInfluence = 0;
+
+    // ccpwgl only
+
+    @meta.float
+    nebulaBlur = 6;
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && this.HasDensity() && (this.nebulaInfluence > 0 || this.colorInfluence > 0 || this.brightnessAdjustmentAmount > 0);
+    }
+
+    /**
+     * Checks if any depth band or the background adds fog
+     * @returns {Boolean}
+     */
+    HasDensity()
+    {
+        return this.backgroundOcclusion > 0 ||
+            (this.blendDistance0 > 0 && (this.blendAmount0 > 0 || this.blendBias0 > 0)) ||
+            (this.blendDistance1 > 0 && (this.blendAmount1 > 0 || this.blendBias1 > 0)) ||
+            (this.blendDistance2 > 0 && (this.blendAmount2 > 0 || this.blendBias2 > 0));
+    }
+
+    /**
+     * Creates the effect's stages
+     * - Each depth band's density is its amount scaled by the pixel's depth over its distance raised to its power,
+     *   plus its bias, and the background uses the background occlusion
+     * - The frame is blended with the scene's blurred nebula by nebula influence, and then with the fog colour by
+     *   colour influence, by that density
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [
+            Tr2PPEffect.CreateManualStage("pp_fog", {
+                FogViewForward: [ 0, 0, -1, 0 ],
+                FogViewRight: [ 1, 0, 0, 0 ],
+                FogViewUp: [ 0, 1, 0, 0 ],
+                FogBlend0: [ 0, 0, 0, 1 ],
+                FogBlend1: [ 0, 0, 0, 1 ],
+                FogBlend2: [ 0, 0, 0, 1 ],
+                FogParams: [ 0, 6, 0, 0 ],
+                FogColor: [ 0.8, 0.8, 0.8, 0 ]
+            })
+        ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     * - The camera's axes are passed in the scene's env map space so the nebula can be sampled along each pixel's
+     *   view ray
+     * @param {Number} time
+     * @param {EveSpaceScene} [scene]
+     */
+    UpdateParameters(time, scene)
+    {
+        const
+            [ stage ] = this._stages,
+            { color } = this,
+            { viewInverse: v, projection: p } = device;
+
+        Tr2PPFogEffect.SetViewAxis(stage, "FogViewForward", v[8], v[9], v[10], -1, scene);
+        Tr2PPFogEffect.SetViewAxis(stage, "FogViewRight", v[0], v[1], v[2], 1 / p[0], scene);
+        Tr2PPFogEffect.SetViewAxis(stage, "FogViewUp", v[4], v[5], v[6], 1 / p[5], scene);
+
+        Tr2PPEffect.SetStageParameter(stage, "FogBlend0", this.blendDistance0, this.blendAmount0, this.blendBias0, this.blendPower0);
+        Tr2PPEffect.SetStageParameter(stage, "FogBlend1", this.blendDistance1, this.blendAmount1, this.blendBias1, this.blendPower1);
+        Tr2PPEffect.SetStageParameter(stage, "FogBlend2", this.blendDistance2, this.blendAmount2, this.blendBias2, this.blendPower2);
+        Tr2PPEffect.SetStageParameter(stage, "FogParams", this.nebulaInfluence, this.nebulaBlur, this.brightnessAdjustmentAmount, this.backgroundOcclusion);
+        Tr2PPEffect.SetStageParameter(stage, "FogColor", color[0], color[1], color[2], this.colorInfluence);
+    }
+
+    /**
+     * Sets a stage's camera axis parameter in the scene's env map space
+     * @param {Tw2Effect} stage
+     * @param {String} name
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} z
+     * @param {Number} scale
+     * @param {EveSpaceScene} [scene]
+     */
+    static SetViewAxis(stage, name, x, y, z, scale, scene)
+    {
+        const axis = vec3.set(Tr2PPFogEffect.global.vec3_0, x * scale, y * scale, z * scale);
+        if (scene) vec3.transformQuat(axis, axis, scene.envMapRotation);
+        Tr2PPEffect.SetStageParameter(stage, name, axis[0], axis[1], axis[2]);
+    }
+
+    /**
+     * Identifies if the effect reads the scene's depth map
+     * @type {Boolean}
+     */
+    static requiresDepth = true;
+
+    /**
+     * Class global and scratch variables
+     * @type {Object}
+     */
+    static global = {
+        vec3_0: vec3.create()
+    };
+
+}
@@ -0,0 +1,126 @@
+import { meta } from "utils";
+import { device } from "global";
+import { vec3, vec4, mat4 } from "math";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPGodRaysEffect")
+export class Tr2PPGodRaysEffect extends Tr2PPEffect
+{
+
+    @meta.path
+    noiseTexturePath = "";
+
+    // ccpwgl only
+
+    @meta.float
+    strength = 0;
+
+    @meta.float
+    decay = 0.95;
+
+    /**
+     * Fires on value changes
+     */
+    OnValueChanged()
+    {
+        if (this._stages) this._stages[0].parameters.NoiseTexture.SetValue(this.noiseTexturePath);
+    }
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && this.strength > 0;
+    }
+
+    /**
+     * Creates the effect's stages
+     * - Rays are sampled along the line from each pixel to the sun's screen position, with the depth map
+     *   masking out occluders
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [
+            Tr2PPEffect.CreateManualStage("pp_godrays", {
+                GodRays: [ 0.5, 0.5, 0, 0.95 ]
+            }, {
+                NoiseTexture: this.noiseTexturePath
+            })
+        ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     * - Rays fade out as the sun leaves the front of the camera
+     * @param {Number} time
+     * @param {EveSpaceScene} [scene]
+     */
+    UpdateParameters(time, scene)
+    {
+        const
+            [ stage ] = this._stages,
+            { vec3_0, vec3_1, vec4_0, mat4_0 } = Tr2PPGodRaysEffect.global,
+            toSun = vec3_0,
+            clip = vec4_0;
+
+        if (scene)
+        {
+            scene.GetTransform(mat4_0);
+            vec3.transformMat4(toSun, scene.sunDirection, mat4_0);
+            vec3.negate(toSun, toSun);
+            vec3.normalize(toSun, toSun);
+        }
+        else
+        {
+            vec3.set(toSun, 0, 0, 1);
+        }
+
+        // A direction projects to the sun's position at infinity
+        vec4.set(clip, toSun[0], toSun[1], toSun[2], 0);
+        vec4.transformMat4(clip, clip, device.viewProjection);
+
+        let u = 0.5, v = 0.5, visibility = 0;
+        if (clip[3] > 0)
+        {
+            u = clip[0] / clip[3] * 0.5 + 0.5;
+            v = clip[1] / clip[3] * 0.5 + 0.5;
+            visibility = vec3.dot(toSun, Tr2PPGodRaysEffect.GetViewDirection(vec3_1));
+            visibility = Math.max(0, Math.min(1, visibility));
+        }
+
+        Tr2PPEffect.SetStageParameter(stage, "GodRays", u, v, this.strength * visibility, this.decay);
+    }
+
+    /**
+     * Gets the camera's world view direction
+     * @param {vec3} out
+     * @returns {vec3} out
+     */
+    static GetViewDirection(out)
+    {
+        const v = device.viewInverse;
+        return vec3.normalize(out, vec3.set(out, -v[8], -v[9], -v[10]));
+    }
+
+    /**
+     * Identifies if the effect reads the scene's depth map
+     * @type {Boolean}
+     */
+    static requiresDepth = true;
+
+    /**
+     * Class global and scratch variables
+     * @type {Object}
+     */
+    static global = {
+        vec3_0: vec3.create(),
+        vec3_1: vec3.create(),
+        vec4_0: vec4.create(),
+        mat4_0: mat4.create()
+    };
+
+}
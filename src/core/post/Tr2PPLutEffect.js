@@ -0,0 +1,49 @@
+import { meta } from "utils";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPLutEffect")
+export class Tr2PPLutEffect extends Tr2PPEffect
+{
+
+    @meta.path
+    path = "";
+
+    @meta.float
+    influence = 0.0;
+
+    /**
+     * Fires on value changes
+     */
+    OnValueChanged()
+    {
+        if (this._stages) this._stages[0].parameters.TexLUT.SetValue(this.path);
+    }
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && !!this.path && this.influence > 0;
+    }
+
+    /**
+     * Creates the effect's stages
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [ Tr2PPEffect.CreateStage("colorlut", { Influence: [ 1, 0, 0, 0 ] }, { TexLUT: this.path }) ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     */
+    UpdateParameters()
+    {
+        Tr2PPEffect.SetStageParameter(this._stages[0], "Influence", this.influence);
+    }
+
+}
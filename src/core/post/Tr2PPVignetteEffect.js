@@ -0,0 +1,52 @@
+import { meta } from "utils";
+import { Tr2PPEffect } from "./Tr2PPEffect";
+
+
+@meta.type("Tr2PPVignetteEffect")
+export class Tr2PPVignetteEffect extends Tr2PPEffect
+{
+
+    @meta.float
+    sineFrequency = 0;
+
+    // ccpwgl only
+
+    @meta.float
+    intensity = 1;
+
+    @meta.float
+    innerRadius = 0.3;
+
+    @meta.float
+    outerRadius = 0.9;
+
+    /**
+     * Checks if the effect should be rendered
+     * @returns {Boolean}
+     */
+    IsEnabled()
+    {
+        return this.display && this.intensity > 0;
+    }
+
+    /**
+     * Creates the effect's stages
+     * @returns {Array<Tw2Effect>}
+     */
+    CreateStages()
+    {
+        return [ Tr2PPEffect.CreateManualStage("pp_vignette", { Vignette: [ 1, 0.3, 0.9, 0 ] }) ];
+    }
+
+    /**
+     * Updates the effect's stage parameters
+     * - The vignette pulses with the sine frequency when it is set
+     * @param {Number} time
+     */
+    UpdateParameters(time)
+    {
+        const pulse = this.sineFrequency ? 0.5 + 0.5 * Math.sin(time * this.sineFrequency * Math.PI * 2) : 1;
+        Tr2PPEffect.SetStageParameter(this._stages[0], "Vignette", this.intensity * pulse, this.innerRadius, this.outerRadius);
+    }
+
+}
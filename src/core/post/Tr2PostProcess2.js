@@ -0,0 +1,181 @@
+import { meta } from "utils";
+import { Tw2PostProcess } from "./Tw2PostProcess";
+
+
+@meta.type("Tr2PostProcess2")
+export class Tr2PostProcess2 extends meta.Model
+{
+
+    @meta.struct("Tr2PPBloomEffect")
+    bloom = null;
+
+    @meta.struct("Tr2PPDepthOfFieldEffect")
+    depthOfField = null;
+
+    @meta.struct("Tr2PPDesaturateEffect")
+    desaturate = null;
+
+    @meta.struct("Tr2PPDynamicExposureEffect")
+    dynamicExposure = null;
+
+    @meta.struct("Tr2PPFadeEffect")
+    fade = null;
+
+    @meta.notImplemented
+    @meta.struct("Tr2PPFidelityFXEffect")
+    fidelityFX = null;
+
+    @meta.struct("Tr2PPFilmGrainEffect")
+    filmGrain = null;
+
+    @meta.struct("Tr2PPFogEffect")
+    fog = null;
+
+    @meta.struct("Tr2PPGodRaysEffect")
+    godRays = null;
+
+    @meta.struct("Tr2PPLutEffect")
+    lut = null;
+
+    @meta.notImplemented
+    @meta.struct("Tr2PPSignalLossEffect")
+    signalLoss = null;
+
+    @meta.struct("Tr2PPVignetteEffect")
+    vignette = null;
+
+    // ccpwgl only
+
+    @meta.boolean
+    display = true;
+
+    @meta.string
+    name = "";
+
+    @meta.float
+    quality = 1;
+
+    _time = 0;
+    _effects = [];
+    _postProcess = new Tw2PostProcess("Tr2PostProcess2");
+
+    /**
+     * Checks if the post process is good
+     * @returns {Boolean}
+     */
+    IsGood()
+    {
+        return this._postProcess.IsGood();
+    }
+
+    /**
+     * Keeps the post process alive
+     */
+    KeepAlive()
+    {
+        this._postProcess.KeepAlive();
+    }
+
+    /**
+     * Gets the post process's resources
+     * @param {Array} [out=[]]
+     * @returns {Array<Tw2Resource>} out
+     */
+    GetResources(out = [])
+    {
+        return this._postProcess.GetResources(out);
+    }
+
+    /**
+     * Gets the effects that should be rendered, in render order
+     * @param {Array<Tr2PPEffect>} [out=[]]
+     * @returns {Array<Tr2PPEffect>} out
+     */
+    GetEnabledEffects(out = [])
+    {
+        const { effectOrder } = Tr2PostProcess2;
+        for (let i = 0; i < effectOrder.length; i++)
+        {
+            const effect = this[effectOrder[i]];
+            if (effect && effect.IsEnabled && effect.IsEnabled()) out.push(effect);
+        }
+        return out;
+    }
+
+    /**
+     * Checks if any rendered effect reads the scene's depth map
+     * @returns {Boolean}
+     */
+    RequiresDepth()
+    {
+        return this.display && this._effects.some(x => x.constructor.requiresDepth);
+    }
+
+    /**
+     * Per frame update
+     * - The enabled effects' stages are chained into a single post process when the enabled effects change
+     * @param {Number} dt
+     * @param {EveSpaceScene} [scene]
+     */
+    Update(dt, scene)
+    {
+        this._time += dt;
+
+        const
+            postProcess = this._postProcess,
+            effects = this.GetEnabledEffects();
+
+        if (effects.length !== this._effects.length || effects.some((x, i) => x !== this._effects[i]))
+        {
+            this._effects = effects;
+
+            postProcess.stages.splice(0);
+            for (let i = 0; i < effects.length; i++)
+            {
+                postProcess.stages.push(...effects[i].GetStages());
+            }
+
+            postProcess.UpdateValues();
+            this.EmitEvent("rebuilt", this);
+        }
+
+        for (let i = 0; i < this._effects.length; i++)
+        {
+            this._effects[i].UpdateParameters(this._time, scene);
+        }
+
+        postProcess.quality = this.quality;
+        postProcess.Update(dt, scene);
+    }
+
+    /**
+     * Per frame render
+     * - Every enabled effect's stages are rendered in one pass over the frame, ping-ponging between the same two
+     *   render targets
+     * @returns {Boolean} true if anything was rendered
+     */
+    Render()
+    {
+        if (!this.display || !this._effects.length) return false;
+        return this._postProcess.Render();
+    }
+
+    /**
+     * The order effects are rendered in
+     * @type {Array<String>}
+     */
+    static effectOrder = [
+        // Bloom adds to the frame as it was before any effect, so it must be first
+        "bloom",
+        "godRays",
+        "fog",
+        "depthOfField",
+        "dynamicExposure",
+        "filmGrain",
+        "desaturate",
+        "lut",
+        "vignette",
+        "fade"
+    ];
+
+}
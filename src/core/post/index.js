@@ -1 +1,13 @@
+export * from "./Tr2PPEffect";
+export * from "./Tr2PPBloomEffect";
+export * from "./Tr2PPDepthOfFieldEffect";
+export * from "./Tr2PPDesaturateEffect";
+export * from "./Tr2PPDynamicExposureEffect";
+export * from "./Tr2PPFadeEffect";
+export * from "./Tr2PPFilmGrainEffect";
+export * from "./Tr2PPFogEffect";
+export * from "./Tr2PPGodRaysEffect";
+export * from "./Tr2PPLutEffect";
+export * from "./Tr2PPVignetteEffect";
 export * from "./Tw2PostProcess";
+export * from "./Tr2PostProcess2";
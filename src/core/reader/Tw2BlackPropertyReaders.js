@@ -277,8 +277,16 @@ const pathExtensionHandlers = new Map();
  */
 export function path(reader)
 {
-    let result = reader.ReadStringU16();
+    return resolvePath(reader.ReadStringU16());
+}
 
+/**
+ * Resolves a path with the registered extension handlers
+ * @param {String} result
+ * @returns {String}
+ */
+export function resolvePath(result)
+{
     const anyHandler = pathExtensionHandlers.get("*");
     if (anyHandler)
     {
@@ -1,7 +1,7 @@
 import { tw2 } from "global";
 import { Tw2BlackBinaryReader } from "./Tw2BlackBinaryReader";
 import { ErrBinaryFormat, ErrBinaryObjectTypeNotFound, } from "./Tw2ObjectReader";
-import { object } from "./Tw2BlackPropertyReaders";
+import { object, resolvePath } from "./Tw2BlackPropertyReaders";
 
 
 /**
@@ -94,6 +94,26 @@ export class Tw2BlackReader
         return object(this._reader);
     }
 
+    /**
+     * Gets the resource paths referenced by the file without constructing it
+     * - Paths are resolved with the registered path extension handlers
+     * @param {Array<String>} [out=[]]
+     * @returns {Array<String>} out
+     */
+    GetPaths(out = [])
+    {
+        for (let i = 0; i < this._stringTable.length; i++)
+        {
+            const str = this._stringTable[i];
+            if (Tw2BlackReader.PATH_EXPRESSION.test(str))
+            {
+                const path = resolvePath(str);
+                if (!out.includes(path)) out.push(path);
+            }
+        }
+        return out;
+    }
+
     /**
      * Constructs a type
      * @param type
@@ -117,6 +137,12 @@ export class Tw2BlackReader
         }
     }
 
+    /**
+     * Identifies strings that are resource paths
+     * @type {RegExp}
+     */
+    static PATH_EXPRESSION = /^[a-z][a-z0-9]*:\/[^:]+\.[a-z0-9_]+$/i;
+
     /**
      * Enables debug mode
      * @type {boolean}
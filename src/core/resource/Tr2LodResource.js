@@ -0,0 +1,252 @@
+import { meta } from "utils";
+import { tw2 } from "global";
+import { LodLevelPixels } from "constant/ccpwgl";
+
+
+@meta.type("Tr2LodResource")
+export class Tr2LodResource extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.path
+    highDetailResPath = "";
+
+    @meta.path
+    lowDetailResPath = "";
+
+    @meta.path
+    mediumDetailResPath = "";
+
+    @meta.path
+    ultraDetailResPath = "";
+
+    _level = -1;
+    _resources = [];
+    _current = null;
+    _currentLevel = -1;
+
+    /**
+     * Fires on value changes
+     * - Paths may have changed so the requested level is loaded again
+     * @param {Object} [opt]
+     */
+    OnValueChanged(opt)
+    {
+        const level = this._level;
+        this._level = -1;
+        this._resources = [];
+        this._current = null;
+        this._currentLevel = -1;
+        if (level !== -1) this.SetLevel(level);
+    }
+
+    /**
+     * Gets the resource paths for each level of detail
+     * @param {Array<String>} [out=[]]
+     * @returns {Array<String>} out
+     */
+    GetPaths(out = [])
+    {
+        out[Tr2LodResource.Level.LOW] = this.lowDetailResPath;
+        out[Tr2LodResource.Level.MEDIUM] = this.mediumDetailResPath;
+        out[Tr2LodResource.Level.HIGH] = this.highDetailResPath;
+        out[Tr2LodResource.Level.ULTRA] = this.ultraDetailResPath;
+        return out;
+    }
+
+    /**
+     * Gets the closest level of detail that has a resource path
+     * - Lower levels are preferred over higher levels when a level has no path
+     * @param {Number} level
+     * @returns {Number} the level, or -1 if there are no paths
+     */
+    GetAvailableLevel(level)
+    {
+        const paths = this.GetPaths();
+
+        for (let i = level; i >= 0; i--)
+        {
+            if (paths[i]) return i;
+        }
+
+        for (let i = level + 1; i < paths.length; i++)
+        {
+            if (paths[i]) return i;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Gets the requested level of detail
+     * @returns {Number}
+     */
+    GetLevel()
+    {
+        return this._level;
+    }
+
+    /**
+     * Gets the level of detail currently being displayed
+     * @returns {Number} the level, or -1 if nothing has loaded
+     */
+    GetCurrentLevel()
+    {
+        this.GetResource();
+        return this._currentLevel;
+    }
+
+    /**
+     * Requests a level of detail, loading its resource on demand
+     * - The current resource keeps being used until the requested one is good
+     * @param {Number} level
+     * @returns {Boolean} true if the requested level changed
+     */
+    SetLevel(level)
+    {
+        level = this.GetAvailableLevel(level);
+        if (level === this._level) return false;
+
+        this._level = level;
+        if (level !== -1)
+        {
+            this._resources[level] = tw2.GetResource(this.GetPaths()[level]);
+        }
+
+        this.EmitEvent("level_requested", this, level);
+        return true;
+    }
+
+    /**
+     * Requests the level of detail that suits an object's size on screen
+     * @param {Number} pixelSizeAcross
+     * @returns {Boolean} true if the requested level changed
+     */
+    SetLevelFromPixelSize(pixelSizeAcross)
+    {
+        return this.SetLevel(Tr2LodResource.GetLevelFromPixelSize(pixelSizeAcross, this._level));
+    }
+
+    /**
+     * Gets the resource to display
+     * - Swaps to the requested level's resource once it is good
+     * - Falls back to the closest good resource while the requested one loads
+     * @returns {null|Tw2Resource}
+     */
+    GetResource()
+    {
+        if (this._level === -1) this.SetLevel(Tr2LodResource.defaultLevel);
+        if (this._level === -1) return null;
+
+        const requested = this._resources[this._level];
+        if (requested && requested.IsGood())
+        {
+            if (this._current !== requested)
+            {
+                this._current = requested;
+                this._currentLevel = this._level;
+                this.EmitEvent("level_changed", this, this._level);
+            }
+            return requested;
+        }
+
+        if (this._current && this._current.IsGood())
+        {
+            return this._current;
+        }
+
+        // The displayed resource was purged, so use whatever level is still good
+        for (let i = 1; i < this._resources.length; i++)
+        {
+            for (const level of [ this._level - i, this._level + i ])
+            {
+                const res = this._resources[level];
+                if (res && res.IsGood())
+                {
+                    this._current = res;
+                    this._currentLevel = level;
+                    return res;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks if there is a resource to display
+     * @returns {Boolean}
+     */
+    IsGood()
+    {
+        return !!this.GetResource();
+    }
+
+    /**
+     * Gets the displayed and requested resources
+     * - Other levels are not kept alive so that they can be purged
+     * @param {Array} [out=[]]
+     * @returns {Array<Tw2Resource>} out
+     */
+    GetResources(out = [])
+    {
+        const
+            current = this.GetResource(),
+            requested = this._resources[this._level];
+
+        if (current && !out.includes(current)) out.push(current);
+        if (requested && !out.includes(requested)) out.push(requested);
+        return out;
+    }
+
+    /**
+     * Gets the level of detail for an object's size on screen
+     * - Thresholds are widened by the hysteresis around the current level, so that objects close to a threshold
+     *   don't swap levels every frame
+     * @param {Number} pixelSizeAcross
+     * @param {Number} [currentLevel=-1]
+     * @returns {Number}
+     */
+    static GetLevelFromPixelSize(pixelSizeAcross, currentLevel = -1)
+    {
+        const
+            { hysteresis } = Tr2LodResource,
+            thresholds = [ LodLevelPixels.ONE, LodLevelPixels.TWO, LodLevelPixels.THREE ];
+
+        let level = 0;
+        for (let i = 0; i < thresholds.length; i++)
+        {
+            let threshold = thresholds[i];
+            if (currentLevel !== -1) threshold *= currentLevel > i ? 1 - hysteresis : 1 + hysteresis;
+            if (pixelSizeAcross >= threshold) level = i + 1;
+        }
+
+        return level;
+    }
+
+    /**
+     * Levels of detail
+     * @type {{LOW: number, MEDIUM: number, HIGH: number, ULTRA: number}}
+     */
+    static Level = {
+        LOW: 0,
+        MEDIUM: 1,
+        HIGH: 2,
+        ULTRA: 3
+    };
+
+    /**
+     * The level of detail used when lod is disabled (HIGH)
+     * @type {Number}
+     */
+    static defaultLevel = 2;
+
+    /**
+     * The fraction a threshold is widened by around the current level
+     * @type {Number}
+     */
+    static hysteresis = 0.1;
+
+}
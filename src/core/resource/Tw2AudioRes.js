@@ -1,4 +1,5 @@
-import { ErrResourceFormatUnsupported, Tw2Resource } from "./Tw2Resource";
+import { Tw2Resource } from "./Tw2Resource";
+import { ErrResourceFormatUnsupported } from "../Tw2Error";
 import { meta } from "utils";
 import { resMan } from "global";
 import { ErrHTTPRequest } from "core/engine";
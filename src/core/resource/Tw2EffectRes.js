@@ -1,8 +1,8 @@
 import { emptyObject, meta } from "utils";
 import { Tw2BinaryReader } from "../reader";
-import { ErrResourceFormatUnsupported, Tw2Resource } from "./Tw2Resource";
+import { Tw2Resource } from "./Tw2Resource";
 import { Tw2Shader, Tw2ShaderPermutation } from "../shader";
-import { Tw2Error } from "../Tw2Error";
+import { Tw2Error, ErrResourceFormatUnsupported } from "../Tw2Error";
 import { tw2 } from "global";
 import { getShaderByName } from "../../../shaders";
 
@@ -1,10 +1,10 @@
-import { meta } from "utils";
+import { meta, getPathExtension } from "utils";
 import { resMan, device } from "global";
 import { box3, sph3, vec3, vertex } from "math";
 import { Tw2BinaryReader, WBGReader, CAKEReader, OBJReader, GR2JsonReader } from "../reader";
 import { Tw2VertexElement } from "../vertex";
-import { ErrResourceFormatUnsupported, Tw2Resource } from "./Tw2Resource";
-import { Tw2Error } from "../Tw2Error";
+import { Tw2Resource } from "./Tw2Resource";
+import { Tw2Error, ErrResourceFormatUnsupported } from "../Tw2Error";
 
 import {
     Tw2GeometryAnimation,
@@ -303,6 +303,9 @@ export class Tw2GeometryRes extends Tw2Resource
     {
         this.Clear();
 
+        // Dynamic resources aren't custom loaded, so identify their format from the path
+        if (!this._extension) this._extension = getPathExtension(this.path);
+
         const Reader = readers[this._extension];
         if (!Reader) throw new ErrResourceFormatUnsupported({ format: this._extension });
 
@@ -654,6 +657,34 @@ export class Tw2GeometryRes extends Tw2Resource
         }
     }
 
+    /**
+     * Gets the geometry's estimated gpu memory usage
+     * @returns {Number} bytes
+     */
+    GetByteLength()
+    {
+        let byteLength = 0;
+        for (let i = 0; i < this.meshes.length; i++)
+        {
+            byteLength += this.meshes[i].GetByteLength();
+        }
+        return byteLength;
+    }
+
+    /**
+     * Gets the geometry's estimated system memory usage
+     * @returns {Number} bytes
+     */
+    GetSystemByteLength()
+    {
+        let byteLength = 0;
+        for (let i = 0; i < this.meshes.length; i++)
+        {
+            byteLength += this.meshes[i].GetSystemByteLength();
+        }
+        return byteLength;
+    }
+
     /**
      * Unloads webgl and javascript resources
      * @param {eventLog} eventLog
@@ -1,5 +1,6 @@
 import { tw2 } from "global";
-import { ErrResourceFormatUnsupported, Tw2Resource } from "./Tw2Resource";
+import { Tw2Resource } from "./Tw2Resource";
+import { ErrResourceFormatUnsupported } from "../Tw2Error";
 import { Tw2ObjectReader } from "../reader/Tw2ObjectReader";
 import { Tw2BlackReader } from "../reader/Tw2BlackReader";
 
@@ -2,6 +2,7 @@ import { resMan } from "global";
 import { meta, isFunction } from "utils";
 import { Tw2Error } from "../Tw2Error";
 import { Tw2Notifications } from "./Tw2Notifications";
+import { Tw2ResMan } from "../engine/Tw2ResMan";
 
 
 @meta.type("Tw2Resource")
@@ -25,6 +26,15 @@ export class Tw2Resource extends Tw2Notifications
     {
         return true;
     }
+    /**
+     * Identifies resources that were created in code rather than fetched
+     * @return {boolean}
+     */
+    get isManual()
+    {
+        return !!this.path && Tw2ResMan.IsManualPath(this.path);
+    }
+
     /**
      * Gets the request response type
      * @returns {null|String}
@@ -138,6 +148,24 @@ export class Tw2Resource extends Tw2Notifications
         return false;
     }
 
+    /**
+     * Gets the resource's estimated gpu memory usage
+     * @returns {Number} bytes
+     */
+    GetByteLength()
+    {
+        return 0;
+    }
+
+    /**
+     * Gets the resource's estimated system memory usage
+     * @returns {Number} bytes
+     */
+    GetSystemByteLength()
+    {
+        return 0;
+    }
+
     /**
      * Reloads the resource
      * @param {*} [log]
@@ -473,7 +501,9 @@ export class Tw2Resource extends Tw2Notifications
         if (completed)
         {
             parent.EmitEvent(Event.RES_COMPLETED, parent, res, err);
-            res.UnregisterNotification(parent);
+
+            // Manual resources can be updated at any time so keep listening
+            if (!res.isManual) res.UnregisterNotification(parent);
         }
     }
 
@@ -595,39 +625,3 @@ export class Tw2Resource extends Tw2Notifications
  * @returns {Boolean}
  */
 Tw2Resource.prototype.DoCustomLoad = null;
-
-
-/**
- * Throws in invalid resource formats
- */
-export class ErrResourceFormatInvalid extends Tw2Error
-{
-    constructor(data)
-    {
-        super(data, "Resource format invalid: %format% (%reason=unknown%)");
-    }
-}
-
-/**
- * Throws in invalid resource formats
- */
-export class ErrResourceFormatUnsupported extends Tw2Error
-{
-    constructor(data)
-    {
-        super(data, "Resource format not supported: %format% (%reason=unknown%)");
-    }
-}
-
-/**
- * Throws in invalid resource formats
- */
-export class ErrResourceFormatNotImplemented extends Tw2Error
-{
-    constructor(data)
-    {
-        super(data, "Resource format not implemented: %format% (%reason=unknown%)");
-    }
-}
-
-
@@ -1,14 +1,22 @@
-import { meta } from "utils";
+import { meta, getPathExtension } from "utils";
 import { num } from "math";
 import { device, resMan, tw2 } from "global";
 import { ErrHTTPRequest } from "../engine/Tw2ResMan";
+import { Tw2Resource } from "./Tw2Resource";
 import {
-    Tw2Resource,
     ErrResourceFormatUnsupported,
     ErrResourceFormatInvalid,
     ErrResourceFormatNotImplemented
-} from "./Tw2Resource";
+} from "../Tw2Error";
 import { Targa } from "./formats/Targa";
+import { readKTX2, getKTX2Info, assertKTX2Info } from "./formats/KTX2";
+import {
+    DDS_DXGI_FORMATS,
+    DDS_FOURCC_FORMATS,
+    readDDSHeaderDX10,
+    getDDSFormatInfo,
+    getDDSLevelByteLength
+} from "./formats/DDS";
 
 import {
     DDPF_LUMINANCE,
@@ -19,7 +27,6 @@ import {
     DDS_HEADER_OFFSET_B_MASK,
     DDS_HEADER_OFFSET_A_MASK,
     DDS_HEADER_OFFSET_CAPS2,
-    DDS_HEADER_OFFSET_DXGI_FORMAT,
     DDS_HEADER_OFFSET_FLAGS,
     DDS_HEADER_OFFSET_HEIGHT,
     DDS_HEADER_OFFSET_MAGIC,
@@ -33,24 +40,11 @@ import {
     DDSCAPS2_CUBEMAP,
     DDSCAPS2_VOLUME,
     DDSD_MIPMAPCOUNT,
-    DXGI_FORMAT_B8G8R8X8_UNORM,
-    DXGI_FORMAT_R16G16B16A16_FLOAT,
-    DXGI_FORMAT_R32G32B32A32_FLOAT,
-    FOURCC_ATI1,
-    FOURCC_ATI2,
-    FOURCC_D3DFMT_R16G16B16A16F,
-    FOURCC_D3DFMT_R32G32B32A32F,
-    FOURCC_DXT1,
+    DDS_HEADER_DX10_SIZE,
+    DDS_RESOURCE_MISC_TEXTURECUBE,
     FOURCC_DXT10,
-    FOURCC_DXT3,
-    FOURCC_DXT5,
     DDPF_FOURCC,
-    DDPF_ALPHAPIXELS,
-    DDS_MAGIC_SIZE,
-    DDS_HEADER_SIZE,
-    DDS_HEADER_DX10_SIZE,
-    DDS_DX10_FIELDS,
-    DXGI_FORMAT
+    DDPF_ALPHAPIXELS
 } from "constant";
 
 
@@ -79,6 +73,13 @@ export class Tw2TextureRes extends Tw2Resource
     _isCube = false;
     _isPowerOfTwo = false;
     _useNoMipFilter = false;
+    _url = "";
+    _byteLength = 0;
+    _mipLevelSkip = 0;
+    _pendingMipLevelSkip = -1;
+    _mipLevelSkipErrors = [];
+    _pixelSize = -1;
+    _screenSize = -1;
 
 
     /**
@@ -91,13 +92,16 @@ export class Tw2TextureRes extends Tw2Resource
             device.gl.deleteTexture(this.texture);
             this.texture = null;
         }
+        this._currentSampler = 0;
     }
 
     /**
      * Prepares the resource
      * @param {*|Image|arrayBuffer} data
+     * @param {Object} [opt]
+     * @param {Number} [opt.mipLevelSkip] - the mip level skip count the data was fetched with
      */
-    Prepare(data)
+    Prepare(data, opt)
     {
         const gl = device.gl;
         const format = "ccpGLFormat" in data ? data["ccpGLFormat"] : gl.RGBA;
@@ -105,10 +109,16 @@ export class Tw2TextureRes extends Tw2Resource
 
         this.DeleteGL();
 
+        // Dynamic resources aren't custom loaded, so identify their format from the path
+        if (!this._extension) this._extension = getPathExtension(this.path);
+
         switch (this._extension)
         {
             case "tga":
             case "png":
+            case "jpg":
+            case "jpeg":
+            case "webp":
             case "cube":
                 if (!this._isCube || this._extension !== "cube")
                 {
@@ -127,6 +137,7 @@ export class Tw2TextureRes extends Tw2Resource
                         gl.generateMipmap(this._target);
                         this._hasMipMaps = true;
                     }
+                    this._byteLength = Tw2TextureRes.GetImageByteLength(this._width, this._height, 1, this._hasMipMaps);
                 }
                 else
                 {
@@ -153,6 +164,7 @@ export class Tw2TextureRes extends Tw2Resource
                         gl.generateMipmap(this._target);
                     }
                     this._hasMipMaps = true;
+                    this._byteLength = Tw2TextureRes.GetImageByteLength(this._width, this._height, 6, true);
                 }
 
                 gl.bindTexture(this._target, null);
@@ -197,7 +209,7 @@ export class Tw2TextureRes extends Tw2Resource
                 }
 
                 // Don't support anything else yet
-                if (!isCompressed && !isRGB && !isLuminance)
+                if (!isCompressed && !isRGB && !isLuminance && !info.bytesPerPixel)
                 {
                     throw new ErrResourceFormatNotImplemented({
                         format: "DDS",
@@ -207,7 +219,7 @@ export class Tw2TextureRes extends Tw2Resource
                 }
 
                 // Temporarily output uncompressed rgb/rgba dds info
-                if (isRGB || isLuminance || fourCC === FOURCC_ATI1 || fourCC === FOURCC_ATI2)
+                if (isRGB || isLuminance)
                 {
                     tw2.Debug({
                         name: "Tw2TextureRes",
@@ -216,6 +228,15 @@ export class Tw2TextureRes extends Tw2Resource
                     });
                 }
 
+                if (info.isDecoded)
+                {
+                    tw2.Debug({
+                        name: "Tw2TextureRes",
+                        message: `Decoding ${name} in software: ${this.path}`,
+                        data: info
+                    });
+                }
+
                 if (device.glVersion === 1 && !info.isPowerOfTwo)
                 {
                     mipmaps = 1;
@@ -247,6 +268,7 @@ export class Tw2TextureRes extends Tw2Resource
                 gl.bindTexture(this._target, this.texture);
 
                 let unpackAlignment = gl.getParameter(gl.UNPACK_ALIGNMENT);
+                this._byteLength = 0;
 
                 for (let face = 0; face < faces; face++)
                 {
@@ -259,13 +281,30 @@ export class Tw2TextureRes extends Tw2Resource
 
                     for (let mip = 0; mip < this._mipCount; mip++)
                     {
-                        if (isCompressed)
+                        if (info.decode)
                         {
-                            dataLength = Math.max(4, w) / 4 * Math.max(4, h) / 4 * blockBytes;
+                            dataLength = getDDSLevelByteLength(info, w, h);
+                            byteArray = info.decode(new Uint8Array(data, o, dataLength), w, h);
+                            gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+                            gl.texImage2D(t, mip, this._internalFormat, w, h, 0, this._format, this._type, byteArray);
+                            o += dataLength;
+                        }
+                        else if (isCompressed)
+                        {
+                            dataLength = getDDSLevelByteLength(info, w, h);
                             byteArray = new Uint8Array(data, o, dataLength);
                             gl.compressedTexImage2D(t, mip, this._internalFormat, w, h, 0, byteArray);
                             o += dataLength;
                         }
+                        else if (info.bytesPerPixel)
+                        {
+                            const ArrayType = this._type === gl.FLOAT ? Float32Array : this._type === gl.UNSIGNED_BYTE ? Uint8Array : Uint16Array;
+                            dataLength = getDDSLevelByteLength(info, w, h);
+                            byteArray = new ArrayType(data, o, dataLength / ArrayType.BYTES_PER_ELEMENT);
+                            gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+                            gl.texImage2D(t, mip, this._internalFormat, w, h, 0, this._format, this._type, byteArray);
+                            o += dataLength;
+                        }
                         else if (isLuminance)
                         {
                             unpackAlignment = 1;
@@ -305,6 +344,8 @@ export class Tw2TextureRes extends Tw2Resource
                         w = Math.max(w >> 1, 1);
                         h = Math.max(h >> 1, 1);
                     }
+
+                    this._byteLength += o - dataOffset;
                 }
 
                 //gl.texParameteri(this._target, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
@@ -312,14 +353,284 @@ export class Tw2TextureRes extends Tw2Resource
                 gl.bindTexture(this._target, null);
                 break;
 
+            case "ktx2":
+                const ktx = Tw2TextureRes.GetKTX2Info(data);
+                ktx.filePath = this.path;
+
+                assertKTX2Info(ktx);
+
+                this._type = ktx.type;
+                this._format = ktx.format;
+                this._internalFormat = ktx.internalFormat;
+                this._target = ktx.target;
+
+                this._mipCount = ktx.mipmaps;
+                this._isCube = ktx.isCube;
+                this._isPowerOfTwo = ktx.isPowerOfTwo;
+                this._width = ktx.width;
+                this._height = ktx.height;
+
+                this.texture = gl.createTexture();
+                gl.bindTexture(this._target, this.texture);
+
+                const ktxUnpackAlignment = gl.getParameter(gl.UNPACK_ALIGNMENT);
+                gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+
+                const
+                    buffer = data.buffer || data,
+                    bufferOffset = data.byteOffset || 0,
+                    ArrayType = ktx.type === gl.FLOAT ? Float32Array : ktx.type === gl.HALF_FLOAT ? Uint16Array : Uint8Array;
+
+                this._byteLength = 0;
+
+                for (let mip = 0; mip < this._mipCount; mip++)
+                {
+                    const
+                        { byteOffset, byteLength, faceByteLength, width: w, height: h } = ktx.levels[mip],
+                        o = bufferOffset + byteOffset;
+
+                    this._byteLength += byteLength;
+
+                    if (ktx.isArray)
+                    {
+                        const view = new ArrayType(buffer, o, byteLength / ArrayType.BYTES_PER_ELEMENT);
+                        if (ktx.isCompressed)
+                        {
+                            gl.compressedTexImage3D(this._target, mip, this._internalFormat, w, h, ktx.layers, 0, view);
+                        }
+                        else
+                        {
+                            gl.texImage3D(this._target, mip, this._internalFormat, w, h, ktx.layers, 0, this._format, this._type, view);
+                        }
+                        continue;
+                    }
+
+                    for (let face = 0; face < ktx.faces; face++)
+                    {
+                        const
+                            t = ktx.isCube ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + face : this._target,
+                            view = new ArrayType(buffer, o + face * faceByteLength, faceByteLength / ArrayType.BYTES_PER_ELEMENT);
+
+                        if (ktx.isCompressed)
+                        {
+                            gl.compressedTexImage2D(t, mip, this._internalFormat, w, h, 0, view);
+                        }
+                        else
+                        {
+                            gl.texImage2D(t, mip, this._internalFormat, w, h, 0, this._format, this._type, view);
+                        }
+                    }
+                }
+
+                if (ktx.generateMipmaps && !ktx.isCompressed && (this._isPowerOfTwo || device.glVersion > 1))
+                {
+                    gl.generateMipmap(this._target);
+                    this._mipCount = Math.floor(Math.log2(Math.max(this._width, this._height))) + 1;
+                    this._byteLength = Math.round(this._byteLength * 4 / 3);
+                }
+
+                // Incomplete mip chains can't use mip filtering
+                this._hasMipMaps = this._mipCount > 1;
+                this._useNoMipFilter = this._hasMipMaps && this._mipCount < Math.floor(Math.log2(Math.max(this._width, this._height))) + 1;
+
+                gl.pixelStorei(gl.UNPACK_ALIGNMENT, ktxUnpackAlignment);
+                gl.bindTexture(this._target, null);
+                break;
+
             default:
                 throw new ErrResourceFormatUnsupported({ format: this._extension });
         }
 
         this._isAttached = false;
+
+        if (opt && opt.mipLevelSkip !== undefined)
+        {
+            this._mipLevelSkip = opt.mipLevelSkip;
+            if (this._pendingMipLevelSkip === opt.mipLevelSkip) this._pendingMipLevelSkip = -1;
+        }
+
         this.OnPrepared();
     }
 
+    /**
+     * Gets the texture's estimated gpu memory usage
+     * @param {Number} [mipLevelSkip] - estimates the usage at a different mip level skip count
+     * @returns {Number} bytes
+     */
+    GetByteLength(mipLevelSkip = this._mipLevelSkip)
+    {
+        return this._byteLength / Math.pow(4, mipLevelSkip - this._mipLevelSkip);
+    }
+
+    /**
+     * Gets the mip level skip count the texture was loaded with
+     * @returns {Number}
+     */
+    GetMipLevelSkip()
+    {
+        return this._mipLevelSkip;
+    }
+
+    /**
+     * Gets the largest size on screen the texture was requested at when its quality was last updated
+     * @returns {Number} pixels, or -1 if no size was requested
+     */
+    GetScreenSize()
+    {
+        return this._screenSize;
+    }
+
+    /**
+     * Requests the texture for an object's size on screen
+     * - The largest requested size is used the next time the texture's quality is updated
+     * @param {Number} pixelSizeAcross
+     */
+    RequestPixelSize(pixelSizeAcross)
+    {
+        this._pixelSize = Math.max(this._pixelSize, pixelSizeAcross);
+    }
+
+    /**
+     * Gets the mip level skip count suited to the sizes the texture was requested at, and resets the requests
+     * - Textures without requests keep their current quality
+     * @returns {Number}
+     */
+    GetDesiredMipLevelSkip()
+    {
+        const
+            min = device.mipLevelSkipCount,
+            max = Math.max(min, Tw2TextureRes.maxMipLevelSkip);
+
+        let skip = this._mipLevelSkip;
+        if (this._pixelSize >= 0 && this._width && this._height)
+        {
+            const
+                fullSize = Math.max(this._width, this._height) * Math.pow(2, this._mipLevelSkip),
+                pixels = Math.max(this._pixelSize * Tw2TextureRes.pixelSizeScale, 1);
+
+            skip = Math.floor(Math.log2(fullSize / pixels));
+        }
+
+        this._screenSize = this._pixelSize;
+        this._pixelSize = -1;
+        return num.clamp(skip, min, max);
+    }
+
+    /**
+     * Sets the mip level skip count, fetching that quality level in the background
+     * - The current texture is used until the new level is prepared
+     * @param {Number} mipLevelSkip
+     * @returns {Boolean} true if a new level was requested
+     */
+    SetMipLevelSkip(mipLevelSkip)
+    {
+        if (
+            !this._url ||
+            !Tw2TextureRes.HasMipLevelSkipCount(this._url) ||
+            this._isAttached ||
+            !this.HasPrepared() ||
+            mipLevelSkip === this._mipLevelSkip ||
+            mipLevelSkip === this._pendingMipLevelSkip ||
+            this._mipLevelSkipErrors.includes(mipLevelSkip)
+        ) return false;
+
+        this.FetchMipLevelSkip(mipLevelSkip);
+        return true;
+    }
+
+    /**
+     * Fetches the texture at a mip level skip count
+     * - Initial loads that fail at a reduced quality fall back to the device's texture quality
+     * - Failed quality changes are logged and the current texture is kept
+     * @param {Number} mipLevelSkip
+     */
+    FetchMipLevelSkip(mipLevelSkip)
+    {
+        const
+            path = Tw2TextureRes.AddMipLevelSkipCount(this._url, mipLevelSkip),
+            isChange = this.HasPrepared();
+
+        this._pendingMipLevelSkip = mipLevelSkip;
+
+        const onLoaded = data =>
+        {
+            if (this._pendingMipLevelSkip !== mipLevelSkip) return;
+            if (!isChange) this.OnLoaded();
+            resMan.Queue(this, data, { mipLevelSkip });
+        };
+
+        const onError = err =>
+        {
+            if (this._pendingMipLevelSkip !== mipLevelSkip) return;
+            this._pendingMipLevelSkip = -1;
+
+            if (mipLevelSkip !== 0) this._mipLevelSkipErrors.push(mipLevelSkip);
+
+            if (isChange)
+            {
+                tw2.Debug({
+                    name: "Tw2TextureRes",
+                    message: `Texture quality unavailable: ${path}`,
+                    data: { mipLevelSkip }
+                });
+            }
+            else if (mipLevelSkip > device.mipLevelSkipCount)
+            {
+                this.FetchMipLevelSkip(device.mipLevelSkipCount);
+            }
+            else
+            {
+                this.OnError(err);
+            }
+        };
+
+        switch (this._extension)
+        {
+            case "tga":
+                resMan.Fetch(path, "arraybuffer")
+                    .then(response =>
+                    {
+                        const tga = new Targa();
+                        tga.load(new Uint8Array(response));
+                        onLoaded(tga.getCanvas());
+                    })
+                    .catch(onError);
+                return;
+
+            case "dds":
+            case "ktx2":
+                resMan.Fetch(path, "arraybuffer")
+                    .then(onLoaded)
+                    .catch(onError);
+                return;
+        }
+
+        // Browser supported images
+        resMan.AddPendingLoad(path);
+        const image = new Image();
+        image.crossOrigin = "anonymous";
+
+        /**
+         * Fires on errors
+         */
+        image.onerror = () =>
+        {
+            resMan.RemovePendingLoad(path);
+            onError(new ErrHTTPRequest({ path }));
+        };
+
+        /**
+         * Fires when loaded
+         */
+        image.onload = () =>
+        {
+            resMan.RemovePendingLoad(path);
+            onLoaded(image);
+        };
+
+        image.src = path;
+    }
+
     /**
      *
      * @param sampler
@@ -384,6 +695,9 @@ export class Tw2TextureRes extends Tw2Resource
         this._mipCount = null;
         this._hasMipMaps = null;
         this._useNoMipFilter = null;
+        this._byteLength = 0;
+        this._mipLevelSkip = 0;
+        this._pendingMipLevelSkip = -1;
     }
 
 
@@ -403,15 +717,15 @@ export class Tw2TextureRes extends Tw2Resource
         switch (extension)
         {
             // TODO: Deprecate this
+            // Legacy cube maps are png strips but must still be prepared as cubes
             case "cube":
-                extension = this._extension = "png";
                 this._isCube = true;
                 path = path.substr(0, path.length - 5) + ".png";
                 break;
 
             // From ccpwgl2
             case "qube":
-                extension = this._extension = "cube";
+                extension = "cube";
                 this._isCube = true;
                 path = path.replace(".qube", ".cube");
                 break;
@@ -422,62 +736,28 @@ export class Tw2TextureRes extends Tw2Resource
         switch (extension)
         {
             case "tga":
-                resMan.Fetch(Tw2TextureRes.AddMipLevelSkipCount(path), "arraybuffer")
-                    .then(response =>
-                    {
-                        const tga = new Targa();
-                        tga.load(new Uint8Array(response));
-                        const data = tga.getCanvas();
-                        this.OnLoaded();
-                        resMan.Queue(this, data);
-                    })
-                    .catch(err =>
-                    {
-                        this.OnError(err);
-                    });
-                return true;
-
             case "dds":
-                resMan.Fetch(Tw2TextureRes.AddMipLevelSkipCount(path), "arraybuffer")
-                    .then(response =>
-                    {
-                        this.OnLoaded();
-                        resMan.Queue(this, response);
-                    })
-                    .catch(err =>
-                    {
-                        this.OnError(err);
-                    });
-                return true;
+            case "ktx2":
+            case "png":
+            case "jpg":
+            case "jpeg":
+            case "webp":
+            case "cube":
+                break;
 
             default:
                 throw new ErrResourceFormatUnsupported({ format: extension });
         }
 
-        resMan.AddPendingLoad(path);
-        const image = new Image();
-        image.crossOrigin = "anonymous";
-
-        /**
-         * Fires on errors
-         */
-        image.onerror = () =>
-        {
-            resMan.RemovePendingLoad(path);
-            this.OnError(new ErrHTTPRequest({ path }));
-        };
+        this._url = path;
+        this._mipLevelSkipErrors = [];
 
-        /**
-         * Fires when loaded
-         */
-        image.onload = () =>
-        {
-            resMan.RemovePendingLoad(path);
-            resMan.Queue(this, image);
-            this.OnLoaded();
-        };
+        // Progressive textures load at their lowest quality first and are upgraded once requested
+        const mipLevelSkip = resMan.progressiveTextures && Tw2TextureRes.HasMipLevelSkipCount(path)
+            ? Math.max(device.mipLevelSkipCount, Tw2TextureRes.maxMipLevelSkip)
+            : device.mipLevelSkipCount;
 
-        image.src = Tw2TextureRes.AddMipLevelSkipCount(path);
+        this.FetchMipLevelSkip(mipLevelSkip);
         return true;
     }
 
@@ -540,25 +820,67 @@ export class Tw2TextureRes extends Tw2Resource
         return true;
     }
 
+    /**
+     * Checks if a path has a mip level skip count, and so can be fetched at other quality levels
+     * - ie. "res:/texture/global/noise.dds.0.png"
+     * - Ktx2 files hold every mip level, so their paths never have one
+     * @param {String} path
+     * @returns {Boolean}
+     */
+    static HasMipLevelSkipCount(path)
+    {
+        return getPathExtension(path) !== "ktx2" && Tw2TextureRes.mipLevelSkipPattern.test(path);
+    }
+
     /**
      * Adds mip levels to a path
+     * - Paths without a mip level skip count are unchanged
      * @param {String} path
+     * @param {Number} [mipLevelSkipCount=device.mipLevelSkipCount]
      * @returns {String}}
      */
-    static AddMipLevelSkipCount(path)
+    static AddMipLevelSkipCount(path, mipLevelSkipCount = device.mipLevelSkipCount)
     {
-        const d = device;
-        if (d.mipLevelSkipCount > 0)
+        if (mipLevelSkipCount > 0 && Tw2TextureRes.HasMipLevelSkipCount(path))
         {
             const index = path.lastIndexOf(".");
-            if (index >= 0)
-            {
-                path = path.substr(0, index - 2) + "." + d.mipLevelSkipCount.toString() + path.substr(index);
-            }
+            path = path.substr(0, index - 2) + "." + mipLevelSkipCount.toString() + path.substr(index);
         }
         return path;
     }
 
+    /**
+     * Estimates the gpu memory used by an uncompressed rgba image
+     * @param {Number} width
+     * @param {Number} height
+     * @param {Number} [faces=1]
+     * @param {Boolean} [hasMipMaps]
+     * @returns {Number} bytes
+     */
+    static GetImageByteLength(width, height, faces = 1, hasMipMaps)
+    {
+        const byteLength = width * height * 4 * faces;
+        return hasMipMaps ? Math.round(byteLength * 4 / 3) : byteLength;
+    }
+
+    /**
+     * The lowest quality progressive textures are loaded at, as a mip level skip count
+     * @type {Number}
+     */
+    static maxMipLevelSkip = 2;
+
+    /**
+     * Matches dds texture paths with a mip level skip count
+     * @type {RegExp}
+     */
+    static mipLevelSkipPattern = /\.dds\.\d\.[a-z0-9]+$/i;
+
+    /**
+     * Texture pixels wanted per pixel of an object's size on screen
+     * @type {Number}
+     */
+    static pixelSizeScale = 2;
+
     /**
      * Converts an int32 into FourCC format
      * @param {Number} value
@@ -603,6 +925,16 @@ export class Tw2TextureRes extends Tw2Resource
         return img;
     }
 
+    /**
+     * Gets ktx2 info in the same form as dds info
+     * @param {ArrayBuffer} data
+     * @return {Object}
+     */
+    static GetKTX2Info(data)
+    {
+        return getKTX2Info(readKTX2(data), device.glVersion, name => device.GetExtension(name));
+    }
+
     /**
      * Gets dds info for debugging
      * @param {arrayBuffer} data
@@ -633,17 +965,19 @@ export class Tw2TextureRes extends Tw2Resource
         let { gl } = device;
 
         let fourCC = header[DDS_HEADER_OFFSET_PF_FOURCC],
-            headerExt = new Int32Array(data.buffer, data.byteOffset, DDS_HEADER_LENGTH_INT + 4),
-            isFourCC = header[DDS_HEADER_OFFSET_PF_FLAGS && DDPF_FOURCC] === DDPF_FOURCC,
-            dxgi = isFourCC && fourCC === FOURCC_DXT10 ? headerExt[DDS_HEADER_OFFSET_DXGI_FORMAT] : 0,
+            isFourCC = (header[DDS_HEADER_OFFSET_PF_FLAGS] & DDPF_FOURCC) === DDPF_FOURCC,
+            dx10 = isFourCC && fourCC === FOURCC_DXT10 ? readDDSHeaderDX10(data) : null,
             isCube = (header[DDS_HEADER_OFFSET_CAPS2] & DDSCAPS2_CUBEMAP) === DDSCAPS2_CUBEMAP,
-            s3tc = device.GetExtension("compressed_texture_s3tc"),
-            rgtc1 = device.GetExtension("EXT_texture_compression_rgtc"),
             width = header[DDS_HEADER_OFFSET_WIDTH],
             height = header[DDS_HEADER_OFFSET_HEIGHT],
             bpp = header[DDS_HEADER_OFFSET_RGB_BPP],
             hasMips = header[DDS_HEADER_OFFSET_FLAGS] & DDSD_MIPMAPCOUNT;
 
+        if (dx10)
+        {
+            isCube = (dx10.miscFlag & DDS_RESOURCE_MISC_TEXTURECUBE) === DDS_RESOURCE_MISC_TEXTURECUBE;
+        }
+
         const info = {
             fourCC,
             width,
@@ -655,7 +989,7 @@ export class Tw2TextureRes extends Tw2Resource
             isLuminance: (header[DDS_HEADER_OFFSET_PF_FLAGS] & DDPF_LUMINANCE) === DDPF_LUMINANCE,
             hasAlpha: (header[DDS_HEADER_OFFSET_PF_FLAGS] & DDPF_ALPHAPIXELS) === DDPF_ALPHAPIXELS,
             isRGB: (header[DDS_HEADER_OFFSET_PF_FLAGS] & DDPF_RGB) === DDPF_RGB,
-            isVolume: (header[DDS_HEADER_OFFSET_CAPS2]) & DDSCAPS2_VOLUME === DDSCAPS2_VOLUME,
+            isVolume: (header[DDS_HEADER_OFFSET_CAPS2] & DDSCAPS2_VOLUME) === DDSCAPS2_VOLUME,
             dataOffset: header[DDS_HEADER_OFFSET_SIZE] + 4,
             mipmaps: hasMips ? Math.max(1, header[DDS_HEADER_OFFSET_MIPMAP_COUNT]) : 1,
             format: null,
@@ -664,181 +998,97 @@ export class Tw2TextureRes extends Tw2Resource
             target: isCube ? gl.TEXTURE_CUBE_MAP : gl.TEXTURE_2D,  // TODO: Check for 3d textures or 2d texture array
             faces: isCube ? 6 : 1,
             isCompressed: false,
+            isDecoded: false,
+            decode: null,
+            blockBytes: 0,
+            bytesPerPixel: 0,
             clientSupport: false,
         };
 
-        switch (info.fourCC)
+        if (dx10)
         {
-            case FOURCC_DXT1: // BC1
-                info.blockBytes = 8;
-                info.internalFormat = s3tc ? s3tc.COMPRESSED_RGBA_S3TC_DXT1_EXT : null;
-                info.clientSupport = !!info.internalFormat;
-                info.isCompressed = true;
-                break;
+            Object.assign(info, dx10);
+            info.dataOffset += DDS_HEADER_DX10_SIZE;
+            info.name = dx10.dxgiFormatName;
 
-            case FOURCC_DXT3: // BC2
-                info.blockBytes = 16;
-                info.internalFormat = s3tc ? s3tc.COMPRESSED_RGBA_S3TC_DXT3_EXT : null;
-                info.clientSupport = !!info.internalFormat;
-                info.isCompressed = true;
-                break;
+            if (dx10.arraySize > 1 || info.isVolume)
+            {
+                throw new ErrResourceFormatUnsupported({
+                    format: "DDS",
+                    reason: info.isVolume ? "volume textures" : "texture arrays",
+                    data: info
+                });
+            }
+        }
 
-            case FOURCC_DXT5: // BC3
-                info.blockBytes = 16;
-                info.internalFormat = s3tc ? s3tc.COMPRESSED_RGBA_S3TC_DXT5_EXT : null;
-                info.clientSupport = !!info.internalFormat;
-                info.isCompressed = true;
-                break;
+        // Formats which aren't described by the pixel format
+        const id = dx10 ? DDS_DXGI_FORMATS[dx10.dxgiFormat] : isFourCC ? DDS_FOURCC_FORMATS[fourCC] : undefined;
+        if (id)
+        {
+            return Object.assign(info, getDDSFormatInfo(id, device.glVersion, name => device.GetExtension(name)));
+        }
 
-            case FOURCC_ATI1: // BC4
-                info.blockBytes = 8;
-                info.internalFormat = rgtc1 ? rgtc1["COMPRESSED_RED_RGTC1_EXT"] : null;
-                info.clientSupport = !!info.internalFormat;
-                info.isCompressed = true;
-                info.format = gl.UNSIGNED_BYTE;
-                info.format = gl.RED;
-                break;
+        if (dx10 || isFourCC)
+        {
+            throw new ErrResourceFormatUnsupported({
+                format: "DDS",
+                reason: dx10 ? `DX10 ${info.name}` : `FOURCC ${info.name}`,
+                data: info
+            });
+        }
 
-            case FOURCC_ATI2: // BC5
-                info.blockBytes = 16;
-                info.internalFormat = rgtc1 ? rgtc1["COMPRESSED_RED_GREEN_RGTC2_EXT"] : null;
-                info.clientSupport = !!info.internalFormat;
-                info.isCompressed = true;
-                info.format = gl.UNSIGNED_BYTE;
-                info.internalFormat = gl.RG;
-                break;
+        if (info.isRGB)
+        {
+            info.bpp = bpp;
+            info.type = gl.UNSIGNED_BYTE;
+            info.clientSupport = true;
+            info.isUncompressedRGBA = true;
 
-            case FOURCC_D3DFMT_R16G16B16A16F:
-                info.type = gl.HALF_FLOAT;
-                info.format = gl.RGBA;
-                info.clientSupport = true;
-                break;
+            info.rOffset = num.getLongWordOrder(header[DDS_HEADER_OFFSET_R_MASK]);
+            info.gOffset = num.getLongWordOrder(header[DDS_HEADER_OFFSET_G_MASK]);
+            info.bOffset = num.getLongWordOrder(header[DDS_HEADER_OFFSET_B_MASK]);
 
-            case FOURCC_D3DFMT_R32G32B32A32F:
-                info.type = gl.FLOAT;
+            if (bpp === 24)
+            {
+                info.name = "RGB";
+                info.format = gl.RGB;
+                info.internalFormat = device.glVersion === 1 ? gl.RGB : gl.RGB8; // RGB565, SRGB8
+            }
+            else
+            {
+                info.name = "RGBA";
                 info.format = gl.RGBA;
-                info.clientSupport = true;
-                break;
-
-            case FOURCC_DXT10:
-                info.dataOffset += 5 * 4;
-                info.dxgiFormat = dxgi;
-                info.clientSupport = true;
-
-                switch (dxgi)
-                {
-                    case DXGI_FORMAT_R16G16B16A16_FLOAT:
-                        info.type = gl.HALF_FLOAT;
-                        info.format = gl.RGBA;
-                        break;
-
-                    case DXGI_FORMAT_R32G32B32A32_FLOAT:
-                        info.type = gl.FLOAT;
-                        info.format = gl.RGBA;
-                        break;
-
-                    case DXGI_FORMAT_B8G8R8X8_UNORM:
-                        info.isFourCC = false;
-                        info.isRGB = true;
-                        bpp = 32;
-                        break;
-
-                    default:
-                        throw new ErrResourceFormatUnsupported({
-                            format: "DDS",
-                            reason: `DX10 ${dxgi}`,
-                            info
-                        });
-                }
-                break;
-
-            default:
-                if (info.isRGB)
-                {
-                    info.bpp = bpp;
-                    info.type = gl.UNSIGNED_BYTE;
-                    info.clientSupport = true;
-                    info.isUncompressedRGBA = true;
-
-                    info.rOffset = num.getLongWordOrder(header[DDS_HEADER_OFFSET_R_MASK]);
-                    info.gOffset = num.getLongWordOrder(header[DDS_HEADER_OFFSET_G_MASK]);
-                    info.bOffset = num.getLongWordOrder(header[DDS_HEADER_OFFSET_B_MASK]);
-
-                    if (bpp === 24)
-                    {
-                        info.name = "RGB";
-                        info.format = gl.RGB;
-                        info.internalFormat = device.glVersion === 1 ? gl.RGB : gl.RGB8; // RGB565, SRGB8
-                    }
-                    else
-                    {
-                        info.name = "RGBA";
-                        info.format = gl.RGBA;
-                        info.internalFormat = device.glVersion === 1 ? gl.RGBA : gl.RGBA8; // RGB5_A1, RGBA4, SRGB8_ALPHA8
-                        info.aOffset = num.getLongWordOrder(header[DDS_HEADER_OFFSET_A_MASK]);
-                    }
-                    break;
-                }
-
-                if (info.isLuminance)
-                {
-                    if (info.hasAlpha)
-                    {
-                        info.name = "Luminance Alpha";
-                        info.type = gl.UNSIGNED_BYTE;
-                        info.format = gl.LUMINANCE_ALPHA;
-                        info.internalFormat = gl.LUMINANCE_ALPHA;
-                    }
-                    else
-                    {
-                        info.name = "Luminance";
-                        info.type = gl.UNSIGNED_BYTE;
-                        info.format = gl.LUMINANCE;
-                        info.internalFormat = gl.LUMINANCE;
-                    }
-                    info.clientSupport = true;
-                    break;
-                }
-
-                const code = Tw2TextureRes.Int32ToFourCC(info.fourCC);
-
-                // Log dx10 dds details for now
-                if (code === "DX10")
-                {
-                    const d = new Uint32Array(data);
-                    const dx10Offset = DDS_MAGIC_SIZE + DDS_HEADER_SIZE;
-                    const dx10Header = new Uint32Array(
-                        d.buffer,
-                        dx10Offset,
-                        DDS_HEADER_DX10_SIZE / Uint32Array.BYTES_PER_ELEMENT
-                    );
-
-                    info.dxgiFormat = dx10Header[DDS_DX10_FIELDS.DXGI_FORMAT];
-                    info.resourceDimension = dx10Header[DDS_DX10_FIELDS.RESOURCE_DIMENSION];
-                    info.miscFlag = dx10Header[DDS_DX10_FIELDS.MISC_FLAG];
-                    info.arraySize = dx10Header[DDS_DX10_FIELDS.ARRAY_SIZE];
-                    info.dxgiFormatName = DXGI_FORMAT[info.dxgiFormat];
-                }
-
-                console.dir(info);
-
-                throw new ErrResourceFormatUnsupported({
-                    format: "DDS",
-                    reason: `FOURCC ${code}`,
-                    info
-                });
+                info.internalFormat = device.glVersion === 1 ? gl.RGBA : gl.RGBA8; // RGB5_A1, RGBA4, SRGB8_ALPHA8
+                info.aOffset = num.getLongWordOrder(header[DDS_HEADER_OFFSET_A_MASK]);
+            }
+            return info;
         }
 
-        // TODO: Handle fourCC which aren't compressed
-        if (info.isFourCC && !info.isCompressed)
+        if (info.isLuminance)
         {
-            // 128 or 64 without half float
-            // info.type = gl.FLOAT;
-            // 64 with half float
-            // info.type = gl.HALF_FLOAT;
+            if (info.hasAlpha)
+            {
+                info.name = "Luminance Alpha";
+                info.type = gl.UNSIGNED_BYTE;
+                info.format = gl.LUMINANCE_ALPHA;
+                info.internalFormat = gl.LUMINANCE_ALPHA;
+            }
+            else
+            {
+                info.name = "Luminance";
+                info.type = gl.UNSIGNED_BYTE;
+                info.format = gl.LUMINANCE;
+                info.internalFormat = gl.LUMINANCE;
+            }
+            info.clientSupport = true;
+            return info;
         }
 
-        return info;
+        throw new ErrResourceFormatUnsupported({
+            format: "DDS",
+            reason: "unknown pixel format",
+            data: info
+        });
     }
 
     static GetLuminanceArrayBuffer(width, height, dataOffset, dataLength, arrayBuffer)
@@ -1,7 +1,7 @@
 import { meta } from "utils/index";
 import { Model } from "global/meta";
 import { device } from "global/tw2";
-import { ErrResourceFormatNotImplemented } from "./Tw2Resource";
+import { ErrResourceFormatNotImplemented } from "../Tw2Error";
 import { Tw2TextureRes } from "./Tw2TextureRes";
 import { TEX_2D, TEX_VOLUME, TEX_CUBE_MAP } from "constant/d3d";
 
@@ -1,6 +1,7 @@
 import { meta } from "utils";
 import { device, resMan } from "global";
-import { ErrResourceFormatUnsupported, Tw2Resource } from "./Tw2Resource";
+import { Tw2Resource } from "./Tw2Resource";
+import { ErrResourceFormatUnsupported } from "../Tw2Error";
 import { ErrHTTPRequest } from "../engine/Tw2ResMan";
 
 
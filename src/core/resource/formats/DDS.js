@@ -0,0 +1,874 @@
+import {
+    DDS_DX10_FIELDS,
+    DDS_HEADER_DX10_SIZE,
+    DDS_HEADER_SIZE,
+    DDS_MAGIC_SIZE,
+    DXGI_FORMAT,
+    FOURCC_ATI1,
+    FOURCC_ATI2,
+    FOURCC_BC4U,
+    FOURCC_BC5U,
+    FOURCC_D3DFMT_G16R16F,
+    FOURCC_D3DFMT_G32R32F,
+    FOURCC_D3DFMT_R16F,
+    FOURCC_D3DFMT_R16G16B16A16F,
+    FOURCC_D3DFMT_R32F,
+    FOURCC_D3DFMT_R32G32B32A32F,
+    FOURCC_DXT1,
+    FOURCC_DXT3,
+    FOURCC_DXT5,
+    GL_FLOAT,
+    GL_HALF_FLOAT,
+    GL_HALF_FLOAT_OES,
+    GL_R16F,
+    GL_R32F,
+    GL_RED,
+    GL_RG,
+    GL_RG16F,
+    GL_RG32F,
+    GL_RGBA,
+    GL_RGBA16F,
+    GL_RGBA32F,
+    GL_RGBA8,
+    GL_UNSIGNED_BYTE
+} from "constant";
+
+
+const
+    S3TC = "compressed_texture_s3tc",
+    S3TC_SRGB = "compressed_texture_s3tc_srgb",
+    RGTC = "EXT_texture_compression_rgtc",
+    BPTC = "EXT_texture_compression_bptc";
+
+/**
+ * Dds formats which aren't described by the pixel format's rgb/ luminance masks
+ * - Compressed formats are uploaded as is when the client supports them, otherwise they are decoded if possible
+ * - Float formats are converted to whatever the client can sample
+ * @type {Object}
+ */
+export const DDS_FORMATS = {
+    BC1: { name: "BC1", extension: S3TC, internalFormat: 0x83F1, blockBytes: 8, decode: decodeBC1 },
+    BC1_SRGB: { name: "BC1 SRGB", extension: S3TC_SRGB, internalFormat: 0x8C4D, blockBytes: 8, decode: decodeBC1 },
+    BC2: { name: "BC2", extension: S3TC, internalFormat: 0x83F2, blockBytes: 16, decode: decodeBC2 },
+    BC2_SRGB: { name: "BC2 SRGB", extension: S3TC_SRGB, internalFormat: 0x8C4E, blockBytes: 16, decode: decodeBC2 },
+    BC3: { name: "BC3", extension: S3TC, internalFormat: 0x83F3, blockBytes: 16, decode: decodeBC3 },
+    BC3_SRGB: { name: "BC3 SRGB", extension: S3TC_SRGB, internalFormat: 0x8C4F, blockBytes: 16, decode: decodeBC3 },
+    BC4: { name: "BC4", extension: RGTC, internalFormat: 0x8DBB, blockBytes: 8, decode: decodeBC4 },
+    BC5: { name: "BC5", extension: RGTC, internalFormat: 0x8DBD, blockBytes: 16, decode: decodeBC5 },
+    BC6H_UF16: { name: "BC6H UF16", extension: BPTC, internalFormat: 0x8E8F, blockBytes: 16, decode: null },
+    BC6H_SF16: { name: "BC6H SF16", extension: BPTC, internalFormat: 0x8E8E, blockBytes: 16, decode: null },
+    BC7: { name: "BC7", extension: BPTC, internalFormat: 0x8E8C, blockBytes: 16, decode: decodeBC7 },
+    BC7_SRGB: { name: "BC7 SRGB", extension: BPTC, internalFormat: 0x8E8D, blockBytes: 16, decode: decodeBC7 },
+    R16F: { name: "R16F", channels: 1, isHalf: true },
+    RG16F: { name: "RG16F", channels: 2, isHalf: true },
+    RGBA16F: { name: "RGBA16F", channels: 4, isHalf: true },
+    R32F: { name: "R32F", channels: 1, isHalf: false },
+    RG32F: { name: "RG32F", channels: 2, isHalf: false },
+    RGBA32F: { name: "RGBA32F", channels: 4, isHalf: false },
+    RGBA8: { name: "RGBA8", swizzle: null },
+    RGBA8_SRGB: { name: "RGBA8 SRGB", swizzle: null },
+    BGRA8: { name: "BGRA8", swizzle: [ 2, 1, 0, 3 ] },
+    BGRX8: { name: "BGRX8", swizzle: [ 2, 1, 0, -1 ] }
+};
+
+/**
+ * Legacy fourCC codes to dds formats
+ * @type {Object}
+ */
+export const DDS_FOURCC_FORMATS = {
+    [FOURCC_DXT1]: "BC1",
+    [FOURCC_DXT3]: "BC2",
+    [FOURCC_DXT5]: "BC3",
+    [FOURCC_ATI1]: "BC4",
+    [FOURCC_BC4U]: "BC4",
+    [FOURCC_ATI2]: "BC5",
+    [FOURCC_BC5U]: "BC5",
+    [FOURCC_D3DFMT_R16F]: "R16F",
+    [FOURCC_D3DFMT_G16R16F]: "RG16F",
+    [FOURCC_D3DFMT_R16G16B16A16F]: "RGBA16F",
+    [FOURCC_D3DFMT_R32F]: "R32F",
+    [FOURCC_D3DFMT_G32R32F]: "RG32F",
+    [FOURCC_D3DFMT_R32G32B32A32F]: "RGBA32F"
+};
+
+/**
+ * DX10 header dxgi formats to dds formats
+ * @type {Object}
+ */
+export const DDS_DXGI_FORMATS = {
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC1_TYPELESS")]: "BC1",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC1_UNORM")]: "BC1",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC1_UNORM_SRGB")]: "BC1_SRGB",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC2_TYPELESS")]: "BC2",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC2_UNORM")]: "BC2",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC2_UNORM_SRGB")]: "BC2_SRGB",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC3_TYPELESS")]: "BC3",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC3_UNORM")]: "BC3",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC3_UNORM_SRGB")]: "BC3_SRGB",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC4_TYPELESS")]: "BC4",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC4_UNORM")]: "BC4",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC5_TYPELESS")]: "BC5",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC5_UNORM")]: "BC5",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC6H_UF16")]: "BC6H_UF16",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC6H_SF16")]: "BC6H_SF16",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC7_TYPELESS")]: "BC7",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC7_UNORM")]: "BC7",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_BC7_UNORM_SRGB")]: "BC7_SRGB",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_R16_FLOAT")]: "R16F",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_R16G16_FLOAT")]: "RG16F",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_R16G16B16A16_FLOAT")]: "RGBA16F",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_R32_FLOAT")]: "R32F",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_R32G32_FLOAT")]: "RG32F",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_R32G32B32A32_FLOAT")]: "RGBA32F",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_R8G8B8A8_TYPELESS")]: "RGBA8",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_R8G8B8A8_UNORM")]: "RGBA8",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_R8G8B8A8_UNORM_SRGB")]: "RGBA8_SRGB",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_B8G8R8A8_TYPELESS")]: "BGRA8",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_B8G8R8A8_UNORM")]: "BGRA8",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_B8G8R8A8_UNORM_SRGB")]: "BGRA8",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_B8G8R8X8_TYPELESS")]: "BGRX8",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_B8G8R8X8_UNORM")]: "BGRX8",
+    [DXGI_FORMAT.indexOf("DXGI_FORMAT_B8G8R8X8_UNORM_SRGB")]: "BGRX8"
+};
+
+
+/**
+ * Reads a dds file's DX10 header
+ * - Only valid when the pixel format's fourCC is "DX10"
+ * @param {ArrayBuffer} data
+ * @returns {{dxgiFormat: Number, dxgiFormatName: String, resourceDimension: Number, miscFlag: Number, arraySize: Number, miscFlags2: Number}}
+ */
+export function readDDSHeaderDX10(data)
+{
+    const header = new Uint32Array(
+        data,
+        DDS_MAGIC_SIZE + DDS_HEADER_SIZE,
+        DDS_HEADER_DX10_SIZE / Uint32Array.BYTES_PER_ELEMENT
+    );
+
+    const dxgiFormat = header[DDS_DX10_FIELDS.DXGI_FORMAT];
+
+    return {
+        dxgiFormat,
+        dxgiFormatName: DXGI_FORMAT[dxgiFormat] || `DXGI_FORMAT ${dxgiFormat}`,
+        resourceDimension: header[DDS_DX10_FIELDS.RESOURCE_DIMENSION],
+        miscFlag: header[DDS_DX10_FIELDS.MISC_FLAG],
+        arraySize: header[DDS_DX10_FIELDS.ARRAY_SIZE],
+        miscFlags2: header[DDS_DX10_FIELDS.MISC_FLAGS2]
+    };
+}
+
+/**
+ * Gets how a dds format should be uploaded to the current client
+ * - `decode` is null when the format's data can be uploaded as is
+ * - `clientSupport` is false when the format can neither be uploaded or decoded
+ * @param {String} id                   - A DDS_FORMATS key
+ * @param {Number} [glVersion=2]        - The webgl version
+ * @param {Function} [getExtension]     - Gets a webgl extension by it's name
+ * @returns {Object}
+ */
+export function getDDSFormatInfo(id, glVersion = 2, getExtension = () => null)
+{
+    const
+        description = DDS_FORMATS[id],
+        rgba8 = glVersion > 1 ? GL_RGBA8 : GL_RGBA;
+
+    const out = {
+        name: description.name,
+        blockBytes: description.blockBytes || 0,
+        bytesPerPixel: 0,
+        isCompressed: !!description.blockBytes,
+        isDecoded: false,
+        decode: null,
+        format: null,
+        type: null,
+        internalFormat: null,
+        clientSupport: false
+    };
+
+    // Block compressed
+    if (out.isCompressed)
+    {
+        if (getExtension(description.extension))
+        {
+            out.internalFormat = description.internalFormat;
+            out.clientSupport = true;
+        }
+        else if (description.decode)
+        {
+            out.decode = description.decode;
+            out.format = GL_RGBA;
+            out.type = GL_UNSIGNED_BYTE;
+            out.internalFormat = rgba8;
+        }
+        out.isDecoded = !!out.decode;
+        out.clientSupport = out.clientSupport || out.isDecoded;
+        return out;
+    }
+
+    // 8 bit per channel
+    if ("swizzle" in description)
+    {
+        const { swizzle } = description;
+        out.bytesPerPixel = 4;
+        out.format = GL_RGBA;
+        out.type = GL_UNSIGNED_BYTE;
+        out.internalFormat = rgba8;
+        out.decode = swizzle ? (src, width, height) => decodeSwizzled(src, width, height, swizzle) : null;
+        out.isDecoded = !!out.decode;
+        out.clientSupport = true;
+        return out;
+    }
+
+    // Floating point
+    const { channels, isHalf } = description;
+    out.bytesPerPixel = channels * (isHalf ? 2 : 4);
+    out.clientSupport = true;
+
+    if (glVersion > 1)
+    {
+        out.format = [ GL_RED, GL_RG, null, GL_RGBA ][channels - 1];
+
+        // Half floats are always filterable in webgl2, floats require an extension
+        if (isHalf || getExtension("OES_texture_float_linear"))
+        {
+            out.type = isHalf ? GL_HALF_FLOAT : GL_FLOAT;
+            out.internalFormat = isHalf ? [ GL_R16F, GL_RG16F, null, GL_RGBA16F ][channels - 1] : [ GL_R32F, GL_RG32F, null, GL_RGBA32F ][channels - 1];
+            return out;
+        }
+
+        out.type = GL_HALF_FLOAT;
+        out.internalFormat = [ GL_R16F, GL_RG16F, null, GL_RGBA16F ][channels - 1];
+        out.decode = (src, width, height) => decodeFloat(src, width, height, channels, isHalf, channels, "half");
+        out.isDecoded = true;
+        return out;
+    }
+
+    // Webgl1 only supports rgba float textures
+    out.format = GL_RGBA;
+    out.internalFormat = GL_RGBA;
+
+    const
+        ext = getExtension(isHalf ? "OES_texture_half_float" : "OES_texture_float"),
+        linear = getExtension(isHalf ? "OES_texture_half_float_linear" : "OES_texture_float_linear");
+
+    if (ext && linear)
+    {
+        out.type = isHalf ? GL_HALF_FLOAT_OES : GL_FLOAT;
+        if (channels !== 4)
+        {
+            out.decode = (src, width, height) => decodeFloat(src, width, height, channels, isHalf, 4, isHalf ? "half" : "float");
+        }
+    }
+    else
+    {
+        out.type = GL_UNSIGNED_BYTE;
+        out.decode = (src, width, height) => decodeFloat(src, width, height, channels, isHalf, 4, "byte");
+    }
+
+    out.isDecoded = !!out.decode;
+    return out;
+}
+
+/**
+ * Gets the byte length of a single dds surface
+ * @param {Object} info     - dds info
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Number}
+ */
+export function getDDSLevelByteLength(info, width, height)
+{
+    if (info.blockBytes)
+    {
+        return Math.ceil(width / 4) * Math.ceil(height / 4) * info.blockBytes;
+    }
+    return width * height * info.bytesPerPixel;
+}
+
+
+/**
+ * Converts a half float to a float
+ * @param {Number} h
+ * @returns {Number}
+ */
+export function halfToFloat(h)
+{
+    const
+        s = h & 0x8000 ? -1 : 1,
+        e = (h >> 10) & 0x1F,
+        f = h & 0x3FF;
+
+    if (e === 0) return s * Math.pow(2, -14) * (f / 1024);
+    if (e === 31) return f ? NaN : s * Infinity;
+    return s * Math.pow(2, e - 15) * (1 + f / 1024);
+}
+
+const
+    floatView = new Float32Array(1),
+    int32View = new Int32Array(floatView.buffer);
+
+/**
+ * Converts a float to a half float
+ * @param {Number} value
+ * @returns {Number}
+ */
+export function floatToHalf(value)
+{
+    floatView[0] = value;
+    const
+        x = int32View[0],
+        sign = (x >> 16) & 0x8000,
+        e = (x >> 23) & 0xFF,
+        m = x & 0x7FFFFF;
+
+    // NaN and Infinity
+    if (e === 255) return sign | 0x7C00 | (m ? 0x200 : 0);
+
+    const exponent = e - 127 + 15;
+    if (exponent >= 31) return sign | 0x7C00;
+    if (exponent <= 0)
+    {
+        if (exponent < -10) return sign;
+        return sign | (((m | 0x800000) >> (1 - exponent)) + 0x1000 >> 13);
+    }
+    return sign | ((exponent << 10) + (m + 0x1000 >> 13));
+}
+
+/**
+ * Decodes floating point pixels
+ * @param {Uint8Array} src
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Number} channels         - source channel count
+ * @param {Boolean} isHalf          - true if the source is half float
+ * @param {Number} outChannels      - output channel count, missing colors are 0 and missing alpha is 1
+ * @param {String} outType          - "float", "half" or "byte"
+ * @returns {Float32Array|Uint16Array|Uint8Array}
+ */
+export function decodeFloat(src, width, height, channels, isHalf, outChannels, outType)
+{
+    const
+        view = new DataView(src.buffer, src.byteOffset, src.byteLength),
+        count = width * height,
+        bytes = isHalf ? 2 : 4,
+        out = outType === "float" ? new Float32Array(count * outChannels) :
+            outType === "half" ? new Uint16Array(count * outChannels) :
+                new Uint8Array(count * outChannels);
+
+    for (let i = 0; i < count; i++)
+    {
+        for (let c = 0; c < outChannels; c++)
+        {
+            let value;
+            if (c < channels)
+            {
+                const offset = (i * channels + c) * bytes;
+                value = isHalf ? halfToFloat(view.getUint16(offset, true)) : view.getFloat32(offset, true);
+            }
+            else
+            {
+                value = c === 3 ? 1 : 0;
+            }
+
+            const index = i * outChannels + c;
+            switch (outType)
+            {
+                case "float":
+                    out[index] = value;
+                    break;
+
+                case "half":
+                    out[index] = floatToHalf(value);
+                    break;
+
+                default:
+                    out[index] = Math.max(0, Math.min(255, Math.round(value * 255))) || 0;
+            }
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Decodes 8 bit per channel pixels into rgba
+ * @param {Uint8Array} src
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Array<Number>} swizzle   - the source channel for each of r, g, b and a, -1 for opaque
+ * @returns {Uint8Array}
+ */
+export function decodeSwizzled(src, width, height, swizzle)
+{
+    const
+        count = width * height,
+        out = new Uint8Array(count * 4);
+
+    for (let i = 0; i < count; i++)
+    {
+        for (let c = 0; c < 4; c++)
+        {
+            out[i * 4 + c] = swizzle[c] === -1 ? 255 : src[i * 4 + swizzle[c]];
+        }
+    }
+
+    return out;
+}
+
+
+/**
+ * Decodes a block compressed surface into rgba
+ * @param {Uint8Array} src
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Number} blockBytes
+ * @param {Function} decodeBlock    - decodes a block into 16 rgba texels
+ * @returns {Uint8Array}
+ */
+function decodeBlocks(src, width, height, blockBytes, decodeBlock)
+{
+    const
+        out = new Uint8Array(width * height * 4),
+        texels = new Uint8Array(64),
+        blocksX = Math.ceil(width / 4),
+        blocksY = Math.ceil(height / 4);
+
+    for (let by = 0; by < blocksY; by++)
+    {
+        for (let bx = 0; bx < blocksX; bx++)
+        {
+            const offset = (by * blocksX + bx) * blockBytes;
+            decodeBlock(src.subarray(offset, offset + blockBytes), texels);
+
+            for (let y = 0; y < 4; y++)
+            {
+                const py = by * 4 + y;
+                if (py >= height) break;
+
+                for (let x = 0; x < 4; x++)
+                {
+                    const px = bx * 4 + x;
+                    if (px >= width) break;
+                    out.set(texels.subarray((y * 4 + x) * 4, (y * 4 + x) * 4 + 4), (py * width + px) * 4);
+                }
+            }
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Decodes a bc1 color block
+ * @param {Uint8Array} block
+ * @param {Uint8Array} out
+ * @param {Boolean} [alwaysOpaque] - bc2 and bc3 color blocks are always four color
+ */
+function decodeColorBlock(block, out, alwaysOpaque)
+{
+    const
+        c0 = block[0] | block[1] << 8,
+        c1 = block[2] | block[3] << 8,
+        colors = [
+            [ (c0 >> 11) * 255 / 31, (c0 >> 5 & 0x3F) * 255 / 63, (c0 & 0x1F) * 255 / 31, 255 ],
+            [ (c1 >> 11) * 255 / 31, (c1 >> 5 & 0x3F) * 255 / 63, (c1 & 0x1F) * 255 / 31, 255 ]
+        ];
+
+    if (c0 > c1 || alwaysOpaque)
+    {
+        colors[2] = colors[0].map((x, i) => (2 * x + colors[1][i]) / 3);
+        colors[3] = colors[0].map((x, i) => (x + 2 * colors[1][i]) / 3);
+    }
+    else
+    {
+        colors[2] = colors[0].map((x, i) => (x + colors[1][i]) / 2);
+        colors[3] = [ 0, 0, 0, 0 ];
+    }
+
+    for (let i = 0; i < 16; i++)
+    {
+        const color = colors[block[4 + (i >> 2)] >> ((i & 3) * 2) & 3];
+        for (let c = 0; c < 4; c++)
+        {
+            out[i * 4 + c] = Math.round(color[c]);
+        }
+    }
+}
+
+/**
+ * Decodes a bc4 block into a single channel
+ * @param {Uint8Array} block
+ * @param {Uint8Array} out
+ * @param {Number} channel
+ */
+function decodeChannelBlock(block, out, channel)
+{
+    const
+        a0 = block[0],
+        a1 = block[1],
+        values = [ a0, a1 ];
+
+    if (a0 > a1)
+    {
+        for (let i = 1; i < 7; i++) values.push(((7 - i) * a0 + i * a1) / 7);
+    }
+    else
+    {
+        for (let i = 1; i < 5; i++) values.push(((5 - i) * a0 + i * a1) / 5);
+        values.push(0, 255);
+    }
+
+    for (let i = 0; i < 16; i++)
+    {
+        const
+            bit = 16 + i * 3,
+            byte = bit >> 3,
+            shift = bit & 7,
+            index = ((block[byte] | (block[byte + 1] << 8)) >> shift) & 7;
+
+        out[i * 4 + channel] = Math.round(values[index]);
+    }
+}
+
+/**
+ * Decodes a bc1 (DXT1) surface
+ * @param {Uint8Array} src
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Uint8Array}
+ */
+export function decodeBC1(src, width, height)
+{
+    return decodeBlocks(src, width, height, 8, (block, out) => decodeColorBlock(block, out, false));
+}
+
+/**
+ * Decodes a bc2 (DXT3) surface
+ * @param {Uint8Array} src
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Uint8Array}
+ */
+export function decodeBC2(src, width, height)
+{
+    return decodeBlocks(src, width, height, 16, (block, out) =>
+    {
+        decodeColorBlock(block.subarray(8), out, true);
+        for (let i = 0; i < 16; i++)
+        {
+            out[i * 4 + 3] = (block[i >> 1] >> ((i & 1) * 4) & 0xF) * 17;
+        }
+    });
+}
+
+/**
+ * Decodes a bc3 (DXT5) surface
+ * @param {Uint8Array} src
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Uint8Array}
+ */
+export function decodeBC3(src, width, height)
+{
+    return decodeBlocks(src, width, height, 16, (block, out) =>
+    {
+        decodeColorBlock(block.subarray(8), out, true);
+        decodeChannelBlock(block, out, 3);
+    });
+}
+
+/**
+ * Decodes a bc4 (ATI1) surface into the red channel
+ * @param {Uint8Array} src
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Uint8Array}
+ */
+export function decodeBC4(src, width, height)
+{
+    return decodeBlocks(src, width, height, 8, (block, out) =>
+    {
+        out.fill(0);
+        decodeChannelBlock(block, out, 0);
+        for (let i = 0; i < 16; i++) out[i * 4 + 3] = 255;
+    });
+}
+
+/**
+ * Decodes a bc5 (ATI2) surface into the red and green channels
+ * @param {Uint8Array} src
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Uint8Array}
+ */
+export function decodeBC5(src, width, height)
+{
+    return decodeBlocks(src, width, height, 16, (block, out) =>
+    {
+        out.fill(0);
+        decodeChannelBlock(block, out, 0);
+        decodeChannelBlock(block.subarray(8), out, 1);
+        for (let i = 0; i < 16; i++) out[i * 4 + 3] = 255;
+    });
+}
+
+/**
+ * Decodes a bc7 surface
+ * @param {Uint8Array} src
+ * @param {Number} width
+ * @param {Number} height
+ * @returns {Uint8Array}
+ */
+export function decodeBC7(src, width, height)
+{
+    return decodeBlocks(src, width, height, 16, decodeBC7Block);
+}
+
+
+/**
+ * Bc7 mode descriptions
+ * - ns: subsets, pb: partition bits, rb: rotation bits, isb: index selection bits, cb: color bits, ab: alpha bits,
+ * - epb: endpoint p-bits, spb: shared p-bits, ib: index bits, ib2: secondary index bits
+ * @type {Array<Object>}
+ */
+const BC7_MODES = [
+    { ns: 3, pb: 4, rb: 0, isb: 0, cb: 4, ab: 0, epb: 1, spb: 0, ib: 3, ib2: 0 },
+    { ns: 2, pb: 6, rb: 0, isb: 0, cb: 6, ab: 0, epb: 0, spb: 1, ib: 3, ib2: 0 },
+    { ns: 3, pb: 6, rb: 0, isb: 0, cb: 5, ab: 0, epb: 0, spb: 0, ib: 2, ib2: 0 },
+    { ns: 2, pb: 6, rb: 0, isb: 0, cb: 7, ab: 0, epb: 1, spb: 0, ib: 2, ib2: 0 },
+    { ns: 1, pb: 0, rb: 2, isb: 1, cb: 5, ab: 6, epb: 0, spb: 0, ib: 2, ib2: 3 },
+    { ns: 1, pb: 0, rb: 2, isb: 0, cb: 7, ab: 8, epb: 0, spb: 0, ib: 2, ib2: 2 },
+    { ns: 1, pb: 0, rb: 0, isb: 0, cb: 7, ab: 7, epb: 1, spb: 0, ib: 4, ib2: 0 },
+    { ns: 2, pb: 6, rb: 0, isb: 0, cb: 5, ab: 5, epb: 1, spb: 0, ib: 2, ib2: 0 }
+];
+
+const BC7_WEIGHTS = [
+    null,
+    null,
+    [ 0, 21, 43, 64 ],
+    [ 0, 9, 18, 27, 37, 46, 55, 64 ],
+    [ 0, 4, 9, 13, 17, 21, 26, 30, 34, 38, 43, 47, 51, 55, 60, 64 ]
+];
+
+/**
+ * Two subset partitions, each bit is set for texels in the second subset
+ * @type {Array<Number>}
+ */
+const BC7_PARTITIONS_2 = [
+    0xCCCC, 0x8888, 0xEEEE, 0xECC8, 0xC880, 0xFEEC, 0xFEC8, 0xEC80,
+    0xC800, 0xFFEC, 0xFE80, 0xE800, 0xFFE8, 0xFF00, 0xFFF0, 0xF000,
+    0xF710, 0x008E, 0x7100, 0x08CE, 0x008C, 0x7310, 0x3100, 0x8CCE,
+    0x088C, 0x3110, 0x6666, 0x366C, 0x17E8, 0x0FF0, 0x718E, 0x399C,
+    0xAAAA, 0xF0F0, 0x5A5A, 0x33CC, 0x3C3C, 0x55AA, 0x9696, 0xA55A,
+    0x73CE, 0x13C8, 0x324C, 0x3BDC, 0x6996, 0xC33C, 0x9966, 0x0660,
+    0x0272, 0x04E4, 0x4E40, 0x2720, 0xC936, 0x936C, 0x39C6, 0x639C,
+    0x9336, 0x9CC6, 0x817E, 0xE718, 0xCCF0, 0x0FCC, 0x7744, 0xEE22
+];
+
+/**
+ * Three subset partitions, two bits per texel
+ * @type {Array<String>}
+ */
+const BC7_PARTITIONS_3 = [
+    "0011001102212222", "0001001122112221", "0000200122112211", "0222002200110111",
+    "0000000011221122", "0011001100220022", "0022002211111111", "0011001122112211",
+    "0000000011112222", "0000111111112222", "0000111122222222", "0012001200120012",
+    "0112011201120112", "0122012201220122", "0011011211221222", "0011200122002220",
+    "0001001101121122", "0111001120012200", "0000112211221122", "0022002200221111",
+    "0111011102220222", "0001000122212221", "0000001101220122", "0000110022102210",
+    "0122012200110000", "0012001211222222", "0110122112210110", "0000011012211221",
+    "0022110211020022", "0110011020022222", "0011012201220011", "0000200022112221",
+    "0000000211221222", "0222002200120011", "0011001200220222", "0120012001200120",
+    "0000111122220000", "0120120120120120", "0120201212010120", "0011220011220011",
+    "0011112222000011", "0101010122222222", "0000000021212121", "0022112200221122",
+    "0022001100220011", "0220122102201221", "0101222222220101", "0000212121212121",
+    "0101010101012222", "0222011102220111", "0002111200021112", "0000211221122112",
+    "0222011101110222", "0002111211120002", "0110011001102222", "0000000021122112",
+    "0110011022222222", "0022001100110022", "0022112211220022", "0000000000002112",
+    "0002000100020001", "0222122202221222", "0101222222222222", "0111201122012220"
+].map(x => x.split("").map(Number));
+
+const BC7_ANCHORS_2 = [
+    15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15,
+    15, 2, 8, 2, 2, 8, 8, 15, 2, 8, 2, 2, 8, 8, 2, 2,
+    15, 15, 6, 8, 2, 8, 15, 15, 2, 8, 2, 2, 2, 15, 15, 6,
+    6, 2, 6, 8, 15, 15, 2, 2, 15, 15, 15, 15, 15, 2, 2, 15
+];
+
+const BC7_ANCHORS_3A = [
+    3, 3, 15, 15, 8, 3, 15, 15, 8, 8, 6, 6, 6, 5, 3, 3,
+    3, 3, 8, 15, 3, 3, 6, 10, 5, 8, 8, 6, 8, 5, 15, 15,
+    8, 15, 3, 5, 6, 10, 8, 15, 15, 3, 15, 5, 15, 15, 15, 15,
+    3, 15, 5, 5, 5, 8, 5, 10, 5, 10, 8, 13, 15, 12, 3, 3
+];
+
+const BC7_ANCHORS_3B = [
+    15, 8, 8, 3, 15, 15, 3, 8, 15, 15, 15, 15, 15, 15, 15, 8,
+    15, 8, 15, 3, 15, 8, 15, 8, 3, 15, 6, 10, 15, 15, 10, 8,
+    15, 3, 15, 10, 10, 8, 9, 10, 6, 15, 8, 15, 3, 6, 6, 8,
+    15, 3, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 3, 15, 15, 8
+];
+
+/**
+ * Decodes a bc7 block
+ * @param {Uint8Array} block
+ * @param {Uint8Array} out
+ */
+function decodeBC7Block(block, out)
+{
+    let mode = 0;
+    while (mode < 8 && !(block[0] & (1 << mode))) mode++;
+
+    // Reserved mode
+    if (mode === 8)
+    {
+        out.fill(0);
+        return;
+    }
+
+    let bit = mode + 1;
+    const read = count =>
+    {
+        let value = 0;
+        for (let i = 0; i < count; i++, bit++)
+        {
+            value |= (block[bit >> 3] >> (bit & 7) & 1) << i;
+        }
+        return value;
+    };
+
+    const
+        { ns, pb, rb, isb, cb, ab, epb, spb, ib, ib2 } = BC7_MODES[mode],
+        partition = read(pb),
+        rotation = read(rb),
+        indexSelection = read(isb),
+        endpoints = [];
+
+    for (let i = 0; i < ns * 2; i++) endpoints.push([ 0, 0, 0, 255 ]);
+
+    for (let c = 0; c < 3; c++)
+    {
+        for (let i = 0; i < ns * 2; i++) endpoints[i][c] = read(cb);
+    }
+
+    if (ab)
+    {
+        for (let i = 0; i < ns * 2; i++) endpoints[i][3] = read(ab);
+    }
+
+    // P-bits are the least significant bit of every channel
+    if (epb || spb)
+    {
+        const pbits = [];
+        if (epb)
+        {
+            for (let i = 0; i < ns * 2; i++) pbits.push(read(1));
+        }
+        else
+        {
+            for (let i = 0; i < ns; i++)
+            {
+                const p = read(1);
+                pbits.push(p, p);
+            }
+        }
+
+        for (let i = 0; i < ns * 2; i++)
+        {
+            for (let c = 0; c < (ab ? 4 : 3); c++) endpoints[i][c] = endpoints[i][c] << 1 | pbits[i];
+        }
+    }
+
+    const
+        colorBits = cb + (epb || spb ? 1 : 0),
+        alphaBits = ab ? ab + (epb ? 1 : 0) : 0;
+
+    for (let i = 0; i < ns * 2; i++)
+    {
+        for (let c = 0; c < 3; c++) endpoints[i][c] = expandBits(endpoints[i][c], colorBits);
+        if (alphaBits) endpoints[i][3] = expandBits(endpoints[i][3], alphaBits);
+    }
+
+    const
+        subsets = new Array(16),
+        anchors = [ 0 ];
+
+    for (let i = 0; i < 16; i++)
+    {
+        subsets[i] = ns === 1 ? 0 : ns === 2 ? BC7_PARTITIONS_2[partition] >> i & 1 : BC7_PARTITIONS_3[partition][i];
+    }
+
+    if (ns === 2) anchors.push(BC7_ANCHORS_2[partition]);
+    if (ns === 3) anchors.push(BC7_ANCHORS_3A[partition], BC7_ANCHORS_3B[partition]);
+
+    // Anchor indices have an implicit zero high bit
+    const indices = [], indices2 = [];
+    for (let i = 0; i < 16; i++) indices.push(read(ib - (anchors.includes(i) ? 1 : 0)));
+    if (ib2)
+    {
+        for (let i = 0; i < 16; i++) indices2.push(read(ib2 - (i === 0 ? 1 : 0)));
+    }
+
+    for (let i = 0; i < 16; i++)
+    {
+        const
+            e0 = endpoints[subsets[i] * 2],
+            e1 = endpoints[subsets[i] * 2 + 1];
+
+        let colorWeight, alphaWeight;
+        if (!ib2)
+        {
+            colorWeight = alphaWeight = BC7_WEIGHTS[ib][indices[i]];
+        }
+        else if (indexSelection)
+        {
+            colorWeight = BC7_WEIGHTS[ib2][indices2[i]];
+            alphaWeight = BC7_WEIGHTS[ib][indices[i]];
+        }
+        else
+        {
+            colorWeight = BC7_WEIGHTS[ib][indices[i]];
+            alphaWeight = BC7_WEIGHTS[ib2][indices2[i]];
+        }
+
+        const texel = [
+            interpolate(e0[0], e1[0], colorWeight),
+            interpolate(e0[1], e1[1], colorWeight),
+            interpolate(e0[2], e1[2], colorWeight),
+            interpolate(e0[3], e1[3], alphaWeight)
+        ];
+
+        if (rotation)
+        {
+            const c = rotation - 1;
+            [ texel[c], texel[3] ] = [ texel[3], texel[c] ];
+        }
+
+        out.set(texel, i * 4);
+    }
+}
+
+/**
+ * Expands a value to 8 bits by replicating it's high bits
+ * @param {Number} value
+ * @param {Number} bits
+ * @returns {Number}
+ */
+function expandBits(value, bits)
+{
+    value <<= 8 - bits;
+    return value | value >> bits;
+}
+
+/**
+ * Interpolates between two bc7 endpoints
+ * @param {Number} e0
+ * @param {Number} e1
+ * @param {Number} weight
+ * @returns {Number}
+ */
+function interpolate(e0, e1, weight)
+{
+    return ((64 - weight) * e0 + weight * e1 + 32) >> 6;
+}
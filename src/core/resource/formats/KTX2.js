@@ -0,0 +1,519 @@
+import { ErrResourceFormatInvalid, ErrResourceFormatUnsupported } from "../../Tw2Error";
+import {
+    GL_FLOAT,
+    GL_HALF_FLOAT,
+    GL_R16F,
+    GL_R32F,
+    GL_R8,
+    GL_RED,
+    GL_RG,
+    GL_RG16F,
+    GL_RG32F,
+    GL_RG8,
+    GL_RGB,
+    GL_RGB8,
+    GL_RGBA,
+    GL_RGBA16F,
+    GL_RGBA32F,
+    GL_RGBA8,
+    GL_SRGB8,
+    GL_SRGB8_ALPHA8,
+    GL_TEXTURE_2D,
+    GL_TEXTURE_2D_ARRAY,
+    GL_TEXTURE_CUBE_MAP,
+    GL_UNSIGNED_BYTE,
+    KTX2_HEADER_OFFSET_DFD_LENGTH,
+    KTX2_HEADER_OFFSET_DFD_OFFSET,
+    KTX2_HEADER_OFFSET_FACE_COUNT,
+    KTX2_HEADER_OFFSET_KVD_LENGTH,
+    KTX2_HEADER_OFFSET_KVD_OFFSET,
+    KTX2_HEADER_OFFSET_LAYER_COUNT,
+    KTX2_HEADER_OFFSET_LEVEL_COUNT,
+    KTX2_HEADER_OFFSET_PIXEL_DEPTH,
+    KTX2_HEADER_OFFSET_PIXEL_HEIGHT,
+    KTX2_HEADER_OFFSET_PIXEL_WIDTH,
+    KTX2_HEADER_OFFSET_SGD_LENGTH,
+    KTX2_HEADER_OFFSET_SGD_OFFSET,
+    KTX2_HEADER_OFFSET_SUPERCOMPRESSION,
+    KTX2_HEADER_OFFSET_TYPE_SIZE,
+    KTX2_HEADER_OFFSET_VK_FORMAT,
+    KTX2_HEADER_SIZE,
+    KTX2_IDENTIFIER,
+    KTX2_LEVEL_INDEX_ENTRY_SIZE,
+    KTX2_SUPERCOMPRESSION,
+    KTX2_SUPERCOMPRESSION_NONE,
+    VK_FORMAT_ASTC_4x4_SRGB_BLOCK,
+    VK_FORMAT_ASTC_4x4_UNORM_BLOCK,
+    VK_FORMAT_BC1_RGB_SRGB_BLOCK,
+    VK_FORMAT_BC1_RGB_UNORM_BLOCK,
+    VK_FORMAT_BC1_RGBA_SRGB_BLOCK,
+    VK_FORMAT_BC1_RGBA_UNORM_BLOCK,
+    VK_FORMAT_BC2_SRGB_BLOCK,
+    VK_FORMAT_BC2_UNORM_BLOCK,
+    VK_FORMAT_BC3_SRGB_BLOCK,
+    VK_FORMAT_BC3_UNORM_BLOCK,
+    VK_FORMAT_BC4_SNORM_BLOCK,
+    VK_FORMAT_BC4_UNORM_BLOCK,
+    VK_FORMAT_BC5_SNORM_BLOCK,
+    VK_FORMAT_BC5_UNORM_BLOCK,
+    VK_FORMAT_BC6H_SFLOAT_BLOCK,
+    VK_FORMAT_BC6H_UFLOAT_BLOCK,
+    VK_FORMAT_BC7_SRGB_BLOCK,
+    VK_FORMAT_BC7_UNORM_BLOCK,
+    VK_FORMAT_EAC_R11_SNORM_BLOCK,
+    VK_FORMAT_EAC_R11_UNORM_BLOCK,
+    VK_FORMAT_EAC_R11G11_SNORM_BLOCK,
+    VK_FORMAT_EAC_R11G11_UNORM_BLOCK,
+    VK_FORMAT_ETC2_R8G8B8_SRGB_BLOCK,
+    VK_FORMAT_ETC2_R8G8B8_UNORM_BLOCK,
+    VK_FORMAT_ETC2_R8G8B8A1_SRGB_BLOCK,
+    VK_FORMAT_ETC2_R8G8B8A1_UNORM_BLOCK,
+    VK_FORMAT_ETC2_R8G8B8A8_SRGB_BLOCK,
+    VK_FORMAT_ETC2_R8G8B8A8_UNORM_BLOCK,
+    VK_FORMAT_R16_SFLOAT,
+    VK_FORMAT_R16G16_SFLOAT,
+    VK_FORMAT_R16G16B16A16_SFLOAT,
+    VK_FORMAT_R32_SFLOAT,
+    VK_FORMAT_R32G32_SFLOAT,
+    VK_FORMAT_R32G32B32A32_SFLOAT,
+    VK_FORMAT_R8_UNORM,
+    VK_FORMAT_R8G8_UNORM,
+    VK_FORMAT_R8G8B8_SRGB,
+    VK_FORMAT_R8G8B8_UNORM,
+    VK_FORMAT_R8G8B8A8_SRGB,
+    VK_FORMAT_R8G8B8A8_UNORM,
+    VK_FORMAT_UNDEFINED
+} from "constant";
+
+
+/**
+ * Creates an uncompressed format description
+ * @param {String} name
+ * @param {Number} internalFormat
+ * @param {Number} format
+ * @param {Number} type
+ * @param {Number} bytesPerPixel
+ * @param {Boolean} [webgl1] - true if the format can be used with webgl1's unsized formats
+ * @returns {Object}
+ */
+function uncompressed(name, internalFormat, format, type, bytesPerPixel, webgl1 = false)
+{
+    return { name, internalFormat, format, type, bytesPerPixel, webgl1, isCompressed: false, blockBytes: 0, extension: null };
+}
+
+/**
+ * Creates a block compressed format description
+ * @param {String} name
+ * @param {String} extension - the webgl extension required to upload the format
+ * @param {Number} internalFormat
+ * @param {Number} blockBytes
+ * @returns {Object}
+ */
+function compressed(name, extension, internalFormat, blockBytes)
+{
+    return { name, internalFormat, format: null, type: null, bytesPerPixel: 0, webgl1: true, isCompressed: true, blockBytes, extension };
+}
+
+const
+    S3TC = "compressed_texture_s3tc",
+    S3TC_SRGB = "compressed_texture_s3tc_srgb",
+    RGTC = "EXT_texture_compression_rgtc",
+    BPTC = "EXT_texture_compression_bptc",
+    ETC = "compressed_texture_etc",
+    ASTC = "compressed_texture_astc";
+
+/**
+ * Supported vulkan formats
+ * @type {Object}
+ */
+const VK_FORMATS = {
+    [VK_FORMAT_R8_UNORM]: uncompressed("R8", GL_R8, GL_RED, GL_UNSIGNED_BYTE, 1),
+    [VK_FORMAT_R8G8_UNORM]: uncompressed("RG8", GL_RG8, GL_RG, GL_UNSIGNED_BYTE, 2),
+    [VK_FORMAT_R8G8B8_UNORM]: uncompressed("RGB8", GL_RGB8, GL_RGB, GL_UNSIGNED_BYTE, 3, true),
+    [VK_FORMAT_R8G8B8_SRGB]: uncompressed("SRGB8", GL_SRGB8, GL_RGB, GL_UNSIGNED_BYTE, 3),
+    [VK_FORMAT_R8G8B8A8_UNORM]: uncompressed("RGBA8", GL_RGBA8, GL_RGBA, GL_UNSIGNED_BYTE, 4, true),
+    [VK_FORMAT_R8G8B8A8_SRGB]: uncompressed("SRGB8_ALPHA8", GL_SRGB8_ALPHA8, GL_RGBA, GL_UNSIGNED_BYTE, 4),
+    [VK_FORMAT_R16_SFLOAT]: uncompressed("R16F", GL_R16F, GL_RED, GL_HALF_FLOAT, 2),
+    [VK_FORMAT_R16G16_SFLOAT]: uncompressed("RG16F", GL_RG16F, GL_RG, GL_HALF_FLOAT, 4),
+    [VK_FORMAT_R16G16B16A16_SFLOAT]: uncompressed("RGBA16F", GL_RGBA16F, GL_RGBA, GL_HALF_FLOAT, 8),
+    [VK_FORMAT_R32_SFLOAT]: uncompressed("R32F", GL_R32F, GL_RED, GL_FLOAT, 4),
+    [VK_FORMAT_R32G32_SFLOAT]: uncompressed("RG32F", GL_RG32F, GL_RG, GL_FLOAT, 8),
+    [VK_FORMAT_R32G32B32A32_SFLOAT]: uncompressed("RGBA32F", GL_RGBA32F, GL_RGBA, GL_FLOAT, 16, true),
+    [VK_FORMAT_BC1_RGB_UNORM_BLOCK]: compressed("BC1 RGB", S3TC, 0x83F0, 8),
+    [VK_FORMAT_BC1_RGB_SRGB_BLOCK]: compressed("BC1 RGB SRGB", S3TC_SRGB, 0x8C4C, 8),
+    [VK_FORMAT_BC1_RGBA_UNORM_BLOCK]: compressed("BC1", S3TC, 0x83F1, 8),
+    [VK_FORMAT_BC1_RGBA_SRGB_BLOCK]: compressed("BC1 SRGB", S3TC_SRGB, 0x8C4D, 8),
+    [VK_FORMAT_BC2_UNORM_BLOCK]: compressed("BC2", S3TC, 0x83F2, 16),
+    [VK_FORMAT_BC2_SRGB_BLOCK]: compressed("BC2 SRGB", S3TC_SRGB, 0x8C4E, 16),
+    [VK_FORMAT_BC3_UNORM_BLOCK]: compressed("BC3", S3TC, 0x83F3, 16),
+    [VK_FORMAT_BC3_SRGB_BLOCK]: compressed("BC3 SRGB", S3TC_SRGB, 0x8C4F, 16),
+    [VK_FORMAT_BC4_UNORM_BLOCK]: compressed("BC4", RGTC, 0x8DBB, 8),
+    [VK_FORMAT_BC4_SNORM_BLOCK]: compressed("BC4 SNORM", RGTC, 0x8DBC, 8),
+    [VK_FORMAT_BC5_UNORM_BLOCK]: compressed("BC5", RGTC, 0x8DBD, 16),
+    [VK_FORMAT_BC5_SNORM_BLOCK]: compressed("BC5 SNORM", RGTC, 0x8DBE, 16),
+    [VK_FORMAT_BC6H_UFLOAT_BLOCK]: compressed("BC6H UFLOAT", BPTC, 0x8E8F, 16),
+    [VK_FORMAT_BC6H_SFLOAT_BLOCK]: compressed("BC6H SFLOAT", BPTC, 0x8E8E, 16),
+    [VK_FORMAT_BC7_UNORM_BLOCK]: compressed("BC7", BPTC, 0x8E8C, 16),
+    [VK_FORMAT_BC7_SRGB_BLOCK]: compressed("BC7 SRGB", BPTC, 0x8E8D, 16),
+    [VK_FORMAT_ETC2_R8G8B8_UNORM_BLOCK]: compressed("ETC2 RGB8", ETC, 0x9274, 8),
+    [VK_FORMAT_ETC2_R8G8B8_SRGB_BLOCK]: compressed("ETC2 SRGB8", ETC, 0x9275, 8),
+    [VK_FORMAT_ETC2_R8G8B8A1_UNORM_BLOCK]: compressed("ETC2 RGB8A1", ETC, 0x9276, 8),
+    [VK_FORMAT_ETC2_R8G8B8A1_SRGB_BLOCK]: compressed("ETC2 SRGB8A1", ETC, 0x9277, 8),
+    [VK_FORMAT_ETC2_R8G8B8A8_UNORM_BLOCK]: compressed("ETC2 RGBA8", ETC, 0x9278, 16),
+    [VK_FORMAT_ETC2_R8G8B8A8_SRGB_BLOCK]: compressed("ETC2 SRGB8_ALPHA8", ETC, 0x9279, 16),
+    [VK_FORMAT_EAC_R11_UNORM_BLOCK]: compressed("EAC R11", ETC, 0x9270, 8),
+    [VK_FORMAT_EAC_R11_SNORM_BLOCK]: compressed("EAC R11 SNORM", ETC, 0x9271, 8),
+    [VK_FORMAT_EAC_R11G11_UNORM_BLOCK]: compressed("EAC RG11", ETC, 0x9272, 16),
+    [VK_FORMAT_EAC_R11G11_SNORM_BLOCK]: compressed("EAC RG11 SNORM", ETC, 0x9273, 16),
+    [VK_FORMAT_ASTC_4x4_UNORM_BLOCK]: compressed("ASTC 4x4", ASTC, 0x93B0, 16),
+    [VK_FORMAT_ASTC_4x4_SRGB_BLOCK]: compressed("ASTC 4x4 SRGB", ASTC, 0x93D0, 16)
+};
+
+
+/**
+ * Reads a ktx2 container
+ * - Doesn't require a webgl context
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Object} container
+ */
+export function readKTX2(data)
+{
+    const
+        buffer = data.buffer || data,
+        byteOffset = data.byteOffset || 0,
+        byteLength = data.byteLength;
+
+    if (!byteLength)
+    {
+        throw new ErrResourceFormatInvalid({
+            format: "KTX2",
+            reason: "file is empty"
+        });
+    }
+
+    if (byteLength < KTX2_HEADER_SIZE)
+    {
+        throw new ErrResourceFormatInvalid({
+            format: "KTX2",
+            reason: "file is too small"
+        });
+    }
+
+    const
+        bytes = new Uint8Array(buffer, byteOffset, byteLength),
+        view = new DataView(buffer, byteOffset, byteLength);
+
+    for (let i = 0; i < KTX2_IDENTIFIER.length; i++)
+    {
+        if (bytes[i] !== KTX2_IDENTIFIER[i])
+        {
+            throw new ErrResourceFormatInvalid({
+                format: "KTX2",
+                reason: "missing identifier"
+            });
+        }
+    }
+
+    const container = {
+        vkFormat: view.getUint32(KTX2_HEADER_OFFSET_VK_FORMAT, true),
+        typeSize: view.getUint32(KTX2_HEADER_OFFSET_TYPE_SIZE, true),
+        pixelWidth: view.getUint32(KTX2_HEADER_OFFSET_PIXEL_WIDTH, true),
+        pixelHeight: view.getUint32(KTX2_HEADER_OFFSET_PIXEL_HEIGHT, true),
+        pixelDepth: view.getUint32(KTX2_HEADER_OFFSET_PIXEL_DEPTH, true),
+        layerCount: view.getUint32(KTX2_HEADER_OFFSET_LAYER_COUNT, true),
+        faceCount: view.getUint32(KTX2_HEADER_OFFSET_FACE_COUNT, true),
+        levelCount: view.getUint32(KTX2_HEADER_OFFSET_LEVEL_COUNT, true),
+        supercompressionScheme: view.getUint32(KTX2_HEADER_OFFSET_SUPERCOMPRESSION, true),
+        dfdByteOffset: view.getUint32(KTX2_HEADER_OFFSET_DFD_OFFSET, true),
+        dfdByteLength: view.getUint32(KTX2_HEADER_OFFSET_DFD_LENGTH, true),
+        kvdByteOffset: view.getUint32(KTX2_HEADER_OFFSET_KVD_OFFSET, true),
+        kvdByteLength: view.getUint32(KTX2_HEADER_OFFSET_KVD_LENGTH, true),
+        sgdByteOffset: getUint64(view, KTX2_HEADER_OFFSET_SGD_OFFSET),
+        sgdByteLength: getUint64(view, KTX2_HEADER_OFFSET_SGD_LENGTH),
+        levels: [],
+        keyValue: {}
+    };
+
+    if (!container.pixelWidth || (container.faceCount !== 1 && container.faceCount !== 6))
+    {
+        throw new ErrResourceFormatInvalid({
+            format: "KTX2",
+            reason: "invalid dimensions"
+        });
+    }
+
+    // A level count of zero requests mip generation
+    const levelCount = Math.max(1, container.levelCount);
+    if (KTX2_HEADER_SIZE + levelCount * KTX2_LEVEL_INDEX_ENTRY_SIZE > byteLength)
+    {
+        throw new ErrResourceFormatInvalid({
+            format: "KTX2",
+            reason: "level index out of bounds"
+        });
+    }
+
+    for (let i = 0; i < levelCount; i++)
+    {
+        const
+            entry = KTX2_HEADER_SIZE + i * KTX2_LEVEL_INDEX_ENTRY_SIZE,
+            level = {
+                byteOffset: getUint64(view, entry),
+                byteLength: getUint64(view, entry + 8),
+                uncompressedByteLength: getUint64(view, entry + 16),
+                width: Math.max(1, container.pixelWidth >> i),
+                height: Math.max(1, container.pixelHeight >> i)
+            };
+
+        if (level.byteOffset + level.byteLength > byteLength)
+        {
+            throw new ErrResourceFormatInvalid({
+                format: "KTX2",
+                reason: `level ${i} out of bounds`
+            });
+        }
+
+        container.levels.push(level);
+    }
+
+    readKeyValueData(bytes, container.kvdByteOffset, container.kvdByteLength, container.keyValue);
+
+    return container;
+}
+
+/**
+ * Gets texture info from a ktx2 container in the same form as dds info
+ * - Doesn't require a webgl context, extension support is checked with the optional getExtension function
+ * @param {Object|ArrayBuffer} container  - A container from readKTX2, or the raw data
+ * @param {Number} [glVersion=2]          - The webgl version to get info for
+ * @param {Function} [getExtension]       - Gets a webgl extension by it's name
+ * @returns {Object} info
+ */
+export function getKTX2Info(container, glVersion = 2, getExtension = () => null)
+{
+    if (!container.levels)
+    {
+        container = readKTX2(container);
+    }
+
+    const {
+        vkFormat,
+        pixelWidth: width,
+        pixelHeight,
+        pixelDepth,
+        layerCount,
+        faceCount,
+        levelCount,
+        supercompressionScheme,
+        levels,
+        keyValue
+    } = container;
+
+    const
+        height = Math.max(1, pixelHeight),
+        layers = Math.max(1, layerCount),
+        isCube = faceCount === 6,
+        isArray = layerCount > 0;
+
+    const info = {
+        vkFormat,
+        width,
+        height,
+        depth: pixelDepth,
+        isCube,
+        isArray,
+        layers,
+        faces: faceCount,
+        name: "KTX2",
+        isPowerOfTwo: isPowerOfTwo(width) && isPowerOfTwo(height),
+        isVolume: pixelDepth > 0,
+        mipmaps: levels.length,
+        generateMipmaps: levelCount === 0,
+        supercompression: KTX2_SUPERCOMPRESSION[supercompressionScheme] || supercompressionScheme,
+        format: null,
+        type: null,
+        internalFormat: null,
+        target: isArray ? GL_TEXTURE_2D_ARRAY : isCube ? GL_TEXTURE_CUBE_MAP : GL_TEXTURE_2D,
+        isCompressed: false,
+        clientSupport: false,
+        blockBytes: 0,
+        bytesPerPixel: 0,
+        orientation: keyValue["KTXorientation"] || null,
+        levels: levels.map(x => Object.assign({}, x, { faceByteLength: x.byteLength / (layers * faceCount) }))
+    };
+
+    // Basis universal must be transcoded to a gpu format before it can be used
+    if (vkFormat === VK_FORMAT_UNDEFINED)
+    {
+        info.name = "Basis Universal";
+        return info;
+    }
+
+    const description = VK_FORMATS[vkFormat];
+    if (!description)
+    {
+        info.name = `VkFormat ${vkFormat}`;
+        return info;
+    }
+
+    info.name = description.name;
+    info.isCompressed = description.isCompressed;
+    info.blockBytes = description.blockBytes;
+    info.bytesPerPixel = description.bytesPerPixel;
+    info.format = description.format;
+    info.type = description.type;
+
+    if (supercompressionScheme !== KTX2_SUPERCOMPRESSION_NONE)
+    {
+        return info;
+    }
+
+    if (description.isCompressed)
+    {
+        const ext = getExtension(description.extension);
+        info.internalFormat = ext ? description.internalFormat : null;
+        info.clientSupport = !!info.internalFormat;
+    }
+    else if (glVersion > 1)
+    {
+        info.internalFormat = description.internalFormat;
+        info.clientSupport = true;
+    }
+    else if (description.webgl1)
+    {
+        info.internalFormat = description.format;
+        info.clientSupport = true;
+    }
+
+    // Volumes and arrays are only supported by webgl2
+    if ((info.isVolume || info.isArray) && glVersion < 2)
+    {
+        info.clientSupport = false;
+    }
+
+    return info;
+}
+
+/**
+ * Checks a ktx2 container's info can be uploaded, throwing if it can't
+ * @param {Object} info
+ * @throws {ErrResourceFormatUnsupported}
+ */
+export function assertKTX2Info(info)
+{
+    if (info.vkFormat === VK_FORMAT_UNDEFINED)
+    {
+        throw new ErrResourceFormatUnsupported({
+            format: "KTX2",
+            reason: "Basis Universal textures must be transcoded offline",
+            data: info
+        });
+    }
+
+    if (info.supercompression !== KTX2_SUPERCOMPRESSION[KTX2_SUPERCOMPRESSION_NONE])
+    {
+        throw new ErrResourceFormatUnsupported({
+            format: "KTX2",
+            reason: `supercompression ${info.supercompression}`,
+            data: info
+        });
+    }
+
+    if (info.isVolume || (info.isCube && info.isArray))
+    {
+        throw new ErrResourceFormatUnsupported({
+            format: "KTX2",
+            reason: info.isVolume ? "volume textures" : "cube map arrays",
+            data: info
+        });
+    }
+
+    if (!info.clientSupport)
+    {
+        throw new ErrResourceFormatUnsupported({
+            format: "KTX2",
+            reason: info.name,
+            data: info
+        });
+    }
+}
+
+/**
+ * Reads ktx2 key value data
+ * @param {Uint8Array} bytes
+ * @param {Number} byteOffset
+ * @param {Number} byteLength
+ * @param {Object} [out={}]
+ * @returns {Object} out
+ */
+function readKeyValueData(bytes, byteOffset, byteLength, out = {})
+{
+    const
+        view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        end = Math.min(byteOffset + byteLength, bytes.byteLength);
+
+    let offset = byteOffset;
+    while (offset + 4 <= end)
+    {
+        const
+            length = view.getUint32(offset, true),
+            start = offset + 4;
+
+        let nul = start;
+        while (nul < start + length && bytes[nul] !== 0) nul++;
+
+        const key = decodeString(bytes, start, nul);
+        let value = bytes.subarray(nul + 1, start + length);
+
+        // Strings are null terminated
+        if (value.length && value[value.length - 1] === 0)
+        {
+            value = decodeString(value, 0, value.length - 1);
+        }
+
+        out[key] = value;
+
+        // Each pair is padded to 4 bytes
+        offset = start + length + (4 - length % 4) % 4;
+    }
+
+    return out;
+}
+
+/**
+ * Utf8 string decoder
+ * @type {TextDecoder}
+ */
+const stringDecoder = new TextDecoder("utf-8");
+
+/**
+ * Decodes an ascii/utf8 string
+ * @param {Uint8Array} bytes
+ * @param {Number} start
+ * @param {Number} end
+ * @returns {String}
+ */
+function decodeString(bytes, start, end)
+{
+    return stringDecoder.decode(bytes.subarray(start, end));
+}
+
+/**
+ * Gets an unsigned 64 bit integer
+ * @param {DataView} view
+ * @param {Number} offset
+ * @returns {Number}
+ */
+function getUint64(view, offset)
+{
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 4294967296;
+}
+
+/**
+ * Checks if a number is a power of two
+ * @param {Number} a
+ * @returns {Boolean}
+ */
+function isPowerOfTwo(a)
+{
+    return (a & (a - 1)) === 0;
+}
@@ -1,3 +1,4 @@
+export * from "./Tr2LodResource";
 export * from "./Tw2AudioRes";
 export * from "./Tw2EffectRes";
 export * from "./Tw2GeometryRes";
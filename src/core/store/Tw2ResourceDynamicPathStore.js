@@ -1,38 +1,109 @@
 import { Tw2GenericStore } from "./Tw2GenericStore";
-import { isArray } from "utils";
-import { Tw2ResourcePathStore } from "./Tw2ResourcePathStore";
+import { isFunction, isString } from "utils";
+import { Tw2Error } from "../Tw2Error";
 
 
 export class Tw2ResourceDynamicPathStore extends Tw2GenericStore
 {
 
     /**
-     * Checks if a value is a valid store value
-     * @param {*} value
+     * Sets a generator
+     * - Generator names are case insensitive
+     * @param {String} key
+     * @param {Function} value
+     * @returns {Function}
+     */
+    Set(key, value)
+    {
+        return super.Set(Tw2ResourceDynamicPathStore.normalizeKey(key), value);
+    }
+
+    /**
+     * Gets a generator
+     * @param {String} key
+     * @returns {Function}
+     */
+    Get(key)
+    {
+        return super.Get(Tw2ResourceDynamicPathStore.normalizeKey(key));
+    }
+
+    /**
+     * Checks if a generator exists
+     * @param {String} key
      * @returns {boolean}
      */
-    static isValue(value)
+    Has(key)
     {
-        return isArray(value);
+        return super.Has(Tw2ResourceDynamicPathStore.normalizeKey(key));
     }
 
     /**
-     * Fires before setting a store key value
-     * @param {Array} paths
-     * @returns {Array}
+     * Resolves a dynamic path into it's generator and arguments
+     * - "dynamic:/checker/256/8.png" resolves to the "checker" generator with the arguments [ "256", "8" ]
+     * - Only the prefix is case insensitive, the name and arguments are kept as given
+     * @param {String} path
+     * @returns {{ name: String, args: Array<String>, generator: Function }}
+     * @throws {ErrStoreDynamicPathInvalid} When the path isn't a valid dynamic path
+     * @throws {ErrStoreKeyUnregistered} When the path's generator isn't registered
      */
-    static onBefore(paths)
+    Resolve(path)
     {
-        paths = Array.from(paths);
+        const { prefix } = Tw2ResourceDynamicPathStore;
+
+        path = path.replace(/\\/g, "/");
 
-        for (let i = 0; i < paths.length; i++)
+        if (path.substr(0, prefix.length).toLowerCase() !== prefix)
         {
-            paths[i] = Tw2ResourcePathStore.normalizePath(paths[i]);
+            throw new ErrStoreDynamicPathInvalid({ path });
         }
 
-        return paths;
+        let args = path.substr(prefix.length).split("/");
+
+        // Strip the extension, it only identifies the resource type
+        const
+            last = args.length - 1,
+            dot = args[last].lastIndexOf(".");
+
+        if (dot !== -1) args[last] = args[last].substr(0, dot);
+
+        args = args.filter(x => x !== "");
+
+        const name = args.shift();
+        if (!name)
+        {
+            throw new ErrStoreDynamicPathInvalid({ path });
+        }
+
+        return { name, args, generator: this.Get(name) };
+    }
+
+    /**
+     * Normalizes a generator name
+     * @param {*} key
+     * @returns {*}
+     */
+    static normalizeKey(key)
+    {
+        return isString(key) ? key.toLowerCase() : key;
+    }
+
+    /**
+     * Checks if a value is a valid store value
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isValue(value)
+    {
+        return isFunction(value);
     }
 
+    /**
+     * Dynamic path prefix
+     * @type {string}
+     */
+    static prefix = "dynamic:/";
+
     /**
      * The store's name
      * @type {string}
@@ -40,3 +111,14 @@ export class Tw2ResourceDynamicPathStore extends Tw2GenericStore
     static storeName = "Dynamic resource path";
 
 }
+
+/**
+ * Throws when a dynamic resource path is invalid
+ */
+export class ErrStoreDynamicPathInvalid extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Invalid dynamic resource path");
+    }
+}
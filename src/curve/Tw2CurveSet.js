@@ -1,4 +1,6 @@
 import { meta } from "utils";
+import { device } from "global";
+import { Tw2Error } from "core";
 
 
 @meta.type("Tw2CurveSet", "TriCurveSet")
@@ -17,14 +19,12 @@ export class Tw2CurveSet extends meta.Model
     @meta.boolean
     playOnLoad = true;
 
-    @meta.notImplemented
-    @meta.list("TriCurveSetRange")
+    @meta.list("Tw2CurveSetRange")
     ranges = [];
 
     @meta.float
     scale = 1;
 
-    @meta.notImplemented
     @meta.boolean
     useSimTimeRebase = false;
 
@@ -33,6 +33,10 @@ export class Tw2CurveSet extends meta.Model
 
 
     _isPlaying = false;
+    _range = null;
+    _looped = false;
+    _rebaseTime = 0;
+    _rebaseSimTime = 0;
 
 
     /**
@@ -46,13 +50,32 @@ export class Tw2CurveSet extends meta.Model
         }
     }
 
+    /**
+     * Checks if the curve set is playing
+     * @returns {Boolean}
+     */
+    IsPlaying()
+    {
+        return this._isPlaying;
+    }
+
+    /**
+     * Gets the currently playing range
+     * @returns {?Tw2CurveSetRange}
+     */
+    GetCurrentRange()
+    {
+        return this._range;
+    }
+
     /**
      * Plays the Tw2CurveSet
      */
     Play()
     {
+        this._range = null;
         this._isPlaying = true;
-        this.scaledTime = 0;
+        this.RebaseTime(0);
     }
 
     /**
@@ -61,8 +84,32 @@ export class Tw2CurveSet extends meta.Model
      */
     PlayFrom(time = 0)
     {
+        this._range = null;
         this._isPlaying = true;
-        this.scaledTime = time * this.scale;
+        this.RebaseTime(time * this.scale);
+    }
+
+    /**
+     * Plays a named range
+     * - Looping ranges play until stopped or another range is played
+     * - Emits "range_looped" each time a looping range wraps, and "range_completed" when a range finishes
+     * @param {String} name
+     * @param {Boolean} [looped] - overrides the range's looped setting
+     * @throws {ErrCurveSetRangeNotFound} when the range doesn't exist
+     */
+    PlayRange(name, looped)
+    {
+        const range = this.GetRangeByName(name);
+        if (!range)
+        {
+            throw new ErrCurveSetRangeNotFound({ name, curveSet: this.name });
+        }
+
+        this._range = range;
+        this._looped = looped === undefined ? range.looped : looped;
+        this._isPlaying = true;
+        this.RebaseTime(range.startTime);
+        this.EmitEvent("range_started", this, range);
     }
 
     /**
@@ -73,6 +120,18 @@ export class Tw2CurveSet extends meta.Model
         this._isPlaying = false;
     }
 
+    /**
+     * Sets the curve set's time
+     * - Curve sets that use sim time rebase measure further playback from the current simulation time
+     * @param {Number} time
+     */
+    RebaseTime(time)
+    {
+        this.scaledTime = time;
+        this._rebaseTime = time;
+        this._rebaseSimTime = device.currentTime || 0;
+    }
+
     /**
      * Internal render/update function which is called every frame
      * @param {Number} dt - Delta Time
@@ -81,7 +140,39 @@ export class Tw2CurveSet extends meta.Model
     {
         if (this._isPlaying)
         {
-            this.scaledTime += dt * this.scale;
+            if (this.useSimTimeRebase)
+            {
+                this.scaledTime = this._rebaseTime + ((device.currentTime || 0) - this._rebaseSimTime) * this.scale;
+            }
+            else
+            {
+                this.scaledTime += dt * this.scale;
+            }
+
+            const range = this._range;
+            let completed = false;
+
+            if (range)
+            {
+                const
+                    startTime = range.startTime,
+                    endTime = range.GetEndTime(this.GetMaxCurveDuration()),
+                    duration = endTime - startTime;
+
+                if (this.scaledTime >= endTime)
+                {
+                    if (this._looped && duration > 0)
+                    {
+                        this.RebaseTime(startTime + (this.scaledTime - startTime) % duration);
+                        this.EmitEvent("range_looped", this, range);
+                    }
+                    else
+                    {
+                        this.scaledTime = endTime;
+                        completed = true;
+                    }
+                }
+            }
 
             for (let i = 0; i < this.curves.length; ++i)
             {
@@ -92,6 +183,13 @@ export class Tw2CurveSet extends meta.Model
             {
                 this.bindings[i].CopyValue();
             }
+
+            if (completed)
+            {
+                this._isPlaying = false;
+                this._range = null;
+                this.EmitEvent("range_completed", this, range);
+            }
         }
     }
 
@@ -131,3 +229,15 @@ export class Tw2CurveSet extends meta.Model
     }
 
 }
+
+
+/**
+ * Throws when a curve set range cannot be found
+ */
+export class ErrCurveSetRangeNotFound extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Curve set range not found (%curveSet=unknown%: %name%)");
+    }
+}
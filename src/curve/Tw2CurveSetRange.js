@@ -0,0 +1,31 @@
+import { meta } from "utils";
+
+
+@meta.type("Tw2CurveSetRange", "TriCurveSetRange")
+export class Tw2CurveSetRange extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.float
+    endTime = 0;
+
+    @meta.boolean
+    looped = false;
+
+    @meta.float
+    startTime = 0;
+
+    /**
+     * Gets the range's end time
+     * - Ranges without a valid end time run until the given duration
+     * @param {Number} [duration=0]
+     * @returns {Number}
+     */
+    GetEndTime(duration = 0)
+    {
+        return this.endTime > this.startTime ? this.endTime : Math.max(this.startTime, duration);
+    }
+
+}
@@ -0,0 +1,137 @@
+import { meta } from "utils";
+import { Tw2Curve } from "./Tw2Curve";
+import { Tw2Expression } from "../expression/Tw2Expression";
+
+
+@meta.type("Tr2ScalarExprCurve")
+export class Tr2ScalarExprCurve extends Tw2Curve
+{
+
+    @meta.float
+    input1 = 0;
+
+    @meta.float
+    input2 = 0;
+
+    @meta.float
+    input3 = 0;
+
+    @meta.float
+    @meta.isPrivate
+    value = 0;
+
+    @meta.float
+    @meta.isPrivate
+    currentValue = 0;
+
+    @meta.uint
+    cycle = 0;
+
+    @meta.uint
+    @meta.isPrivate
+    length = 0;
+
+    @meta.string
+    name = "";
+
+    @meta.expression
+    expr = "";
+
+    _expression = null;
+    _compiledExpr = null;
+    _scope = { time: 0, input1: 0, input2: 0, input3: 0 };
+
+    /**
+     * Initializes the curve
+     */
+    Initialize()
+    {
+        this.Compile();
+        super.Initialize();
+    }
+
+    /**
+     * Fires on value changes
+     * - The expression is only recompiled when it has changed
+     */
+    OnValueChanged()
+    {
+        if (this.expr !== this._compiledExpr) this.Compile();
+    }
+
+    /**
+     * Compiles the curve's expression
+     * - Expressions that fail to compile are logged and evaluate to zero
+     */
+    Compile()
+    {
+        this._compiledExpr = this.expr;
+        this._expression = Tw2Expression.TryCompile(this.expr, Tr2ScalarExprCurve.variables, this);
+    }
+
+    /**
+     * Gets the curve's length
+     * @returns {number}
+     */
+    GetLength()
+    {
+        return this.length;
+    }
+
+    /**
+     * Gets a value at a specific time
+     * - Cycling curves wrap time by their length
+     * @param {Number} time
+     * @returns {Number}
+     */
+    GetValueAt(time)
+    {
+        if (!this._expression) return 0;
+
+        if (this.cycle && this.length > 0)
+        {
+            time = time % this.length;
+        }
+
+        const scope = this._scope;
+        scope.time = time;
+        scope.input1 = this.input1;
+        scope.input2 = this.input2;
+        scope.input3 = this.input3;
+        return this._expression.Evaluate(scope);
+    }
+
+    /**
+     * Updates the current value at a specific time
+     * @param {number} time
+     */
+    UpdateValue(time)
+    {
+        this.currentValue = this.value = this.GetValueAt(time);
+    }
+
+    /**
+     * The variables the curve's expression can reference
+     * @type {Array<String>}
+     */
+    static variables = [ "time", "input1", "input2", "input3" ];
+
+    /**
+     * The curve's dimension
+     * @type {number}
+     */
+    static outputDimension = 1;
+
+    /**
+     * The curve's current value property
+     * @type {String}
+     */
+    static valueProperty = "currentValue";
+
+    /**
+     * The curve's type
+     * @type {number}
+     */
+    static curveType = Tw2Curve.Type.EXPRESSION;
+
+}
@@ -1,4 +1,5 @@
 export * from "./Tw2EventCurve";
 export * from "./Tw2PerlinCurve";
+export * from "./Tr2ScalarExprCurve";
 export * from "./Tw2Curve";
 export * from "./legacy";
@@ -3,7 +3,6 @@ import { quat } from "math";
 import { Tw2CurveExpression } from "./Tw2CurveExpression";
 
 
-@meta.notImplemented
 @meta.type("Tr2CurveEulerRotationExpression")
 export class Tr2CurveEulerRotationExpression extends Tw2CurveExpression
 {
@@ -31,6 +30,38 @@ export class Tr2CurveEulerRotationExpression extends Tw2CurveExpression
     currentValue = quat.create();
 
 
+    /**
+     * Gets a value at a specific time
+     * - Yaw, pitch and roll are in radians
+     * @param {Number} time
+     * @param {quat} [value=quat.create()]
+     * @returns {quat} value
+     */
+    GetValueAt(time, value = quat.create())
+    {
+        this.UpdateScope(time);
+
+        const
+            yaw = this.EvaluateProperty("expressionYaw"),
+            pitch = this.EvaluateProperty("expressionPitch"),
+            roll = this.EvaluateProperty("expressionRoll");
+
+        const
+            sinYaw = Math.sin(yaw / 2.0),
+            cosYaw = Math.cos(yaw / 2.0),
+            sinPitch = Math.sin(pitch / 2.0),
+            cosPitch = Math.cos(pitch / 2.0),
+            sinRoll = Math.sin(roll / 2.0),
+            cosRoll = Math.cos(roll / 2.0);
+
+        value[0] = sinYaw * cosPitch * sinRoll + cosYaw * sinPitch * cosRoll;
+        value[1] = sinYaw * cosPitch * cosRoll - cosYaw * sinPitch * sinRoll;
+        value[2] = cosYaw * cosPitch * sinRoll - sinYaw * sinPitch * cosRoll;
+        value[3] = cosYaw * cosPitch * cosRoll + sinYaw * sinPitch * sinRoll;
+
+        return value;
+    }
+
     /**
      * The expressions's curve input dimension
      * @type {number}
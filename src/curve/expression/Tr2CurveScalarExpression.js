@@ -2,7 +2,6 @@ import { Tw2CurveExpression } from "./Tw2CurveExpression";
 import { meta } from "utils";
 
 
-@meta.notImplemented
 @meta.type("Tr2CurveScalarExpression")
 export class Tr2CurveScalarExpression extends Tw2CurveExpression
 {
@@ -32,6 +31,17 @@ export class Tr2CurveScalarExpression extends Tw2CurveExpression
     @meta.isPrivate
     currentValue = 0;
 
+    /**
+     * Gets a value at a specific time
+     * @param {Number} time
+     * @returns {Number}
+     */
+    GetValueAt(time)
+    {
+        this.UpdateScope(time);
+        return this.EvaluateProperty("expression");
+    }
+
     /**
      * The expressions's curve input dimension
      * @type {number}
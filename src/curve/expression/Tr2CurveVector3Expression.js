@@ -3,7 +3,6 @@ import { vec3 } from "math";
 import { Tw2CurveExpression } from "./Tw2CurveExpression";
 
 
-@meta.notImplemented
 @meta.type("Tr2CurveVector3Expression")
 export class Tr2CurveVector3Expression extends Tw2CurveExpression
 {
@@ -28,6 +27,21 @@ export class Tr2CurveVector3Expression extends Tw2CurveExpression
     currentValue = vec3.create();
 
 
+    /**
+     * Gets a value at a specific time
+     * @param {Number} time
+     * @param {vec3} [value=vec3.create()]
+     * @returns {vec3} value
+     */
+    GetValueAt(time, value = vec3.create())
+    {
+        this.UpdateScope(time);
+        value[0] = this.EvaluateProperty("expressionX");
+        value[1] = this.EvaluateProperty("expressionY");
+        value[2] = this.EvaluateProperty("expressionZ");
+        return value;
+    }
+
     /**
      * The expressions's curve input dimension
      * @type {number}
@@ -0,0 +1,199 @@
+import { meta } from "utils";
+import { Tw2Curve } from "../curve/Tw2Curve";
+import { Tw2Expression } from "./Tw2Expression";
+
+
+@meta.type("Tw2CurveExpression")
+export class Tw2CurveExpression extends Tw2Curve
+{
+
+    @meta.string
+    name = "";
+
+    @meta.list()
+    inputs = [];
+
+    _expressions = {};
+    _compiledSources = null;
+    _scope = {};
+
+    /**
+     * Initializes the curve
+     */
+    Initialize()
+    {
+        this.Compile();
+        super.Initialize();
+    }
+
+    /**
+     * Fires on value changes
+     * - Expressions are only recompiled when they, or the input curve names they can reference, have changed
+     */
+    OnValueChanged()
+    {
+        if (!this.IsCompiled()) this.Compile();
+    }
+
+    /**
+     * Checks if the curve's expressions are compiled from their current sources and variables
+     * @returns {Boolean}
+     */
+    IsCompiled()
+    {
+        const sources = this._compiledSources;
+        if (!sources || sources.variables !== this.GetVariableNames().join()) return false;
+
+        const { childProperties } = this.constructor;
+        for (let i = 0; i < childProperties.length; i++)
+        {
+            if (sources[childProperties[i]] !== this[childProperties[i]]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Compiles the curve's expressions
+     * - Expressions that fail to compile are logged and evaluate to zero
+     */
+    Compile()
+    {
+        const
+            variables = this.GetVariableNames(),
+            { childProperties } = this.constructor;
+
+        this._expressions = {};
+        this._compiledSources = { variables: variables.join() };
+        for (let i = 0; i < childProperties.length; i++)
+        {
+            const property = childProperties[i];
+            this._compiledSources[property] = this[property];
+            this._expressions[property] = Tw2Expression.TryCompile(this[property], variables, this);
+        }
+    }
+
+    /**
+     * Gets the names of the variables the curve's expressions can reference
+     * - "time" is the curve time
+     * - "input1" to "input3" are the values of the first three input curves, or the curve's input values
+     * - Input curves can also be referenced by name
+     * @returns {Array<String>}
+     */
+    GetVariableNames()
+    {
+        const names = [ "time", "input1", "input2", "input3" ];
+        for (let i = 0; i < this.inputs.length; i++)
+        {
+            const { name } = this.inputs[i];
+            if (name && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !names.includes(name))
+            {
+                names.push(name);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Updates the expression scope for a specific time
+     * @param {Number} time
+     * @returns {Object} scope
+     */
+    UpdateScope(time)
+    {
+        const scope = this._scope;
+        scope.time = time;
+
+        for (let i = 1; i <= 3; i++)
+        {
+            const key = "input" + i;
+            scope[key] = key in this ? this[key] : 0;
+        }
+
+        for (let i = 0; i < this.inputs.length; i++)
+        {
+            const
+                input = this.inputs[i],
+                value = Tw2CurveExpression.GetInputValue(input, time);
+
+            if (input.name) scope[input.name] = value;
+            if (i < 3) scope["input" + (i + 1)] = value;
+        }
+
+        return scope;
+    }
+
+    /**
+     * Evaluates an expression property with the current scope
+     * @param {String} property
+     * @returns {Number}
+     */
+    EvaluateProperty(property)
+    {
+        const expression = this._expressions[property];
+        return expression ? expression.Evaluate(this._scope) : 0;
+    }
+
+    /**
+     * Gets the curve's length
+     * @returns {Number}
+     */
+    GetLength()
+    {
+        let length = 0;
+        for (let i = 0; i < this.inputs.length; i++)
+        {
+            if (this.inputs[i].GetLength)
+            {
+                length = Math.max(length, this.inputs[i].GetLength() || 0);
+            }
+        }
+        return length;
+    }
+
+    /**
+     * Gets a value at a specific time
+     * @param {Number} time
+     * @param {*} [value]
+     * @returns {*}
+     */
+    GetValueAt(time, value)
+    {
+        return value;
+    }
+
+    /**
+     * Updates the current value at a specific time
+     * @param {number} time
+     */
+    UpdateValue(time)
+    {
+        this.currentValue = this.GetValueAt(time, this.currentValue);
+    }
+
+    /**
+     * Gets an input curve's scalar value at a specific time
+     * - Vector curves use their first component
+     * @param {Tw2Curve} input
+     * @param {Number} time
+     * @returns {Number}
+     */
+    static GetInputValue(input, time)
+    {
+        if (input.UpdateValue) input.UpdateValue(time);
+        const value = input[input.constructor.valueProperty || "currentValue"];
+        return Number(value && value.length !== undefined ? value[0] : value) || 0;
+    }
+
+    /**
+     * The expression's property names
+     * @type {Array<string>}
+     */
+    static childProperties = [];
+
+    /**
+     * Curve type
+     * @type {number}
+     */
+    static curveType = Tw2Curve.Type.EXPRESSION;
+
+}
@@ -0,0 +1,542 @@
+import { num, noise } from "math";
+import { tw2 } from "global";
+import { Tw2Error } from "core";
+
+
+/**
+ * Tw2Expression
+ * - Compiles an expression string into a tree of closures once, without using eval or Function
+ * - Supports numbers, variables, constants, function calls, arithmetic (+ - * / % ^), comparisons,
+ *   logical operators (&& || ! and, or, not) and the ternary operator
+ *
+ * @property {String} source           - The expression's source
+ * @property {Array<String>} variables - The variables the expression may reference
+ */
+export class Tw2Expression
+{
+
+    source = "";
+    variables = [];
+
+    _evaluate = null;
+
+    /**
+     * Constructor
+     * @param {String} source
+     * @param {Array<String>} [variables=[]]
+     * @throws {ErrExpressionSyntax|ErrExpressionIdentifier|ErrExpressionFunction} when the expression is invalid
+     */
+    constructor(source, variables = [])
+    {
+        this.source = source;
+        this.variables = variables;
+        this._evaluate = new Parser(source, variables).Parse();
+    }
+
+    /**
+     * Evaluates the expression
+     * @param {Object} scope - variable values by name
+     * @returns {Number}
+     */
+    Evaluate(scope)
+    {
+        const value = this._evaluate(scope);
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    /**
+     * Compiles an expression
+     * - Empty expressions evaluate to zero
+     * @param {String} source
+     * @param {Array<String>} [variables]
+     * @returns {Tw2Expression}
+     */
+    static Compile(source, variables)
+    {
+        return new Tw2Expression(source && source.trim() ? source : "0", variables);
+    }
+
+    /**
+     * Compiles an expression, logging any errors instead of throwing them
+     * @param {String} source
+     * @param {Array<String>} [variables]
+     * @param {*} [emitter] - an optional emitter to emit errors on
+     * @returns {?Tw2Expression}
+     */
+    static TryCompile(source, variables, emitter)
+    {
+        try
+        {
+            return Tw2Expression.Compile(source, variables);
+        }
+        catch (err)
+        {
+            tw2.Error(err);
+            if (err instanceof Tw2Error) err.emitOn(emitter);
+            return null;
+        }
+    }
+
+    /**
+     * Constants which are resolved when an expression is compiled
+     * @type {Object<String, Number>}
+     */
+    static constants = {
+        pi: Math.PI,
+        e: Math.E,
+        true: 1,
+        false: 0
+    };
+
+    /**
+     * Supported functions and their argument counts
+     * @type {Object<String, {fn: Function, min: Number, max: Number}>}
+     */
+    static functions = {
+        abs: { fn: Math.abs, min: 1, max: 1 },
+        acos: { fn: Math.acos, min: 1, max: 1 },
+        asin: { fn: Math.asin, min: 1, max: 1 },
+        atan: { fn: Math.atan, min: 1, max: 1 },
+        atan2: { fn: Math.atan2, min: 2, max: 2 },
+        ceil: { fn: Math.ceil, min: 1, max: 1 },
+        clamp: { fn: num.clamp, min: 3, max: 3 },
+        cos: { fn: Math.cos, min: 1, max: 1 },
+        degrees: { fn: a => a * num.RAD2DEG, min: 1, max: 1 },
+        exp: { fn: Math.exp, min: 1, max: 1 },
+        floor: { fn: Math.floor, min: 1, max: 1 },
+        fmod: { fn: (a, b) => b ? a % b : 0, min: 2, max: 2 },
+        frac: { fn: a => a - Math.floor(a), min: 1, max: 1 },
+        if: { fn: (c, a, b) => c ? a : b, min: 3, max: 3 },
+        lerp: { fn: (a, b, t) => a + (b - a) * t, min: 3, max: 3 },
+        log: { fn: Math.log, min: 1, max: 1 },
+        log10: { fn: Math.log10, min: 1, max: 1 },
+        max: { fn: Math.max, min: 2, max: Infinity },
+        min: { fn: Math.min, min: 2, max: Infinity },
+        noise: { fn: (x, octaves = 1) => noise.perlin1D(x, 2, 2, Math.max(1, octaves)), min: 1, max: 2 },
+        pow: { fn: Math.pow, min: 2, max: 2 },
+        radians: { fn: a => a * num.DEG2RAD, min: 1, max: 1 },
+        round: { fn: Math.round, min: 1, max: 1 },
+        saturate: { fn: a => num.clamp(a, 0, 1), min: 1, max: 1 },
+        sign: { fn: Math.sign, min: 1, max: 1 },
+        sin: { fn: Math.sin, min: 1, max: 1 },
+        smoothstep: { fn: (min, max, a) => num.smoothStep(a, min, max), min: 3, max: 3 },
+        sqrt: { fn: Math.sqrt, min: 1, max: 1 },
+        step: { fn: (edge, a) => a >= edge ? 1 : 0, min: 2, max: 2 },
+        tan: { fn: Math.tan, min: 1, max: 1 }
+    };
+
+}
+
+
+/**
+ * Gets an object's own property
+ * @param {Object} obj
+ * @param {String} key
+ * @returns {*}
+ */
+function getOwn(obj, key)
+{
+    return Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined;
+}
+
+/**
+ * Word operators and their symbolic equivalents
+ * @type {Object<String, String>}
+ */
+const WORD_OPERATORS = {
+    and: "&&",
+    or: "||",
+    not: "!"
+};
+
+/**
+ * Symbolic operators, longest first
+ * @type {Array<String>}
+ */
+const OPERATORS = [ "**", "<=", ">=", "==", "!=", "&&", "||", "+", "-", "*", "/", "%", "^", "<", ">", "!", "?", ":", "(", ")", "," ];
+
+/**
+ * Binary operator precedence, from lowest to highest
+ * @type {Array<Object<String, Function>>}
+ */
+const BINARY_OPERATORS = [
+    {
+        "||": (a, b) => a || b ? 1 : 0
+    },
+    {
+        "&&": (a, b) => a && b ? 1 : 0
+    },
+    {
+        "==": (a, b) => a === b ? 1 : 0,
+        "!=": (a, b) => a !== b ? 1 : 0
+    },
+    {
+        "<": (a, b) => a < b ? 1 : 0,
+        "<=": (a, b) => a <= b ? 1 : 0,
+        ">": (a, b) => a > b ? 1 : 0,
+        ">=": (a, b) => a >= b ? 1 : 0
+    },
+    {
+        "+": (a, b) => a + b,
+        "-": (a, b) => a - b
+    },
+    {
+        "*": (a, b) => a * b,
+        "/": (a, b) => a / b,
+        "%": (a, b) => a % b
+    }
+];
+
+
+/**
+ * Recursive descent expression parser
+ */
+class Parser
+{
+
+    source = "";
+    variables = null;
+    tokens = [];
+    index = 0;
+
+    /**
+     * Constructor
+     * @param {String} source
+     * @param {Array<String>} variables
+     */
+    constructor(source, variables)
+    {
+        this.source = source;
+        this.variables = variables;
+        this.tokens = this.Tokenize(source);
+    }
+
+    /**
+     * Parses the source into an evaluation function
+     * @returns {Function}
+     */
+    Parse()
+    {
+        const node = this.ParseTernary();
+        if (this.Peek()) this.Fail("Unexpected token '%token%'", this.Peek());
+        return node;
+    }
+
+    /**
+     * Splits the source into tokens
+     * @param {String} source
+     * @returns {Array<{type: String, value: *, position: Number}>}
+     */
+    Tokenize(source)
+    {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length)
+        {
+            const char = source[i];
+
+            if (/\s/.test(char))
+            {
+                i++;
+                continue;
+            }
+
+            const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.substring(i));
+            if (number)
+            {
+                tokens.push({ type: "number", value: parseFloat(number[0]), position: i });
+                i += number[0].length;
+                continue;
+            }
+
+            const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.substring(i));
+            if (identifier)
+            {
+                const
+                    name = identifier[0],
+                    word = getOwn(WORD_OPERATORS, name.toLowerCase());
+
+                tokens.push(word
+                    ? { type: "operator", value: word, position: i }
+                    : { type: "identifier", value: name, position: i });
+
+                i += name.length;
+                continue;
+            }
+
+            const operator = OPERATORS.find(x => source.startsWith(x, i));
+            if (!operator)
+            {
+                this.Fail("Unexpected character '%token%'", { value: char, position: i });
+            }
+
+            tokens.push({ type: "operator", value: operator === "**" ? "^" : operator, position: i });
+            i += operator.length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Peeks at the current token
+     * @returns {?{type: String, value: *, position: Number}}
+     */
+    Peek()
+    {
+        return this.tokens[this.index] || null;
+    }
+
+    /**
+     * Consumes the current token if it is the given operator
+     * @param {String} operator
+     * @returns {Boolean}
+     */
+    Accept(operator)
+    {
+        const token = this.Peek();
+        if (token && token.type === "operator" && token.value === operator)
+        {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Consumes the given operator or fails
+     * @param {String} operator
+     */
+    Expect(operator)
+    {
+        if (!this.Accept(operator))
+        {
+            const token = this.Peek() || { value: "end of expression", position: this.source.length };
+            this.Fail(`Expected '${operator}' but found '%token%'`, token);
+        }
+    }
+
+    /**
+     * Parses a ternary expression
+     * @returns {Function}
+     */
+    ParseTernary()
+    {
+        const condition = this.ParseBinary(0);
+        if (!this.Accept("?")) return condition;
+
+        const a = this.ParseTernary();
+        this.Expect(":");
+        const b = this.ParseTernary();
+
+        return scope => condition(scope) ? a(scope) : b(scope);
+    }
+
+    /**
+     * Parses binary operators at a precedence level
+     * @param {Number} level
+     * @returns {Function}
+     */
+    ParseBinary(level)
+    {
+        if (level === BINARY_OPERATORS.length) return this.ParseUnary();
+
+        const operators = BINARY_OPERATORS[level];
+        let left = this.ParseBinary(level + 1);
+
+        for (;;)
+        {
+            const token = this.Peek();
+            if (!token || token.type !== "operator" || !(token.value in operators)) return left;
+
+            this.index++;
+            const
+                a = left,
+                b = this.ParseBinary(level + 1),
+                fn = operators[token.value];
+
+            left = scope => fn(a(scope), b(scope));
+        }
+    }
+
+    /**
+     * Parses unary operators
+     * @returns {Function}
+     */
+    ParseUnary()
+    {
+        if (this.Accept("-"))
+        {
+            const a = this.ParseUnary();
+            return scope => -a(scope);
+        }
+
+        if (this.Accept("+"))
+        {
+            return this.ParseUnary();
+        }
+
+        if (this.Accept("!"))
+        {
+            const a = this.ParseUnary();
+            return scope => a(scope) ? 0 : 1;
+        }
+
+        return this.ParsePower();
+    }
+
+    /**
+     * Parses right associative powers
+     * @returns {Function}
+     */
+    ParsePower()
+    {
+        const base = this.ParsePrimary();
+        if (!this.Accept("^")) return base;
+
+        const exponent = this.ParseUnary();
+        return scope => Math.pow(base(scope), exponent(scope));
+    }
+
+    /**
+     * Parses numbers, identifiers, function calls and parentheses
+     * @returns {Function}
+     */
+    ParsePrimary()
+    {
+        const token = this.Peek();
+        if (!token) this.Fail("Unexpected end of expression", { value: "", position: this.source.length });
+
+        if (token.type === "number")
+        {
+            this.index++;
+            const value = token.value;
+            return () => value;
+        }
+
+        if (token.type === "identifier")
+        {
+            this.index++;
+            return this.Accept("(") ? this.ParseCall(token) : this.ParseIdentifier(token);
+        }
+
+        if (this.Accept("("))
+        {
+            const node = this.ParseTernary();
+            this.Expect(")");
+            return node;
+        }
+
+        this.Fail("Unexpected token '%token%'", token);
+    }
+
+    /**
+     * Parses a variable or constant
+     * @param {{type: String, value: *, position: Number}} token
+     * @returns {Function}
+     */
+    ParseIdentifier(token)
+    {
+        const name = token.value;
+
+        if (this.variables.includes(name))
+        {
+            return scope => scope[name];
+        }
+
+        const value = getOwn(Tw2Expression.constants, name.toLowerCase());
+        if (value !== undefined)
+        {
+            return () => value;
+        }
+
+        throw new ErrExpressionIdentifier({ name, expression: this.source });
+    }
+
+    /**
+     * Parses a function call's arguments
+     * @param {{type: String, value: *, position: Number}} token
+     * @returns {Function}
+     */
+    ParseCall(token)
+    {
+        const
+            name = token.value,
+            func = getOwn(Tw2Expression.functions, name.toLowerCase()),
+            args = [];
+
+        if (!this.Accept(")"))
+        {
+            do
+            {
+                args.push(this.ParseTernary());
+            }
+            while (this.Accept(","));
+
+            this.Expect(")");
+        }
+
+        if (!func || args.length < func.min || args.length > func.max)
+        {
+            throw new ErrExpressionFunction({ name, count: args.length, expression: this.source });
+        }
+
+        const
+            fn = func.fn,
+            [ a, b ] = args;
+
+        if (args.length === 1) return scope => fn(a(scope));
+        if (args.length === 2) return scope => fn(a(scope), b(scope));
+        return scope => fn(...args.map(arg => arg(scope)));
+    }
+
+    /**
+     * Throws a syntax error
+     * @param {String} message
+     * @param {?{value: *, position: Number}} token
+     * @throws {ErrExpressionSyntax}
+     */
+    Fail(message, token)
+    {
+        throw new ErrExpressionSyntax({
+            reason: message.replace("%token%", token ? token.value : ""),
+            position: token ? token.position : this.source.length,
+            expression: this.source
+        });
+    }
+
+}
+
+
+/**
+ * Throws when an expression cannot be parsed
+ */
+export class ErrExpressionSyntax extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Expression syntax error at %position%: %reason% (%expression%)");
+    }
+}
+
+/**
+ * Throws when an expression references an unknown variable
+ */
+export class ErrExpressionIdentifier extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Expression identifier '%name%' is not defined (%expression%)");
+    }
+}
+
+/**
+ * Throws when an expression calls an unknown function or uses the wrong number of arguments
+ */
+export class ErrExpressionFunction extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "Expression function '%name%' is not defined for %count% argument(s) (%expression%)");
+    }
+}
@@ -1,4 +1,5 @@
 export * from "./Tr2CurveEulerRotationExpression";
 export * from "./Tr2CurveScalarExpression";
 export * from "./Tr2CurveVector3Expression";
-export * from "./Tw2CurveExpression";
\ No newline at end of file
+export * from "./Tw2Expression";
+export * from "./Tw2CurveExpression";
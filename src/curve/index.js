@@ -1,6 +1,8 @@
+export * from "./Tw2CurveSetRange";
 export * from "./Tw2CurveSet";
 export * from "./Tw2ValueBinding";
 
 export * from "./curve";
+export * from "./expression";
 export * from "./legacy";
 export * from "./sequencer";
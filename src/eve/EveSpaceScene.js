@@ -1,6 +1,6 @@
-import { meta } from "utils";
+import { meta, isString } from "utils";
 import { device, tw2 } from "global";
-import { vec2, vec3, vec4, quat, mat4 } from "math";
+import { vec2, vec3, vec4, quat, mat4, sph3 } from "math";
 import {
     Tw2BatchAccumulator,
     Tw2RawData,
@@ -8,7 +8,8 @@ import {
     Tw2BatchAccumulator2,
     Tw2DepthRenderTarget,
     Tw2Effect,
-    Tw2PostProcess, Tw2TextureRes, Tw2TextureParameter
+    Tw2PostProcess, Tw2TextureRes, Tw2TextureParameter,
+    Tr2PointLight
 } from "core";
 import { RM_DEPTH, RM_DISTORTION, RM_OPAQUE } from "constant";
 
@@ -27,7 +28,6 @@ export class EveSpaceScene extends meta.Model
     @meta.isPrivate
     backgroundRenderingEnabled = true;
 
-    @meta.notImplemented
     @meta.boolean
     enableShadows = false;
 
@@ -92,7 +92,6 @@ export class EveSpaceScene extends meta.Model
     @meta.color
     clearColor = vec4.fromValues(0, 0, 0, 1);
 
-    @meta.notImplemented
     @meta.struct("Tw2Effect")
     shadowEffect = null;
 
@@ -154,15 +153,12 @@ export class EveSpaceScene extends meta.Model
     @meta.todo("Identify ps/vs frame data")
     shadowThreshold = 0;
 
-    @meta.notImplemented
-    @meta.struct("EveStarField")
+    @meta.struct("EveStarfield")
     starfield = null;
 
-    @meta.notImplemented
     @meta.color
     sunDiffuseColorWithDynamicLights = vec4.fromValues(1, 1, 1, 1);
 
-    @meta.notImplemented
     @meta.boolean
     useSunDiffuseColorWithDynamicLights = false;
 
@@ -177,6 +173,12 @@ export class EveSpaceScene extends meta.Model
     @meta.float
     distortionOffset = 1.28;
 
+    @meta.uint
+    shadowMapSize = 2048;
+
+    @meta.float
+    shadowBias = 0.001;
+
     @meta.boolean
     useNebulaAsReflection = true;
 
@@ -197,11 +199,13 @@ export class EveSpaceScene extends meta.Model
         environmentBlur: true,
         fog: true,
         lensflares: true,
+        lights: true,
         lineSets: true,
         objects: true,
         planets: true,
         post: true,
         shadow: true,
+        starfield: true,
     };
 
     @meta.color
@@ -218,8 +222,13 @@ export class EveSpaceScene extends meta.Model
     _shadowViewProjection = mat4.create();
     _shadowMapSettings = vec4.fromValues(1, 1, 0, 0);
     _shadowMapRes = null;
+    _shadowAccumulator = null;
+    _shadowRenderTarget = null;
+    _shadowBounds = sph3.create();
+    _shadowRendered = false;
 
     _localTransform = mat4.create();
+    _lights = [];
     _accumulator = new Tw2BatchAccumulator();
     _emptyTexture = null;
     _frustum = new Tw2Frustum();
@@ -245,7 +254,7 @@ export class EveSpaceScene extends meta.Model
 
     /**
      * Alias for postprocess
-     * @returns {Tw2PostProcess|Tr2PostProcess}
+     * @returns {Tw2PostProcess|Tr2PostProcess2}
      */
     get postProcess()
     {
@@ -254,7 +263,7 @@ export class EveSpaceScene extends meta.Model
 
     /**
      * Alias for postprocess
-     * @param @returns {Tw2PostProcess|Tr2PostProcess} obj
+     * @param {Tw2PostProcess|Tr2PostProcess2} obj
      */
     set postProcess(obj)
     {
@@ -360,13 +369,21 @@ export class EveSpaceScene extends meta.Model
     }
 
     /**
-     * Sets the post-processing path
-     * @param {String} path
+     * Sets the post-processing
+     * - Accepts either a path to load or a post process object to use directly
+     * @param {String|Tw2PostProcess|Tr2PostProcess2} path
      * @param {Boolean} [awaitCompleted] waits until the resource is completed loaded
-     * @returns {Promise<null|Tw2PostEffect>}
+     * @returns {Promise<Boolean>}
      */
     async SetPostProcess(path = "", awaitCompleted)
     {
+        if (path && !isString(path))
+        {
+            this.postProcessPath = "";
+            this.postprocess = path;
+            return true;
+        }
+
         return EveSpaceScene.HandleResource(this, path, "postProcessPath", "postprocess", awaitCompleted);
     }
 
@@ -438,6 +455,7 @@ export class EveSpaceScene extends meta.Model
         }
 
         if (this.backgroundEffect) this.backgroundEffect.GetResources(out);
+        if (this.shadowEffect) this.shadowEffect.GetResources(out);
         if (this.postprocess) this.postprocess.GetResources(out);
         if (this.starfield) this.starfield.GetResources(out);
 
@@ -521,11 +539,6 @@ export class EveSpaceScene extends meta.Model
     Update(dt)
     {
 
-        if (this.starField)
-        {
-            this.starField.Update(dt);
-        }
-
         this.PerChildObject("Update", dt);
 
         if (this.postprocess)
@@ -657,6 +670,13 @@ export class EveSpaceScene extends meta.Model
 
         this.RenderBackgroundEffect(this.backgroundRenderingEnabled);
 
+        if (show.starfield && this.starfield)
+        {
+            this.starfield.GetBatches(d.RM_ADDITIVE, this._accumulator);
+            this._accumulator.Render();
+            this._accumulator.Clear();
+        }
+
         if (show.planets)
         {
             this.RenderPlanets(dt);
@@ -705,6 +725,8 @@ export class EveSpaceScene extends meta.Model
             }
         }
 
+        this.ApplyLightFrameData();
+
         if (show.lineSets)
         {
             for (let i = 0; i < this.lineSets.length; i++)
@@ -732,17 +754,10 @@ export class EveSpaceScene extends meta.Model
             }
         }
 
-        this._accumulator.Render();
-
-        if (this.starfield)
-        {
-            // TODO: Implement starfield
-        }
+        // Shadows are rendered once objects have updated their transforms, but before they are drawn
+        this.RenderShadows(dt);
 
-        if (this.shadowEffect)
-        {
-            // TODO: Implement shadow effect
-        }
+        this._accumulator.Render();
 
         if (show.lensflares)
         {
@@ -759,6 +774,12 @@ export class EveSpaceScene extends meta.Model
 
         if (this.postprocess)
         {
+            // Depth based post effects need this frame's depth map before they render
+            if (this.postprocess.RequiresDepth && this.postprocess.RequiresDepth())
+            {
+                this.RenderDepth(dt, true);
+            }
+
             this.postprocess.Render(dt);
         }
 
@@ -949,6 +970,150 @@ export class EveSpaceScene extends meta.Model
         this._distortionPostProcess.Render(dt);
     }
 
+    /**
+     * Renders the shadow map
+     * - Objects are rendered from the sun into "EveSpaceSceneShadowMap" with their own shadow effect, or the scene's
+     * - The shadow camera is fitted to the bounds of the objects that cast shadows
+     * @param {Number} dt
+     * @returns {Boolean} true if rendered
+     */
+    RenderShadows(dt)
+    {
+        this._shadowRendered = false;
+
+        if (this.enableShadows)
+        {
+            if (!this._shadowAccumulator)
+            {
+                this._shadowAccumulator = new Tw2BatchAccumulator();
+            }
+            else
+            {
+                this._shadowAccumulator.Clear();
+            }
+
+            const casters = [];
+            if (this.visible.objects) this.GetShadowCasters(this.objects, this._shadowAccumulator, casters);
+            if (this.visible.backgroundObjects) this.GetShadowCasters(this.backgroundObjects, this._shadowAccumulator, casters);
+
+            if (casters.length && this.UpdateShadowView(casters))
+            {
+                const size = this.shadowMapSize;
+
+                if (!this._shadowRenderTarget)
+                {
+                    if (!tw2.HasVariable("EveSpaceSceneShadowMap")) tw2.SetVariable("EveSpaceSceneShadowMap", "");
+                    const ShadowTexture = tw2.GetVariable("EveSpaceSceneShadowMap");
+                    this._shadowRenderTarget = new Tw2DepthRenderTarget("ShadowMap", size, size, this.depthPrecision, ShadowTexture);
+                }
+                else
+                {
+                    this._shadowRenderTarget.Update(size, size, this.depthPrecision);
+                }
+
+                const
+                    d = device,
+                    g = EveSpaceScene.global,
+                    view = mat4.copy(g.mat4_3, d.view),
+                    projection = mat4.copy(g.mat4_4, d.projection);
+
+                // Render from the sun's point of view, then restore the camera
+                d.SetView(this._shadowView);
+                d.SetProjection(this._shadowProjection, true);
+                this.UpdateViewProjectionFrameData();
+
+                this._shadowRendered = this._shadowRenderTarget.SetCallUnset(() =>
+                {
+                    tw2.ClearBufferBits(true, true, true);
+                    this._shadowAccumulator.Render();
+                });
+
+                d.SetView(view);
+                d.SetProjection(projection, true);
+                this.UpdateViewProjectionFrameData();
+            }
+        }
+
+        if (this._shadowRendered)
+        {
+            vec4.set(this._shadowMapSettings, 1 / this.shadowMapSize, 1 / this.shadowMapSize, this.shadowBias, 1);
+        }
+        else
+        {
+            vec4.set(this._shadowMapSettings, 1, 1, 0, 0);
+        }
+
+        this.ApplyShadowFrameData();
+        return this._shadowRendered;
+    }
+
+    /**
+     * Gets shadow batches from objects that can cast shadows
+     * @param {Array<EveObject>} objects
+     * @param {Tw2BatchAccumulator} accumulator
+     * @param {Array<EveObject>} [out=[]] - receives the objects that cast shadows
+     * @returns {Array<EveObject>} out
+     */
+    GetShadowCasters(objects, accumulator, out = [])
+    {
+        for (let i = 0; i < objects.length; i++)
+        {
+            const object = objects[i];
+            if (!object.GetShadowBatch || !object.GetWorldBoundingSphere) continue;
+
+            if (object.GetShadowBatch(accumulator, object.shadowEffect || this.shadowEffect))
+            {
+                out.push(object);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Updates the shadow view and projection
+     * - The shadow camera looks along the sun's direction with an orthographic projection that encloses the objects
+     * @param {Array<EveObject>} objects
+     * @returns {Boolean} true if updated
+     */
+    UpdateShadowView(objects)
+    {
+        const
+            g = EveSpaceScene.global,
+            bounds = this._shadowBounds,
+            sphere = g.sph3_0,
+            center = g.vec3_1,
+            lightDir = g.vec3_2,
+            eye = g.vec3_3;
+
+        for (let i = 0; i < objects.length; i++)
+        {
+            objects[i].GetWorldBoundingSphere(sphere);
+            if (i === 0)
+            {
+                sph3.copy(bounds, sphere);
+            }
+            else
+            {
+                sph3.union(bounds, bounds, sphere);
+            }
+        }
+
+        const radius = sph3.extract(bounds, center);
+        if (!(radius > 0)) return false;
+
+        vec3.transformMat4(lightDir, this.sunDirection, this._localTransform);
+        if (!vec3.squaredLength(lightDir)) return false;
+        vec3.normalize(lightDir, lightDir);
+
+        // Avoid a degenerate view when the sun is directly above or below
+        const up = Math.abs(lightDir[1]) > 0.99 ? g.vec3_X : g.vec3_Y;
+        vec3.scaleAndAdd(eye, center, lightDir, -radius);
+
+        mat4.lookAt(this._shadowView, eye, center, up);
+        mat4.ortho(this._shadowProjection, -radius, radius, -radius, radius, 0, radius * 2);
+        return true;
+    }
+
     /**
      * Applies view projection frame data
      */
@@ -1048,21 +1213,7 @@ export class EveSpaceScene extends meta.Model
         vs.Set("SunData.DiffuseColor", this.sunDiffuseColor);
         vs.Set("EnvMapRotationMat", envMapTransform);
 
-        // Shadows
-        if (this.enableShadows)
-        {
-            mat4.multiply(this._shadowViewProjection, this._shadowProjection, this._shadowView);
-            vs.Set("ShadowViewMat", mat4.transpose(g.mat4_0, this._shadowView));
-            vs.Set("ShadowViewProjectionMat", mat4.transpose(g.mat4_1, this._shadowViewProjection));
-        }
-
-        ps.Set("ShadowMapSettings", this._shadowMapSettings); // TODO: Identify source of this information
-        ps.Set("ShadowCameraRange", [
-            this.shadowCameraRange[0],
-            this.shadowCameraRange[1],
-            this.shadowLightness,
-            0
-        ]);
+        this.ApplyShadowFrameData();
 
         ps.Set("EnvMapRotationMat", envMapTransform);
         ps.Set("SunData.DiffuseColor", this.sunDiffuseColor);
@@ -1092,6 +1243,93 @@ export class EveSpaceScene extends meta.Model
         tw2.GetVariable("EnvMap2").AttachTextureRes(envMap2);
     }
 
+    /**
+     * Applies shadow frame data
+     */
+    ApplyShadowFrameData()
+    {
+        const
+            g = EveSpaceScene.global,
+            vs = this._perFrameVS,
+            ps = this._perFramePS;
+
+        mat4.multiply(this._shadowViewProjection, this._shadowProjection, this._shadowView);
+        vs.Set("ShadowViewMat", mat4.transpose(g.mat4_0, this._shadowView));
+        vs.Set("ShadowViewProjectionMat", mat4.transpose(g.mat4_1, this._shadowViewProjection));
+
+        ps.Set("ShadowMapSettings", this._shadowMapSettings);
+        ps.Set("ShadowCameraRange", [
+            this.shadowCameraRange[0],
+            this.shadowCameraRange[1],
+            this.shadowLightness,
+            0
+        ]);
+    }
+
+    /**
+     * Gathers dynamic lights from the scene's objects and applies them to per frame data
+     * - Only the lights nearest to the camera are used when there are more than the maximum
+     * - Must be called after objects have updated their view dependent data
+     */
+    ApplyLightFrameData()
+    {
+        const
+            d = device,
+            lights = this._lights,
+            ps = this._perFramePS,
+            data = ps.Get("DynamicLights"),
+            { maxDynamicLights } = EveSpaceScene;
+
+        lights.splice(0);
+
+        if (this.visible.lights && this.visible.objects)
+        {
+            for (let i = 0; i < this.objects.length; i++)
+            {
+                if ("GetLights" in this.objects[i])
+                {
+                    this.objects[i].GetLights(lights);
+                }
+            }
+        }
+
+        if (lights.length > maxDynamicLights)
+        {
+            const { vec3_0, vec3_1 } = EveSpaceScene.global;
+            lights.sort((a, b) =>
+            {
+                return vec3.squaredDistance(a.GetWorldPosition(vec3_0), d.eyePosition) -
+                    vec3.squaredDistance(b.GetWorldPosition(vec3_1), d.eyePosition);
+            });
+        }
+
+        const count = Math.min(lights.length, maxDynamicLights);
+        for (let i = 0; i < count; i++)
+        {
+            lights[i].GetLightData(data, i * Tr2PointLight.lightDataSize);
+        }
+
+        ps.SetIndex("DynamicLightCount", 0, count);
+
+        const sunColor = count && this.useSunDiffuseColorWithDynamicLights ? this.sunDiffuseColorWithDynamicLights : this.sunDiffuseColor;
+        this._perFrameVS.Set("SunData.DiffuseColor", sunColor);
+        ps.Set("SunData.DiffuseColor", sunColor);
+    }
+
+    /**
+     * Gets the dynamic lights gathered for the current frame
+     * @param {Array<Tr2PointLight>} [out=[]]
+     * @returns {Array<Tr2PointLight>} out
+     */
+    GetLights(out = [])
+    {
+        for (let i = 0; i < this._lights.length; i++)
+        {
+            out.push(this._lights[i]);
+        }
+        return out;
+    }
+
     /**
      * Handles resource paths and loading
      * @param {EveSpaceScene} scene
@@ -1109,7 +1347,7 @@ export class EveSpaceScene extends meta.Model
         if (!path)
         {
             scene[pathProperty] = "";
-            scene[pathProperty] = null;
+            scene[targetObjectProperty] = null;
             return true;
         }
 
@@ -1149,6 +1387,12 @@ export class EveSpaceScene extends meta.Model
         ]
     };
 
+    /**
+     * The maximum number of dynamic lights applied to per frame data
+     * @type {number}
+     */
+    static maxDynamicLights = 8;
+
     /**
      * Per frame data
      * @type {*}
@@ -1166,12 +1410,14 @@ export class EveSpaceScene extends meta.Model
             [ "ViewportOffset", 2 ],
             [ "ViewportSize", 2 ],
             [ "TargetResolution", 4 ],
-            [ "ShadowMapSettings", 4 ],
+            [ "ShadowMapSettings", 4 ], // texel width, texel height, depth bias, enabled
             [ "ShadowCameraRange", 4 ], // shadow camera range, shadow camera range, shadow lightness. unused
             [ "ProjectionToView", 2 ],
             [ "FovXY", 2 ],
             [ "MiscSettings", 4 ], // currentTime, fogType, fogBlur, 1
-            [ "VolumetricSlices", 4 ]
+            [ "VolumetricSlices", 4 ],
+            [ "DynamicLightCount", 4 ], // count, unused, unused, unused
+            [ "DynamicLights", EveSpaceScene.maxDynamicLights * Tr2PointLight.lightDataSize ]
         ],
         vs: [
             [ "ViewInverseTransposeMat", 16 ],
@@ -1197,10 +1443,18 @@ export class EveSpaceScene extends meta.Model
     static global = {
         vec3_ZERO: vec3.create(),
         vec3_0: vec3.create(),
+        vec3_1: vec3.create(),
+        vec3_2: vec3.create(),
+        vec3_3: vec3.create(),
+        vec3_X: vec3.fromValues(1, 0, 0),
+        vec3_Y: vec3.fromValues(0, 1, 0),
         vec4_0: vec4.create(),
         mat4_0: mat4.create(),
         mat4_1: mat4.create(),
-        mat4_2: mat4.create()
+        mat4_2: mat4.create(),
+        mat4_3: mat4.create(),
+        mat4_4: mat4.create(),
+        sph3_0: sph3.create()
     };
 
 
@@ -1,9 +1,8 @@
 import { meta } from "utils";
 
 
-@meta.notImplemented
 @meta.type("EveAnimation")
-export class EveAnimation
+export class EveAnimation extends meta.Model
 {
 
     @meta.string
@@ -1,9 +1,8 @@
 import { meta } from "utils";
 
 
-@meta.notImplemented
 @meta.type("EveAnimationCurve")
-export class EveAnimationCurve
+export class EveAnimationCurve extends meta.Model
 {
 
     @meta.string
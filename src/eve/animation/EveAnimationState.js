@@ -0,0 +1,62 @@
+import { meta } from "utils";
+
+
+@meta.type("EveAnimationState")
+export class EveAnimationState extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.struct("EveAnimationCurve", "EveAnimation")
+    animation = null;
+
+    @meta.list("EveAnimationCommand")
+    curves = [];
+
+    @meta.list("EveAnimationCommand")
+    commands = [];
+
+    @meta.list("EveAnimationCommand")
+    initCommands = [];
+
+    @meta.list("EveAnimationStateTransition")
+    transitions = [];
+
+    /**
+     * Gets the name of the animation the state plays
+     * - States without an animation play the animation with the state's name
+     * @returns {String}
+     */
+    GetAnimationName()
+    {
+        return this.animation && this.animation.name ? this.animation.name : this.name;
+    }
+
+    /**
+     * Gets how many times the state's animation plays
+     * @returns {Number} the loop count, or 0 to loop until the state changes
+     */
+    GetLoops()
+    {
+        return this.animation && this.animation.loops !== undefined ? this.animation.loops : 0;
+    }
+
+    /**
+     * Finds a transition to a state
+     * @param {String} state
+     * @returns {?EveAnimationStateTransition}
+     */
+    FindTransition(state)
+    {
+        for (let i = 0; i < this.transitions.length; i++)
+        {
+            if (this.transitions[i].state === state)
+            {
+                return this.transitions[i];
+            }
+        }
+        return null;
+    }
+
+}
@@ -0,0 +1,366 @@
+import { meta } from "utils";
+
+
+@meta.type("EveAnimationStateMachine")
+export class EveAnimationStateMachine extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.boolean
+    autoPlayDefault = true;
+
+    @meta.list("EveAnimationState")
+    states = [];
+
+    @meta.list("EveAnimationStateTransition")
+    transitions = [];
+
+    @meta.string
+    trackMask = "";
+
+    @meta.string
+    defaultAnimation = "";
+
+    // ccpwgl only
+
+    @meta.uint
+    layer = 0;
+
+    @meta.float
+    fadeDuration = 0.3;
+
+    @meta.plain
+    variables = {};
+
+
+    _controller = null;
+    _currentState = null;
+    _pendingState = null;
+    _animation = null;
+    _animationName = "";
+    _loops = 0;
+    _loopTime = 0;
+    _dirty = false;
+    _boneMask = undefined;
+    _variableNames = null;
+    _scope = {};
+
+
+    /**
+     * Fires on value changes
+     */
+    OnValueChanged()
+    {
+        this._boneMask = undefined;
+        this._variableNames = null;
+    }
+
+    /**
+     * Gets a state by name
+     * @param {String} name
+     * @returns {?EveAnimationState}
+     */
+    GetState(name)
+    {
+        for (let i = 0; i < this.states.length; i++)
+        {
+            if (this.states[i].name === name)
+            {
+                return this.states[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks if the state machine has a state
+     * @param {String} name
+     * @returns {Boolean}
+     */
+    HasState(name)
+    {
+        return !!this.GetState(name);
+    }
+
+    /**
+     * Gets the current state
+     * - While a transition animation plays the current state is the state being transitioned to
+     * @returns {?EveAnimationState}
+     */
+    GetCurrentState()
+    {
+        return this._pendingState || this._currentState;
+    }
+
+    /**
+     * Gets the current state's name
+     * @returns {String}
+     */
+    GetCurrentStateName()
+    {
+        const state = this.GetCurrentState();
+        return state ? state.name : "";
+    }
+
+    /**
+     * Checks if a transition animation is playing
+     * @returns {Boolean}
+     */
+    IsTransitioning()
+    {
+        return !!this._pendingState;
+    }
+
+    /**
+     * Sets a variable used by transition conditions
+     * @param {String} name
+     * @param {*} value
+     */
+    SetVariable(name, value)
+    {
+        if (!(name in this.variables)) this._variableNames = null;
+        this.variables[name] = value;
+    }
+
+    /**
+     * Gets a variable used by transition conditions
+     * @param {String} name
+     * @returns {*}
+     */
+    GetVariable(name)
+    {
+        return this.variables[name];
+    }
+
+    /**
+     * Gets the names of the variables used by transition conditions
+     * - The same array is returned until a variable is added
+     * @returns {Array<String>}
+     */
+    GetVariableNames()
+    {
+        if (!this._variableNames) this._variableNames = Object.keys(this.variables);
+        return this._variableNames;
+    }
+
+    /**
+     * Gets the variables as numbers by name, for evaluating conditions
+     * - Booleans are converted to 1 and 0, and other values that aren't numbers to 0
+     * @returns {Object<String, Number>}
+     */
+    GetScope()
+    {
+        for (const name in this.variables)
+        {
+            if (this.variables.hasOwnProperty(name))
+            {
+                this._scope[name] = Number(this.variables[name]) || 0;
+            }
+        }
+        return this._scope;
+    }
+
+    /**
+     * Finds a transition from one state to another
+     * - The from state's transitions are used before the state machine's transitions
+     * @param {?EveAnimationState} from
+     * @param {String} to
+     * @returns {?EveAnimationStateTransition}
+     */
+    FindTransition(from, to)
+    {
+        const transition = from ? from.FindTransition(to) : null;
+        if (transition) return transition;
+
+        for (let i = 0; i < this.transitions.length; i++)
+        {
+            if (this.transitions[i].state === to)
+            {
+                return this.transitions[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Requests a state by name
+     * - Plays the transition's animation first if there is one
+     * @param {String} name
+     * @returns {Boolean} true if the state exists
+     */
+    RequestState(name)
+    {
+        const state = this.GetState(name);
+        if (!state) return false;
+
+        if (state === this.GetCurrentState()) return true;
+
+        const transition = this.FindTransition(this._currentState, name);
+        if (transition && transition.transition && this.PlayAnimation(transition.transition, 1))
+        {
+            this._pendingState = state;
+            return true;
+        }
+
+        this.EnterState(state);
+        return true;
+    }
+
+    /**
+     * Enters a state immediately, without a transition animation
+     * @param {EveAnimationState} state
+     */
+    EnterState(state)
+    {
+        const previous = this._currentState;
+
+        this._currentState = state;
+        this._pendingState = null;
+        this.PlayAnimation(state.GetAnimationName(), state.GetLoops());
+
+        /**
+         * Fires when the state machine enters a state
+         * @event EveAnimationStateMachine#state_changed
+         * @type {EveAnimationStateMachine}
+         * @property {EveAnimationState} state
+         * @property {?EveAnimationState} previous
+         */
+        this.EmitEvent("state_changed", this, state, previous);
+    }
+
+    /**
+     * Plays an animation
+     * - Animations are played once the controller has loaded
+     * @param {String} name
+     * @param {Number} loops - the loop count, or 0 to loop until the state changes
+     * @returns {Boolean} true if the animation exists, or could exist once the controller loads
+     */
+    PlayAnimation(name, loops)
+    {
+        const controller = this._controller;
+
+        this._animation = null;
+        this._animationName = name;
+        this._loops = loops;
+        this._loopTime = 0;
+
+        if (!controller || !controller.IsLoaded())
+        {
+            this._dirty = true;
+            return true;
+        }
+
+        this._dirty = false;
+
+        const animation = controller.GetAnimation(name);
+        if (!animation) return false;
+
+        controller.CrossFade(name, this.fadeDuration, {
+            cycle: loops !== 1,
+            layer: this.layer,
+            boneMask: this.GetBoneMask()
+        });
+
+        this._animation = animation;
+        return true;
+    }
+
+    /**
+     * Gets the bones the state machine's animations are blended with
+     * - The track mask lists root bone names, separated by commas or semicolons, which include their descendants
+     * @returns {null|Array<String>} bone names, or null for all bones
+     */
+    GetBoneMask()
+    {
+        if (this._boneMask === undefined && this._controller && this._controller.IsLoaded())
+        {
+            const roots = this.trackMask.split(/[,;]/).map(x => x.trim()).filter(x => x);
+            this._boneMask = roots.length ? this._controller.GetBoneNames(roots) : null;
+        }
+        return this._boneMask || null;
+    }
+
+    /**
+     * Checks conditional transitions and follows the first one that is met
+     * - The current state's transitions are checked before the state machine's transitions
+     * @param {Boolean} [completed] - includes unconditional transitions when the state has completed
+     * @returns {Boolean} true if a transition was followed
+     */
+    CheckTransitions(completed)
+    {
+        const state = this._currentState;
+
+        for (const transitions of [ state ? state.transitions : [], this.transitions ])
+        {
+            for (let i = 0; i < transitions.length; i++)
+            {
+                const transition = transitions[i];
+                if (state && transition.state === state.name) continue;
+                if (!completed && !transition.HasCondition()) continue;
+
+                if (transition.IsConditionMet(this) && this.RequestState(transition.state))
+                {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Per frame update
+     * @param {Number} dt
+     * @param {Tw2AnimationController} controller
+     */
+    Update(dt, controller)
+    {
+        if (this._controller !== controller)
+        {
+            this._controller = controller;
+            this._boneMask = undefined;
+            this._dirty = true;
+        }
+
+        if (!controller.IsLoaded()) return;
+
+        if (!this._currentState && !this._pendingState && this.autoPlayDefault && this.defaultAnimation)
+        {
+            this.RequestState(this.defaultAnimation);
+        }
+
+        if (this._dirty && this._animationName)
+        {
+            this.PlayAnimation(this._animationName, this._loops);
+        }
+
+        let completed = false;
+        if (this._animation && this._loops)
+        {
+            this._loopTime += dt * this._animation.timeScale;
+            completed = this._loopTime >= this._animation.duration * this._loops;
+        }
+        else if (!this._animation)
+        {
+            completed = !!this._pendingState;
+        }
+
+        if (this._pendingState)
+        {
+            if (completed) this.EnterState(this._pendingState);
+            return;
+        }
+
+        if (this.CheckTransitions(completed)) return;
+
+        if (completed && this._animation)
+        {
+            // Nowhere to go so hold the last frame
+            if (!this._animation.IsFinished()) this._animation.Stop();
+            this._animation = null;
+        }
+    }
+
+}
@@ -0,0 +1,100 @@
+import { meta } from "utils";
+import { Tw2Expression } from "curve";
+
+
+@meta.type("EveAnimationStateTransition")
+export class EveAnimationStateTransition extends meta.Model
+{
+
+    @meta.string
+    state = "";
+
+    @meta.string
+    transition = "";
+
+    // ccpwgl only
+
+    @meta.string
+    condition = "";
+
+    _stateMachine = null;
+    _variableNames = null;
+    _expression = null;
+
+
+    /**
+     * Fires on value changes
+     */
+    OnValueChanged()
+    {
+        this._stateMachine = null;
+        this._expression = null;
+    }
+
+    /**
+     * Checks if the transition has a condition
+     * @returns {Boolean}
+     */
+    HasCondition()
+    {
+        return !!this.condition.trim();
+    }
+
+    /**
+     * Checks if the transition's condition is met
+     * - Conditions are expressions of the state machine's variables, for example "IsOpen == 1 && Speed > 10"
+     * - Transitions without a condition are always met
+     * - Invalid conditions are logged once and never met
+     * @param {EveAnimationStateMachine} stateMachine
+     * @returns {Boolean}
+     */
+    IsConditionMet(stateMachine)
+    {
+        if (!this.HasCondition()) return true;
+
+        const variableNames = stateMachine.GetVariableNames();
+        if (this._stateMachine !== stateMachine || this._variableNames !== variableNames)
+        {
+            this._stateMachine = stateMachine;
+            this._variableNames = variableNames;
+            this._expression = Tw2Expression.TryCompile(this.condition, variableNames, this);
+        }
+
+        return this._expression ? !!this._expression.Evaluate(stateMachine.GetScope()) : false;
+    }
+
+    /**
+     * Black structure reader
+     * TODO: Figure out the other properties for this class
+     * @param {Tw2BlackBinaryReader} reader
+     * @returns {EveAnimationStateTransition}
+     */
+    static blackStruct(reader)
+    {
+        const item = new EveAnimationStateTransition();
+
+        // Not sure of property name
+        item.state = reader.ReadStringU16();
+
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+
+        // Not sure of property name
+        item.transition = reader.ReadStringU16();
+
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+        reader.ExpectU8(0, "unknown content");
+
+        return item;
+    }
+
+}
+
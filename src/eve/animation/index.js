@@ -0,0 +1,5 @@
+export * from "./EveAnimation";
+export * from "./EveAnimationCurve";
+export * from "./EveAnimationState";
+export * from "./EveAnimationStateMachine";
+export * from "./EveAnimationStateTransition";
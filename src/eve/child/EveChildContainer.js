@@ -1,6 +1,7 @@
 import { EveChild } from "./EveChild";
 import { meta } from "utils";
 import { mat4, quat, vec3 } from "math";
+import { Tr2Controller } from "state";
 
 
 @meta.type("EveChildContainer", true)
@@ -18,7 +19,6 @@ export class EveChildContainer extends EveChild
     @meta.uint
     boneIndex = -1;
 
-    @meta.notImplemented
     @meta.list("Tr2Controller")
     controllers = [];
 
@@ -122,9 +122,25 @@ export class EveChildContainer extends EveChild
         {
             this.objects[i].GetResources(out);
         }
+
+        for (let i = 0; i < this.controllers.length; i++)
+        {
+            this.controllers[i].GetResources(out);
+        }
         return out;
     }
 
+    /**
+     * Sets a controller variable, for example "IsDocked" or "ShieldHealth"
+     * @param {String} name
+     * @param {Number|Boolean|String} value
+     * @returns {Boolean} true if a controller has the variable
+     */
+    SetControllerVariable(name, value)
+    {
+        return Tr2Controller.SetVariableValue(this.controllers, name, value);
+    }
+
     /**
      * Per frame update
      * @param {number} dt
@@ -197,6 +213,11 @@ export class EveChildContainer extends EveChild
             }
         }
 
+        for (let i = 0; i < this.controllers.length; i++)
+        {
+            this.controllers[i].Update(dt, this);
+        }
+
         for (let i = 0; i < this.curveSets.length; i++)
         {
             this.curveSets[i].Update(dt);
@@ -32,7 +32,7 @@ export class EveChildParticleSystem extends EveChild
     @meta.list("Tw2ParticleEmitter")
     particleEmitters = [];
 
-    @meta.list([ "Tw2ParticleSystem", "Tr2GpuParticleSystem" ])
+    @meta.list([ "Tw2ParticleSystem", "Tw2GpuParticleSystem" ])
     particleSystems = [];
 
     @meta.uint
@@ -120,7 +120,7 @@ export class EveChildParticleSystem extends EveChild
 
         for (let i = 0; i < this.particleSystems.length; ++i)
         {
-            this.particleSystems[i].Update(dt);
+            this.particleSystems[i].Update(dt, this._worldTransform);
         }
     }
 
@@ -132,10 +132,23 @@ export class EveChildParticleSystem extends EveChild
      */
     GetBatches(mode, accumulator)
     {
-        if (!this.display || !this.mesh) return false;
+        if (!this.display) return false;
         mat4.transpose(this._perObjectData.ffe.Get("world"), this._worldTransform);
         mat4.invert(this._perObjectData.ffe.Get("worldInverseTranspose"), this._worldTransform);
-        return this.mesh.GetBatches(mode, accumulator, this._perObjectData);
+
+        let c = this.mesh ? this.mesh.GetBatches(mode, accumulator, this._perObjectData) : false;
+
+        // Gpu particle systems render themselves, unless they're instanced by the mesh
+        for (let i = 0; i < this.particleSystems.length; i++)
+        {
+            const ps = this.particleSystems[i];
+            if ("GetBatches" in ps && (!this.mesh || this.mesh.instanceGeometryResource !== ps))
+            {
+                if (ps.GetBatches(mode, accumulator, this._perObjectData)) c = true;
+            }
+        }
+
+        return c;
     }
 
 }
@@ -0,0 +1,251 @@
+import { meta } from "utils";
+import { device } from "global";
+import { vec3, num } from "math";
+import { Tw2VertexDeclaration, Tw2ForwardingRenderBatch } from "core";
+
+
+/**
+ * EveStarfield
+ * - Stars are rendered with the star sprites effect, which flashes them on the gpu with the scene's time and
+ *   keeps them centred on the camera
+ */
+@meta.type("EveStarfield")
+export class EveStarfield extends meta.Model
+{
+
+    @meta.struct("Tw2Effect")
+    effect = null;
+
+    @meta.float
+    maxDist = 0;
+
+    @meta.float
+    maxFlashRate = 0;
+
+    @meta.float
+    minDist = 0;
+
+    @meta.float
+    minFlashIntensity = 0;
+
+    @meta.float
+    minFlashRate = 0;
+
+    @meta.uint
+    numStars = 0;
+
+    @meta.uint
+    seed = 0;
+
+    // ccpwgl only
+
+    @meta.boolean
+    display = true;
+
+    _dirty = true;
+    _vb = null;
+    _vbSize = 0;
+    _decl = Tw2VertexDeclaration.from(EveStarfield.vertexDeclarations).SetStride(EveStarfield.vertexSize * 4);
+
+    /**
+     * Fires on value changes
+     */
+    OnValueChanged()
+    {
+        this._dirty = true;
+    }
+
+    /**
+     * Gets the starfield's resources
+     * @param {Array} [out=[]]
+     * @returns {Array<Tw2Resource>} out
+     */
+    GetResources(out = [])
+    {
+        if (this.effect) this.effect.GetResources(out);
+        return out;
+    }
+
+    /**
+     * Gets the starfield's stars
+     * - Stars are distributed evenly over a sphere between the min and max distances
+     * - Star brightness varies between the min flash intensity and 1
+     * - The same seed always generates the same stars
+     * @param {Array<EveStarfieldStar>} [out=[]]
+     * @returns {Array<EveStarfieldStar>} out
+     */
+    GetStars(out = [])
+    {
+        const
+            random = num.seededRandom(this.seed),
+            minDist = Math.min(this.minDist, this.maxDist),
+            maxDist = Math.max(this.minDist, this.maxDist),
+            minRate = Math.min(this.minFlashRate, this.maxFlashRate),
+            maxRate = Math.max(this.minFlashRate, this.maxFlashRate),
+            minIntensity = Math.min(Math.max(this.minFlashIntensity, 0), 1);
+
+        for (let i = 0; i < this.numStars; i++)
+        {
+            const
+                z = random() * 2 - 1,
+                phi = random() * num.TWO_PI,
+                r = Math.sqrt(1 - z * z),
+                distance = minDist + random() * (maxDist - minDist);
+
+            out.push({
+                position: vec3.fromValues(r * Math.cos(phi) * distance, r * Math.sin(phi) * distance, z * distance),
+                flashRate: minRate + random() * (maxRate - minRate),
+                flashPhase: random() * num.TWO_PI,
+                paletteCoord: random(),
+                textureIndex: Math.floor(random() * 4),
+                brightness: minIntensity + random() * (1 - minIntensity)
+            });
+        }
+
+        return out;
+    }
+
+    /**
+     * Rebuilds the starfield's vertex buffer
+     * - Each star is a camera facing quad made of two triangles, with the star sprite corner index per vertex
+     */
+    Rebuild()
+    {
+        this.Unload();
+        this._dirty = false;
+
+        const stars = this.GetStars();
+        if (!stars.length) return;
+
+        const
+            { vertexSize, corners } = EveStarfield,
+            data = new Float32Array(stars.length * corners.length * vertexSize);
+
+        let offset = 0;
+        for (let i = 0; i < stars.length; i++)
+        {
+            const { position, flashRate, flashPhase, paletteCoord, textureIndex, brightness } = stars[i];
+            for (let j = 0; j < corners.length; j++)
+            {
+                data[offset++] = position[0];
+                data[offset++] = position[1];
+                data[offset++] = position[2];
+                data[offset++] = paletteCoord;
+                data[offset++] = brightness;
+                data[offset++] = flashPhase;
+                data[offset++] = flashRate;
+                data[offset++] = corners[j];
+                data[offset++] = textureIndex;
+            }
+        }
+
+        const { gl } = device;
+        this._vb = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._vb);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        this._vbSize = stars.length * corners.length;
+    }
+
+    /**
+     * Unloads the starfield's vertex buffer
+     */
+    Unload()
+    {
+        if (this._vb)
+        {
+            device.gl.deleteBuffer(this._vb);
+            this._vb = null;
+        }
+        this._vbSize = 0;
+    }
+
+    /**
+     * Gets render batches
+     * @param {Number} mode
+     * @param {Tw2BatchAccumulator} accumulator
+     * @returns {Boolean} true if batches accumulated
+     */
+    GetBatches(mode, accumulator)
+    {
+        if (!this.display || mode !== device.RM_ADDITIVE || !this.effect || !this.effect.IsGood()) return false;
+
+        if (this._dirty) this.Rebuild();
+        if (!this._vb) return false;
+
+        const batch = new Tw2ForwardingRenderBatch();
+        batch.geometryProvider = this;
+        batch.renderMode = mode;
+        batch.effect = this.effect;
+        accumulator.Commit(batch);
+        return true;
+    }
+
+    /**
+     * Renders the starfield
+     * @param {Tw2ForwardingRenderBatch} batch
+     * @param {String} technique - technique name
+     * @returns {Boolean}
+     */
+    Render(batch, technique)
+    {
+        if (!batch.effect || !batch.effect.IsGood() || !this._vb) return false;
+        if (!technique) technique = batch.effect.defaultTechnique;
+
+        const
+            d = device,
+            gl = d.gl;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._vb);
+
+        const passCount = batch.effect.GetPassCount(technique);
+        for (let pass = 0; pass < passCount; ++pass)
+        {
+            batch.effect.ApplyPass(technique, pass);
+            const passInput = batch.effect.GetPassInput(technique, pass);
+            if (!this._decl.SetDeclaration(d, passInput, this._decl.stride)) return false;
+            d.ApplyShadowState();
+            gl.drawArrays(gl.TRIANGLES, 0, this._vbSize);
+        }
+        return true;
+    }
+
+    /**
+     * Star sprite corner indices for each star's two triangles
+     * @type {Array<Number>}
+     */
+    static corners = [ 0, 1, 2, 0, 2, 3 ];
+
+    /**
+     * Vertex size in floats
+     * @type {Number}
+     */
+    static vertexSize = 9;
+
+    /**
+     * Vertex declarations
+     * - Position relative to the camera
+     * - Palette coordinate, brightness, flash phase and flash rate
+     * - Sprite corner index and texture index
+     * @type {*[]}
+     */
+    static vertexDeclarations = [
+        { usage: "POSITION", usageIndex: 0, elements: 3 },
+        { usage: "TEXCOORD", usageIndex: 0, elements: 1 },
+        { usage: "TEXCOORD", usageIndex: 1, elements: 1 },
+        { usage: "TEXCOORD", usageIndex: 2, elements: 1 },
+        { usage: "TEXCOORD", usageIndex: 3, elements: 1 },
+        { usage: "TEXCOORD", usageIndex: 4, elements: 2 }
+    ];
+
+}
+
+/**
+ * @typedef {Object} EveStarfieldStar
+ * @property {vec3} position      - position relative to the camera
+ * @property {Number} flashRate
+ * @property {Number} flashPhase
+ * @property {Number} paletteCoord - the star's colour in the palette map
+ * @property {Number} textureIndex - the star's sprite in the diffuse map
+ * @property {Number} brightness   - the star's brightness, from the min flash intensity to 1
+ */
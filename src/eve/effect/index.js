@@ -1,5 +1,6 @@
 export * from "./EveLensflare";
 export * from "./EveMeshOverlayEffect";
 export * from "./EveOccluder";
+export * from "./EveStarfield";
 export * from "./EveStretch";
 export * from "./EveTurretFiringFX";
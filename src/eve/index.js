@@ -1,3 +1,4 @@
+export * from "./animation";
 export * from "./child";
 export * from "./effect";
 export * from "./item";
@@ -1,11 +1,10 @@
 import { meta } from "utils";
-import { quat, vec3, vec4, mat4 } from "math";
+import { quat, vec3, vec4, mat4, box3 } from "math";
 import { Tw2Effect, Tw2RenderBatch, Tw2VertexDeclaration } from "core";
-import { EveObjectSet, EveObjectSetItem } from "eve";
+import { EveObjectSet, EveObjectSetItem } from "./EveObjectSet";
 import { device } from "global/tw2";
 
 
-@meta.notImplemented
 export class EveHazeSetBatch extends Tw2RenderBatch
 {
 
@@ -34,18 +33,23 @@ export class EveHazeSetBatch extends Tw2RenderBatch
 }
 
 
-@meta.notImplemented
 @meta.type("EveHazeSetItem")
 export class EveHazeSetItem extends EveObjectSetItem
 {
 
+    @meta.string
+    name = "";
+
     @meta.boolean
     display = true;
 
+    @meta.uint
+    boneIndex = -1;
+
     @meta.boolean
     boosterGainInfluence = false;
 
-    @meta.uint
+    @meta.color
     color = vec4.fromValues(0, 0, 0, 1);
 
     @meta.float
@@ -69,35 +73,103 @@ export class EveHazeSetItem extends EveObjectSetItem
     @meta.float
     sourceSize = 0;
 
+    // ccpwgl only
+
+    @meta.uint
+    colorType = -1;
+
+    _bone = null;
+    _boneTransform = null;
+
     /**
-     * Fires on value changes
+     * Checks if the item is skinned
+     * @returns {boolean}
      */
-    OnValueChanged()
+    get isSkinned()
     {
-        mat4.fromRotationTranslationScale(this._transform, this.rotation, this.position, this.scaling);
-        this._dirty = true;
+        return this._bone !== null;
+    }
+
+    /**
+     * Fires when rebuild by the parent
+     * @param {EveHazeSet} parent
+     */
+    OnRebuiltByParent(parent)
+    {
+        this._parent = parent;
+        this._bone = parent ? parent.GetBone(this.boneIndex) : null;
+        this._boneTransform = this._bone ? mat4.copy(this._boneTransform || mat4.create(), this._bone.offsetTransform) : null;
+        this._dirty = false;
+    }
+
+    /**
+     * Checks if the item's bone has moved since the item was last built
+     * @returns {Boolean}
+     */
+    HasBoneMoved()
+    {
+        return !!this._bone && !mat4.exactEquals(this._bone.offsetTransform, this._boneTransform);
+    }
+
+    /**
+     * Gets the item's local transform
+     * @param {mat4} m
+     * @returns {mat4} m
+     */
+    GetTransform(m)
+    {
+        mat4.fromRotationTranslationScale(m, this.rotation, this.position, this.scaling);
+        if (this._bone) mat4.multiply(m, this._bone.offsetTransform, m);
+        return m;
+    }
+
+    /**
+     * Gets the item's bounding box
+     * @param {box3} out
+     * @returns {box3} out
+     */
+    GetBoundingBox(out)
+    {
+        box3.set(out, -1, -1, -1, 1, 1, 1);
+        return box3.transformMat4(out, out, this.GetTransform(EveObjectSet.global.mat4_0));
+    }
+
+    /**
+     * Gets the item's brightness multiplier
+     * @param {Number} boosterGain
+     * @returns {Number}
+     */
+    GetBrightnessMultiplier(boosterGain)
+    {
+        return this.boosterGainInfluence ? boosterGain : 1;
     }
 
 }
 
 
-@meta.notImplemented
 @meta.type("EveHazeSet")
 export class EveHazeSet extends EveObjectSet
 {
 
+    @meta.string
+    name = "";
+
     @meta.boolean
     display = true;
 
+    @meta.boolean
+    skinned = false;
+
     @meta.struct()
     effect = Tw2Effect.from({
-        effectFilePath: "cdn:/graphics/effect.gles2/managed/space/spaceobject/fx/hazespherical.fx"
+        effectFilePath: "cdn:/graphics/effect/managed/space/spaceobject/fx/hazespherical.fx"
     });
 
     _decl = Tw2VertexDeclaration.from(EveHazeSet.vertexDeclarations);
     _vertexBuffer = null;
     _indexBuffer = null;
     _indexOrder = [ 0, 2, 1, 0, 3, 2 ];
+    _boosterGain = 1;
 
     /**
      * Alias for items
@@ -150,6 +222,39 @@ export class EveHazeSet extends EveObjectSet
     }
 
 
+    /**
+     * Per frame update
+     * - Haze items influenced by booster gain are rebuilt as the parent's booster gain changes
+     * @param {Number} dt
+     * @param {*} [parent]
+     */
+    Update(dt, parent)
+    {
+        if (!this.display) return;
+
+        const boosterGain = parent && "boosterGain" in parent ? parent.boosterGain : 1;
+        if (boosterGain !== this._boosterGain)
+        {
+            this._boosterGain = boosterGain;
+            if (this._visibleItems.some(x => x.boosterGainInfluence)) this._dirty = true;
+        }
+
+        super.Update(dt);
+    }
+
+    /**
+     * Per frame view dependent data update
+     * @param {mat4} parentTransform
+     * @param {Array<Tw2Bone>} bones
+     */
+    UpdateViewDependentData(parentTransform, bones)
+    {
+        super.UpdateViewDependentData(parentTransform, this.skinned ? bones : null);
+
+        // Skinned haze follows it's bones
+        if (!this._dirty && this._visibleItems.some(x => x.HasBoneMoved())) this._dirty = true;
+    }
+
     /**
      * Sets the order of the index buffer
      * @param {Number} a
@@ -170,9 +275,13 @@ export class EveHazeSet extends EveObjectSet
         this._dirty = true;
     }
 
+    /**
+     * Rebuilds the haze set's buffers
+     * @param {Object} [opt]
+     */
     Rebuild(opt)
     {
-        this.Unload(true);
+        this.Unload({ skipEvents: true });
         this.RebuildItems();
         this._dirty = false;
 
@@ -183,7 +292,7 @@ export class EveHazeSet extends EveObjectSet
             return;
         }
 
-        const { mat4_0, vec3_0 } = EveObjectSet.global;
+        const { mat4_0, mat4_1, vec3_0 } = EveHazeSet.global;
 
         const 
             vertexSize = 35,
@@ -193,9 +302,15 @@ export class EveHazeSet extends EveObjectSet
         {
             const
                 item = this._visibleItems[i],
-                offset = i * 4 * vertexSize;
+                offset = i * 4 * vertexSize,
+                brightness = item.GetBrightnessMultiplier(this._boosterGain);
 
-            mat4.fromRotationTranslationScale(mat4_0, item.rotation, item.position, item.scaling);
+            item.GetTransform(mat4_0);
+
+            // Transform 2
+            vec3.scale(vec3_0, item.scaling, item.sourceSize);
+            mat4.fromRotationTranslationScale(mat4_1, item.rotation, item.position, vec3_0);
+            if (item.isSkinned) mat4.multiply(mat4_1, item._bone.offsetTransform, mat4_1);
 
             for (let j = 0; j < 4; j++)
             {
@@ -218,30 +333,26 @@ export class EveHazeSet extends EveObjectSet
                 array[vo + 10] = mat4_0[10];
                 array[vo + 11] = mat4_0[14];
 
-                // Transform 2
-                vec3.multiply(vec3_0, item.scaling, [ item.sourceSize, item.sourceSize, item.sourceSize ]);
-                mat4.fromRotationTranslationScale(mat4_0, item.rotation, item.position, vec3_0);
-
                 //attr3
-                array[vo + 12] = mat4_0[0]; // Unknown mat4
-                array[vo + 13] = mat4_0[4]; // Unknown mat4
-                array[vo + 14] = mat4_0[8]; // Unknown mat4
-                array[vo + 15] = mat4_0[12]; // Unknown mat4
+                array[vo + 12] = mat4_1[0]; // Unknown mat4
+                array[vo + 13] = mat4_1[4]; // Unknown mat4
+                array[vo + 14] = mat4_1[8]; // Unknown mat4
+                array[vo + 15] = mat4_1[12]; // Unknown mat4
                 //attr4
-                array[vo + 16] = mat4_0[1]; // unknown mat4
-                array[vo + 17] = mat4_0[5]; // unknown mat4
-                array[vo + 18] = mat4_0[9]; // unknown mat4
-                array[vo + 19] = mat4_0[13]; // unknown mat4
+                array[vo + 16] = mat4_1[1]; // unknown mat4
+                array[vo + 17] = mat4_1[5]; // unknown mat4
+                array[vo + 18] = mat4_1[9]; // unknown mat4
+                array[vo + 19] = mat4_1[13]; // unknown mat4
                 //attr5
-                array[vo + 20] = mat4_0[2]; // unknown mat4
-                array[vo + 21] = mat4_0[6]; // unknown mat4
-                array[vo + 22] = mat4_0[10]; // unknown mat4
-                array[vo + 23] = mat4_0[14]; // unknown mat4
+                array[vo + 20] = mat4_1[2]; // unknown mat4
+                array[vo + 21] = mat4_1[6]; // unknown mat4
+                array[vo + 22] = mat4_1[10]; // unknown mat4
+                array[vo + 23] = mat4_1[14]; // unknown mat4
                 //attr6
-                array[vo + 24] = item.hazeBrightness;  // Unknown
+                array[vo + 24] = item.hazeBrightness * brightness;  // Unknown
                 array[vo + 25] = item.hazeFalloff;     // Unknown
                 array[vo + 26] = item.sourceSize;      // Unknown
-                array[vo + 27] = item.sourceBrightness; // Unknown Multiplied by unknown0.x  ?
+                array[vo + 27] = item.sourceBrightness * brightness; // Unknown Multiplied by unknown0.x  ?
                 //attr7
                 array[vo + 28] = item.color[0];
                 array[vo + 29] = item.color[1];
@@ -342,6 +453,16 @@ export class EveHazeSet extends EveObjectSet
      */
     static Item = EveHazeSetItem;
 
+    /**
+     * Global and scratch variables
+     * @type {*}
+     */
+    static global = {
+        vec3_0: vec3.create(),
+        mat4_0: mat4.create(),
+        mat4_1: mat4.create()
+    };
+
     /**
      * Vertex declaration
      * @type {{}}
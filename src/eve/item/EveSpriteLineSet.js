@@ -0,0 +1,247 @@
+import { meta } from "utils";
+import { vec3, vec4, quat, mat4, box3 } from "math";
+import { EveObjectSet, EveObjectSetItem } from "./EveObjectSet";
+import { EveSpriteSet, EveSpriteSetItem } from "./EveSpriteSet";
+
+
+@meta.type("EveSpriteLineSetItem", true)
+export class EveSpriteLineSetItem extends EveObjectSetItem
+{
+
+    @meta.string
+    name = "";
+
+    @meta.float
+    blinkPhase = 0;
+
+    @meta.float
+    blinkPhaseShift = 0;
+
+    @meta.float
+    blinkRate = 0;
+
+    @meta.uint
+    boneIndex = -1;
+
+    @meta.uint
+    colorType = 0;
+
+    @meta.float
+    falloff = 0;
+
+    @meta.float
+    intensity = 0;
+
+    @meta.boolean
+    isCircle = false;
+
+    @meta.float
+    maxScale = 0;
+
+    @meta.float
+    minScale = 0;
+
+    @meta.vector3
+    position = vec3.create();
+
+    @meta.quaternion
+    rotation = quat.create();
+
+    @meta.vector3
+    scaling = vec3.fromValues(1, 1, 1);
+
+    @meta.float
+    spacing = 0;
+
+    @meta.boolean
+    display = true;
+
+    // ccpwgl only
+
+    @meta.color
+    color = vec4.fromValues(1, 1, 1, 1);
+
+    @meta.color
+    warpColor = vec4.create();
+
+    _transform = mat4.create();
+
+    /**
+     * Initializes the item
+     */
+    Initialize()
+    {
+        mat4.fromRotationTranslationScale(this._transform, this.rotation, this.position, this.scaling);
+    }
+
+    /**
+     * Fires on value changes
+     */
+    OnValueChanged(opt)
+    {
+        mat4.fromRotationTranslationScale(this._transform, this.rotation, this.position, this.scaling);
+        super.OnValueChanged(opt);
+    }
+
+    /**
+     * Gets the item's local transform
+     * @param {mat4} out
+     * @returns {mat4} out
+     */
+    GetTransform(out)
+    {
+        return mat4.copy(out, this._transform);
+    }
+
+    /**
+     * Gets the item's bounding box
+     * @param {box3} out
+     * @returns {box3} out
+     */
+    GetBoundingBox(out)
+    {
+        box3.set(out, -0.5, -0.5, -0.5, 0.5, 0.5, 0.5);
+        box3.transformMat4(out, out, this._transform);
+        return box3.expandScalar(out, out, this.maxScale);
+    }
+
+    /**
+     * Gets the positions of the item's sprites
+     * - Lines run along the local x axis from -0.5 to 0.5
+     * - Circles have a diameter of 1 on the local x and y axes
+     * - Sprites are placed `spacing` apart after scaling, with at least one sprite per item
+     * @param {Array<vec3>} [out=[]]
+     * @returns {Array<vec3>} out
+     */
+    GetSpritePositions(out = [])
+    {
+        const
+            { vec3_0, vec3_1 } = EveObjectSet.global,
+            m = this._transform;
+
+        let count;
+        if (this.isCircle)
+        {
+            const
+                radiusX = vec3.length(vec3.set(vec3_0, m[0], m[1], m[2])) * 0.5,
+                radiusY = vec3.length(vec3.set(vec3_1, m[4], m[5], m[6])) * 0.5,
+                circumference = Math.PI * (radiusX + radiusY);
+
+            count = this.spacing > 0 ? Math.max(1, Math.floor(circumference / this.spacing)) : 1;
+            for (let i = 0; i < count; i++)
+            {
+                const angle = i / count * Math.PI * 2;
+                out.push(vec3.transformMat4(vec3.create(), [ Math.cos(angle) * 0.5, Math.sin(angle) * 0.5, 0 ], m));
+            }
+            return out;
+        }
+
+        const length = vec3.length(vec3.set(vec3_0, m[0], m[1], m[2]));
+        count = this.spacing > 0 ? Math.max(1, Math.floor(length / this.spacing) + 1) : 1;
+
+        if (count === 1)
+        {
+            out.push(vec3.transformMat4(vec3.create(), [ 0, 0, 0 ], m));
+            return out;
+        }
+
+        // Centre the sprites on the line
+        const
+            step = this.spacing / length,
+            start = -step * (count - 1) / 2;
+
+        for (let i = 0; i < count; i++)
+        {
+            out.push(vec3.transformMat4(vec3.create(), [ start + step * i, 0, 0 ], m));
+        }
+        return out;
+    }
+
+}
+
+
+@meta.type("EveSpriteLineSet", true)
+export class EveSpriteLineSet extends EveSpriteSet
+{
+
+    /**
+     * The sprites generated from the set's lines
+     * @type {Array<EveSpriteSetItem>}
+     */
+    _sprites = [];
+
+    /**
+     * Alias for this.items
+     * @returns {Array}
+     */
+    @meta.list("EveSpriteLineSetItem")
+    get spriteLineItems()
+    {
+        return this.items;
+    }
+
+    /**
+     * Alias for this.items
+     * @param {Array} arr
+     */
+    set spriteLineItems(arr)
+    {
+        this.items = arr;
+    }
+
+    /**
+     * Rebuilds items
+     * - Visible lines are expanded into sprites which are then rendered as a sprite set
+     * @param {Object} [opt]
+     */
+    RebuildItems(opt)
+    {
+        super.RebuildItems(opt);
+
+        const lines = this._visibleItems.splice(0);
+        this._sprites.splice(0);
+
+        for (let i = 0; i < lines.length; i++)
+        {
+            const
+                line = lines[i],
+                positions = line.GetSpritePositions();
+
+            for (let j = 0; j < positions.length; j++)
+            {
+                const sprite = new EveSpriteSetItem();
+                sprite.name = line.name;
+                sprite.boneIndex = line.boneIndex;
+                sprite.blinkPhase = line.blinkPhase + line.blinkPhaseShift * j;
+                sprite.blinkRate = line.blinkRate;
+                sprite.falloff = line.falloff;
+                sprite.intensity = line.intensity;
+                sprite.minScale = line.minScale;
+                sprite.maxScale = line.maxScale;
+                sprite.colorType = line.colorType;
+                vec3.copy(sprite.position, positions[j]);
+                vec4.copy(sprite.color, line.color);
+                vec4.copy(sprite.warpColor, line.warpColor);
+                sprite.OnRebuiltByParent(this);
+                this._sprites.push(sprite);
+                this._visibleItems.push(sprite);
+            }
+        }
+    }
+
+    /**
+     * Fires when the item is destroyed
+     */
+    OnDestroy()
+    {
+        this._sprites.splice(0);
+        super.OnDestroy();
+    }
+
+    /**
+     * The sprite line set's item constructor
+     * @type {EveSpriteLineSetItem}
+     */
+    static Item = EveSpriteLineSetItem;
+
+}
@@ -641,7 +641,7 @@ export class EveSpriteSet extends EveObjectSet
      */
     static from(values, options)
     {
-        const item = new EveSpriteSet();
+        const item = new this();
 
         if (values)
         {
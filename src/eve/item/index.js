@@ -2,6 +2,7 @@ export * from "./EveBanner";
 export * from "./EveBoosterSet";
 export * from "./EveCurveLineSet";
 export * from "./EveCustomMask";
+export * from "./EveHazeSet";
 export * from "./EveLocator2";
 export * from "./EveLocatorSets";
 export * from "./EveObjectSet";
@@ -9,4 +10,5 @@ export * from "./EvePlaneSet";
 export * from "./EveSpaceObjectDecal";
 export * from "./EveSpotlightSet";
 export * from "./EveSpriteSet";
+export * from "./EveSpriteLineSet";
 export * from "./EveTurretSet";
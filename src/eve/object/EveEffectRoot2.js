@@ -0,0 +1,106 @@
+import { meta } from "utils";
+import { vec4 } from "math";
+import { EveEffectRoot } from "./EveEffectRoot";
+import { Tr2Controller } from "state";
+
+
+@meta.type("EveEffectRoot2")
+export class EveEffectRoot2 extends EveEffectRoot
+{
+
+    @meta.list("Tr2Controller")
+    controllers = [];
+
+    @meta.notImplemented
+    @meta.boolean
+    dynamicLOD = false;
+
+    @meta.notImplemented
+    @meta.list("Tr2PointLight")
+    lights = [];
+
+    @meta.notImplemented
+    @meta.list("TriObserverLocal")
+    observers = [];
+
+    @meta.notImplemented
+    @meta.struct()
+    rotationCurve = null;
+
+    @meta.notImplemented
+    @meta.color
+    secondaryLightingEmissiveColor = vec4.create();
+
+    @meta.notImplemented
+    @meta.float
+    secondaryLightingSphereRadius = 0;
+
+
+    /**
+     * Gets effect root res objects
+     * @param {Array} [out=[]] - Optional receiving array
+     * @returns {Array.<Tw2EffectRes|Tw2TextureRes>} [out]
+     */
+    GetResources(out = [])
+    {
+        super.GetResources(out);
+
+        for (let i = 0; i < this.controllers.length; i++)
+        {
+            this.controllers[i].GetResources(out);
+        }
+        return out;
+    }
+
+    /**
+     * Sets a controller variable, for example "IsDocked" or "ShieldHealth"
+     * @param {String} name
+     * @param {Number|Boolean|String} value
+     * @returns {Boolean} true if a controller has the variable
+     */
+    SetControllerVariable(name, value)
+    {
+        return Tr2Controller.SetVariableValue(this.controllers, name, value);
+    }
+
+    /**
+     * Starts playing the effect root's curve sets, and restarts its controllers
+     */
+    Start()
+    {
+        super.Start();
+
+        for (let i = 0; i < this.controllers.length; i++)
+        {
+            this.controllers[i].Start(this);
+        }
+    }
+
+    /**
+     * Stops the effect root's curve sets and controllers
+     */
+    Stop()
+    {
+        super.Stop();
+
+        for (let i = 0; i < this.controllers.length; i++)
+        {
+            this.controllers[i].Stop();
+        }
+    }
+
+    /**
+     * Internal per frame update
+     * @param {number} dt - Delta Time
+     */
+    Update(dt)
+    {
+        for (let i = 0; i < this.controllers.length; i++)
+        {
+            this.controllers[i].Update(dt, this);
+        }
+
+        super.Update(dt);
+    }
+
+}
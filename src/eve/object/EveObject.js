@@ -16,6 +16,27 @@ export class EveObject extends Tw2Transform
     display = true;
 
     _lod = 3;
+    _textures = null;
+
+    /**
+     * Initializes the object
+     */
+    Initialize()
+    {
+        this._textures = null;
+        super.Initialize();
+    }
+
+    /**
+     * Fires on value changes
+     * - The object may have been rebuilt so its textures are gathered again
+     * @param {Object} [opt]
+     */
+    OnValueChanged(opt)
+    {
+        this._textures = null;
+        super.OnValueChanged(opt);
+    }
 
     /**
      * Resets LOD
@@ -34,6 +55,34 @@ export class EveObject extends Tw2Transform
         this._lod = 3;
     }
 
+    /**
+     * Gets the object's textures
+     * - Textures are gathered once, and again after the object is rebuilt
+     * @returns {Array<Tw2TextureRes>}
+     */
+    GetTextures()
+    {
+        if (!this._textures)
+        {
+            this._textures = this.GetResources().filter(x => x.RequestPixelSize);
+        }
+        return this._textures;
+    }
+
+    /**
+     * Requests the object's textures for its size on screen
+     * - Textures use the request to pick their quality level
+     * @param {Number} pixelSizeAcross
+     */
+    RequestTexturePixelSize(pixelSizeAcross)
+    {
+        const textures = this.GetTextures();
+        for (let i = 0; i < textures.length; i++)
+        {
+            textures[i].RequestPixelSize(pixelSizeAcross);
+        }
+    }
+
     /**
      * Gets object resources
      * @param {Array} [out=[]]
@@ -3,11 +3,20 @@ import { vec3, mat4, sph3, box3 } from "math";
 import { EveObject } from "eve/object/EveObject";
 import { Tw2PerObjectData } from "core/data";
 import { Tw2AnimationController } from "core/model";
-import { EveTurretSet, EveBanner, EvePlaneSet, EveSpriteSet, EveSpotlightSet, EveCurveLineSet } from "eve/item";
+import {
+    EveTurretSet,
+    EveBanner,
+    EvePlaneSet,
+    EveSpriteSet,
+    EveSpriteLineSet,
+    EveSpotlightSet,
+    EveCurveLineSet,
+    EveHazeSet
+} from "eve/item";
 import { EveMeshOverlayEffect } from "eve/effect";
-import { EveHazeSet, EveSpriteLineSet } from "unsupported/eve/item";
 import { LodLevelPixels } from "constant/ccpwgl";
 import { RM_OPAQUE } from "constant";
+import { Tr2Controller } from "state";
 
 
 @meta.type("EveShip2")
@@ -36,6 +45,9 @@ export class EveShip2 extends EveObject
     @meta.list("EveObject")
     children = [];
 
+    @meta.list("Tr2Controller")
+    controllers = [];
+
     @meta.list("EveCustomMask")
     customMasks = [];
 
@@ -45,6 +57,9 @@ export class EveShip2 extends EveObject
     @meta.string
     dna = "";
 
+    @meta.list("Tr2PointLight", "Tr2SpotLight", "Tr2TexturedPointLight")
+    lights = [];
+
     @meta.list("EveLocatorSets")
     locatorSets = [];
 
@@ -102,16 +117,21 @@ export class EveShip2 extends EveObject
         effectChildren: true,
         hazeSets: true,
         killmarks: true,
+        lights: true,
         lineSets: true,
         mesh: true,
         overlayEffects: true,
         planeSets: true,
         shadows: true,
         spotlightSets: true,
+        spriteLineSets: true,
         spriteSets: true,
         turretSets: true
     };
 
+    @meta.plain
+    visibilityGroups = {};
+
     @meta.float
     weeksSinceCleaned = 0;
 
@@ -120,6 +140,7 @@ export class EveShip2 extends EveObject
     _pixelSizeAcross = 0;
 
     _spriteScale = 1;
+    _visibilityGroups = {};
     _parentTransform = mat4.create();
     _perObjectData = Tw2PerObjectData.from(EveShip2.perObjectData);
 
@@ -483,6 +504,102 @@ export class EveShip2 extends EveObject
         return out;
     }
 
+    /**
+     * Requests an animation state, such as "siege" or "warp", from the ship's animation state machines
+     * @param {String} name
+     * @returns {Boolean} true if a state machine has the state
+     */
+    RequestAnimationState(name)
+    {
+        return this.animation ? this.animation.RequestState(name) : false;
+    }
+
+    /**
+     * Sets a variable used by the ship's animation state machine transitions
+     * @param {String} name
+     * @param {*} value
+     */
+    SetAnimationStateVariable(name, value)
+    {
+        if (this.animation) this.animation.SetStateVariable(name, value);
+    }
+
+    /**
+     * Gets a controller variable's value
+     * @param {String} name
+     * @returns {?Number} the value, or null if no controller has the variable
+     */
+    GetControllerVariable(name)
+    {
+        return Tr2Controller.GetVariableValue(this.controllers, name);
+    }
+
+    /**
+     * Sets a controller variable, for example "IsDamaged" or "IsActive"
+     * - The controllers' actions then update the ship on its next update, for example by setting effect parameters or
+     *   by showing or hiding a visibility group through "visibilityGroups"
+     * @param {String} name
+     * @param {Number|Boolean|String} value - a number, or one of the variable's enum names
+     * @returns {Boolean} true if a controller has the variable
+     */
+    SetControllerVariable(name, value)
+    {
+        return Tr2Controller.SetVariableValue(this.controllers, name, value);
+    }
+
+    /**
+     * Checks if a visibility group is shown
+     * @param {String} name - an empty name is the "PRIMARY" group
+     * @returns {?Boolean} null if the ship doesn't have the visibility group
+     */
+    GetVisibilityGroup(name)
+    {
+        const key = name ? name.toUpperCase() : "PRIMARY";
+        return key in this.visibilityGroups ? this.visibilityGroups[key] : null;
+    }
+
+    /**
+     * Shows or hides a visibility group
+     * @param {String} name - an empty name is the "PRIMARY" group
+     * @param {Boolean} visible
+     * @returns {Boolean} true if the ship has the visibility group
+     */
+    SetVisibilityGroup(name, visible)
+    {
+        const key = name ? name.toUpperCase() : "PRIMARY";
+        if (!(key in this.visibilityGroups)) return false;
+
+        this.visibilityGroups[key] = !!visible;
+        this.ApplyVisibilityGroups();
+        return true;
+    }
+
+    /**
+     * Applies visibility groups that were shown or hidden since they were last applied
+     * - Controller actions set "visibilityGroups" directly, so they're applied on each update
+     */
+    ApplyVisibilityGroups()
+    {
+        for (const key in this.visibilityGroups)
+        {
+            const visible = !!this.visibilityGroups[key];
+            if (this._visibilityGroups[key] !== visible)
+            {
+                this.visibilityGroups[key] = visible;
+                this._visibilityGroups[key] = visible;
+
+                /**
+                 * Fires when a visibility group is shown or hidden
+                 * @event EveShip2#visibility_group_changed
+                 * @type {EveShip2}
+                 * @property {String} name
+                 * @property {Boolean} visible
+                 */
+                this.EmitEvent("visibility_group_changed", this, key, visible);
+            }
+        }
+    }
+
     /**
      * Updates lod
      * @param {Tw2Frustum} frustum
@@ -511,6 +628,14 @@ export class EveShip2 extends EveObject
             {
                 this._lod = 3;
             }
+
+            // Lod meshes and textures load other quality levels on demand, so only visible objects are updated
+            if (this.mesh && this.mesh.UpdateLod)
+            {
+                this.mesh.UpdateLod(this._pixelSizeAcross);
+            }
+
+            this.RequestTexturePixelSize(this._pixelSizeAcross);
         }
         else
         {
@@ -539,6 +664,11 @@ export class EveShip2 extends EveObject
     {
         this._lod = 3;
 
+        if (this.mesh && this.mesh.ResetLod)
+        {
+            this.mesh.ResetLod();
+        }
+
         for (let i = 0; i < this.children.length; i++)
         {
             if (this.children[i].ResetLod)
@@ -604,6 +734,7 @@ export class EveShip2 extends EveObject
         const index = this.attachments.indexOf(turretSet);
         if (index === -1) return false;
         this.attachments.splice(index, 1);
+        this._textures = null;
         return true;
     }
 
@@ -624,6 +755,7 @@ export class EveShip2 extends EveObject
 
         this.attachments.splice(this.attachments.indexOf(existingTurretSet), 1);
         this.attachments.push(turretSet);
+        this._textures = null;
         this.RebuildTurretSet(turretSet);
         return true;
     }
@@ -681,6 +813,7 @@ export class EveShip2 extends EveObject
             updated = true;
         }
 
+        if (updated) this._textures = null;
         return updated;
     }
 
@@ -690,6 +823,13 @@ export class EveShip2 extends EveObject
      */
     Update(dt)
     {
+        for (let i = 0; i < this.controllers.length; i++)
+        {
+            this.controllers[i].Update(dt, this);
+        }
+
+        this.ApplyVisibilityGroups();
+
         if (this._lod < 1 || !this.display)
         {
             return;
@@ -726,6 +866,11 @@ export class EveShip2 extends EveObject
             }
         }
 
+        for (let i = 0; i < this.lights.length; i++)
+        {
+            this.lights[i].Update(dt);
+        }
+
         for (let i = 0; i < this.children.length; i++)
         {
             this.children[i].Update(dt, this._worldTransform);
@@ -755,20 +900,61 @@ export class EveShip2 extends EveObject
 
     }
 
+    /**
+     * Gets the object's lit dynamic lights
+     * @param {Array<Tr2PointLight>} [out=[]]
+     * @returns {Array<Tr2PointLight>} out
+     */
+    GetLights(out = [])
+    {
+        if (!this.display || this._lod < 1) return out;
+
+        if (this.visible.lights)
+        {
+            for (let i = 0; i < this.lights.length; i++)
+            {
+                if (this.lights[i].IsLit()) out.push(this.lights[i]);
+            }
+        }
+
+        if (this.visible.children)
+        {
+            for (let i = 0; i < this.children.length; i++)
+            {
+                if ("GetLights" in this.children[i]) this.children[i].GetLights(out);
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Gets the ship's world bounding sphere
+     * @param {sph3} out
+     * @returns {sph3} out
+     */
+    GetWorldBoundingSphere(out)
+    {
+        sph3.fromPositionRadius(out, this.boundingSphereCenter, this.boundingSphereRadius);
+        return sph3.transformMat4(out, out, this._worldTransform);
+    }
+
     /**
      * Gets a shadow batch
-     * @param accumulator
+     * @param {Tw2BatchAccumulator} accumulator
+     * @param {Tw2Effect} [effect=this.shadowEffect] - the scene's shadow effect is used when the ship has none
      * @return {boolean}
      */
-    GetShadowBatch(accumulator)
+    GetShadowBatch(accumulator, effect = this.shadowEffect)
     {
         if (
             !this.display ||
+            this._lod < 1 ||
             !this.visible.shadows ||
             !this.mesh ||
             !this.mesh.IsGood() ||
-            !this.shadowEffect ||
-            !this.shadowEffect.IsGood()
+            !effect ||
+            !effect.IsGood()
         ) return false;
 
         const { mesh } = this;
@@ -785,7 +971,7 @@ export class EveShip2 extends EveObject
             batch.meshIx = mesh.meshIndex; //area.meshIndex;
             batch.start = area.index;
             batch.count = area.count;
-            batch.effect = this.shadowEffect;
+            batch.effect = effect;
             accumulator.Commit(batch);
         }
 
@@ -871,7 +1057,7 @@ export class EveShip2 extends EveObject
                     case EveSpriteLineSet:
                         if (show.spriteLineSets)
                         {
-                            item.GetBatches(mode, accumulator, this._perObjectData);
+                            item.GetBatches(mode, accumulator, this._perObjectData, this._worldTransform);
                         }
                         break;
 
@@ -1110,6 +1296,10 @@ export class EveShip2 extends EveObject
             this.boosters.UpdateViewDependentData(this._worldTransform, bones, this._spriteScale);
         }
 
+        for (let i = 0; i < this.lights.length; i++)
+        {
+            this.lights[i].UpdateViewDependentData(this._worldTransform, bones);
+        }
 
     }
 
@@ -20,7 +20,8 @@ export const SceneLodSettings = {
 export const LodLevelPixels = {
     ZERO: 20,
     ONE: 100,
-    TWO: 250
+    TWO: 250,
+    THREE: 800
 };
 
 
@@ -60,8 +60,14 @@ export const FOURCC_ETC1 = 826496069;
 export const FOURCC_DXT1 = 827611204;
 export const FOURCC_DXT5 = 894720068;
 export const FOURCC_DXT3 = 861165636;
-export const FOURCC_DXT10 = 827611204;
+export const FOURCC_DXT10 = 808540228;
+export const FOURCC_BC4U = 1429488450;
+export const FOURCC_BC5U = 1429553986;
+export const FOURCC_D3DFMT_R16F = 111;
+export const FOURCC_D3DFMT_G16R16F = 112;
 export const FOURCC_D3DFMT_R16G16B16A16F = 113;
+export const FOURCC_D3DFMT_R32F = 114;
+export const FOURCC_D3DFMT_G32R32F = 115;
 export const FOURCC_D3DFMT_R32G32B32A32F = 116;
 
 export const DXGI_FORMAT_R16G16B16A16_FLOAT = 10;
@@ -82,6 +88,8 @@ export const DDS_HEADER_SIZE = 124;
 export const DDS_HEADER_PF_SIZE = 32;
 export const DDS_HEADER_DX10_SIZE = 20;
 
+export const DDS_RESOURCE_MISC_TEXTURECUBE = 0x4;
+
 export const D3D10_RESOURCE_DIMENSION = {
     DDS_DIMENSION_TEXTURE1D : 2,
     DDS_DIMENSION_TEXTURE2D : 3,
@@ -10,6 +10,7 @@ export const GL_STENCIL_BUFFER_BIT = 1024;
 export const GL_TEXTURE_2D = 3553;
 export const GL_TEXTURE_CUBE_MAP = 34067;
 export const GL_TEXTURE_3D = 32879;
+export const GL_TEXTURE_2D_ARRAY = 35866;                                   //webgl2
 
 export const GL_TEXTURE_MAG_FILTER = 10240;
 export const GL_TEXTURE_MIN_FILTER = 10241;
@@ -66,6 +67,8 @@ export const GL_SAMPLER_3D = 35679;
 export const GL_SAMPLER_CUBE = 35680;
 
 export const GL_DEPTH_COMPONENT = 6402;
+export const GL_RED = 6403;                                                 //webgl2
+export const GL_RG = 33319;                                                 //webgl2
 export const GL_ALPHA = 6406;
 export const GL_RGB = 6407;
 export const GL_RGBA = 6408;
@@ -90,6 +93,7 @@ export const GL_RGB16F = 34843;                                             //we
 export const GL_RGB32F = 34837;                                             //webgl2
 export const GL_RGB8UI = 36221;                                             //webgl2
 export const GL_RGBA8 = 32856;                                              //webgl2
+export const GL_SRGB8_ALPHA8 = 35907;                                       //webgl2
 export const GL_RGB5_A1 = 32855;                                            //webgl2
 export const GL_RGBA16F = 34842;                                            //webgl2
 export const GL_RGBA32F = 34836;                                            //webgl2
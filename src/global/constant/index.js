@@ -4,3 +4,4 @@ export * from "./gl";
 export * from "./web";
 export * from "./type";
 export * from "./ccpwgl";
+export * from "./ktx2";
@@ -0,0 +1,80 @@
+/*
+
+  Khronos Texture 2.0
+  https://github.khronos.org/KTX-Specification/
+
+*/
+export const KTX2_IDENTIFIER = [ 0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A ];
+export const KTX2_IDENTIFIER_SIZE = 12;
+export const KTX2_HEADER_SIZE = 80;
+export const KTX2_LEVEL_INDEX_ENTRY_SIZE = 24;
+
+export const KTX2_HEADER_OFFSET_VK_FORMAT = 12;
+export const KTX2_HEADER_OFFSET_TYPE_SIZE = 16;
+export const KTX2_HEADER_OFFSET_PIXEL_WIDTH = 20;
+export const KTX2_HEADER_OFFSET_PIXEL_HEIGHT = 24;
+export const KTX2_HEADER_OFFSET_PIXEL_DEPTH = 28;
+export const KTX2_HEADER_OFFSET_LAYER_COUNT = 32;
+export const KTX2_HEADER_OFFSET_FACE_COUNT = 36;
+export const KTX2_HEADER_OFFSET_LEVEL_COUNT = 40;
+export const KTX2_HEADER_OFFSET_SUPERCOMPRESSION = 44;
+export const KTX2_HEADER_OFFSET_DFD_OFFSET = 48;
+export const KTX2_HEADER_OFFSET_DFD_LENGTH = 52;
+export const KTX2_HEADER_OFFSET_KVD_OFFSET = 56;
+export const KTX2_HEADER_OFFSET_KVD_LENGTH = 60;
+export const KTX2_HEADER_OFFSET_SGD_OFFSET = 64;
+export const KTX2_HEADER_OFFSET_SGD_LENGTH = 72;
+
+export const KTX2_SUPERCOMPRESSION_NONE = 0;
+export const KTX2_SUPERCOMPRESSION_BASISLZ = 1;
+export const KTX2_SUPERCOMPRESSION_ZSTD = 2;
+export const KTX2_SUPERCOMPRESSION_ZLIB = 3;
+
+export const KTX2_SUPERCOMPRESSION = [
+    "NONE",
+    "BASISLZ",
+    "ZSTD",
+    "ZLIB"
+];
+
+export const VK_FORMAT_UNDEFINED = 0;
+export const VK_FORMAT_R8_UNORM = 9;
+export const VK_FORMAT_R8G8_UNORM = 16;
+export const VK_FORMAT_R8G8B8_UNORM = 23;
+export const VK_FORMAT_R8G8B8_SRGB = 29;
+export const VK_FORMAT_R8G8B8A8_UNORM = 37;
+export const VK_FORMAT_R8G8B8A8_SRGB = 43;
+export const VK_FORMAT_R16_SFLOAT = 76;
+export const VK_FORMAT_R16G16_SFLOAT = 83;
+export const VK_FORMAT_R16G16B16A16_SFLOAT = 97;
+export const VK_FORMAT_R32_SFLOAT = 100;
+export const VK_FORMAT_R32G32_SFLOAT = 103;
+export const VK_FORMAT_R32G32B32A32_SFLOAT = 109;
+export const VK_FORMAT_BC1_RGB_UNORM_BLOCK = 131;
+export const VK_FORMAT_BC1_RGB_SRGB_BLOCK = 132;
+export const VK_FORMAT_BC1_RGBA_UNORM_BLOCK = 133;
+export const VK_FORMAT_BC1_RGBA_SRGB_BLOCK = 134;
+export const VK_FORMAT_BC2_UNORM_BLOCK = 135;
+export const VK_FORMAT_BC2_SRGB_BLOCK = 136;
+export const VK_FORMAT_BC3_UNORM_BLOCK = 137;
+export const VK_FORMAT_BC3_SRGB_BLOCK = 138;
+export const VK_FORMAT_BC4_UNORM_BLOCK = 139;
+export const VK_FORMAT_BC4_SNORM_BLOCK = 140;
+export const VK_FORMAT_BC5_UNORM_BLOCK = 141;
+export const VK_FORMAT_BC5_SNORM_BLOCK = 142;
+export const VK_FORMAT_BC6H_UFLOAT_BLOCK = 143;
+export const VK_FORMAT_BC6H_SFLOAT_BLOCK = 144;
+export const VK_FORMAT_BC7_UNORM_BLOCK = 145;
+export const VK_FORMAT_BC7_SRGB_BLOCK = 146;
+export const VK_FORMAT_ETC2_R8G8B8_UNORM_BLOCK = 147;
+export const VK_FORMAT_ETC2_R8G8B8_SRGB_BLOCK = 148;
+export const VK_FORMAT_ETC2_R8G8B8A1_UNORM_BLOCK = 149;
+export const VK_FORMAT_ETC2_R8G8B8A1_SRGB_BLOCK = 150;
+export const VK_FORMAT_ETC2_R8G8B8A8_UNORM_BLOCK = 151;
+export const VK_FORMAT_ETC2_R8G8B8A8_SRGB_BLOCK = 152;
+export const VK_FORMAT_EAC_R11_UNORM_BLOCK = 153;
+export const VK_FORMAT_EAC_R11_SNORM_BLOCK = 154;
+export const VK_FORMAT_EAC_R11G11_UNORM_BLOCK = 155;
+export const VK_FORMAT_EAC_R11G11_SNORM_BLOCK = 156;
+export const VK_FORMAT_ASTC_4x4_UNORM_BLOCK = 157;
+export const VK_FORMAT_ASTC_4x4_SRGB_BLOCK = 158;
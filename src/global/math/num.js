@@ -448,6 +448,28 @@ num.randomFloat = function (low, high)
     return low + Math.random() * (high - low);
 };
 
+/**
+ * Creates a seeded pseudo random number generator
+ * - The generator returns floats between 0 (inclusive) and 1 (exclusive)
+ * - Generators with the same seed return the same sequence
+ *
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+num.seededRandom = function (seed)
+{
+    let state = seed >>> 0;
+
+    return function ()
+    {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
 /**
  * @alias for Math.round
  */
@@ -20,6 +20,41 @@ export function addToArray(arr, ...args)
     return added;
 }
 
+/**
+ * Combines two arrays of elements by a property
+ * - Elements in the override array are combined with source elements that have the same property value, and are
+ *   added when the source doesn't have one
+ * @param {Array} a                   - source elements
+ * @param {Array} [b]                 - override elements
+ * @param {String} property           - the property elements are matched by
+ * @param {Function} combine          - combines a source element with an optional override element
+ * @param {Array} [out=[]]            - receiving array
+ * @returns {Array} out
+ */
+export function combineArraysByProperty(a, b, property, combine, out = [])
+{
+    out.splice(0);
+
+    for (let i = 0; i < a.length; i++)
+    {
+        const foundB = b ? b.find(x => x[property] === a[i][property]) : null;
+        out.push(combine(a[i], foundB));
+    }
+
+    if (b)
+    {
+        for (let i = 0; i < b.length; i++)
+        {
+            if (!a.find(x => x[property] === b[i][property]))
+            {
+                out.push(combine(b[i]));
+            }
+        }
+    }
+
+    return out;
+}
+
 /**
  * Finds the first element in an array with a given property and value
  * - Throws an optional error if not found
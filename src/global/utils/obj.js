@@ -1,4 +1,4 @@
-import { isTyped, isArrayLike, isArray, isPlain } from "./type";
+import { isTyped, isArrayLike, isArray, isPlain, isNoU, isString } from "./type";
 import { toArray } from "utils/arr";
 
 /**
@@ -130,6 +130,32 @@ export function assignIfExists(dest, src, attrs, skipIfDestUndefined)
     return assigned;
 }
 
+/**
+ * Gets an override's property value if it is set, else gets the property value from a fallback source
+ * - Values are unset when they are null, undefined, empty strings, empty arrays or zero filled vectors
+ * - Used when combining sof data with its overrides
+ * @param {*} [override]
+ * @param {String} prop
+ * @param {*} fallback
+ * @returns {*}
+ */
+export function __get(override, prop, fallback)
+{
+    const value = override ? override[prop] : undefined;
+
+    if (
+        isNoU(value) ||
+        (isString(value) && !value) ||
+        (isArray(value) && !value.length) ||
+        (isTyped(value) && value.every(x => x === 0))
+    )
+    {
+        return fallback[prop];
+    }
+
+    return value;
+}
+
 /**
  * Gets a source's property value if it exists else returns a default value
  * @param {*} src
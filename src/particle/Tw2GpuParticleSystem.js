@@ -0,0 +1,362 @@
+import { meta } from "utils";
+import { device } from "global";
+import { mat4, vec3 } from "math";
+import { RM_ADDITIVE } from "constant";
+import { Tw2VertexDeclaration, Tw2ForwardingRenderBatch } from "core";
+import { Tw2ParticleSimulation, Tw2CpuParticleSimulation, Tw2GpuParticleSimulation } from "./simulation";
+
+
+/**
+ * Gpu particle system
+ * - Particles are emitted, updated, sorted and rendered by a WebGL2 simulation, or by the cpu reference simulation
+ *   when WebGL2 isn't available
+ * - Particles are simulated in the particle system's local space
+ * - The simulation stage effects aren't implemented, as they can't be compiled for webgl, so only the render effect's
+ *   resources are loaded
+ */
+@meta.type("Tw2GpuParticleSystem", "Tr2GpuParticleSystem")
+export class Tw2GpuParticleSystem extends meta.Model
+{
+
+    @meta.notImplemented
+    @meta.struct("Tw2Effect")
+    clear = null;
+
+    @meta.notImplemented
+    @meta.struct("Tw2Effect")
+    emit = null;
+
+    @meta.struct("Tw2Effect")
+    render = null;
+
+    @meta.notImplemented
+    @meta.struct("Tw2Effect")
+    setDrawParameters = null;
+
+    @meta.notImplemented
+    @meta.struct("Tw2Effect")
+    setSortParameters = null;
+
+    @meta.notImplemented
+    @meta.struct("Tw2Effect")
+    sort = null;
+
+    @meta.notImplemented
+    @meta.struct("Tw2Effect")
+    sortInner = null;
+
+    @meta.notImplemented
+    @meta.struct("Tw2Effect")
+    sortStep = null;
+
+    @meta.notImplemented
+    @meta.struct("Tw2Effect")
+    update = null;
+
+    // ccpwgl only
+
+    @meta.boolean
+    display = true;
+
+    @meta.uint
+    maxParticleCount = 4096;
+
+    @meta.uint
+    renderMode = RM_ADDITIVE;
+
+    @meta.boolean
+    requiresSorting = true;
+
+    @meta.boolean
+    useCpuSimulation = false;
+
+
+    _simulation = null;
+    _emitters = [];
+    _staged = null;
+    _stagedCount = 0;
+    _quad = null;
+    _quadDecl = Tw2VertexDeclaration.from(Tw2GpuParticleSystem.quadDeclarations).SetStride(8);
+    _instanceDecl = Tw2VertexDeclaration.from(Tw2ParticleSimulation.instanceDeclarations).SetStride(Tw2ParticleSimulation.INSTANCE_STRIDE * 4);
+
+
+    /**
+     * Gets object resources
+     * @param {Array} [out=[]] - Optional receiving array
+     * @returns {Array.<Tw2Resource>} [out]
+     */
+    GetResources(out = [])
+    {
+        if (this.render) this.render.GetResources(out);
+        return out;
+    }
+
+    /**
+     * Gets the particle system's simulation, recreating it when its particle count or simulation type changes
+     * @returns {Tw2ParticleSimulation}
+     */
+    GetSimulation()
+    {
+        const
+            maxParticleCount = Math.max(1, this.maxParticleCount),
+            useGpu = !this.useCpuSimulation && !!device.gl && device.glVersion === 2,
+            sim = this._simulation;
+
+        if (!sim || sim.ringSize !== maxParticleCount || (sim instanceof Tw2GpuParticleSimulation) !== useGpu)
+        {
+            this.Unload();
+            this._simulation = useGpu
+                ? new Tw2GpuParticleSimulation(device.gl, maxParticleCount)
+                : new Tw2CpuParticleSimulation(maxParticleCount);
+        }
+
+        return this._simulation;
+    }
+
+    /**
+     * Gets an emitter's slot, adding the emitter if it doesn't have one
+     * @param {Tw2GpuParticleEmitter} emitter
+     * @returns {Number} the slot, or -1 if every slot is used
+     */
+    GetEmitterSlot(emitter)
+    {
+        let slot = this._emitters.indexOf(emitter);
+        if (slot === -1 && this._emitters.length < Tw2ParticleSimulation.MAX_EMITTERS)
+        {
+            slot = this._emitters.push(emitter) - 1;
+        }
+        return slot;
+    }
+
+    /**
+     * Emits particles from an emitter
+     * - Particles are added to the simulation on the particle system's next update
+     * @param {Tw2GpuParticleEmitter} emitter
+     * @param {Number} count
+     */
+    Emit(emitter, count)
+    {
+        const slot = this.GetEmitterSlot(emitter);
+        if (slot === -1) return;
+
+        const
+            stride = Tw2ParticleSimulation.PARTICLE_STRIDE,
+            total = Math.min(this._stagedCount + count, Math.max(1, this.maxParticleCount));
+
+        if (!this._staged || this._staged.length < total * stride)
+        {
+            const staged = new Float32Array(Tw2ParticleSimulation.GetCapacity(total) * stride);
+            if (this._staged) staged.set(this._staged.subarray(0, this._stagedCount * stride));
+            this._staged = staged;
+        }
+
+        for (let i = this._stagedCount; i < total; i++)
+        {
+            emitter.GenerateParticle(this._staged, i * stride, slot);
+        }
+
+        this._stagedCount = total;
+    }
+
+    /**
+     * Kills all particles, including particles that haven't been added to the simulation yet
+     */
+    ClearParticles()
+    {
+        this._stagedCount = 0;
+        if (this._simulation) this._simulation.Clear();
+    }
+
+    /**
+     * Per frame update
+     * @param {Number} dt
+     * @param {mat4} [worldTransform] - the particle system's world transform, for sorting from the eye position
+     */
+    Update(dt, worldTransform)
+    {
+        const sim = this.GetSimulation();
+
+        for (let i = 0; i < this._emitters.length; i++)
+        {
+            sim.SetEmitter(i, this._emitters[i]);
+        }
+
+        if (this._stagedCount)
+        {
+            sim.Emit(this._staged, this._stagedCount);
+            this._stagedCount = 0;
+        }
+
+        sim.Update(dt);
+
+        if (this.requiresSorting)
+        {
+            const { vec3_0, mat4_0 } = Tw2GpuParticleSystem.global;
+            vec3.copy(vec3_0, device.eyePosition);
+
+            if (worldTransform && mat4.invert(mat4_0, worldTransform))
+            {
+                vec3.transformMat4(vec3_0, vec3_0, mat4_0);
+            }
+
+            sim.Sort(vec3_0);
+        }
+
+        sim.Render(this.requiresSorting);
+    }
+
+    /**
+     * Gets the particle system's instance buffer
+     * @returns {?WebGLBuffer}
+     */
+    GetInstanceBuffer()
+    {
+        if (!this._simulation || !this._simulation.count) return undefined;
+        return this._simulation.GetInstanceBuffer(device.gl);
+    }
+
+    /**
+     * Gets the particle system's instance declaration
+     * @returns {Tw2VertexDeclaration}
+     */
+    GetInstanceDeclaration()
+    {
+        return this._instanceDecl;
+    }
+
+    /**
+     * Gets the particle system's instance stride
+     * @returns {number}
+     */
+    GetInstanceStride()
+    {
+        return this._instanceDecl.stride;
+    }
+
+    /**
+     * Gets the particle system's instance count
+     * @returns {number}
+     */
+    GetInstanceCount()
+    {
+        return this._simulation ? this._simulation.count : 0;
+    }
+
+    /**
+     * Gets render batches
+     * - Particles are rendered with the render effect, as camera facing quads
+     * @param {Number} mode
+     * @param {Tw2BatchAccumulator} accumulator
+     * @param {Tw2PerObjectData} perObjectData
+     * @returns {Boolean} true if batches accumulated
+     */
+    GetBatches(mode, accumulator, perObjectData)
+    {
+        if (!this.display || mode !== this.renderMode || !this.render || !this.render.IsGood() || !this.GetInstanceCount())
+        {
+            return false;
+        }
+
+        const batch = new Tw2ForwardingRenderBatch();
+        batch.perObjectData = perObjectData;
+        batch.geometryProvider = this;
+        batch.renderMode = mode;
+        batch.effect = this.render;
+        accumulator.Commit(batch);
+        return true;
+    }
+
+    /**
+     * Renders the particle system
+     * @param {Tw2ForwardingRenderBatch} batch
+     * @param {String} technique - technique name
+     * @returns {Boolean}
+     */
+    Render(batch, technique)
+    {
+        if (!batch.effect || !batch.effect.IsGood()) return false;
+        if (!technique) technique = batch.effect.defaultTechnique;
+
+        const
+            d = device,
+            gl = d.gl,
+            buffer = this.GetInstanceBuffer(),
+            count = this.GetInstanceCount();
+
+        if (!buffer) return false;
+
+        if (!this._quad)
+        {
+            this._quad = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this._quad);
+            gl.bufferData(gl.ARRAY_BUFFER, Tw2GpuParticleSystem.corners, gl.STATIC_DRAW);
+        }
+
+        const passCount = batch.effect.GetPassCount(technique);
+        for (let pass = 0; pass < passCount; ++pass)
+        {
+            batch.effect.ApplyPass(technique, pass);
+            const passInput = batch.effect.GetPassInput(technique, pass);
+            if (passInput.elements.length === 0) continue;
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, this._quad);
+            this._quadDecl.SetPartialDeclaration(d, passInput, this._quadDecl.stride);
+
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            const resetData = this._instanceDecl.SetPartialDeclaration(d, passInput, this._instanceDecl.stride, 0, 1);
+
+            d.ApplyShadowState();
+            gl.drawArraysInstanced(gl.TRIANGLES, 0, Tw2GpuParticleSystem.corners.length / 2, count);
+            this._instanceDecl.ResetInstanceDivisors(d, resetData);
+        }
+
+        return true;
+    }
+
+    /**
+     * Unloads the particle system's simulation and buffers
+     */
+    Unload()
+    {
+        const { gl } = device;
+
+        if (this._simulation)
+        {
+            this._simulation.Unload(gl);
+            this._simulation = null;
+        }
+
+        if (this._quad)
+        {
+            gl.deleteBuffer(this._quad);
+            this._quad = null;
+        }
+    }
+
+    /**
+     * Quad corners for each particle's two triangles
+     * @type {Float32Array}
+     */
+    static corners = new Float32Array([
+        -1, -1, 1, -1, 1, 1,
+        -1, -1, 1, 1, -1, 1
+    ]);
+
+    /**
+     * Quad vertex declarations
+     * @type {*[]}
+     */
+    static quadDeclarations = [
+        { usage: "TEXCOORD", usageIndex: 0, elements: 2 }
+    ];
+
+    /**
+     * Global and scratch variables
+     * @type {*}
+     */
+    static global = {
+        vec3_0: vec3.create(),
+        mat4_0: mat4.create()
+    };
+
+}
@@ -389,7 +389,7 @@ export class Tw2ParticleSystem extends meta.Model
         {
             for (let i = 0; i < this.constraints.length; ++i)
             {
-                this.constraints[i].ApplyConstraint(this._buffers, this._instanceStride, this._aliveCount, dt);
+                this.constraints[i].ApplyConstraint(this._buffers, this._instanceStride, this._aliveCount, dt, this);
             }
         }
 
@@ -0,0 +1,123 @@
+import { meta } from "utils";
+import { vec4 } from "math";
+import { Tw2ParticleElement } from "../element/Tw2ParticleElement";
+import { Tw2ParticleConstraint } from "./Tw2ParticleConstraint";
+
+
+@meta.type("Tr2PlaneConstraint")
+export class Tr2PlaneConstraint extends Tw2ParticleConstraint
+{
+
+    @meta.list("Tw2ParticleAttributeGenerator")
+    generators = [];
+
+    @meta.float
+    reflectionNoise = 0;
+
+    /*
+
+        CCPWGL only
+
+     */
+
+    @meta.vector4
+    plane = vec4.fromValues(0, 1, 0, 0);
+
+
+    _particleSystem = null;
+    _isValid = false;
+
+
+    /**
+     * Rebinds the constraint's generators to a particle system
+     * @param {Tw2ParticleSystem} particleSystem
+     */
+    Rebind(particleSystem)
+    {
+        this._particleSystem = particleSystem;
+        this._isValid = true;
+
+        for (let i = 0; i < this.generators.length; ++i)
+        {
+            if (!this.generators[i].Bind(particleSystem))
+            {
+                this._isValid = false;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Applies constraints
+     * - Particles behind the plane are moved onto it and their velocity is reflected
+     * - Generators are run for each particle that hits the plane
+     * @param {Array} buffers
+     * @param {Array} instanceStride
+     * @param {number} aliveCount
+     * @param {number} dt
+     * @param {Tw2ParticleSystem} particleSystem
+     */
+    ApplyConstraint(buffers, instanceStride, aliveCount, dt, particleSystem)
+    {
+        if (!particleSystem ||
+            !particleSystem.HasElement(Tw2ParticleElement.Type.POSITION) ||
+            !particleSystem.HasElement(Tw2ParticleElement.Type.VELOCITY)) return;
+
+        if (this._particleSystem !== particleSystem) this.Rebind(particleSystem);
+
+        const
+            position = particleSystem.GetElement(Tw2ParticleElement.Type.POSITION),
+            velocity = particleSystem.GetElement(Tw2ParticleElement.Type.VELOCITY),
+            [ nx, ny, nz, d ] = this.plane;
+
+        for (let i = 0; i < aliveCount; ++i)
+        {
+            const
+                p = position.buffer,
+                v = velocity.buffer,
+                po = position.offset,
+                vo = velocity.offset,
+                distance = p[po] * nx + p[po + 1] * ny + p[po + 2] * nz + d;
+
+            if (distance < 0)
+            {
+                p[po] -= nx * distance;
+                p[po + 1] -= ny * distance;
+                p[po + 2] -= nz * distance;
+
+                const speed = v[vo] * nx + v[vo + 1] * ny + v[vo + 2] * nz;
+                if (speed < 0)
+                {
+                    v[vo] -= 2 * speed * nx;
+                    v[vo + 1] -= 2 * speed * ny;
+                    v[vo + 2] -= 2 * speed * nz;
+
+                    if (this.reflectionNoise)
+                    {
+                        const noise = -speed * this.reflectionNoise;
+                        v[vo] += (Math.random() * 2 - 1) * noise;
+                        v[vo + 1] += (Math.random() * 2 - 1) * noise;
+                        v[vo + 2] += (Math.random() * 2 - 1) * noise;
+                    }
+                }
+
+                if (this._isValid)
+                {
+                    for (let j = 0; j < this.generators.length; ++j)
+                    {
+                        this.generators[j].Generate(position, velocity, i);
+                    }
+                }
+            }
+
+            position.offset += position.instanceStride;
+            velocity.offset += velocity.instanceStride;
+        }
+
+        position.offset = position.startOffset;
+        velocity.offset = velocity.startOffset;
+        position.dirty = true;
+        velocity.dirty = true;
+    }
+
+}
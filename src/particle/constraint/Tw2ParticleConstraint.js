@@ -11,9 +11,10 @@ export class Tw2ParticleConstraint extends meta.Model
      * @param {Array} instanceStride
      * @param {number} aliveCount
      * @param {number} dt
+     * @param {Tw2ParticleSystem} particleSystem
      */
     @meta.abstract
-    ApplyConstraint(buffers, instanceStride, aliveCount, dt)
+    ApplyConstraint(buffers, instanceStride, aliveCount, dt, particleSystem)
     {
 
     }
@@ -0,0 +1 @@
+export * from "./Tr2PlaneConstraint";
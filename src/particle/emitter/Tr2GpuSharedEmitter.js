@@ -0,0 +1,13 @@
+import { meta } from "utils";
+import { Tw2GpuParticleEmitter } from "./Tw2GpuParticleEmitter";
+
+
+/**
+ * Emits particles into a Tw2GpuParticleSystem
+ * - Shared emitters' particles are simulated together with the other emitters of their particle system
+ */
+@meta.type("Tr2GpuSharedEmitter")
+export class Tr2GpuSharedEmitter extends Tw2GpuParticleEmitter
+{
+
+}
@@ -0,0 +1,13 @@
+import { meta } from "utils";
+import { Tw2GpuParticleEmitter } from "./Tw2GpuParticleEmitter";
+
+
+/**
+ * Emits particles into a Tw2GpuParticleSystem
+ * - Unique emitters' particles are simulated in their own particle system, which is not shared between emitters
+ */
+@meta.type("Tr2GpuUniqueEmitter")
+export class Tr2GpuUniqueEmitter extends Tw2GpuParticleEmitter
+{
+
+}
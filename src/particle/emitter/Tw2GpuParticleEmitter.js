@@ -0,0 +1,302 @@
+import { meta } from "utils";
+import { vec3, vec4, num } from "math";
+import { Tw2ParticleEmitter } from "./Tw2ParticleEmitter";
+
+
+export class Tw2GpuParticleEmitter extends Tw2ParticleEmitter
+{
+
+    @meta.string
+    name = "";
+
+    @meta.float
+    angle = 0;
+
+    @meta.vector3
+    attractorPosition = vec3.create();
+
+    @meta.float
+    attractorStrength = 0;
+
+    @meta.color
+    color0 = vec4.create();
+
+    @meta.color
+    color1 = vec4.create();
+
+    @meta.color
+    color2 = vec4.create();
+
+    @meta.color
+    color3 = vec4.create();
+
+    @meta.float
+    colorMidpoint = 0;
+
+    @meta.boolean
+    continuousEmitter = false;
+
+    @meta.vector3
+    direction = vec3.create();
+
+    @meta.float
+    drag = 0;
+
+    @meta.float
+    emissionDensity = 0;
+
+    @meta.float
+    gravity = 0;
+
+    @meta.float
+    inheritVelocity = 0;
+
+    @meta.float
+    innerAngle = 0;
+
+    @meta.notImplemented
+    @meta.float
+    maxDisplacement = 0;
+
+    @meta.float
+    maxEmissionDensity = 0;
+
+    @meta.float
+    maxLifeTime = 0;
+
+    @meta.float
+    maxSpeed = 0;
+
+    @meta.float
+    minLifeTime = 0;
+
+    @meta.float
+    minSpeed = 0;
+
+    @meta.struct("Tw2GpuParticleSystem")
+    particleSystem = null;
+
+    @meta.vector3
+    position = vec3.create();
+
+    @meta.float
+    radius = 0;
+
+    @meta.float
+    rate = 0;
+
+    @meta.notImplemented
+    @meta.boolean
+    scaledByParent = false;
+
+    @meta.float
+    sizeVariance = 0;
+
+    @meta.vector3
+    sizes = vec3.create();
+
+    @meta.uint
+    textureIndex = 0;
+
+    @meta.float
+    turbulenceAmplitude = 0;
+
+    @meta.float
+    turbulenceFrequency = 0;
+
+    @meta.float
+    velocityStretchRotation = 0;
+
+
+    _accumulatedRate = 0;
+    _hasEmitted = false;
+    _lastPosition = null;
+    _spawnPosition = vec3.create();
+    _spawnVelocity = vec3.create();
+
+
+    /**
+     * Per frame update
+     * - Continuous emitters emit their rate per second, other emitters emit their rate once
+     * - Moving emitters also emit their emission density per unit moved
+     * @param {number} dt - delta time
+     */
+    Update(dt)
+    {
+        dt = Math.min(dt, 0.1);
+
+        const
+            { vec3_0 } = Tw2GpuParticleEmitter.global,
+            velocity = vec3.set(vec3_0, 0, 0, 0);
+
+        let distance = 0;
+        if (this._lastPosition)
+        {
+            vec3.subtract(velocity, this.position, this._lastPosition);
+            distance = vec3.length(velocity);
+            if (dt > 0) vec3.scale(velocity, velocity, 1 / dt);
+        }
+
+        if (this.emissionDensity > 0)
+        {
+            let density = distance * this.emissionDensity;
+            if (this.maxEmissionDensity > 0) density = Math.min(density, this.maxEmissionDensity);
+            this._accumulatedRate += density;
+        }
+
+        if (this.continuousEmitter)
+        {
+            this.SpawnParticles(null, velocity, dt);
+        }
+        else if (!this._hasEmitted)
+        {
+            this._hasEmitted = true;
+            this.SpawnParticles(null, velocity, 1);
+        }
+        else
+        {
+            this.SpawnParticles(null, velocity, 0);
+        }
+
+        this._lastPosition = vec3.copy(this._lastPosition || vec3.create(), this.position);
+    }
+
+    /**
+     * Spawn particles
+     * @param {?vec3} position        - the position to spawn from, or null for the emitter's position
+     * @param {?vec3} velocity        - the velocity particles inherit from, scaled by the emitter's inherit velocity
+     * @param {Number} rateModifier   - the fraction of the emitter's rate to spawn
+     */
+    SpawnParticles(position, velocity, rateModifier)
+    {
+        if (!this.particleSystem) return;
+
+        this._accumulatedRate += this.rate * rateModifier;
+        const count = Math.floor(this._accumulatedRate);
+        this._accumulatedRate -= count;
+        if (!count) return;
+
+        vec3.copy(this._spawnPosition, position || this.position);
+        if (velocity)
+        {
+            vec3.scale(this._spawnVelocity, velocity, this.inheritVelocity);
+        }
+        else
+        {
+            vec3.set(this._spawnVelocity, 0, 0, 0);
+        }
+
+        this.particleSystem.Emit(this, count);
+    }
+
+    /**
+     * Restarts the emitter, so that emitters which aren't continuous emit again
+     */
+    Restart()
+    {
+        this._accumulatedRate = 0;
+        this._hasEmitted = false;
+        this._lastPosition = null;
+    }
+
+    /**
+     * Generates a particle
+     * - Particles are emitted in a cone between the inner angle and angle around the direction, or in all directions
+     *   when there is no direction
+     * @param {Float32Array} out
+     * @param {Number} offset
+     * @param {Number} slot - the emitter's slot in its particle system
+     * @returns {Float32Array} out
+     */
+    GenerateParticle(out, offset, slot)
+    {
+        const
+            { vec3_0, vec3_1, vec3_2 } = Tw2GpuParticleEmitter.global,
+            axis = vec3.normalize(vec3_0, this.direction),
+            isSphere = vec3.length(axis) === 0;
+
+        let cosMin = 1,
+            cosMax = -1;
+
+        if (isSphere)
+        {
+            vec3.set(axis, 0, 1, 0);
+        }
+        else
+        {
+            cosMin = Math.cos(Math.min(this.innerAngle, this.angle) * num.DEG2RAD);
+            cosMax = Math.cos(Math.max(this.innerAngle, this.angle) * num.DEG2RAD);
+        }
+
+        const
+            cosTheta = cosMin + (cosMax - cosMin) * Math.random(),
+            sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta)),
+            phi = Math.random() * num.TWO_PI,
+            tangent = vec3.set(vec3_1, 0, 1, 0);
+
+        if (Math.abs(axis[1]) > 0.99) vec3.set(tangent, 1, 0, 0);
+        vec3.normalize(tangent, vec3.cross(tangent, axis, tangent));
+        const bitangent = vec3.cross(vec3_2, axis, tangent);
+
+        const direction = vec3.scale(axis, axis, cosTheta);
+        vec3.scaleAndAdd(direction, direction, tangent, sinTheta * Math.cos(phi));
+        vec3.scaleAndAdd(direction, direction, bitangent, sinTheta * Math.sin(phi));
+
+        const
+            radius = this.radius * Math.random(),
+            speed = this.minSpeed + (this.maxSpeed - this.minSpeed) * Math.random(),
+            lifetime = this.minLifeTime + (this.maxLifeTime - this.minLifeTime) * Math.random();
+
+        out[offset] = this._spawnPosition[0] + direction[0] * radius;
+        out[offset + 1] = this._spawnPosition[1] + direction[1] * radius;
+        out[offset + 2] = this._spawnPosition[2] + direction[2] * radius;
+        out[offset + 3] = 0;
+        out[offset + 4] = this._spawnVelocity[0] + direction[0] * speed;
+        out[offset + 5] = this._spawnVelocity[1] + direction[1] * speed;
+        out[offset + 6] = this._spawnVelocity[2] + direction[2] * speed;
+        out[offset + 7] = lifetime;
+        out[offset + 8] = 1 + this.sizeVariance * (Math.random() * 2 - 1);
+        out[offset + 9] = slot;
+        out[offset + 10] = Math.random();
+        out[offset + 11] = 0;
+        return out;
+    }
+
+    /**
+     * Gets the emitter's simulation parameters, in the emitter parameter layout
+     * @param {Float32Array} out
+     * @param {Number} offset
+     * @returns {Float32Array} out
+     */
+    GetParameters(out, offset)
+    {
+        out.set(this.color0, offset);
+        out.set(this.color1, offset + 4);
+        out.set(this.color2, offset + 8);
+        out.set(this.color3, offset + 12);
+        out.set(this.sizes, offset + 16);
+        out[offset + 19] = this.colorMidpoint;
+        out.set(this.attractorPosition, offset + 20);
+        out[offset + 23] = this.attractorStrength;
+        out[offset + 24] = this.gravity;
+        out[offset + 25] = this.drag;
+        out[offset + 26] = this.turbulenceAmplitude;
+        out[offset + 27] = this.turbulenceFrequency;
+        out[offset + 28] = this.textureIndex;
+        out[offset + 29] = this.velocityStretchRotation;
+        out[offset + 30] = 0;
+        out[offset + 31] = 0;
+        return out;
+    }
+
+    /**
+     * Global and scratch variables
+     * @type {*}
+     */
+    static global = {
+        vec3_0: vec3.create(),
+        vec3_1: vec3.create(),
+        vec3_2: vec3.create()
+    };
+
+}
@@ -60,6 +60,14 @@ export class Tw2StaticEmitter extends Tw2ParticleEmitter
         this._spawned = false;
     }
 
+    /**
+     * Spawns the emitter's particles again on its next update
+     */
+    Respawn()
+    {
+        this._spawned = false;
+    }
+
     /**
      * Gets object resources
      * @param {Array} [out=[]] - Optional receiving array
@@ -1,2 +1,4 @@
 export * from "./Tw2StaticEmitter";
 export * from "./Tw2DynamicEmitter";
+export * from "./Tr2GpuSharedEmitter";
+export * from "./Tr2GpuUniqueEmitter";
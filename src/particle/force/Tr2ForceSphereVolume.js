@@ -0,0 +1,52 @@
+import { meta } from "utils";
+import { Tw2ParticleForce } from "./Tw2ParticleForce";
+
+
+@meta.type("Tr2ForceSphereVolume")
+export class Tr2ForceSphereVolume extends Tw2ParticleForce
+{
+
+    @meta.list("Tw2ParticleForce")
+    forces = [];
+
+    @meta.float
+    radius = 0;
+
+
+    /**
+     * Applies the volume's forces to particles inside of it
+     * - The volume is centred on the particle system's origin
+     * @param {Tw2ParticleElement} position - Position
+     * @param {Tw2ParticleElement} velocity - Velocity
+     * @param {vec3} force                  - force
+     * @param {Number} [dt]                 - delta time
+     * @param {Number} [mass]               - mass
+     */
+    ApplyForce(position, velocity, force, dt, mass)
+    {
+        const
+            x = position.buffer[position.offset],
+            y = position.buffer[position.offset + 1],
+            z = position.buffer[position.offset + 2];
+
+        if (x * x + y * y + z * z > this.radius * this.radius) return;
+
+        for (let i = 0; i < this.forces.length; i++)
+        {
+            this.forces[i].ApplyForce(position, velocity, force, dt, mass);
+        }
+    }
+
+    /**
+     * Per frame update (Called before ApplyForce)
+     * @param {Number} dt
+     */
+    Update(dt)
+    {
+        for (let i = 0; i < this.forces.length; i++)
+        {
+            this.forces[i].Update(dt);
+        }
+    }
+
+}
@@ -0,0 +1,45 @@
+import { meta } from "utils";
+import { vec3 } from "math";
+import { Tw2ParticleForce } from "./Tw2ParticleForce";
+
+
+@meta.type("Tr2ParticleVortexForce")
+export class Tr2ParticleVortexForce extends Tw2ParticleForce
+{
+
+    @meta.vector3
+    axis = vec3.fromValues(0, 1, 0);
+
+    @meta.float
+    magnitude = 0;
+
+    @meta.vector3
+    position = vec3.create();
+
+
+    /**
+     * Applies force
+     * - Particles are pushed around the axis, perpendicular to their offset from it
+     * @param {Tw2ParticleElement} position - Position
+     * @param {Tw2ParticleElement} velocity - Velocity
+     * @param {vec3} force                  - force
+     * @param {Number} [dt]                 - unused
+     * @param {Number} [mass]               - unused
+     */
+    ApplyForce(position, velocity, force, dt, mass)
+    {
+        const
+            { vec3_0, vec3_1 } = Tw2ParticleForce.global,
+            axis = vec3.normalize(vec3_1, this.axis);
+
+        vec3_0[0] = position.buffer[position.offset] - this.position[0];
+        vec3_0[1] = position.buffer[position.offset + 1] - this.position[1];
+        vec3_0[2] = position.buffer[position.offset + 2] - this.position[2];
+
+        vec3.cross(vec3_0, axis, vec3_0);
+        vec3.normalize(vec3_0, vec3_0);
+        vec3.scale(vec3_0, vec3_0, this.magnitude);
+        vec3.add(force, force, vec3_0);
+    }
+
+}
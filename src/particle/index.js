@@ -1,5 +1,8 @@
+export * from "./constraint";
 export * from "./element";
 export * from "./emitter";
 export * from "./force";
 export * from "./generators";
+export * from "./simulation";
+export * from "./Tw2GpuParticleSystem";
 export * from "./Tw2ParticleSystem";
@@ -0,0 +1,323 @@
+import { Tw2ParticleSimulation } from "./Tw2ParticleSimulation";
+
+
+/**
+ * Reference particle simulation
+ * - Runs the same stages as Tw2GpuParticleSimulation's programs on the cpu, without a gl context
+ *
+ * @property {Float32Array} particles - particles, in the particle layout
+ * @property {Float32Array} instances - render instances, in the render instance layout
+ * @property {Uint32Array} order      - particle indexes from the last sort
+ * @property {Float32Array} keys      - sort keys by particle index
+ * @property {?WebGLBuffer} _vb       - render instance buffer
+ * @property {Boolean} _vbDirty       - identifies that the render instance buffer requires updating
+ */
+export class Tw2CpuParticleSimulation extends Tw2ParticleSimulation
+{
+
+    particles = null;
+    instances = null;
+    order = null;
+    keys = null;
+    _vb = null;
+    _vbDirty = false;
+
+
+    /**
+     * Constructor
+     * @param {Number} maxParticleCount
+     */
+    constructor(maxParticleCount)
+    {
+        super(maxParticleCount);
+        this.particles = Tw2ParticleSimulation.CreateParticles(this.capacity);
+        this.instances = new Float32Array(this.capacity * Tw2ParticleSimulation.INSTANCE_STRIDE);
+        this.order = new Uint32Array(this.capacity);
+        this.keys = new Float32Array(this.capacity);
+    }
+
+    /**
+     * Writes particles into slots
+     * @param {Number} slot
+     * @param {Float32Array} data
+     * @param {Number} start - the first particle in data to write
+     * @param {Number} count
+     */
+    WriteParticles(slot, data, start, count)
+    {
+        const stride = Tw2ParticleSimulation.PARTICLE_STRIDE;
+        this.particles.set(data.subarray(start * stride, (start + count) * stride), slot * stride);
+    }
+
+    /**
+     * Kills all particles
+     */
+    Clear()
+    {
+        super.Clear();
+        this.particles.set(Tw2ParticleSimulation.CreateParticles(this.capacity));
+        this._vbDirty = true;
+    }
+
+    /**
+     * Ages and moves particles
+     * @param {Number} dt
+     */
+    Update(dt)
+    {
+        for (let i = 0; i < this.count; i++)
+        {
+            Tw2CpuParticleSimulation.UpdateParticle(this.particles, i * Tw2ParticleSimulation.PARTICLE_STRIDE, this.emitters, dt, this.time);
+        }
+        this.time += dt;
+    }
+
+    /**
+     * Orders particles back to front
+     * - Dead particles are ordered last
+     * @param {vec3} eye - the eye position, in the particles' space
+     */
+    Sort(eye)
+    {
+        const { keys, order } = this;
+
+        for (let i = 0; i < this.capacity; i++)
+        {
+            keys[i] = Tw2CpuParticleSimulation.GetSortKey(this.particles, i * Tw2ParticleSimulation.PARTICLE_STRIDE, eye);
+            order[i] = i;
+        }
+
+        order.sort((a, b) => Tw2CpuParticleSimulation.CompareSortKeys(keys[a], a, keys[b], b));
+    }
+
+    /**
+     * Builds render instances
+     * @param {Boolean} sorted - true to use the order from the last sort
+     */
+    Render(sorted)
+    {
+        for (let i = 0; i < this.count; i++)
+        {
+            Tw2CpuParticleSimulation.GetRenderInstance(
+                this.instances,
+                i * Tw2ParticleSimulation.INSTANCE_STRIDE,
+                this.particles,
+                (sorted ? this.order[i] : i) * Tw2ParticleSimulation.PARTICLE_STRIDE,
+                this.emitters);
+        }
+
+        this.isSorted = sorted;
+        this._vbDirty = true;
+    }
+
+    /**
+     * Gets the render instance buffer
+     * @param {WebGL2RenderingContext|WebGLRenderingContext} gl
+     * @returns {?WebGLBuffer}
+     */
+    GetInstanceBuffer(gl)
+    {
+        if (!this._vb)
+        {
+            this._vb = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, this._vb);
+            gl.bufferData(gl.ARRAY_BUFFER, this.instances.byteLength, gl.DYNAMIC_DRAW);
+            this._vbDirty = true;
+        }
+
+        if (this._vbDirty)
+        {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this._vb);
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.instances.subarray(0, this.count * Tw2ParticleSimulation.INSTANCE_STRIDE));
+            gl.bindBuffer(gl.ARRAY_BUFFER, null);
+            this._vbDirty = false;
+        }
+
+        return this._vb;
+    }
+
+    /**
+     * Deletes gl resources
+     * @param {WebGL2RenderingContext|WebGLRenderingContext} gl
+     */
+    Unload(gl)
+    {
+        if (this._vb)
+        {
+            gl.deleteBuffer(this._vb);
+            this._vb = null;
+        }
+    }
+
+    /**
+     * Ages and moves a particle by its emitter's forces (update stage)
+     * @param {Float32Array} particles
+     * @param {Number} offset
+     * @param {Float32Array} emitters
+     * @param {Number} dt
+     * @param {Number} time
+     */
+    static UpdateParticle(particles, offset, emitters, dt, time)
+    {
+        const p = particles;
+        if (p[offset + 3] >= 1) return;
+
+        const
+            e = emitters,
+            o = p[offset + 9] * Tw2ParticleSimulation.EMITTER_VECTORS * 4,
+            turbulence = Tw2CpuParticleSimulation.GetTurbulence(
+                p[offset] * e[o + 27],
+                p[offset + 1] * e[o + 27],
+                p[offset + 2] * e[o + 27],
+                time + p[offset + 10] * Math.PI * 2);
+
+        let force_0 = turbulence[0] * e[o + 26],
+            force_1 = turbulence[1] * e[o + 26] - e[o + 24],
+            force_2 = turbulence[2] * e[o + 26];
+
+        const
+            attractor_0 = e[o + 20] - p[offset],
+            attractor_1 = e[o + 21] - p[offset + 1],
+            attractor_2 = e[o + 22] - p[offset + 2],
+            distance = Math.sqrt(attractor_0 * attractor_0 + attractor_1 * attractor_1 + attractor_2 * attractor_2);
+
+        if (distance > 0)
+        {
+            force_0 += attractor_0 / distance * e[o + 23];
+            force_1 += attractor_1 / distance * e[o + 23];
+            force_2 += attractor_2 / distance * e[o + 23];
+        }
+
+        const drag = Math.max(0, 1 - e[o + 25] * dt);
+        p[offset + 4] = (p[offset + 4] + force_0 * dt) * drag;
+        p[offset + 5] = (p[offset + 5] + force_1 * dt) * drag;
+        p[offset + 6] = (p[offset + 6] + force_2 * dt) * drag;
+        p[offset] += p[offset + 4] * dt;
+        p[offset + 1] += p[offset + 5] * dt;
+        p[offset + 2] += p[offset + 6] * dt;
+        p[offset + 3] = Math.min(1, p[offset + 3] + dt / Math.max(p[offset + 7], 0.0001));
+    }
+
+    /**
+     * Gets a particle's sort key (sort stage)
+     * - Keys are squared distances from the eye, and -1 for dead particles
+     * @param {Float32Array} particles
+     * @param {Number} offset
+     * @param {vec3} eye
+     * @returns {Number}
+     */
+    static GetSortKey(particles, offset, eye)
+    {
+        if (particles[offset + 3] >= 1) return -1;
+
+        const
+            d_0 = particles[offset] - eye[0],
+            d_1 = particles[offset + 1] - eye[1],
+            d_2 = particles[offset + 2] - eye[2];
+
+        return d_0 * d_0 + d_1 * d_1 + d_2 * d_2;
+    }
+
+    /**
+     * Compares sort keys, ordering larger keys first and equal keys by index
+     * @param {Number} keyA
+     * @param {Number} indexA
+     * @param {Number} keyB
+     * @param {Number} indexB
+     * @returns {Number}
+     */
+    static CompareSortKeys(keyA, indexA, keyB, indexB)
+    {
+        if (keyA !== keyB) return keyA > keyB ? -1 : 1;
+        return indexA - indexB;
+    }
+
+    /**
+     * Builds a particle's render instance (render stage)
+     * - Colors and sizes are interpolated from start, to middle at the color midpoint, to end
+     * - The fourth color varies colors between particles by their random seed
+     * @param {Float32Array} out
+     * @param {Number} outOffset
+     * @param {Float32Array} particles
+     * @param {Number} offset
+     * @param {Float32Array} emitters
+     * @returns {Float32Array} out
+     */
+    static GetRenderInstance(out, outOffset, particles, offset, emitters)
+    {
+        const
+            p = particles,
+            e = emitters,
+            o = p[offset + 9] * Tw2ParticleSimulation.EMITTER_VECTORS * 4,
+            age = p[offset + 3],
+            seed = p[offset + 10];
+
+        out[outOffset] = p[offset];
+        out[outOffset + 1] = p[offset + 1];
+        out[outOffset + 2] = p[offset + 2];
+
+        if (age >= 1)
+        {
+            for (let i = 3; i < Tw2ParticleSimulation.INSTANCE_STRIDE; i++) out[outOffset + i] = 0;
+            out[outOffset + 12] = 1;
+            out[outOffset + 14] = seed;
+            return out;
+        }
+
+        const
+            midpoint = Math.min(Math.max(e[o + 19], 0.0001), 0.9999),
+            isStart = age < midpoint,
+            t = isStart ? age / midpoint : (age - midpoint) / (1 - midpoint),
+            from = isStart ? 0 : 1,
+            sizeFrom = e[o + 16 + from],
+            sizeTo = e[o + 17 + from];
+
+        out[outOffset + 3] = (sizeFrom + (sizeTo - sizeFrom) * t) * p[offset + 8];
+        out[outOffset + 4] = p[offset + 4];
+        out[outOffset + 5] = p[offset + 5];
+        out[outOffset + 6] = p[offset + 6];
+        out[outOffset + 7] = e[o + 29];
+
+        for (let i = 0; i < 4; i++)
+        {
+            const
+                colorFrom = e[o + from * 4 + i],
+                colorTo = e[o + from * 4 + 4 + i];
+
+            out[outOffset + 8 + i] = colorFrom + (colorTo - colorFrom) * t + e[o + 12 + i] * (seed - 0.5);
+        }
+
+        out[outOffset + 12] = age;
+        out[outOffset + 13] = e[o + 28];
+        out[outOffset + 14] = seed;
+        out[outOffset + 15] = 1;
+        return out;
+    }
+
+    /**
+     * Gets a turbulence force
+     * - Matches the update program's turbulence, so that simulations agree
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Number} z
+     * @param {Number} t
+     * @returns {Array<Number>}
+     */
+    static GetTurbulence(x, y, z, t)
+    {
+        const out = Tw2CpuParticleSimulation.global.turbulence;
+        out[0] = 0.5 * (Math.sin(y * 1.7 + t) + Math.cos(z * 1.3 - t));
+        out[1] = 0.5 * (Math.sin(z * 1.9 + t) + Math.cos(x * 1.1 - t));
+        out[2] = 0.5 * (Math.sin(x * 1.5 + t) + Math.cos(y * 1.2 - t));
+        return out;
+    }
+
+    /**
+     * Global and scratch variables
+     * @type {*}
+     */
+    static global = {
+        turbulence: [ 0, 0, 0 ]
+    };
+
+}
@@ -0,0 +1,629 @@
+import { ErrShaderCompile, ErrShaderLink } from "core/shader";
+import { Tw2ParticleSimulation } from "./Tw2ParticleSimulation";
+
+
+/**
+ * WebGL2 particle simulation
+ * - Particles are updated with transform feedback, and read back through textures for sorting and rendering
+ * - Sorting is a bitonic sort of (key, index) pairs, one transform feedback pass per step
+ *
+ * @property {WebGL2RenderingContext} gl
+ * @property {Array<WebGLBuffer>} _particles         - ping pong particle buffers
+ * @property {Array<WebGLBuffer>} _pairs             - ping pong sort pair buffers
+ * @property {WebGLBuffer} _instances                - render instance buffer
+ * @property {WebGLTexture} _particleTexture         - particles, three texels each
+ * @property {WebGLTexture} _pairTexture             - sort pairs, one texel each
+ * @property {Array<WebGLVertexArrayObject>} _updateArrays - update stage inputs, for each particle buffer
+ * @property {WebGLVertexArrayObject} _emptyArray    - inputs for stages that only read textures
+ * @property {WebGLTransformFeedback} _transformFeedback
+ * @property {Object} _programs
+ * @property {Number} _current                       - the current particle buffer
+ * @property {Number} _pair                          - the current sort pair buffer
+ * @property {Boolean} _particleTextureDirty         - identifies that the particle texture requires updating
+ */
+export class Tw2GpuParticleSimulation extends Tw2ParticleSimulation
+{
+
+    gl = null;
+    _particles = [ null, null ];
+    _pairs = [ null, null ];
+    _instances = null;
+    _particleTexture = null;
+    _pairTexture = null;
+    _updateArrays = [ null, null ];
+    _emptyArray = null;
+    _transformFeedback = null;
+    _programs = null;
+    _current = 0;
+    _pair = 0;
+    _particleTextureDirty = true;
+
+
+    /**
+     * Constructor
+     * @param {WebGL2RenderingContext} gl
+     * @param {Number} maxParticleCount
+     */
+    constructor(gl, maxParticleCount)
+    {
+        super(maxParticleCount);
+
+        const
+            { PARTICLE_STRIDE, INSTANCE_STRIDE, TEXTURE_COLUMNS } = Tw2ParticleSimulation,
+            particles = Tw2ParticleSimulation.CreateParticles(this.capacity),
+            rows = this.capacity / TEXTURE_COLUMNS;
+
+        this.gl = gl;
+        this._programs = Tw2GpuParticleSimulation.GetPrograms(gl);
+
+        for (let i = 0; i < 2; i++)
+        {
+            this._particles[i] = this.CreateBuffer(particles);
+            this._pairs[i] = this.CreateBuffer(this.capacity * 2 * 4);
+            this._updateArrays[i] = gl.createVertexArray();
+
+            gl.bindVertexArray(this._updateArrays[i]);
+            gl.bindBuffer(gl.ARRAY_BUFFER, this._particles[i]);
+            for (let j = 0; j < 3; j++)
+            {
+                gl.enableVertexAttribArray(j);
+                gl.vertexAttribPointer(j, 4, gl.FLOAT, false, PARTICLE_STRIDE * 4, j * 16);
+            }
+        }
+
+        gl.bindVertexArray(null);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+        this._instances = this.CreateBuffer(this.capacity * INSTANCE_STRIDE * 4);
+        this._particleTexture = this.CreateTexture(gl.RGBA32F, TEXTURE_COLUMNS * 3, rows);
+        this._pairTexture = this.CreateTexture(gl.RG32F, TEXTURE_COLUMNS, rows);
+        this._emptyArray = gl.createVertexArray();
+        this._transformFeedback = gl.createTransformFeedback();
+    }
+
+    /**
+     * Writes particles into slots (emit stage)
+     * @param {Number} slot
+     * @param {Float32Array} data
+     * @param {Number} start - the first particle in data to write
+     * @param {Number} count
+     */
+    WriteParticles(slot, data, start, count)
+    {
+        const
+            gl = this.gl,
+            stride = Tw2ParticleSimulation.PARTICLE_STRIDE;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._particles[this._current]);
+        gl.bufferSubData(gl.ARRAY_BUFFER, slot * stride * 4, data, start * stride, count * stride);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        this._particleTextureDirty = true;
+    }
+
+    /**
+     * Kills all particles (clear stage)
+     */
+    Clear()
+    {
+        super.Clear();
+
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this._particles[this._current]);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, Tw2ParticleSimulation.CreateParticles(this.capacity));
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        this._particleTextureDirty = true;
+    }
+
+    /**
+     * Ages and moves particles (update stage)
+     * @param {Number} dt
+     */
+    Update(dt)
+    {
+        if (this.count)
+        {
+            const
+                gl = this.gl,
+                { program, uniforms } = this._programs.update,
+                next = 1 - this._current;
+
+            gl.useProgram(program);
+            gl.uniform4fv(uniforms.u_emitters, this.emitters);
+            gl.uniform2f(uniforms.u_time, dt, this.time);
+            gl.bindVertexArray(this._updateArrays[this._current]);
+            this.Transform(this._particles[next], this.count);
+
+            this._current = next;
+            this._particleTextureDirty = true;
+        }
+
+        this.time += dt;
+    }
+
+    /**
+     * Orders particles back to front (sort stage)
+     * - Dead particles are ordered last
+     * @param {vec3} eye - the eye position, in the particles' space
+     */
+    Sort(eye)
+    {
+        const
+            gl = this.gl,
+            { keys, sortStep } = this._programs;
+
+        this.UpdateParticleTexture();
+
+        gl.useProgram(keys.program);
+        this.BindTexture(0, this._particleTexture, keys.uniforms.u_particles);
+        gl.uniform3fv(keys.uniforms.u_eye, eye);
+        gl.bindVertexArray(this._emptyArray);
+        this.Transform(this._pairs[0], this.capacity);
+        this._pair = 0;
+
+        gl.useProgram(sortStep.program);
+        this.BindTexture(0, this._pairTexture, sortStep.uniforms.u_pairs);
+
+        for (let blockSize = 2; blockSize <= this.capacity; blockSize *= 2)
+        {
+            for (let distance = blockSize / 2; distance > 0; distance /= 2)
+            {
+                this.UpdatePairTexture();
+                gl.uniform2i(sortStep.uniforms.u_step, blockSize, distance);
+                gl.bindVertexArray(this._emptyArray);
+                this.Transform(this._pairs[1 - this._pair], this.capacity);
+                this._pair = 1 - this._pair;
+            }
+        }
+
+        this.UnbindTexture(0);
+    }
+
+    /**
+     * Builds render instances (render stage)
+     * @param {Boolean} sorted - true to use the order from the last sort
+     */
+    Render(sorted)
+    {
+        if (!this.count) return;
+
+        const
+            gl = this.gl,
+            { program, uniforms } = this._programs.render;
+
+        this.UpdateParticleTexture();
+        if (sorted) this.UpdatePairTexture();
+
+        gl.useProgram(program);
+        this.BindTexture(0, this._particleTexture, uniforms.u_particles);
+        this.BindTexture(1, this._pairTexture, uniforms.u_pairs);
+        gl.uniform1i(uniforms.u_sorted, sorted ? 1 : 0);
+        gl.uniform4fv(uniforms.u_emitters, this.emitters);
+        gl.bindVertexArray(this._emptyArray);
+        this.Transform(this._instances, this.count);
+        this.UnbindTexture(1);
+        this.UnbindTexture(0);
+
+        this.isSorted = sorted;
+    }
+
+    /**
+     * Gets the render instance buffer
+     * @returns {WebGLBuffer}
+     */
+    GetInstanceBuffer()
+    {
+        return this._instances;
+    }
+
+    /**
+     * Deletes gl resources
+     */
+    Unload()
+    {
+        const gl = this.gl;
+
+        for (let i = 0; i < 2; i++)
+        {
+            gl.deleteBuffer(this._particles[i]);
+            gl.deleteBuffer(this._pairs[i]);
+            gl.deleteVertexArray(this._updateArrays[i]);
+        }
+
+        gl.deleteBuffer(this._instances);
+        gl.deleteTexture(this._particleTexture);
+        gl.deleteTexture(this._pairTexture);
+        gl.deleteVertexArray(this._emptyArray);
+        gl.deleteTransformFeedback(this._transformFeedback);
+
+        this._particles = [ null, null ];
+        this._pairs = [ null, null ];
+        this._updateArrays = [ null, null ];
+        this._instances = null;
+        this._particleTexture = null;
+        this._pairTexture = null;
+        this._emptyArray = null;
+        this._transformFeedback = null;
+    }
+
+    /**
+     * Creates a buffer
+     * @param {Number|Float32Array} data - the buffer's size in bytes, or its data
+     * @returns {WebGLBuffer}
+     */
+    CreateBuffer(data)
+    {
+        const
+            gl = this.gl,
+            buffer = gl.createBuffer();
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_COPY);
+        gl.bindBuffer(gl.ARRAY_BUFFER, null);
+        return buffer;
+    }
+
+    /**
+     * Creates a float texture for reading with texelFetch
+     * @param {Number} internalFormat
+     * @param {Number} width
+     * @param {Number} height
+     * @returns {WebGLTexture}
+     */
+    CreateTexture(internalFormat, width, height)
+    {
+        const
+            gl = this.gl,
+            texture = gl.createTexture();
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, internalFormat, width, height);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        return texture;
+    }
+
+    /**
+     * Copies the current particle buffer into the particle texture
+     */
+    UpdateParticleTexture()
+    {
+        if (!this._particleTextureDirty) return;
+
+        const { TEXTURE_COLUMNS } = Tw2ParticleSimulation;
+        this.CopyBufferToTexture(this._particles[this._current], this._particleTexture, this.gl.RGBA, TEXTURE_COLUMNS * 3, this.capacity / TEXTURE_COLUMNS);
+        this._particleTextureDirty = false;
+    }
+
+    /**
+     * Copies the current sort pair buffer into the sort pair texture
+     */
+    UpdatePairTexture()
+    {
+        const { TEXTURE_COLUMNS } = Tw2ParticleSimulation;
+        this.CopyBufferToTexture(this._pairs[this._pair], this._pairTexture, this.gl.RG, TEXTURE_COLUMNS, this.capacity / TEXTURE_COLUMNS);
+    }
+
+    /**
+     * Copies a buffer into a texture, without reading it back from the gpu
+     * - The texture is left bound to the first texture unit
+     * @param {WebGLBuffer} buffer
+     * @param {WebGLTexture} texture
+     * @param {Number} format
+     * @param {Number} width
+     * @param {Number} height
+     */
+    CopyBufferToTexture(buffer, texture, format, width, height)
+    {
+        const gl = this.gl;
+        gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, buffer);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, format, gl.FLOAT, 0);
+        gl.bindBuffer(gl.PIXEL_UNPACK_BUFFER, null);
+    }
+
+    /**
+     * Binds a texture to a sampler
+     * @param {Number} unit
+     * @param {WebGLTexture} texture
+     * @param {WebGLUniformLocation} location
+     */
+    BindTexture(unit, texture, location)
+    {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(location, unit);
+    }
+
+    /**
+     * Unbinds a texture unit
+     * @param {Number} unit
+     */
+    UnbindTexture(unit)
+    {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /**
+     * Runs the current program over points, capturing its outputs into a buffer
+     * @param {WebGLBuffer} output
+     * @param {Number} count
+     */
+    Transform(output, count)
+    {
+        const gl = this.gl;
+
+        gl.enable(gl.RASTERIZER_DISCARD);
+        gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, this._transformFeedback);
+        gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, output);
+        gl.beginTransformFeedback(gl.POINTS);
+        gl.drawArrays(gl.POINTS, 0, count);
+        gl.endTransformFeedback();
+        gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, null);
+        gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+        gl.disable(gl.RASTERIZER_DISCARD);
+        gl.bindVertexArray(null);
+    }
+
+    /**
+     * Gets the simulation programs for a gl context, creating them if required
+     * @param {WebGL2RenderingContext} gl
+     * @returns {Object}
+     */
+    static GetPrograms(gl)
+    {
+        let programs = Tw2GpuParticleSimulation.programs.get(gl);
+        if (!programs)
+        {
+            const { shaders, CreateProgram } = Tw2GpuParticleSimulation;
+
+            programs = {
+                update: CreateProgram(gl, shaders.update, [ "v_position", "v_velocity", "v_data" ]),
+                keys: CreateProgram(gl, shaders.keys, [ "v_pair" ]),
+                sortStep: CreateProgram(gl, shaders.sortStep, [ "v_pair" ]),
+                render: CreateProgram(gl, shaders.render, [ "v_position", "v_velocity", "v_color", "v_data" ])
+            };
+
+            Tw2GpuParticleSimulation.programs.set(gl, programs);
+        }
+        return programs;
+    }
+
+    /**
+     * Creates a transform feedback program
+     * @param {WebGL2RenderingContext} gl
+     * @param {String} vertexSource
+     * @param {Array<String>} varyings
+     * @returns {{ program: WebGLProgram, uniforms: Object<String, WebGLUniformLocation> }}
+     * @throws ErrShaderCompile
+     * @throws ErrShaderLink
+     */
+    static CreateProgram(gl, vertexSource, varyings)
+    {
+        const
+            { shaders } = Tw2GpuParticleSimulation,
+            program = gl.createProgram();
+
+        [
+            [ gl.VERTEX_SHADER, shaders.header + vertexSource, "vertex" ],
+            [ gl.FRAGMENT_SHADER, shaders.fragment, "fragment" ]
+        ].forEach(([ type, source, shaderType ]) =>
+        {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS))
+            {
+                throw new ErrShaderCompile({
+                    path: "Tw2GpuParticleSimulation",
+                    shaderType,
+                    infoLog: gl.getShaderInfoLog(shader)
+                });
+            }
+
+            gl.attachShader(program, shader);
+            gl.deleteShader(shader);
+        });
+
+        gl.transformFeedbackVaryings(program, varyings, gl.INTERLEAVED_ATTRIBS);
+        gl.linkProgram(program);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS))
+        {
+            throw new ErrShaderLink({
+                path: "Tw2GpuParticleSimulation",
+                infoLog: gl.getProgramInfoLog(program)
+            });
+        }
+
+        const
+            uniforms = {},
+            uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+
+        for (let i = 0; i < uniformCount; i++)
+        {
+            const name = gl.getActiveUniform(program, i).name.replace("[0]", "");
+            uniforms[name] = gl.getUniformLocation(program, name);
+        }
+
+        return { program, uniforms };
+    }
+
+    /**
+     * Simulation programs by gl context
+     * @type {WeakMap<WebGL2RenderingContext, Object>}
+     */
+    static programs = new WeakMap();
+
+    /**
+     * Simulation shader sources
+     * - Each stage matches the static methods of Tw2CpuParticleSimulation
+     * @type {Object<String, String>}
+     */
+    static shaders = {
+
+        header: `#version 300 es
+precision highp float;
+precision highp int;
+precision highp sampler2D;
+
+#define COLUMNS ${Tw2ParticleSimulation.TEXTURE_COLUMNS}
+#define EMITTER_VECTORS ${Tw2ParticleSimulation.EMITTER_VECTORS}
+
+uniform vec4 u_emitters[EMITTER_VECTORS * ${Tw2ParticleSimulation.MAX_EMITTERS}];
+uniform sampler2D u_particles;
+uniform sampler2D u_pairs;
+
+vec4 GetEmitter(float slot, int vector)
+{
+    return u_emitters[int(slot) * EMITTER_VECTORS + vector];
+}
+
+vec4 FetchParticle(int index, int vector)
+{
+    return texelFetch(u_particles, ivec2((index % COLUMNS) * 3 + vector, index / COLUMNS), 0);
+}
+
+vec2 FetchPair(int index)
+{
+    return texelFetch(u_pairs, ivec2(index % COLUMNS, index / COLUMNS), 0).xy;
+}
+`,
+
+        fragment: `#version 300 es
+precision mediump float;
+
+out vec4 color;
+
+void main()
+{
+    color = vec4(0.0);
+}
+`,
+
+        update: `
+layout(location = 0) in vec4 a_position;
+layout(location = 1) in vec4 a_velocity;
+layout(location = 2) in vec4 a_data;
+
+uniform vec2 u_time;
+
+out vec4 v_position;
+out vec4 v_velocity;
+out vec4 v_data;
+
+vec3 GetTurbulence(vec3 p, float t)
+{
+    return 0.5 * vec3(
+        sin(p.y * 1.7 + t) + cos(p.z * 1.3 - t),
+        sin(p.z * 1.9 + t) + cos(p.x * 1.1 - t),
+        sin(p.x * 1.5 + t) + cos(p.y * 1.2 - t));
+}
+
+void main()
+{
+    v_position = a_position;
+    v_velocity = a_velocity;
+    v_data = a_data;
+
+    if (a_position.w >= 1.0) return;
+
+    float dt = u_time.x;
+    vec4 attractor = GetEmitter(a_data.y, 5);
+    vec4 motion = GetEmitter(a_data.y, 6);
+
+    vec3 force = GetTurbulence(a_position.xyz * motion.w, u_time.y + a_data.z * 6.283185307) * motion.z;
+    force.y -= motion.x;
+
+    vec3 toAttractor = attractor.xyz - a_position.xyz;
+    float attractorDistance = length(toAttractor);
+    if (attractorDistance > 0.0) force += toAttractor / attractorDistance * attractor.w;
+
+    vec3 velocity = (a_velocity.xyz + force * dt) * max(0.0, 1.0 - motion.y * dt);
+    v_velocity.xyz = velocity;
+    v_position.xyz = a_position.xyz + velocity * dt;
+    v_position.w = min(1.0, a_position.w + dt / max(a_velocity.w, 0.0001));
+}
+`,
+
+        keys: `
+uniform vec3 u_eye;
+
+out vec2 v_pair;
+
+void main()
+{
+    vec4 position = FetchParticle(gl_VertexID, 0);
+    vec3 d = position.xyz - u_eye;
+    v_pair = vec2(position.w < 1.0 ? dot(d, d) : -1.0, float(gl_VertexID));
+}
+`,
+
+        sortStep: `
+uniform ivec2 u_step;
+
+out vec2 v_pair;
+
+void main()
+{
+    int partner = gl_VertexID ^ u_step.y;
+    vec2 pair = FetchPair(gl_VertexID);
+    vec2 other = FetchPair(partner);
+
+    // Blocks alternate direction so that the final merge is back to front
+    bool isDescending = (gl_VertexID & u_step.x) == 0;
+    bool isFirst = gl_VertexID < partner;
+    bool isOtherFirst = other.x > pair.x || (other.x == pair.x && other.y < pair.y);
+    v_pair = (isDescending == isFirst) == isOtherFirst ? other : pair;
+}
+`,
+
+        render: `
+uniform bool u_sorted;
+
+out vec4 v_position;
+out vec4 v_velocity;
+out vec4 v_color;
+out vec4 v_data;
+
+void main()
+{
+    int index = u_sorted ? int(FetchPair(gl_VertexID).y) : gl_VertexID;
+    vec4 position = FetchParticle(index, 0);
+    vec4 velocity = FetchParticle(index, 1);
+    vec4 data = FetchParticle(index, 2);
+
+    if (position.w >= 1.0)
+    {
+        v_position = vec4(position.xyz, 0.0);
+        v_velocity = vec4(0.0);
+        v_color = vec4(0.0);
+        v_data = vec4(1.0, 0.0, data.z, 0.0);
+        return;
+    }
+
+    vec4 sizes = GetEmitter(data.y, 4);
+    float midpoint = clamp(sizes.w, 0.0001, 0.9999);
+    bool isStart = position.w < midpoint;
+    float t = isStart ? position.w / midpoint : (position.w - midpoint) / (1.0 - midpoint);
+    int from = isStart ? 0 : 1;
+    vec4 extra = GetEmitter(data.y, 7);
+
+    v_position = vec4(position.xyz, mix(sizes[from], sizes[from + 1], t) * data.x);
+    v_velocity = vec4(velocity.xyz, extra.y);
+    v_color = mix(GetEmitter(data.y, from), GetEmitter(data.y, from + 1), t) + GetEmitter(data.y, 3) * (data.z - 0.5);
+    v_data = vec4(position.w, extra.x, data.z, 1.0);
+}
+`
+
+    };
+
+}
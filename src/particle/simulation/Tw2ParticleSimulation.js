@@ -0,0 +1,244 @@
+/* eslint no-unused-vars:0 */
+import { meta } from "utils";
+
+
+/**
+ * Particle layout
+ * - position.xyz, age (normalized, particles are dead from 1)
+ * - velocity.xyz, lifetime in seconds
+ * - size scale, emitter slot, random seed, unused
+ * @type {Number}
+ */
+const PARTICLE_STRIDE = 12;
+
+/**
+ * Render instance layout
+ * - position.xyz, size
+ * - velocity.xyz, velocity stretch rotation
+ * - color
+ * - age, texture index, random seed, alive
+ * @type {Number}
+ */
+const INSTANCE_STRIDE = 16;
+
+/**
+ * Emitter parameter layout, in vec4s
+ * - color0, color1, color2, color3
+ * - sizes.xyz, color midpoint
+ * - attractor position.xyz, attractor strength
+ * - gravity, drag, turbulence amplitude, turbulence frequency
+ * - texture index, velocity stretch rotation, unused, unused
+ * @type {Number}
+ */
+const EMITTER_VECTORS = 8;
+
+
+/**
+ * Simulates particles for a Tw2GpuParticleSystem in the same stages as its effects
+ * - emit: new particles are written into slots of a ring, replacing the oldest particles when full
+ * - update: particles are aged and moved by their emitter's forces
+ * - sort: particles are ordered back to front from an eye position
+ * - render: render instances are built from the particles, in order
+ *
+ * @property {Number} capacity      - the number of particle slots, a power of two for sorting
+ * @property {Number} count         - the number of slots that have been used
+ * @property {Number} ringSize      - the number of slots particles are emitted into
+ * @property {Number} time          - the simulation time
+ * @property {Float32Array} emitters - emitter parameters by emitter slot
+ * @property {Boolean} isSorted     - identifies that render instances were built in sorted order
+ * @property {Number} _head         - the next slot to emit into
+ */
+export class Tw2ParticleSimulation
+{
+
+    capacity = 0;
+    count = 0;
+    ringSize = 0;
+    time = 0;
+    emitters = new Float32Array(Tw2ParticleSimulation.MAX_EMITTERS * EMITTER_VECTORS * 4);
+    isSorted = false;
+    _head = 0;
+
+
+    /**
+     * Constructor
+     * @param {Number} maxParticleCount
+     */
+    constructor(maxParticleCount)
+    {
+        this.ringSize = Math.max(1, maxParticleCount);
+        this.capacity = Tw2ParticleSimulation.GetCapacity(this.ringSize);
+    }
+
+    /**
+     * Emits particles into the ring
+     * @param {Float32Array} data - particles, in the particle layout
+     * @param {Number} count
+     */
+    Emit(data, count)
+    {
+        count = Math.min(count, this.ringSize);
+
+        let written = 0;
+        while (written < count)
+        {
+            const length = Math.min(count - written, this.ringSize - this._head);
+            this.WriteParticles(this._head, data, written, length);
+            this.count = Math.max(this.count, this._head + length);
+            this._head = (this._head + length) % this.ringSize;
+            written += length;
+        }
+    }
+
+    /**
+     * Writes particles into slots
+     * @param {Number} slot
+     * @param {Float32Array} data
+     * @param {Number} start - the first particle in data to write
+     * @param {Number} count
+     */
+    @meta.abstract
+    WriteParticles(slot, data, start, count)
+    {
+
+    }
+
+    /**
+     * Sets an emitter's parameters
+     * @param {Number} slot
+     * @param {Tw2GpuParticleEmitter} emitter
+     */
+    SetEmitter(slot, emitter)
+    {
+        emitter.GetParameters(this.emitters, slot * EMITTER_VECTORS * 4);
+    }
+
+    /**
+     * Kills all particles
+     */
+    Clear()
+    {
+        this.count = 0;
+        this._head = 0;
+    }
+
+    /**
+     * Ages and moves particles
+     * @param {Number} dt
+     */
+    @meta.abstract
+    Update(dt)
+    {
+
+    }
+
+    /**
+     * Orders particles back to front
+     * @param {vec3} eye - the eye position, in the particles' space
+     */
+    @meta.abstract
+    Sort(eye)
+    {
+
+    }
+
+    /**
+     * Builds render instances
+     * @param {Boolean} sorted - true to use the order from the last sort
+     */
+    @meta.abstract
+    Render(sorted)
+    {
+
+    }
+
+    /**
+     * Gets the render instance buffer
+     * @param {WebGL2RenderingContext|WebGLRenderingContext} gl
+     * @returns {?WebGLBuffer}
+     */
+    @meta.abstract
+    GetInstanceBuffer(gl)
+    {
+
+    }
+
+    /**
+     * Deletes gl resources
+     * @param {WebGL2RenderingContext|WebGLRenderingContext} gl
+     */
+    Unload(gl)
+    {
+
+    }
+
+    /**
+     * Creates particles for slots, all of them dead
+     * @param {Number} capacity
+     * @returns {Float32Array}
+     */
+    static CreateParticles(capacity)
+    {
+        const particles = new Float32Array(capacity * PARTICLE_STRIDE);
+        for (let i = 0; i < capacity; i++)
+        {
+            particles[i * PARTICLE_STRIDE + 3] = 1;
+        }
+        return particles;
+    }
+
+    /**
+     * Gets the slot capacity for a maximum particle count
+     * - Capacity is a power of two, and a whole number of rows of the particle textures
+     * @param {Number} maxParticleCount
+     * @returns {Number}
+     */
+    static GetCapacity(maxParticleCount)
+    {
+        let capacity = Tw2ParticleSimulation.TEXTURE_COLUMNS;
+        while (capacity < maxParticleCount) capacity *= 2;
+        return capacity;
+    }
+
+    /**
+     * The maximum emitters a simulation has parameters for
+     * @type {Number}
+     */
+    static MAX_EMITTERS = 16;
+
+    /**
+     * Particles per row of the particle textures
+     * @type {Number}
+     */
+    static TEXTURE_COLUMNS = 256;
+
+    /**
+     * Particle layout size
+     * @type {Number}
+     */
+    static PARTICLE_STRIDE = PARTICLE_STRIDE;
+
+    /**
+     * Render instance layout size
+     * @type {Number}
+     */
+    static INSTANCE_STRIDE = INSTANCE_STRIDE;
+
+    /**
+     * Emitter parameter layout size, in vec4s
+     * @type {Number}
+     */
+    static EMITTER_VECTORS = EMITTER_VECTORS;
+
+    /**
+     * Render instance vertex declarations
+     * @type {Array<Object>}
+     */
+    static instanceDeclarations = [
+        { usage: "POSITION", usageIndex: 0, elements: 4 },
+        { usage: "NORMAL", usageIndex: 0, elements: 4 },
+        { usage: "COLOR", usageIndex: 0, elements: 4 },
+        { usage: "TEXCOORD", usageIndex: 1, elements: 4 }
+    ];
+
+}
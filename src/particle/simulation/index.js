@@ -0,0 +1,3 @@
+export * from "./Tw2ParticleSimulation";
+export * from "./Tw2CpuParticleSimulation";
+export * from "./Tw2GpuParticleSimulation";
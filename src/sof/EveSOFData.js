@@ -9,7 +9,8 @@ import {
     get,
     findElementByPropertyValue,
     isString,
-    isObject
+    isObject,
+    isObjectObject
 } from "utils";
 
 import {
@@ -21,25 +22,35 @@ import {
     Tw2GeometryRes,
     Tw2GeometryMesh,
     Tw2VertexDeclaration,
+    Tr2PointLight,
+    Tr2SpotLight,
+    Tr2TexturedPointLight
 } from "core";
 
 import {
     EveBoosterSet,
     EveCustomMask,
+    EveHazeSet,
     EveLocator2,
     EvePlaneSet,
     EveSpaceObjectDecal,
     EveSpotlightSet,
     EveSpriteSet,
     EveSpriteSetItem,
+    EveSpriteLineSet,
     EveShip2,
     EveChildMesh,
-    EveChildContainer, EveBanner
+    EveChildContainer, EveBanner,
+    EveAnimationCurve,
+    EveAnimationState,
+    EveAnimationStateMachine
 } from "eve";
 
+import { Tr2Controller } from "state";
 import { EveStation2 } from "../unsupported/eve/object";
 import { EveSOFDataPatternLayer } from "sof/pattern";
-import { EveSOFDataFaction, EveSOFDataFactionColorSet } from "sof/faction";
+import { EveSOFDataFaction, EveSOFDataFactionColorSet, EveSOFDataFactionVisibilityGroupSet } from "sof/faction";
+import { EveSOFDataGenericString } from "sof/generic";
 import { EveSOFDataRace } from "sof/race";
 import { EveLocatorSetItem, EveLocatorSets } from "eve/item/EveLocatorSets";
 import { EveSOFDataHullBannerSetItem } from "sof/hull/EveSOFDataHullBannerSetItem";
@@ -95,6 +106,24 @@ export class EveSOFData extends meta.Model
 
         devColor: [ 0, 0, 0, 0 ],
 
+        layout: {
+            // Limits how deeply placed extensions can have layouts of their own
+            maxDepth: 2
+        },
+
+        lights: {
+            // Hull light sets have no noise frequency of their own
+            defaultNoiseFrequency: 1
+        },
+
+        animation: {
+            // The name of the state machine built from hull animations
+            stateMachineName: "sof",
+            // The state played by default, if the hull has it
+            defaultState: "idle",
+            fadeDuration: 0.3
+        },
+
         banners: {
             defaultBorderMap: "cdn:/texture/global/white.png",
             defaultImageMap: "cdn:/texture/global/white.png",
@@ -135,6 +164,7 @@ export class EveSOFData extends meta.Model
 
         effect: {
             sprite: null,
+            haze: null,
             banner: null,
             shadow: null,
             shadowSkinned: null
@@ -159,6 +189,7 @@ export class EveSOFData extends meta.Model
             boosterVolumetric: "cdn:/graphics/effect/managed/space/booster/boostervolumetric.fx",
             boosterGlow: "cdn:/graphics/effect/managed/space/booster/boosterglowanimated.fx",
             spriteSet: "cdn:/graphics/effect/managed/space/spaceobject/fx/blinkinglightspool.fx",
+            hazeSet: "cdn:/graphics/effect/managed/space/spaceobject/fx/hazespherical.fx",
             banner: "cdn:/graphics/effect/managed/space/spaceobject/v5/fx/banner/unpacked_fxbannerv5.fx",
             shadow: "cdn:/graphics/effect/managed/space/spaceobject/shadow/shadow.fx"
         },
@@ -448,11 +479,28 @@ export class EveSOFData extends meta.Model
 
     /**
      * Registers options
+     * - Option groups, such as layout, are merged so that unspecified values keep their defaults
      * @param {Object} options
      */
     Register(options)
     {
-        if (options) Object.assign(this._options, options);
+        if (!options) return;
+
+        for (const key in options)
+        {
+            if (options.hasOwnProperty(key))
+            {
+                const value = options[key];
+                if (isObjectObject(value) && isObjectObject(this._options[key]))
+                {
+                    Object.assign(this._options[key], value);
+                }
+                else
+                {
+                    this._options[key] = value;
+                }
+            }
+        }
     }
 
     /**
@@ -474,6 +522,14 @@ export class EveSOFData extends meta.Model
             });
         }
 
+        if (!effect.haze)
+        {
+            effect.haze = Tw2Effect.from({
+                name: "Shared haze set effect",
+                effectFilePath: effectPath.hazeSet
+            });
+        }
+
         if (!effect.shadow)
         {
             // TODO: Implement shadows
@@ -781,6 +837,57 @@ export class EveSOFData extends meta.Model
         return !!findElementByPropertyValue(this.pattern, "name", name);
     }
 
+    /**
+     * Gets a layout
+     * @param {String} name
+     * @returns {EveSOFDataLayout|null}
+     */
+    GetLayout(name)
+    {
+        const layout = this.FindLayout(name);
+        if (!layout) throw new ErrSOFLayoutNotFound({ name });
+        return layout;
+    }
+
+    /**
+     * Finds a layout
+     * - Layout names are matched regardless of case, as dna strings are lower case
+     * @param {String} name
+     * @returns {EveSOFDataLayout|null}
+     */
+    FindLayout(name)
+    {
+        const lowerName = name.toLowerCase();
+        for (let i = 0; i < this.layout.length; i++)
+        {
+            if (this.layout[i].name.toLowerCase() === lowerName)
+            {
+                return this.layout[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets layout names
+     * @param {Object|Array} [out={}]
+     * @returns {Object|Array} out
+     */
+    GetLayoutNames(out)
+    {
+        return EveSOFData.GetNames(this.layout, out);
+    }
+
+    /**
+     * Checks if a layout exists
+     * @param {String} name
+     * @returns {boolean}
+     */
+    HasLayout(name)
+    {
+        return !!this.FindLayout(name);
+    }
+
     /**
      * Gets a shader's path
      * @param {String} path
@@ -831,10 +938,31 @@ export class EveSOFData extends meta.Model
         let hull = this.GetHull(parts[0]),
             faction = this.GetFaction(parts[1]),
             race = this.GetRace(parts[2]),
+            factionOverride = null,
+            raceOverride = null,
             area = {},
             resPathInsert = null,
             pattern = null;
 
+        // Overrides are combined with their source before anything reads from the faction or race
+        const o = commands["OVERRIDE"];
+        if (o)
+        {
+            if (o[0] && o[0] !== "none")
+            {
+                factionOverride = this.GetFactionOverride(o[0]);
+                EveSOFData.ValidateOverrideSource(factionOverride, faction);
+                faction = EveSOFDataFaction.combine(faction, factionOverride);
+            }
+
+            if (o[1] && o[1] !== "none")
+            {
+                raceOverride = this.GetRaceOverride(o[1]);
+                EveSOFData.ValidateOverrideSource(raceOverride, race);
+                race = EveSOFDataRace.combine(race, raceOverride);
+            }
+        }
+
         const m = commands["MESH"] || commands["MATERIAL"];
         if (m)
         {
@@ -901,36 +1029,49 @@ export class EveSOFData extends meta.Model
             //resPathInsert = "none";
         }
 
-        const o = commands["OVERRIDE"];
-        let factionOverride = null,
-            raceOverride = null;
+        // Layouts without a seed use the layout's own seed, or a random one if it randomizes on load
+        const l = commands["LAYOUT"];
+        let layout = null,
+            layoutSeed = 0;
 
-        if (o)
+        if (l && l[0] && l[0] !== "none")
         {
-            if (o[0] && o[0].toUpperCase() !== "NONE")
+            layout = this.GetLayout(l[0]);
+
+            if (l[1])
             {
-                factionOverride = this.GetFactionOverride(o[0]);
-                //const { override } = factionOverride;
-                //if (override !== parts[1]) throw new Error(`Invalid override faction source: ${parts[1]}`);
-                //const sourceFaction = this.GetFaction(override);
-                //faction = EveSOFDataFaction.combine(sourceFaction, factionOverride);
-                //faction.overridden = true;
-                //console.dir(faction);
+                layoutSeed = Number(l[1]);
+                if (!num.isInt(layoutSeed) || layoutSeed < 0)
+                {
+                    throw new ErrSOFDNAFormatInvalid({ dna });
+                }
             }
-
-            if (o[1] && o[1].toUpperCase() !== "NONE")
+            else
             {
-                raceOverride = this.GetRaceOverride(o[1]);
-                //const { override } = raceOverride;
-                //if (override !== parts[2]) throw new Error(`Invalid override race source: ${parts[2]}`);
-                //const sourceRace = this.GetRace(override);
-                //race = EveSOFDataRace.combine(sourceRace, raceOverride);
-                //race.overridden = true;
-                //console.dir(race);
+                layoutSeed = layout.GetSeed();
             }
         }
 
-        return { hull, faction, race, area, resPathInsert, pattern, dna, factionOverride, raceOverride };
+        return { hull, faction, race, area, resPathInsert, pattern, dna, factionOverride, raceOverride, layout, layoutSeed };
+    }
+
+    /**
+     * Validates that an override can be applied to a source faction or race
+     * - Overrides without a source can be applied to anything
+     * @param {EveSOFDataFaction|EveSOFDataRace} override
+     * @param {EveSOFDataFaction|EveSOFDataRace} source
+     * @throws {ErrSOFOverrideSourceInvalid} When the override belongs to a different source
+     */
+    static ValidateOverrideSource(override, source)
+    {
+        if (override.override && override.override.toLowerCase() !== source.name.toLowerCase())
+        {
+            throw new ErrSOFOverrideSourceInvalid({
+                name: override.name,
+                source: source.name,
+                expected: override.override
+            });
+        }
     }
 
     /**
@@ -941,7 +1082,7 @@ export class EveSOFData extends meta.Model
      */
     StringifyDNA(options)
     {
-        let { hull, faction, race, area, resPathInsert, pattern, factionOverride, raceOverride } = options;
+        let { hull, faction, race, area, resPathInsert, pattern, factionOverride, raceOverride, layout, layoutSeed } = options;
 
 
         if (isObject(hull)) hull = hull.name;
@@ -950,6 +1091,7 @@ export class EveSOFData extends meta.Model
         if (isObject(pattern)) pattern = pattern.name;
         if (isObject(raceOverride)) raceOverride = raceOverride.name;
         if (isObject(factionOverride)) factionOverride = factionOverride.name;
+        if (isObject(layout)) layout = layout.name;
 
         if (!hull || !faction || !race)
         {
@@ -992,6 +1134,12 @@ export class EveSOFData extends meta.Model
             str += `:override?${factionOverride || "none"};${raceOverride || "none"}`;
         }
 
+        if (layout)
+        {
+            str += `:layout?${layout}`;
+            if (layoutSeed !== undefined && layoutSeed !== null) str += `;${layoutSeed}`;
+        }
+
         return str.toLowerCase();
     }
 
@@ -1123,8 +1271,89 @@ export class EveSOFData extends meta.Model
         return object;
     }
 
+    /**
+     * Gets the resource paths an object built from dna depends on
+     * - The object is dry run built while the resource manager collects the paths it requests, so its resources
+     *   are neither loaded nor created
+     * - Child object file paths are included but not read, see `FetchDependencies`
+     * @param {String} dna
+     * @param {Array<String>} [out=[]]
+     * @returns {Promise<Array<String>>} out
+     */
+    async GetDependencies(dna, out = [])
+    {
+        const
+            sof = this.ParseDNA(dna),
+            object = sof.hull.buildClass === 2 ? new EveStation2() : new EveShip2(),
+            options = Object.assign({}, this._options, { dryRun: true, dependencies: out });
+
+        await resMan.CollectDependencies(() => EveSOFData.Build(this, object, sof, options), out);
+
+        // Shared effects are created with the sof data rather than requested by the build
+        const resources = object.GetResources();
+        for (let i = 0; i < resources.length; i++)
+        {
+            EveSOFData.AddDependency(options, resources[i].path);
+        }
+
+        return out;
+    }
+
+    /**
+     * Fetches the resource paths an object built from dna depends on, without building it
+     * - Child object files are read for their own dependencies
+     * @param {String} dna
+     * @returns {Promise<Array<String>>}
+     */
+    async FetchDependencies(dna)
+    {
+        const
+            paths = await this.GetDependencies(dna),
+            out = [];
+
+        for (let i = 0; i < paths.length; i++)
+        {
+            if (resMan.IsObjectPath(paths[i]))
+            {
+                await resMan.FetchDependencies(paths[i], out);
+            }
+            else if (!out.includes(paths[i]))
+            {
+                out.push(paths[i]);
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Prefetches the resources an object built from dna depends on
+     * @param {String} dna
+     * @param {Function} [onProgress]
+     * @returns {Promise<Array<Tw2Resource>>}
+     */
+    async Prefetch(dna, onProgress)
+    {
+        return resMan.Prefetch(await this.FetchDependencies(dna), onProgress);
+    }
+
+    /**
+     * Records a dependency when dry running a build
+     * @param {Object} options
+     * @param {String} path
+     */
+    static AddDependency(options, path)
+    {
+        const { dependencies } = options;
+        if (!dependencies || !path || path.toLowerCase().indexOf("rgba:/") === 0) return;
+        path = resMan.ToDependencyPath(path);
+        if (!dependencies.includes(path)) dependencies.push(path);
+    }
+
     /**
      * Builds an object from dna
+     * - Dry run builds don't wait on geometry or read object files, and record the paths they skip in
+     *   `options.dependencies`
      * @param {EveSOFData } data
      * @param {*} obj
      * @param {object} sof
@@ -1135,7 +1364,7 @@ export class EveSOFData extends meta.Model
     {
         const args = [ data, obj, sof, options ];
 
-        if (options.billboardsURL && !options.billboards)
+        if (options.billboardsURL && !options.billboards && !options.dryRun)
         {
             try
             {
@@ -1148,9 +1377,6 @@ export class EveSOFData extends meta.Model
             }
         }
 
-        // Custom
-        this.SetupSOFOverrides(...args);
-
 
         // TODO: DELETE THIS WHEN TESTING FINISHED!
         if (obj._sofFactionColorSetHandler && obj.sofFactionColorSet)
@@ -1178,29 +1404,32 @@ export class EveSOFData extends meta.Model
         obj.sofFactionColorSet.OnEvent("modified", obj._sofFactionColorSetHandler);
 
         // Supported
+        this.SetupVisibilityGroups(...args);
         this.SetupCustomMasks(...args);
         await this.SetupMesh(...args);
-        this.SetupBounds(...args);
+        if (!options.dryRun) this.SetupBounds(...args);
         this.SetupBanners(...args);
         this.SetupSpotlightSets(...args);
         this.SetupPlaneSets(...args);
         this.SetupSpriteSets(...args);
+        this.SetupSpriteLineSets(...args);
+        this.SetupHazeSets(...args);
         this.SetupDecals(...args);
         this.SetupBoosters(...args);
         this.SetupLocators(...args);
         this.SetupInstancedMesh(...args);
         this.SetupLocatorSets(...args);
+        this.SetupLights(...args);
+        await this.SetupLayout(...args);
+        this.SetupAnimations(...args);
         // partial support
         await this.SetupChildren(...args);
+        this.SetupControllers(...args);
         // Unsupported
         await this.SetupShadows(...args);
-        this.SetupHazeSets(...args);
-        this.SetupSpriteLineSets(...args);
         this.SetupAudio(...args);
         this.SetupModelCurves(...args);
-        this.SetupLights(...args);
         this.SetupObservers(...args);
-        this.SetupControllers(...args);
 
         // Temporarily add triglavian balls
         if (sof.hull.name.indexOf("tg") === 0 && !obj.effectChildren.find(x => x.name === "TempTrigSphereContainer"))
@@ -1212,29 +1441,6 @@ export class EveSOFData extends meta.Model
         return obj;
     }
 
-    /**
-     * Custom overrides
-     * @param {EveSOFData} data
-     * @param {EveStation2|EveShip2} obj
-     * @param {Object} sof
-     * @param {Object} [options={}]
-     */
-    static SetupSOFOverrides(data, obj, sof, options)
-    {
-        if (sof.raceOverride)
-        {
-            sof.race = EveSOFDataRace.combine(sof.race, sof.raceOverride);
-            console.dir(sof.race);
-        }
-
-        if (sof.factionOverride)
-        {
-            sof.faction = EveSOFDataFaction.combine(sof.faction, sof.factionOverride);
-            console.dir(sof.faction);
-        }
-    }
-
-
     /**
      * Sets up a custom mask (or empties it)
      * @param {EveCustomMask} mask
@@ -1414,7 +1620,15 @@ export class EveSOFData extends meta.Model
         // Load the ship's geometry
         let resPath = get(sof.hull, "geometryResFilePath", "");
         if (!resPath) throw new TypeError("Hull has no geometry");
-        await mesh.FetchGeometryResPath(resPath);
+
+        if (options.dryRun)
+        {
+            EveSOFData.AddDependency(options, resPath);
+        }
+        else
+        {
+            await mesh.FetchGeometryResPath(resPath);
+        }
 
         let cachedParameters = {};
 
@@ -1508,8 +1722,7 @@ export class EveSOFData extends meta.Model
                             maxGlowFlickerDecalAreas
                         } = options.wreckArea;
 
-                        // Use fire color if it exists
-                        // TODO: Replace this with SOF6 controls
+                        // Use fire color if it exists, hull controllers can then change it through actions
                         if (sof.faction.HasColorType(11))
                         {
                             sof.faction.GetColorType(11, glowColor);
@@ -2672,11 +2885,14 @@ export class EveSOFData extends meta.Model
 
             iMesh.bufferData = new Float32Array(vertices);
             iMesh.bufferLength = iMesh.bufferData.length;
-            iMesh.buffer = gl.createBuffer();
-            gl.bindBuffer(gl.ARRAY_BUFFER, iMesh.buffer);
-            gl.bufferData(gl.ARRAY_BUFFER, iMesh.bufferData, gl.STATIC_DRAW);
-            // Do not retain in memory unless asked to
-            if (!tw2.systemMirror) iMesh.bufferData = null;
+            if (!options.dryRun)
+            {
+                iMesh.buffer = gl.createBuffer();
+                gl.bindBuffer(gl.ARRAY_BUFFER, iMesh.buffer);
+                gl.bufferData(gl.ARRAY_BUFFER, iMesh.bufferData, gl.STATIC_DRAW);
+                // Do not retain in memory unless asked to
+                if (!tw2.systemMirror) iMesh.bufferData = null;
+            }
 
             // Setup resource to hold results
             const res = new Tw2GeometryRes();
@@ -2801,7 +3017,9 @@ export class EveSOFData extends meta.Model
     }
 
     /**
-     *
+     * Sets up dynamic lights
+     * - Any existing lights are replaced
+     * - Items without a bone index use their light set's bone index
      * @param {EveSOFData} data
      * @param {EveStation2|EveShip2} obj
      * @param {Object} sof
@@ -2809,7 +3027,59 @@ export class EveSOFData extends meta.Model
      */
     static SetupLights(data, obj, sof, options)
     {
-        tw2.Debug({ name: "Space object factory", message: "Lights not implemented" });
+        const lights = obj.lights || [];
+        lights.splice(0);
+
+        const lightSets = sof.hull.lightSets
+            .filter(x => sof.faction.visibilityGroupSet.IsObjectVisible(x));
+
+        lightSets.forEach(srcSet =>
+        {
+            const getShared = srcItem =>
+            {
+                return {
+                    name: srcItem.name,
+                    boneIndex: srcItem.boneIndex === -1 ? srcSet.boneIndex : srcItem.boneIndex,
+                    brightness: srcItem.brightness,
+                    innerRadius: srcItem.innerRadius,
+                    noiseAmplitude: srcItem.noiseAmplitude || srcSet.noiseAmplitude,
+                    noiseFrequency: srcItem.noiseFrequency || options.lights.defaultNoiseFrequency,
+                    noiseOctaves: srcItem.noiseOctaves || srcSet.noiseOctaves,
+                    position: srcItem.position,
+                    radius: srcItem.radius
+                };
+            };
+
+            srcSet.items.forEach(srcItem =>
+            {
+                lights.push(Tr2PointLight.from({
+                    ...getShared(srcItem),
+                    color: srcItem.lightColor
+                }));
+            });
+
+            srcSet.spotLights.forEach(srcItem =>
+            {
+                lights.push(Tr2SpotLight.from({
+                    ...getShared(srcItem),
+                    color: srcItem.lightColor,
+                    innerAngle: srcItem.innerAngle,
+                    outerAngle: srcItem.outerAngle,
+                    rotation: srcItem.rotation
+                }));
+            });
+
+            srcSet.texturedPointLights.forEach(srcItem =>
+            {
+                lights.push(Tr2TexturedPointLight.from({
+                    ...getShared(srcItem),
+                    color: [ 1, 1, 1, 1 ],
+                    texturePath: srcItem.texturePath
+                }));
+            });
+        });
+
+        obj.lights = lights;
     }
 
     /**
@@ -2824,33 +3094,267 @@ export class EveSOFData extends meta.Model
         tw2.Debug({ name: "Space object factory", message: "Observers not implemented" });
     }
 
+    /**
+     * Sets up layout placements
+     * - Each placement's extension is built from its descriptor and added as a child of the object
+     * - Descriptors without a faction or race use the object's, including any faction or race override
+     * - Extensions from a previous build are removed
+     * @param {EveSOFData} data
+     * @param {EveStation2|EveShip2} obj
+     * @param {Object} sof
+     * @param {Object} [options={}]
+     */
+    static async SetupLayout(data, obj, sof, options)
+    {
+        for (let i = 0; i < obj.children.length; i++)
+        {
+            if (obj.children[i]._sofPlacement)
+            {
+                obj.children.splice(i, 1);
+                i--;
+            }
+        }
+
+        const { layout, layoutSeed, layoutDepth = 0 } = sof;
+        if (!layout || layoutDepth > options.layout.maxDepth) return;
+
+        const placements = layout.Evaluate({
+            seed: layoutSeed,
+            hull: sof.hull,
+            faction: sof.faction,
+            race: sof.race
+        });
+
+        // Overridden factions and races are named after their override, so children use the source's name and
+        // are given the same override
+        const
+            sourceFaction = sof.faction.override || sof.faction.name,
+            sourceRace = sof.race.override || sof.race.name;
+
+        const children = await Promise.all(placements.map(async placement =>
+        {
+            const { descriptor, transform, seed } = placement;
+
+            const dna = data.StringifyDNA({
+                hull: descriptor.hull,
+                faction: descriptor.faction || sourceFaction,
+                race: descriptor.race || sourceRace,
+                factionOverride: descriptor.faction ? null : sof.factionOverride,
+                raceOverride: descriptor.race ? null : sof.raceOverride,
+                material1: descriptor.material1,
+                material2: descriptor.material2,
+                material3: descriptor.material3,
+                material4: descriptor.material4,
+                layout: descriptor.layout,
+                layoutSeed: seed
+            });
+
+            const
+                childSof = data.ParseDNA(dna),
+                child = childSof.hull.buildClass === 2 ? new EveStation2() : new EveShip2();
+
+            childSof.layoutDepth = layoutDepth + 1;
+
+            child.dna = dna;
+            child.name = placement.name;
+            child._sofPlacement = placement.placement;
+            await EveSOFData.Build(data, child, childSof, options);
+            mat4.decompose(transform, child.rotation, child.translation, child.scaling);
+            if (child.Initialize) child.Initialize();
+            return child;
+        }));
+
+        obj.children.push(...children);
+    }
+
     /**
      * Sets up haze sets
-     * // TODO: Share haze sets...
-     * // TODO: Animated haze sets...
-     * @param data
-     * @param obj
-     * @param sof
-     * @param options
+     * - Hull haze sets which share a name are built into a single set
+     * - All haze sets share the same effect
+     * - Items with booster gain influence are animated by the object's booster gain
+     * @param {EveSOFData} data
+     * @param {EveStation2|EveShip2} obj
+     * @param {Object} sof
+     * @param {Object} [options={}]
      */
     static SetupHazeSets(data, obj, sof, options)
     {
-        tw2.Debug({ name: "Space object factory", message: "Haze sets not implemented" });
+        const
+            sof6 = sof.hull.sof6 && data.enableSof6;
+
+        const
+            { isSkinned = false } = sof.hull,
+            arr = obj.attachments || obj.hazeSets,
+            toRemove = EveSOFData.FindObjectsByConstructor(arr, EveHazeSet),
+            built = {};
+
+        const hazeSets = sof.hull.hazeSets
+            .filter(x => sof.faction.visibilityGroupSet.IsObjectVisible(x));
+
+        hazeSets.forEach(srcSet =>
+        {
+            let set = built[srcSet.name];
+            if (!set)
+            {
+                set = this.FindAttachmentByConstructorAndName(arr, EveHazeSet, srcSet.name, sof6);
+                if (set)
+                {
+                    set.ClearItems({ skipEvents: true });
+                    toRemove.splice(toRemove.indexOf(set), 1);
+                }
+                else
+                {
+                    set = EveHazeSet.from({ name: srcSet.name });
+                    arr.push(set);
+                }
+
+                set.display = true;
+                set.skinned = false;
+                set.effect = options.effect.haze;
+                built[srcSet.name] = set;
+            }
+
+            set.skinned = set.skinned || (isSkinned && srcSet.skinned);
+
+            const color = vec4.alloc();
+
+            srcSet.items.forEach(srcItem =>
+            {
+                vec4.set(color, 0, 0, 0, 1);
+                sof.faction.GetColorType(srcItem.colorType, color, 0);
+                EveSOFData.SaturateColor(color, srcItem.saturation);
+
+                set.CreateItem({
+                    display: !vec3.equals(color, [ 0, 0, 0 ]),
+                    boneIndex: srcItem.boneIndex,
+                    boosterGainInfluence: srcItem.boosterGainInfluence,
+                    color,
+                    colorType: srcItem.colorType,
+                    hazeBrightness: srcItem.hazeBrightness,
+                    hazeFalloff: srcItem.hazeFalloff,
+                    position: srcItem.position,
+                    rotation: srcItem.rotation,
+                    scaling: srcItem.scaling,
+                    sourceBrightness: srcItem.sourceBrightness,
+                    sourceSize: srcItem.sourceSize
+                }, { skipEvents: true, skipUpdate: true });
+            });
+
+            vec4.unalloc(color);
+        });
+
+        for (const name in built)
+        {
+            if (built.hasOwnProperty(name))
+            {
+                built[name].UpdateValues();
+            }
+        }
+
+        toRemove.forEach(set =>
+        {
+            set.Destroy();
+            arr.splice(arr.indexOf(set), 1);
+        });
     }
 
     /**
-     *
+     * Applies a sof saturation to a color
+     * - A saturation of zero is treated as unset and leaves the color unchanged
+     * @param {vec4} color
+     * @param {Number} saturation
+     * @returns {vec4} color
+     */
+    static SaturateColor(color, saturation)
+    {
+        if (saturation)
+        {
+            const luminance = color[0] * 0.299 + color[1] * 0.587 + color[2] * 0.114;
+            for (let i = 0; i < 3; i++)
+            {
+                color[i] = luminance + (color[i] - luminance) * saturation;
+            }
+        }
+        return color;
+    }
+
+    /**
+     * Sets up sprite line sets
      * @param {EveSOFData} data
      * @param {EveStation2|EveShip2} obj
      * @param {Object} sof
      * @param {Object} [options={}]
-     * @returns {Array}
      */
     static SetupSpriteLineSets(data, obj, sof, options)
     {
-        tw2.Debug({
-            name: "Space object factory",
-            message: "Sprite line sets not implemented"
+        const sof6 = sof.hull.sof6 && data.enableSof6;
+
+        const
+            { isSkinned = false } = sof.hull,
+            arr = obj.attachments || obj.spriteLineSets,
+            toRemove = EveSOFData.FindObjectsByConstructor(arr, EveSpriteLineSet);
+
+        const spriteLineSets = sof.hull.spriteLineSets
+            .filter(x => sof.faction.visibilityGroupSet.IsObjectVisible(x));
+
+        spriteLineSets.forEach(srcSet =>
+        {
+            let set = this.FindAttachmentByConstructorAndName(arr, EveSpriteLineSet, srcSet.name, sof6);
+            if (set)
+            {
+                set.ClearItems({ skipEvents: true });
+                toRemove.splice(toRemove.indexOf(set), 1);
+            }
+            else
+            {
+                set = new EveSpriteLineSet();
+                arr.push(set);
+            }
+
+            set.name = srcSet.name;
+            set.display = true;
+            set.useQuads = true;
+            set.skinned = srcSet.skinned && isSkinned;
+            set.effect = options.effect.sprite;
+
+            const color = vec4.alloc();
+
+            srcSet.items.forEach(srcItem =>
+            {
+                vec4.set(color, 0, 0, 0, 1);
+                sof.faction.GetColorType(srcItem.colorType, color, 0);
+
+                set.CreateItem({
+                    // Turn off lights which don't have a colour
+                    display: !vec3.equals(color, [ 0, 0, 0 ]),
+                    blinkPhase: srcItem.blinkPhase,
+                    blinkPhaseShift: srcItem.blinkPhaseShift,
+                    blinkRate: srcItem.blinkRate,
+                    boneIndex: srcItem.boneIndex,
+                    color,
+                    colorType: srcItem.colorType,
+                    falloff: srcItem.falloff,
+                    intensity: srcItem.intensity,
+                    isCircle: srcItem.isCircle,
+                    minScale: (srcItem.minScale || srcItem.maxScale * 0.25) * options.multiplier.spriteScale,
+                    maxScale: srcItem.maxScale * options.multiplier.spriteScale,
+                    position: srcItem.position,
+                    rotation: srcItem.rotation,
+                    scaling: srcItem.scaling,
+                    spacing: srcItem.spacing
+                }, { skipEvents: true, skipUpdate: true });
+            });
+
+            vec4.unalloc(color);
+
+            set.Initialize();
+            set.UpdateValues();
+        });
+
+        toRemove.forEach(set =>
+        {
+            set.Destroy();
+            arr.splice(arr.indexOf(set), 1);
         });
     }
 
@@ -2868,16 +3372,38 @@ export class EveSOFData extends meta.Model
 
 
     /**
-     *
+     * Sets up animations
+     * - Each hull animation becomes a state, playing the geometry animation of the same name
+     * - States can then be requested by name, for example "siege" or "warp"
      * @param {EveSOFData} data
      * @param {EveStation2|EveShip2} obj
      * @param {Object} sof
      * @param {Object} [options={}]
-     * @returns {Array}
      */
     static SetupAnimations(data, obj, sof, options)
     {
-        tw2.Debug({ name: "Space object factory", message: "Animations not implemented" });
+        if (!obj.animation) return;
+
+        const
+            { stateMachineName, defaultState, fadeDuration } = options.animation,
+            { stateMachines } = obj.animation,
+            existing = obj.animation.GetStateMachine(stateMachineName);
+
+        if (existing) stateMachines.splice(stateMachines.indexOf(existing), 1);
+
+        const animations = sof.hull.animations.filter(x => x.name);
+        if (!animations.length) return;
+
+        stateMachines.push(EveAnimationStateMachine.from({
+            name: stateMachineName,
+            autoPlayDefault: animations.some(x => x.name === defaultState),
+            defaultAnimation: defaultState,
+            fadeDuration,
+            states: animations.map(srcItem => EveAnimationState.from({
+                name: srcItem.name,
+                animation: EveAnimationCurve.from({ name: srcItem.name })
+            }))
+        }));
     }
 
     /**
@@ -2925,6 +3451,12 @@ export class EveSOFData extends meta.Model
 
         for (let i = 0; i < effects.length; i++)
         {
+            if (options.dryRun)
+            {
+                EveSOFData.AddDependency(options, effects[i].redFilePath);
+                continue;
+            }
+
             const effect = await tw2.Fetch(effects[i].redFilePath);
 
             // Disable curve sets for now
@@ -3037,7 +3569,11 @@ export class EveSOFData extends meta.Model
     }
 
     /**
-     *
+     * Sets up controllers from the hull's controller files
+     * - Controllers are loaded alongside the rest of the build, and are added to the object as they load
+     * - Controllers start on the object's next update, and are driven with `SetControllerVariable`
+     * - Controller variables that are set before a controller loads aren't applied to it
+     * - Build filters aren't supported yet, so all of the hull's controllers are built
      * @param {EveSOFData} data
      * @param {EveStation2|EveShip2} obj
      * @param {Object} sof
@@ -3045,7 +3581,157 @@ export class EveSOFData extends meta.Model
      */
     static SetupControllers(data, obj, sof, options)
     {
-        tw2.Debug({ name: "Space object factory", message: "Animation controllers not implemented" });
+        if (!obj.controllers) return;
+
+        for (let i = 0; i < obj.controllers.length; i++)
+        {
+            obj.controllers[i].Stop();
+        }
+        obj.controllers.splice(0);
+
+        if (options.dryRun)
+        {
+            sof.hull.controllers.forEach(srcItem => EveSOFData.AddDependency(options, srcItem.path));
+            return;
+        }
+
+        // Controllers from an earlier build are ignored if they finish loading after a rebuild
+        const build = obj._sofControllerBuild = {};
+
+        sof.hull.controllers
+            .filter(x => x.path)
+            .forEach(srcItem =>
+            {
+                tw2.Fetch(srcItem.path)
+                    .then(controller =>
+                    {
+                        if (obj._sofControllerBuild === build && controller instanceof Tr2Controller)
+                        {
+                            obj.controllers.push(controller);
+                        }
+                    })
+                    .catch(err =>
+                    {
+                        tw2.Debug({
+                            name: "Space object factory",
+                            message: `Failed to load "${sof.hull.name}" controller: ${srcItem.path}`,
+                            err
+                        });
+                    });
+            });
+    }
+
+    /**
+     * Sets up the object's visibility groups from the faction
+     * - Visibility groups can then be shown or hidden without rebuilding the object, see `EveShip2.SetVisibilityGroup`
+     * @param {EveSOFData} data
+     * @param {EveStation2|EveShip2} obj
+     * @param {Object} sof
+     * @param {Object} [options={}]
+     */
+    static SetupVisibilityGroups(data, obj, sof, options)
+    {
+        if (!obj.visibilityGroups) return;
+
+        if (obj._sofVisibilityGroupHandler)
+        {
+            obj.OffEvent("visibility_group_changed", obj._sofVisibilityGroupHandler);
+        }
+
+        obj.visibilityGroups = {};
+        EveSOFData.GetVisibilityGroupNames(sof.hull).forEach(name =>
+        {
+            obj.visibilityGroups[name] = sof.faction.HasVisibilityGroup(name);
+        });
+        obj.ApplyVisibilityGroups();
+
+        obj._sofVisibilityGroupHandler = () => EveSOFData.RebuildVisibilityGroups(data, obj, sof, options);
+        obj.OnEvent("visibility_group_changed", obj._sofVisibilityGroupHandler);
+    }
+
+    /**
+     * Rebuilds the parts of an object that are filtered by visibility groups
+     * @param {EveSOFData} data
+     * @param {EveStation2|EveShip2} obj
+     * @param {Object} sof
+     * @param {Object} [options={}]
+     */
+    static RebuildVisibilityGroups(data, obj, sof, options)
+    {
+        const args = [
+            data,
+            obj,
+            Object.assign({}, sof, { faction: EveSOFData.GetVisibleFaction(sof.faction, obj.visibilityGroups) }),
+            options
+        ];
+
+        this.SetupBanners(...args);
+        this.SetupSpotlightSets(...args);
+        this.SetupPlaneSets(...args);
+        this.SetupSpriteSets(...args);
+        this.SetupSpriteLineSets(...args);
+        this.SetupHazeSets(...args);
+        this.SetupDecals(...args);
+        this.SetupLights(...args);
+    }
+
+    /**
+     * Gets the names of the visibility groups a hull uses
+     * - Names are upper case, and objects without a visibility group use "PRIMARY"
+     * @param {EveSOFDataHull} hull
+     * @param {Array<String>} [out=[]]
+     * @returns {Array<String>} out
+     */
+    static GetVisibilityGroupNames(hull, out = [])
+    {
+        const add = ({ visibilityGroup }) =>
+        {
+            const name = visibilityGroup ? visibilityGroup.toUpperCase() : "PRIMARY";
+            if (!out.includes(name)) out.push(name);
+        };
+
+        [
+            hull.banners,
+            hull.bannerSets,
+            hull.decalSets,
+            hull.hazeSets,
+            hull.lightSets,
+            hull.planeSets,
+            hull.spotlightSets,
+            hull.spriteLineSets,
+            hull.spriteSets
+        ].forEach(arr => arr.forEach(add));
+
+        return out;
+    }
+
+    /**
+     * Gets a faction that only differs from another by which visibility groups are shown
+     * @param {EveSOFDataFaction} faction
+     * @param {Object<String, Boolean>} visibilityGroups - upper case visibility group names and if they're shown
+     * @returns {EveSOFDataFaction}
+     */
+    static GetVisibleFaction(faction, visibilityGroups)
+    {
+        const names = faction.visibilityGroupSet
+            ? faction.visibilityGroupSet.visibilityGroups.map(x => x.str.toUpperCase())
+            : [];
+
+        for (const name in visibilityGroups)
+        {
+            if (visibilityGroups.hasOwnProperty(name) && visibilityGroups[name] && !names.includes(name))
+            {
+                names.push(name);
+            }
+        }
+
+        const visibleFaction = Object.create(faction);
+        visibleFaction.visibilityGroupSet = EveSOFDataFactionVisibilityGroupSet.from({
+            visibilityGroups: names
+                .filter(name => visibilityGroups[name] !== false)
+                .map(str => EveSOFDataGenericString.from({ str }))
+        });
+        return visibleFaction;
     }
 
     /**
@@ -3293,6 +3979,17 @@ export class ErrSOFMaterialNotFound extends Tw2Error
     }
 }
 
+/**
+ * Fires when a sof layout is not found
+ */
+export class ErrSOFLayoutNotFound extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "SOF Layout not found (%name%)");
+    }
+}
+
 /**
  * Fires when a sof pattern is not found
  */
@@ -3338,6 +4035,17 @@ export class ErrSOFOverrideNotFound extends Tw2Error
     }
 }
 
+/**
+ * Fires when a sof override is applied to the wrong source
+ */
+export class ErrSOFOverrideSourceInvalid extends Tw2Error
+{
+    constructor(data)
+    {
+        super(data, "SOF Override source invalid (%name% overrides %expected% not %source%)");
+    }
+}
+
 /**
  * Fires when a sof override faction is not found
  */
@@ -1,8 +1,11 @@
 import { tw2 } from "global/tw2";
-import { isNoU, meta } from "utils";
+import { isNoU, meta, combineArraysByProperty } from "utils";
 import { vec4 } from "math";
 import { EveSOFDataFactionColorSet } from "./EveSOFDataFactionColorSet";
 import { EveSOFDataFactionVisibilityGroupSet } from "./EveSOFDataFactionVisibilityGroupSet";
+import { EveSOFDataFactionPlaneSet } from "./EveSOFDataFactionPlaneSet";
+import { EveSOFDataFactionSpotlightSet } from "./EveSOFDataFactionSpotlightSet";
+import { EveSOFDataFactionChild } from "./EveSOFDataFactionChild";
 import { ErrSOFLogoSetTypeNotFound, ErrSOFAreaTypeNotFound, EveSOFDataArea, EveSOFDataLogoSet } from "sof/shared";
 
 
@@ -278,19 +281,19 @@ export class EveSOFDataFaction extends meta.Model
     }
 
     /**
-     *
-     * @param {EveSOFDataFaction} [a]
+     * Combines a source faction with a faction override
+     * @param {EveSOFDataFaction} a
      * @param {EveSOFDataFaction} b
      * @param {EveSOFDataFaction} [out]
-     * @returns {null|EveSOFDataFaction}
+     * @returns {EveSOFDataFaction} out
      */
     static combine(a, b, out)
     {
         out = out || new this();
-        out.name = b._id;
+        out.name = b.name;
+        out.override = a.name;
         out.areaTypes = EveSOFDataArea.combine(a.areaTypes, b.areaTypes, out.areaTypes);
-
-        out.children = Array.from(a.children);
+        out.children = combineArraysByProperty(a.children, b.children, "groupIndex", (x, y) => EveSOFDataFactionChild.combine(x, y), out.children);
         out.colorSet = EveSOFDataFactionColorSet.combine(a.colorSet, b.colorSet, out.colorSet);
         out.defaultPattern = b.defaultPattern || a.defaultPattern || "";
         out.defaultPatternLayer1MaterialName = b.defaultPatternLayer1MaterialName || a.defaultPatternLayer1MaterialName || "";
@@ -302,16 +305,8 @@ export class EveSOFDataFaction extends meta.Model
         out.materialUsageMtl4 = isNoU(b.materialUsageMtl4) ? a.materialUsageMtl4 : b.materialUsageMtl4;
         out.resPathInsert = b.resPathInsert || a.resPathInsert || "";
         out.visibilityGroupSet = EveSOFDataFactionVisibilityGroupSet.combine(a.visibilityGroupSet, b.visibilityGroupSet, out.visibilityGroupSet);
-
-
-        // Not implemented yet
-        //out.children = EveSOFDataFactionChild.merge(a.children, b.children, out.children);
-        //out.planeSets = EveSOFDataFactionPlaneSet.merge(a.planeSets, b.planeSets, out.planeSets);
-        //out.spotlightSets = EveSOFDataFactionSpotlightSet.merge(a.planeSets, b.planeSets, out.planeSets);
-        out.planeSets = Array.from(a.planeSets);
-        out.spotlightSets = Array.from(a.spotlightSets);
-        out.children = Array.from(a.children);
-
+        out.planeSets = combineArraysByProperty(a.planeSets, b.planeSets, "groupIndex", (x, y) => EveSOFDataFactionPlaneSet.combine(x, y), out.planeSets);
+        out.spotlightSets = combineArraysByProperty(a.spotlightSets, b.spotlightSets, "groupIndex", (x, y) => EveSOFDataFactionSpotlightSet.combine(x, y), out.spotlightSets);
         return out;
     }
 
@@ -1,4 +1,4 @@
-import { meta } from "utils";
+import { __get, meta } from "utils";
 
 
 @meta.type("EveSOFDataFactionChild")
@@ -14,4 +14,20 @@ export class EveSOFDataFactionChild extends meta.Model
     @meta.boolean
     isVisible = false;
 
+    /**
+     * Combines faction children
+     * @param {EveSOFDataFactionChild} a
+     * @param {EveSOFDataFactionChild} [b]
+     * @param {EveSOFDataFactionChild} [out]
+     * @returns {EveSOFDataFactionChild} out
+     */
+    static combine(a, b, out)
+    {
+        out = out || new this();
+        out.name = __get(b, "name", a);
+        out.groupIndex = a.groupIndex;
+        out.isVisible = b ? b.isVisible : a.isVisible;
+        return out;
+    }
+
 }
@@ -1,4 +1,4 @@
-import { meta } from "utils";
+import { __get, meta } from "utils";
 import { vec4 } from "math";
 
 
@@ -15,4 +15,20 @@ export class EveSOFDataFactionPlaneSet extends meta.Model
     @meta.uint
     groupIndex = -1;
 
+    /**
+     * Combines faction plane sets
+     * @param {EveSOFDataFactionPlaneSet} a
+     * @param {EveSOFDataFactionPlaneSet} [b]
+     * @param {EveSOFDataFactionPlaneSet} [out]
+     * @returns {EveSOFDataFactionPlaneSet} out
+     */
+    static combine(a, b, out)
+    {
+        out = out || new this();
+        out.name = __get(b, "name", a);
+        out.groupIndex = a.groupIndex;
+        vec4.copy(out.color, __get(b, "color", a));
+        return out;
+    }
+
 }
@@ -1,4 +1,4 @@
-import { meta } from "utils";
+import { __get, meta } from "utils";
 import { vec4 } from "math";
 
 
@@ -21,4 +21,22 @@ export class EveSOFDataFactionSpotlightSet extends meta.Model
     @meta.color
     spriteColor = vec4.create();
 
+    /**
+     * Combines faction spotlight sets
+     * @param {EveSOFDataFactionSpotlightSet} a
+     * @param {EveSOFDataFactionSpotlightSet} [b]
+     * @param {EveSOFDataFactionSpotlightSet} [out]
+     * @returns {EveSOFDataFactionSpotlightSet} out
+     */
+    static combine(a, b, out)
+    {
+        out = out || new this();
+        out.name = __get(b, "name", a);
+        out.groupIndex = a.groupIndex;
+        vec4.copy(out.coneColor, __get(b, "coneColor", a));
+        vec4.copy(out.flareColor, __get(b, "flareColor", a));
+        vec4.copy(out.spriteColor, __get(b, "spriteColor", a));
+        return out;
+    }
+
 }
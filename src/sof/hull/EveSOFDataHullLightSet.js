@@ -20,6 +20,12 @@ export class EveSOFDataHullLightSet extends meta.Model
     @meta.float
     noiseOctaves = 0;
 
+    @meta.list("EveSOFDataHullLightSetSpotLight")
+    spotLights = [];
+
+    @meta.list("EveSOFDataHullLightSetTexturedPointLight")
+    texturedPointLights = [];
+
     @meta.string
     visibilityGroup = "";
 
@@ -9,6 +9,9 @@ export class EveSOFDataHullLightSetTexturedPointLight extends meta.Model
     @meta.string
     name = "";
 
+    @meta.uint
+    boneIndex = -1;
+
     @meta.float
     brightness = 0;
 
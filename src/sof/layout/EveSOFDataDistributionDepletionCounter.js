@@ -9,7 +9,6 @@ export class EveSOFDataDistributionDepletionCounter extends meta.Model
     name = "";
 
     @meta.uint
-    value;
-
+    value = 0;
 
 }
@@ -1,5 +1,6 @@
 import { meta } from "utils";
-import { vec3 } from "math";
+import { vec3, mat4 } from "math";
+import { EveSOFDataHullExtensionPlacementDistributionPlacement } from "./EveSOFDataHullExtensionPlacementDistributionPlacement";
 
 
 @meta.type("EveSOFDataHullExtensionPlacement")
@@ -55,4 +56,68 @@ export class EveSOFDataHullExtensionPlacement extends meta.Model
 
      */
 
+    /**
+     * Evaluates the placement
+     * - Without a locator set the extension is placed once at the placement's offset
+     * - Without a distribution every unoccupied locator in the locator set is used
+     * @param {Object} context - layout evaluation context
+     * @param {Array<Object>} [out=[]]
+     * @returns {Array<Object>} out
+     */
+    Evaluate(context, out = [])
+    {
+        const { AreConditionsSatisfied, ConsumeConditions } = EveSOFDataHullExtensionPlacementDistributionPlacement;
+
+        if (!this.enabled || !this.descriptor || !AreConditionsSatisfied(this.distributionConditions, context))
+        {
+            return out;
+        }
+
+        ConsumeConditions(this.distributionConditions, context);
+
+        let transforms = [];
+        if (!this.locatorSetName)
+        {
+            transforms.push(mat4.fromTranslation(mat4.create(), this.offset));
+        }
+        else
+        {
+            const locatorSet = context.locatorSets.find(x => x.name === this.locatorSetName);
+            if (!locatorSet) return out;
+
+            if (this.distribution)
+            {
+                this.distribution.GetTransforms(locatorSet.locators, this.offset, context, transforms);
+            }
+            else
+            {
+                for (let i = 0; i < locatorSet.locators.length; i++)
+                {
+                    const locator = locatorSet.locators[i];
+                    if (context.occupied.has(locator)) continue;
+                    context.occupied.add(locator);
+
+                    const transform = locator.GetTransform(mat4.create());
+                    transform[12] += this.offset[0];
+                    transform[13] += this.offset[1];
+                    transform[14] += this.offset[2];
+                    transforms.push(transform);
+                }
+            }
+        }
+
+        for (let i = 0; i < transforms.length; i++)
+        {
+            out.push({
+                name: this.name,
+                placement: this,
+                descriptor: this.descriptor,
+                transform: transforms[i],
+                seed: Math.floor(context.random() * 4294967296)
+            });
+        }
+
+        return out;
+    }
+
 }
@@ -11,4 +11,34 @@ export class EveSOFDataHullExtensionPlacementDistributionDepletionCounter extend
     @meta.list("EveSOFDataDistributionDepletionCounter")
     depletionCounters = [];
 
+    /**
+     * Checks if the condition is satisfied
+     * - Satisfied while every counter it uses has enough remaining
+     * - Counters which haven't been declared by a placement group are unlimited
+     * @param {Object} context - layout evaluation context
+     * @returns {Boolean}
+     */
+    IsSatisfied(context)
+    {
+        for (let i = 0; i < this.depletionCounters.length; i++)
+        {
+            const { name, value } = this.depletionCounters[i];
+            if (name in context.counters && context.counters[name] < value) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Consumes the condition's counters
+     * @param {Object} context - layout evaluation context
+     */
+    Consume(context)
+    {
+        for (let i = 0; i < this.depletionCounters.length; i++)
+        {
+            const { name, value } = this.depletionCounters[i];
+            if (name in context.counters) context.counters[name] -= value;
+        }
+    }
+
 }
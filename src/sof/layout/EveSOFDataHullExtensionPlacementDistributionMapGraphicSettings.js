@@ -12,4 +12,14 @@ export class EveSOFDataHullExtensionPlacementDistributionMapGraphicSettings exte
     @meta.uint
     displayFilter = -1;
 
+    /**
+     * Checks if the condition is satisfied
+     * - Display filters are not supported so this is always satisfied
+     * @returns {Boolean}
+     */
+    IsSatisfied()
+    {
+        return true;
+    }
+
 }
@@ -13,4 +13,25 @@ export class EveSOFDataHullExtensionPlacementDistributionParentMatch extends met
     @meta.struct()
     parentDescriptor = null;
 
-}
\ No newline at end of file
+    /**
+     * Checks if the condition is satisfied
+     * - Satisfied when the parent's hull and faction match the parent descriptor
+     * @param {Object} context - layout evaluation context
+     * @returns {Boolean}
+     */
+    IsSatisfied(context)
+    {
+        const { parentDescriptor } = this;
+        if (!parentDescriptor) return true;
+
+        if (this.matchHull && parentDescriptor.hull && parentDescriptor.hull !== context.hull.name)
+        {
+            return false;
+        }
+
+        // Overridden factions are matched by their source faction's name
+        const factionName = context.faction.override || context.faction.name;
+        return !(this.matchFaction && parentDescriptor.faction && parentDescriptor.faction !== factionName);
+    }
+
+}
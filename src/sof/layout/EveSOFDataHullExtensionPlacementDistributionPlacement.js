@@ -1,5 +1,5 @@
 import { meta } from "utils";
-import { vec3 } from "math";
+import { vec3, mat4 } from "math";
 import { quat } from "math/quat";
 
 @meta.type("EveSOFDataHullExtensionPlacementDistributionPlacement")
@@ -51,4 +51,176 @@ export class EveSOFDataHullExtensionPlacementDistributionPlacement extends meta.
     @meta.boolean
     uniformScale = true;
 
-}
\ No newline at end of file
+    /**
+     * Selects locators and gets their placement transforms
+     * - Up to `completeness` of the unoccupied locators are used, limited by `cap` when it is set
+     * - Locators are ranked by a random score which is weighted towards the centre of the locators by `centerBias`
+     *   and towards the direction of `placementBias`
+     * - Distribution conditions are checked for each placed locator
+     * @param {Array<EveSOFDataTransform>} locators
+     * @param {vec3} offset
+     * @param {Object} context - layout evaluation context
+     * @param {Array<mat4>} [out=[]]
+     * @returns {Array<mat4>} out
+     */
+    GetTransforms(locators, offset, context, out = [])
+    {
+        const
+            { vec3_0, vec3_1, quat_0 } = EveSOFDataHullExtensionPlacementDistributionPlacement.global,
+            candidates = locators.filter(x => !context.occupied.has(x)),
+            center = vec3.set(vec3_0, 0, 0, 0),
+            bias = vec3.normalize(vec3_1, this.placementBias);
+
+        if (!candidates.length) return out;
+
+        for (let i = 0; i < candidates.length; i++)
+        {
+            vec3.add(center, center, candidates[i].position);
+        }
+        vec3.scale(center, center, 1 / candidates.length);
+
+        let maxDistance = 0;
+        for (let i = 0; i < candidates.length; i++)
+        {
+            maxDistance = Math.max(maxDistance, vec3.distance(center, candidates[i].position));
+        }
+
+        const scored = candidates.map(locator =>
+        {
+            let score = context.random();
+
+            if (maxDistance > 0)
+            {
+                const
+                    direction = vec3.subtract(vec3.create(), locator.position, center),
+                    distance = vec3.length(direction) / maxDistance;
+
+                score += this.centerBias * (1 - distance);
+
+                if (distance > 0)
+                {
+                    score += vec3.dot(vec3.normalize(direction, direction), bias);
+                }
+            }
+
+            return { locator, score };
+        });
+
+        scored.sort((a, b) => b.score - a.score);
+
+        let count = Math.round(Math.min(Math.max(this.completeness, 0), 1) * candidates.length);
+        if (this.cap) count = Math.min(count, this.cap);
+
+        for (let i = 0; i < scored.length && out.length < count; i++)
+        {
+            if (!EveSOFDataHullExtensionPlacementDistributionPlacement.AreConditionsSatisfied(this.distributionConditions, context))
+            {
+                continue;
+            }
+
+            EveSOFDataHullExtensionPlacementDistributionPlacement.ConsumeConditions(this.distributionConditions, context);
+
+            const { locator } = scored[i];
+            if (this.occupyLocators) context.occupied.add(locator);
+
+            const
+                rotation = quat.multiply(quat_0, locator.rotation, this.GetRandomRotation(quat.create(), context)),
+                scaling = vec3.multiply(vec3.create(), locator.scaling, this.GetRandomScale(vec3.create(), context)),
+                position = vec3.add(vec3.create(), locator.position, offset);
+
+            out.push(mat4.fromRotationTranslationScale(mat4.create(), rotation, position, scaling));
+        }
+
+        return out;
+    }
+
+    /**
+     * Gets a random rotation
+     * - Rotations are whole steps of `randomRotationStepSizeYPR` degrees, up to `randomRotationMaxSteps` in either direction
+     * @param {quat} out
+     * @param {Object} context - layout evaluation context
+     * @returns {quat} out
+     */
+    GetRandomRotation(out, context)
+    {
+        const
+            steps = this.randomRotationMaxSteps,
+            size = this.randomRotationStepSizeYPR,
+            ypr = [ 0, 0, 0 ];
+
+        for (let i = 0; i < 3; i++)
+        {
+            const max = Math.floor(steps[i]);
+            if (max > 0 && size[i])
+            {
+                ypr[i] = (Math.floor(context.random() * (max * 2 + 1)) - max) * size[i];
+            }
+        }
+
+        return quat.fromEuler(out, ypr[1], ypr[0], ypr[2]);
+    }
+
+    /**
+     * Gets a random scale
+     * - Returns a scale of one when no scale range is defined
+     * @param {vec3} out
+     * @param {Object} context - layout evaluation context
+     * @returns {vec3} out
+     */
+    GetRandomScale(out, context)
+    {
+        const { randomScaleMin: min, randomScaleMax: max } = this;
+
+        if (vec3.isEmpty(min) && vec3.isEmpty(max))
+        {
+            return vec3.set(out, 1, 1, 1);
+        }
+
+        const t = context.random();
+        for (let i = 0; i < 3; i++)
+        {
+            out[i] = min[i] + (this.uniformScale ? t : context.random()) * (max[i] - min[i]);
+        }
+
+        return out;
+    }
+
+    /**
+     * Checks if all distribution conditions are satisfied
+     * @param {Array} conditions
+     * @param {Object} context - layout evaluation context
+     * @returns {Boolean}
+     */
+    static AreConditionsSatisfied(conditions, context)
+    {
+        for (let i = 0; i < conditions.length; i++)
+        {
+            if (conditions[i].IsSatisfied && !conditions[i].IsSatisfied(context)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Consumes any depletion counters used by distribution conditions
+     * @param {Array} conditions
+     * @param {Object} context - layout evaluation context
+     */
+    static ConsumeConditions(conditions, context)
+    {
+        for (let i = 0; i < conditions.length; i++)
+        {
+            if (conditions[i].Consume) conditions[i].Consume(context);
+        }
+    }
+
+    /**
+     * Class global and scratch variables
+     * @type {Object}
+     */
+    static global = {
+        vec3_0: vec3.create(),
+        vec3_1: vec3.create(),
+        quat_0: quat.create()
+    };
+
+}
@@ -10,4 +10,14 @@ export class EveSOFDataHullExtensionPlacementDistributionRandomChance extends me
     @meta.float
     chanceOfUsage = 1.0;
 
-}
\ No newline at end of file
+    /**
+     * Checks if the condition is satisfied
+     * @param {Object} context - layout evaluation context
+     * @returns {Boolean}
+     */
+    IsSatisfied(context)
+    {
+        return context.random() < this.chanceOfUsage;
+    }
+
+}
@@ -1,4 +1,5 @@
 import { meta } from "utils";
+import { EveSOFDataHullExtensionPlacementDistributionPlacement } from "./EveSOFDataHullExtensionPlacementDistributionPlacement";
 
 
 @meta.type("EveSOFDataHullExtensionPlacementGroup")
@@ -11,7 +12,7 @@ export class EveSOFDataHullExtensionPlacementGroup extends meta.Model
     @meta.boolean
     enabled = true;
 
-    @meta.list("EveSOFDataDistributionDepletionCount")
+    @meta.list("EveSOFDataDistributionDepletionCounter")
     depletionCounters = [];
 
     @meta.list()
@@ -20,4 +21,40 @@ export class EveSOFDataHullExtensionPlacementGroup extends meta.Model
     @meta.list("EveSOFDataHullExtensionPlacement")
     placements = [];
 
+    /**
+     * Evaluates the group's placements
+     * - The group's depletion counters are shared by its placements and reset each time the group is evaluated
+     * @param {Object} context - layout evaluation context
+     * @param {Array<Object>} [out=[]]
+     * @returns {Array<Object>} out
+     */
+    Evaluate(context, out = [])
+    {
+        const { AreConditionsSatisfied, ConsumeConditions } = EveSOFDataHullExtensionPlacementDistributionPlacement;
+
+        if (!this.enabled || !AreConditionsSatisfied(this.distributionConditions, context))
+        {
+            return out;
+        }
+
+        ConsumeConditions(this.distributionConditions, context);
+
+        const { counters } = context;
+        context.counters = Object.assign({}, counters);
+
+        for (let i = 0; i < this.depletionCounters.length; i++)
+        {
+            const { name, value } = this.depletionCounters[i];
+            context.counters[name] = value;
+        }
+
+        for (let i = 0; i < this.placements.length; i++)
+        {
+            this.placements[i].Evaluate(context, out);
+        }
+
+        context.counters = counters;
+        return out;
+    }
+
 }
@@ -1,4 +1,5 @@
 import { meta } from "utils";
+import { num } from "math";
 
 
 @meta.type("EveSOFDataLayout")
@@ -16,4 +17,49 @@ export class EveSOFDataLayout extends meta.Model
     @meta.boolean
     randomizeSeedOnLoad = true;
 
+    /**
+     * Gets a seed for the layout
+     * @returns {Number}
+     */
+    GetSeed()
+    {
+        return this.randomizeSeedOnLoad ? Math.floor(Math.random() * 4294967296) : this.seed;
+    }
+
+    /**
+     * Evaluates the layout's placements
+     * - Evaluation is deterministic for a given seed and hull
+     * @param {Object} options
+     * @param {Number} options.seed
+     * @param {EveSOFDataHull} options.hull
+     * @param {EveSOFDataFaction} options.faction
+     * @param {EveSOFDataRace} options.race
+     * @param {Array<Object>} [out=[]]
+     * @returns {Array<{ name: String, placement: EveSOFDataHullExtensionPlacement, descriptor: EveSOFDNADescriptor, transform: mat4, seed: Number }>} out
+     */
+    Evaluate(options, out = [])
+    {
+        const { seed, hull, faction, race } = options;
+
+        const context = {
+            random: num.seededRandom(seed),
+            hull,
+            faction,
+            race,
+            counters: {},
+            occupied: new Set(),
+            locatorSets: hull.locatorSets
+        };
+
+        for (let i = 0; i < this.placements.length; i++)
+        {
+            if (this.placements[i].Evaluate)
+            {
+                this.placements[i].Evaluate(context, out);
+            }
+        }
+
+        return out;
+    }
+
 }
@@ -31,6 +31,7 @@ export class EveSOFDataRace extends meta.Model
     {
         out = out || new this();
         out.name = b.name;
+        out.override = a.name;
         out.booster = EveSOFDataBooster.combine(a ? a.booster : null, b ? b.booster : null, out.booster);
         out.damage = EveSOFDataRaceDamage.combine(a ? a.damage : null, b ? b.damage : null, out.damage);
         return out;
@@ -0,0 +1,154 @@
+import { meta } from "utils";
+
+
+@meta.type("Tr2StateMachine")
+export class Tr2StateMachine extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.uint
+    startState = 0;
+
+    @meta.list("Tr2StateMachineState")
+    states = [];
+
+
+    _controller = null;
+    _currentState = null;
+
+
+    /**
+     * Gets a state by name
+     * @param {String} name
+     * @returns {?Tr2StateMachineState}
+     */
+    GetState(name)
+    {
+        for (let i = 0; i < this.states.length; i++)
+        {
+            if (this.states[i].name === name)
+            {
+                return this.states[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the current state
+     * @returns {?Tr2StateMachineState}
+     */
+    GetCurrentState()
+    {
+        return this._currentState;
+    }
+
+    /**
+     * Gets the current state's name
+     * @returns {String}
+     */
+    GetCurrentStateName()
+    {
+        return this._currentState ? this._currentState.name : "";
+    }
+
+    /**
+     * Starts the state machine from its start state
+     * @param {Tr2Controller} controller
+     */
+    Start(controller)
+    {
+        this.Stop();
+        this._controller = controller;
+
+        const state = this.states[this.startState];
+        if (state) this.EnterState(state);
+    }
+
+    /**
+     * Stops the state machine, stopping the current state's actions
+     */
+    Stop()
+    {
+        if (this._currentState)
+        {
+            this._currentState.Exit(this._controller);
+            this._currentState = null;
+        }
+    }
+
+    /**
+     * Sets the current state by name
+     * @param {String} name
+     * @returns {Boolean} true if the state exists
+     */
+    SetState(name)
+    {
+        const state = this.GetState(name);
+        if (!state || !this._controller) return false;
+        if (state !== this._currentState) this.EnterState(state);
+        return true;
+    }
+
+    /**
+     * Enters a state, leaving the current state
+     * @param {Tr2StateMachineState} state
+     */
+    EnterState(state)
+    {
+        const previous = this._currentState;
+        if (previous) previous.Exit(this._controller);
+
+        this._currentState = state;
+        state.Enter(this._controller);
+
+        /**
+         * Fires when the state machine enters a state
+         * @event Tr2StateMachine#state_changed
+         * @type {Tr2StateMachine}
+         * @property {Tr2StateMachineState} state
+         * @property {?Tr2StateMachineState} previous
+         */
+        this.EmitEvent("state_changed", this, state, previous);
+    }
+
+    /**
+     * Gets the state machine's resources
+     * @param {Array} [out=[]]
+     * @returns {Array<Tw2Resource>} out
+     */
+    GetResources(out = [])
+    {
+        for (let i = 0; i < this.states.length; i++)
+        {
+            this.states[i].GetResources(out);
+        }
+        return out;
+    }
+
+    /**
+     * Per frame update
+     * - Follows transitions whose conditions are met, at most once per state so that cycles end
+     * @param {Number} dt
+     */
+    Update(dt)
+    {
+        if (!this._currentState) return;
+
+        for (let i = 0; i < this.states.length; i++)
+        {
+            const transition = this._currentState.FindTransition(this._controller);
+            if (!transition) break;
+
+            const state = this.GetState(transition.name);
+            if (!state) break;
+
+            this.EnterState(state);
+        }
+
+        this._currentState.Update(dt, this._controller);
+    }
+
+}
@@ -0,0 +1,101 @@
+import { meta } from "utils";
+
+
+@meta.type("Tr2StateMachineState")
+export class Tr2StateMachineState extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.list("Tw2Action")
+    actions = [];
+
+    @meta.struct()
+    finalizer = null;
+
+    @meta.list("Tr2StateMachineTransition")
+    transitions = [];
+
+
+    /**
+     * Enters the state, starting its actions
+     * @param {Tr2Controller} controller
+     */
+    Enter(controller)
+    {
+        for (let i = 0; i < this.actions.length; i++)
+        {
+            this.actions[i].Start(controller);
+        }
+    }
+
+    /**
+     * Leaves the state, stopping its actions and starting its finalizer
+     * @param {Tr2Controller} controller
+     */
+    Exit(controller)
+    {
+        for (let i = 0; i < this.actions.length; i++)
+        {
+            this.actions[i].Stop(controller);
+        }
+
+        if (this.finalizer && this.finalizer.Start)
+        {
+            this.finalizer.Start(controller);
+        }
+    }
+
+    /**
+     * Finds the first transition to another state whose condition is met
+     * @param {Tr2Controller} controller
+     * @returns {?Tr2StateMachineTransition}
+     */
+    FindTransition(controller)
+    {
+        for (let i = 0; i < this.transitions.length; i++)
+        {
+            const transition = this.transitions[i];
+            if (transition.name !== this.name && transition.IsConditionMet(controller))
+            {
+                return transition;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the state's resources
+     * @param {Array} [out=[]]
+     * @returns {Array<Tw2Resource>} out
+     */
+    GetResources(out = [])
+    {
+        for (let i = 0; i < this.actions.length; i++)
+        {
+            this.actions[i].GetResources(out);
+        }
+
+        if (this.finalizer && this.finalizer.GetResources)
+        {
+            this.finalizer.GetResources(out);
+        }
+
+        return out;
+    }
+
+    /**
+     * Per frame update
+     * @param {Number} dt
+     * @param {Tr2Controller} controller
+     */
+    Update(dt, controller)
+    {
+        for (let i = 0; i < this.actions.length; i++)
+        {
+            this.actions[i].Update(dt, controller);
+        }
+    }
+
+}
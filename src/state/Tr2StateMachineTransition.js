@@ -0,0 +1,50 @@
+import { meta } from "utils";
+import { Tw2Expression } from "curve";
+
+
+@meta.type("Tr2StateMachineTransition")
+export class Tr2StateMachineTransition extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.string
+    condition = "";
+
+
+    _controller = null;
+    _expression = null;
+
+
+    /**
+     * Fires on value changes
+     */
+    OnValueChanged()
+    {
+        this._controller = null;
+        this._expression = null;
+    }
+
+    /**
+     * Checks if the transition's condition is met
+     * - Conditions are expressions of the controller's variables, for example "IsDocked == 0 && ShieldHealth < 0.5"
+     * - Transitions without a condition are never met, otherwise states joined by them would swap every update
+     * - Invalid conditions are logged once and never met
+     * @param {Tr2Controller} controller
+     * @returns {Boolean}
+     */
+    IsConditionMet(controller)
+    {
+        if (!this.condition.trim()) return false;
+
+        if (this._controller !== controller)
+        {
+            this._controller = controller;
+            this._expression = Tw2Expression.TryCompile(this.condition, controller.GetVariableNames(), this);
+        }
+
+        return this._expression ? !!this._expression.Evaluate(controller.GetScope()) : false;
+    }
+
+}
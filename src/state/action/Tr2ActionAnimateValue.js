@@ -0,0 +1,67 @@
+import { meta } from "utils";
+import { Tw2Action } from "./Tw2Action";
+
+
+@meta.type("Tr2ActionAnimateValue")
+export class Tr2ActionAnimateValue extends Tw2Action
+{
+
+    @meta.string
+    attribute = "";
+
+    @meta.struct("Tr2CurveScalarExpression")
+    curve = null;
+
+    @meta.path
+    path = "";
+
+    @meta.string
+    value = "";
+
+
+    _target = null;
+    _time = 0;
+
+
+    /**
+     * Starts the action
+     * @param {Tr2Controller} controller
+     */
+    Start(controller)
+    {
+        super.Start(controller);
+        this._target = Tw2Action.FindTarget(controller.GetOwner(), this.path);
+        this._time = 0;
+        this.Update(0, controller);
+    }
+
+    /**
+     * Stops the action
+     * @param {Tr2Controller} controller
+     */
+    Stop(controller)
+    {
+        super.Stop(controller);
+        this._target = null;
+    }
+
+    /**
+     * Per frame update
+     * - The curve is evaluated at the controller variable named by the value, or at the time since the action started
+     * @param {Number} dt
+     * @param {Tr2Controller} controller
+     */
+    Update(dt, controller)
+    {
+        if (!this._isRunning || !this._target || !this.curve) return;
+
+        this._time += dt;
+
+        const input = this.value && controller.HasVariable(this.value)
+            ? controller.GetVariableValue(this.value)
+            : this._time;
+
+        Tw2Action.SetTargetValue(this._target, this.attribute, this.curve.GetValueAt(input), controller);
+    }
+
+}
@@ -0,0 +1,127 @@
+import { meta } from "utils";
+import { tw2 } from "global";
+import { Tw2Action } from "./Tw2Action";
+
+
+@meta.type("Tr2ActionChildEffect")
+export class Tr2ActionChildEffect extends Tw2Action
+{
+
+    @meta.string
+    childName = "";
+
+    @meta.path
+    path = "";
+
+    @meta.boolean
+    removeOnStop = false;
+
+
+    _child = null;
+    _children = null;
+    _loading = false;
+
+
+    /**
+     * Starts the action
+     * - Loads the child from the path once, and adds it to the owner's children
+     * - Without a path, the owner's existing child with the child name is displayed
+     * @param {Tr2Controller} controller
+     */
+    Start(controller)
+    {
+        super.Start(controller);
+
+        const
+            owner = controller.GetOwner(),
+            children = this._children = Tr2ActionChildEffect.GetChildList(owner);
+
+        if (!children) return;
+
+        if (!this.path)
+        {
+            this._child = children.find(x => x && x.name === this.childName) || null;
+            if (this._child && "display" in this._child) this._child.display = true;
+            return;
+        }
+
+        if (this._child)
+        {
+            this.AddChild(children);
+            return;
+        }
+
+        if (this._loading) return;
+        this._loading = true;
+
+        tw2.Fetch(this.path)
+            .then(child =>
+            {
+                this._loading = false;
+                this._child = child;
+                if (this.childName) child.name = this.childName;
+                if (this._isRunning && this._children) this.AddChild(this._children);
+            })
+            .catch(err =>
+            {
+                this._loading = false;
+                tw2.Error(err);
+            });
+    }
+
+    /**
+     * Stops the action, removing or hiding the child if required
+     * @param {Tr2Controller} controller
+     */
+    Stop(controller)
+    {
+        super.Stop(controller);
+
+        if (this._child && this.removeOnStop && this._children)
+        {
+            if (this.path)
+            {
+                const index = this._children.indexOf(this._child);
+                if (index !== -1) this._children.splice(index, 1);
+            }
+            else if ("display" in this._child)
+            {
+                this._child.display = false;
+            }
+        }
+
+        this._children = null;
+    }
+
+    /**
+     * Adds the loaded child to a list of children
+     * @param {Array} children
+     */
+    AddChild(children)
+    {
+        if (!children.includes(this._child)) children.push(this._child);
+    }
+
+    /**
+     * Gets the action's resources
+     * @param {Array} [out=[]]
+     * @returns {Array<Tw2Resource>} out
+     */
+    GetResources(out = [])
+    {
+        if (this._child && this._child.GetResources) this._child.GetResources(out);
+        return out;
+    }
+
+    /**
+     * Gets the list an owner keeps its child effects in
+     * @param {*} owner
+     * @returns {?Array}
+     */
+    static GetChildList(owner)
+    {
+        if (!owner) return null;
+        return owner.effectChildren || owner.objects || owner.children || null;
+    }
+
+}
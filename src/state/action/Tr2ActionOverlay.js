@@ -0,0 +1,92 @@
+import { meta } from "utils";
+import { tw2 } from "global";
+import { Tw2Action } from "./Tw2Action";
+
+
+@meta.type("Tr2ActionOverlay")
+export class Tr2ActionOverlay extends Tw2Action
+{
+
+    @meta.path
+    path = "";
+
+
+    _overlay = null;
+    _owner = null;
+    _loading = false;
+
+
+    /**
+     * Starts the action, loading the overlay once and adding it to the owner's attachments
+     * @param {Tr2Controller} controller
+     */
+    Start(controller)
+    {
+        super.Start(controller);
+
+        const owner = controller.GetOwner();
+        if (!owner || !owner.attachments || !this.path) return;
+
+        this._owner = owner;
+
+        if (this._overlay)
+        {
+            this.AddOverlay(owner);
+            return;
+        }
+
+        if (this._loading) return;
+        this._loading = true;
+
+        tw2.Fetch(this.path)
+            .then(overlay =>
+            {
+                this._loading = false;
+                this._overlay = overlay;
+                if (this._isRunning && this._owner) this.AddOverlay(this._owner);
+            })
+            .catch(err =>
+            {
+                this._loading = false;
+                tw2.Error(err);
+            });
+    }
+
+    /**
+     * Stops the action, removing the overlay
+     * @param {Tr2Controller} controller
+     */
+    Stop(controller)
+    {
+        super.Stop(controller);
+
+        if (this._owner && this._overlay)
+        {
+            const index = this._owner.attachments.indexOf(this._overlay);
+            if (index !== -1) this._owner.attachments.splice(index, 1);
+        }
+
+        this._owner = null;
+    }
+
+    /**
+     * Adds the loaded overlay to an owner's attachments
+     * @param {*} owner
+     */
+    AddOverlay(owner)
+    {
+        if (!owner.attachments.includes(this._overlay)) owner.attachments.push(this._overlay);
+    }
+
+    /**
+     * Gets the action's resources
+     * @param {Array} [out=[]]
+     * @returns {Array<Tw2Resource>} out
+     */
+    GetResources(out = [])
+    {
+        if (this._overlay && this._overlay.GetResources) this._overlay.GetResources(out);
+        return out;
+    }
+
+}
@@ -0,0 +1,83 @@
+import { meta } from "utils";
+import { Tw2Action } from "./Tw2Action";
+
+
+@meta.type("Tr2ActionPlayCurveSet")
+export class Tr2ActionPlayCurveSet extends Tw2Action
+{
+
+    @meta.string
+    curveSetName = "";
+
+    @meta.string
+    rangeName = "";
+
+    @meta.boolean
+    syncToRange = false;
+
+
+    _curveSet = null;
+
+
+    /**
+     * Starts the action, playing the owner's curve set or one of its ranges
+     * @param {Tr2Controller} controller
+     */
+    Start(controller)
+    {
+        super.Start(controller);
+
+        const curveSet = this._curveSet = Tr2ActionPlayCurveSet.FindCurveSet(controller.GetOwner(), this.curveSetName);
+        if (!curveSet) return;
+
+        if (this.rangeName && curveSet.GetRangeByName(this.rangeName))
+        {
+            curveSet.PlayRange(this.rangeName);
+        }
+        else
+        {
+            curveSet.Play();
+        }
+    }
+
+    /**
+     * Stops the action
+     * - Curve sets synced to the action's range stop with it, others carry on playing
+     * @param {Tr2Controller} controller
+     */
+    Stop(controller)
+    {
+        super.Stop(controller);
+
+        if (this._curveSet && this.syncToRange)
+        {
+            this._curveSet.Stop();
+        }
+
+        this._curveSet = null;
+    }
+
+    /**
+     * Finds an owner's curve set by name
+     * @param {*} owner
+     * @param {String} name
+     * @returns {?Tw2CurveSet}
+     */
+    static FindCurveSet(owner, name)
+    {
+        if (!owner) return null;
+
+        const { curveSets = [] } = owner;
+        for (let i = 0; i < curveSets.length; i++)
+        {
+            if (curveSets[i].name === name)
+            {
+                return curveSets[i];
+            }
+        }
+
+        if (!owner.FilterStruct) return null;
+        return owner.FilterStruct(x => x.name === name && "PlayRange" in x)[0] || null;
+    }
+
+}
@@ -0,0 +1,99 @@
+import { meta } from "utils";
+import { Tw2Action } from "./Tw2Action";
+
+
+@meta.type("Tr2ActionPlayMeshAnimation")
+export class Tr2ActionPlayMeshAnimation extends Tw2Action
+{
+
+    @meta.string
+    animation = "";
+
+    @meta.uint
+    loops = 0;
+
+    @meta.string
+    mask = "";
+
+
+    _controller = null;
+    _animation = null;
+    _time = 0;
+
+
+    /**
+     * Starts the action, playing the animation on the owner's animation controller once it has loaded
+     * @param {Tr2Controller} controller
+     */
+    Start(controller)
+    {
+        super.Start(controller);
+
+        const owner = controller.GetOwner();
+        if (!owner || !owner.animation || !owner.animation.OnEvent || !this.animation) return;
+
+        this._controller = owner.animation;
+        this._animation = null;
+        this._time = 0;
+        this._controller.OnEvent("loaded", this.OnLoaded, this, true);
+    }
+
+    /**
+     * Fires when the animation controller has loaded
+     */
+    OnLoaded()
+    {
+        if (!this._isRunning || !this._controller) return;
+
+        const animation = this._controller.GetAnimation(this.animation);
+        if (!animation) return;
+
+        const roots = this.mask.split(/[,;]/).map(x => x.trim()).filter(x => x);
+
+        this._controller.PlayAnimation(this.animation, {
+            cycle: this.loops !== 1,
+            boneMask: roots.length ? this._controller.GetBoneNames(roots) : null
+        });
+
+        this._animation = animation;
+    }
+
+    /**
+     * Stops the action
+     * - Animations that loop until stopped fade out, others finish playing
+     * @param {Tr2Controller} controller
+     */
+    Stop(controller)
+    {
+        super.Stop(controller);
+
+        if (this._controller)
+        {
+            this._controller.OffEvent("loaded", this.OnLoaded);
+            if (this._animation && !this.loops) this._controller.FadeOutAnimation(this.animation);
+        }
+
+        this._controller = null;
+        this._animation = null;
+    }
+
+    /**
+     * Per frame update
+     * - Animations with more than one loop stop once they have played them all
+     * @param {Number} dt
+     * @param {Tr2Controller} controller
+     */
+    Update(dt, controller)
+    {
+        const animation = this._animation;
+        if (!animation || this.loops < 2) return;
+
+        this._time += dt * animation.timeScale;
+        if (this._time >= animation.duration * this.loops)
+        {
+            animation.Stop();
+            this._animation = null;
+        }
+    }
+
+}
@@ -0,0 +1,38 @@
+import { meta } from "utils";
+import { Tw2Action } from "./Tw2Action";
+
+
+@meta.type("Tr2ActionSetValue")
+export class Tr2ActionSetValue extends Tw2Action
+{
+
+    @meta.string
+    attribute = "";
+
+    @meta.boolean
+    delayBinding = false;
+
+    @meta.struct()
+    destination = null;
+
+    @meta.path
+    path = "";
+
+    @meta.string
+    value = "";
+
+
+    /**
+     * Starts the action, setting the destination's attribute
+     * - The destination is found from the path when none is set, when the action starts, so bindings are always delayed
+     * @param {Tr2Controller} controller
+     */
+    Start(controller)
+    {
+        super.Start(controller);
+
+        const target = this.destination || Tw2Action.FindTarget(controller.GetOwner(), this.path);
+        Tw2Action.SetTargetValue(target, this.attribute, this.value, controller);
+    }
+
+}
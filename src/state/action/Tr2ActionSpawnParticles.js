@@ -0,0 +1,38 @@
+import { meta } from "utils";
+import { Tw2DynamicEmitter, Tw2StaticEmitter } from "particle";
+import { Tw2GpuParticleEmitter } from "particle/emitter/Tw2GpuParticleEmitter";
+import { Tw2Action } from "./Tw2Action";
+
+
+@meta.type("Tr2ActionSpawnParticles")
+export class Tr2ActionSpawnParticles extends Tw2Action
+{
+
+    /**
+     * Starts the action, spawning particles from the owner's emitters
+     * - Dynamic and gpu emitters spawn a second's worth of particles, and static emitters spawn theirs again
+     * @param {Tr2Controller} controller
+     */
+    Start(controller)
+    {
+        super.Start(controller);
+
+        const owner = controller.GetOwner();
+        if (!owner || !owner.FilterStruct) return;
+
+        const emitters = owner.FilterStruct(x =>
+            x instanceof Tw2DynamicEmitter || x instanceof Tw2GpuParticleEmitter || x instanceof Tw2StaticEmitter);
+        for (let i = 0; i < emitters.length; i++)
+        {
+            if (emitters[i] instanceof Tw2DynamicEmitter || emitters[i] instanceof Tw2GpuParticleEmitter)
+            {
+                emitters[i].SpawnParticles(null, null, 1);
+            }
+            else
+            {
+                emitters[i].Respawn();
+            }
+        }
+    }
+
+}
@@ -0,0 +1,188 @@
+import { meta, isArrayLike, isBoolean, isNumber } from "utils";
+
+
+@meta.type("Tw2Action")
+export class Tw2Action extends meta.Model
+{
+
+    _isRunning = false;
+
+
+    /**
+     * Checks if the action is running
+     * @returns {Boolean}
+     */
+    IsRunning()
+    {
+        return this._isRunning;
+    }
+
+    /**
+     * Starts the action when its state is entered
+     * @param {Tr2Controller} controller
+     */
+    Start(controller)
+    {
+        this._isRunning = true;
+    }
+
+    /**
+     * Stops the action when its state is left
+     * @param {Tr2Controller} controller
+     */
+    Stop(controller)
+    {
+        this._isRunning = false;
+    }
+
+    /**
+     * Per frame update while the action's state is current
+     * @param {Number} dt
+     * @param {Tr2Controller} controller
+     */
+    Update(dt, controller)
+    {
+
+    }
+
+    /**
+     * Gets the action's resources
+     * @param {Array} [out=[]]
+     * @returns {Array<Tw2Resource>} out
+     */
+    GetResources(out = [])
+    {
+        return out;
+    }
+
+    /**
+     * Finds an object from a path relative to an owner
+     * - Path parts are separated by "/" or "." and match property names, or the names of list items
+     * - Parts are matched without case, as paths are lower cased when read from black files
+     * @param {*} owner
+     * @param {String} path
+     * @returns {*} the object, or null if not found
+     */
+    static FindTarget(owner, path)
+    {
+        const parts = path ? path.split(/[/.]/).filter(x => x) : [];
+
+        let target = owner;
+        for (let i = 0; i < parts.length && target; i++)
+        {
+            const part = parts[i].toLowerCase();
+
+            if (isArrayLike(target))
+            {
+                target = Array.prototype.find.call(target, x => x && x.name && x.name.toLowerCase() === part) || null;
+                continue;
+            }
+
+            const key = Object.keys(target).find(x => x.toLowerCase() === part);
+            if (key !== undefined)
+            {
+                target = target[key];
+                continue;
+            }
+
+            // Allow list names to be omitted, for example "effectChildren/myChild" as "myChild"
+            target = Tw2Action.FindNamedChild(target, part);
+        }
+
+        return target || null;
+    }
+
+    /**
+     * Finds a child struct of an object by name, without case
+     * @param {*} object
+     * @param {String} name
+     * @returns {*} the child, or null if not found
+     */
+    static FindNamedChild(object, name)
+    {
+        if (!object || !object.PerChild) return null;
+
+        const child = object.PerChild(({ struct }) =>
+        {
+            if (struct.name && struct.name.toLowerCase() === name) return struct;
+        });
+
+        return child || null;
+    }
+
+    /**
+     * Sets a target's attribute from a value
+     * - String values are converted to match the attribute's current value
+     * - Array like attributes are copied into so that references to them remain valid
+     * @param {*} target
+     * @param {String} attribute
+     * @param {*} value
+     * @param {Tr2Controller} [controller]
+     * @returns {Boolean} true if the attribute exists
+     */
+    static SetTargetValue(target, attribute, value, controller)
+    {
+        if (!target || !(attribute in target)) return false;
+
+        const current = target[attribute];
+        value = Tw2Action.ConvertValue(value, current);
+
+        if (isArrayLike(current))
+        {
+            if (isArrayLike(value))
+            {
+                for (let i = 0; i < current.length && i < value.length; i++) current[i] = value[i];
+            }
+            else
+            {
+                for (let i = 0; i < current.length; i++) current[i] = value;
+            }
+        }
+        else
+        {
+            target[attribute] = value;
+        }
+
+        if ("UpdateValues" in target)
+        {
+            target.UpdateValues({ controller });
+        }
+        else if ("OnValueChanged" in target)
+        {
+            target.OnValueChanged({ controller });
+        }
+
+        return true;
+    }
+
+    /**
+     * Converts a value to the type of an attribute's current value
+     * @param {*} value
+     * @param {*} current
+     * @returns {*}
+     */
+    static ConvertValue(value, current)
+    {
+        if (typeof value !== "string") return value;
+
+        value = value.trim();
+
+        if (isArrayLike(current))
+        {
+            return value.split(/[\s,]+/).filter(x => x).map(x => parseFloat(x) || 0);
+        }
+
+        if (isBoolean(current))
+        {
+            return value.toLowerCase() === "true" || parseFloat(value) > 0;
+        }
+
+        if (isNumber(current))
+        {
+            return parseFloat(value) || 0;
+        }
+
+        return value;
+    }
+
+}
@@ -0,0 +1,9 @@
+export * from "./Tw2Action";
+export * from "./Tr2ActionAnimateValue";
+export * from "./Tr2ActionChildEffect";
+export * from "./Tr2ActionOverlay";
+export * from "./Tr2ActionPlayCurveSet";
+export * from "./Tr2ActionPlayMeshAnimation";
+export * from "./Tr2ActionSetValue";
+export * from "./Tr2ActionSpawnParticles";
+
@@ -0,0 +1,267 @@
+import { meta } from "utils";
+
+
+@meta.type("Tr2Controller")
+export class Tr2Controller extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.boolean
+    isShared = false;
+
+    @meta.list("Tr2StateMachine")
+    stateMachines = [];
+
+    @meta.list("Tr2ControllerFloatVariable")
+    variables = [];
+
+
+    _owner = null;
+    _isStarted = false;
+    _scope = {};
+
+
+    /**
+     * Gets the object the controller's actions are executed against
+     * @returns {*}
+     */
+    GetOwner()
+    {
+        return this._owner;
+    }
+
+    /**
+     * Checks if the controller has started
+     * @returns {Boolean}
+     */
+    IsStarted()
+    {
+        return this._isStarted;
+    }
+
+    /**
+     * Finds a variable by name
+     * @param {String} name
+     * @returns {?Tr2ControllerFloatVariable}
+     */
+    FindVariable(name)
+    {
+        for (let i = 0; i < this.variables.length; i++)
+        {
+            if (this.variables[i].name === name)
+            {
+                return this.variables[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks if the controller has a variable
+     * @param {String} name
+     * @returns {Boolean}
+     */
+    HasVariable(name)
+    {
+        return !!this.FindVariable(name);
+    }
+
+    /**
+     * Gets a variable's value
+     * @param {String} name
+     * @returns {?Number} the value, or null if the variable doesn't exist
+     */
+    GetVariableValue(name)
+    {
+        const variable = this.FindVariable(name);
+        return variable ? variable.GetValue() : null;
+    }
+
+    /**
+     * Sets a variable's value
+     * - Transitions are evaluated with the new value on the controller's next update
+     * @param {String} name
+     * @param {Number|Boolean|String} value - a number, or one of the variable's enum names
+     * @returns {Boolean} true if the controller has the variable
+     */
+    SetVariableValue(name, value)
+    {
+        const variable = this.FindVariable(name);
+        if (!variable) return false;
+
+        if (variable.SetValue(value))
+        {
+            /**
+             * Fires when a variable's value changes
+             * @event Tr2Controller#variable_changed
+             * @type {Tr2Controller}
+             * @property {Tr2ControllerFloatVariable} variable
+             */
+            this.EmitEvent("variable_changed", this, variable);
+        }
+
+        return true;
+    }
+
+    /**
+     * Resets variables to their default values
+     */
+    ResetVariables()
+    {
+        for (let i = 0; i < this.variables.length; i++)
+        {
+            this.variables[i].Reset();
+        }
+    }
+
+    /**
+     * Gets the controller's variable names
+     * @param {Array<String>} [out=[]]
+     * @returns {Array<String>} out
+     */
+    GetVariableNames(out = [])
+    {
+        for (let i = 0; i < this.variables.length; i++)
+        {
+            out.push(this.variables[i].name);
+        }
+        return out;
+    }
+
+    /**
+     * Gets the controller's variable values by name, for evaluating conditions
+     * @returns {Object<String, Number>}
+     */
+    GetScope()
+    {
+        for (let i = 0; i < this.variables.length; i++)
+        {
+            this._scope[this.variables[i].name] = this.variables[i].GetValue();
+        }
+        return this._scope;
+    }
+
+    /**
+     * Gets a state machine by name
+     * @param {String} name
+     * @returns {?Tr2StateMachine}
+     */
+    GetStateMachine(name)
+    {
+        for (let i = 0; i < this.stateMachines.length; i++)
+        {
+            if (this.stateMachines[i].name === name)
+            {
+                return this.stateMachines[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Starts the controller's state machines from their start states
+     * @param {*} owner - the object actions are executed against
+     */
+    Start(owner)
+    {
+        if (this._isStarted) this.Stop();
+
+        this._owner = owner;
+        this._isStarted = true;
+
+        for (let i = 0; i < this.stateMachines.length; i++)
+        {
+            this.stateMachines[i].Start(this);
+        }
+    }
+
+    /**
+     * Stops the controller's state machines, stopping their current states' actions
+     */
+    Stop()
+    {
+        if (!this._isStarted) return;
+
+        for (let i = 0; i < this.stateMachines.length; i++)
+        {
+            this.stateMachines[i].Stop();
+        }
+
+        this._isStarted = false;
+    }
+
+    /**
+     * Gets the controller's resources
+     * @param {Array} [out=[]]
+     * @returns {Array<Tw2Resource>} out
+     */
+    GetResources(out = [])
+    {
+        for (let i = 0; i < this.stateMachines.length; i++)
+        {
+            this.stateMachines[i].GetResources(out);
+        }
+        return out;
+    }
+
+    /**
+     * Per frame update
+     * - The controller starts on its first update, or when its owner changes
+     * - Stopped controllers stay stopped until started again
+     * @param {Number} dt
+     * @param {*} owner - the object actions are executed against
+     */
+    Update(dt, owner)
+    {
+        if (this._owner !== owner)
+        {
+            this.Start(owner);
+        }
+
+        if (!this._isStarted) return;
+
+        for (let i = 0; i < this.stateMachines.length; i++)
+        {
+            this.stateMachines[i].Update(dt);
+        }
+    }
+
+    /**
+     * Gets a variable's value from the first controller that has it
+     * @param {Array<Tr2Controller>} controllers
+     * @param {String} name
+     * @returns {?Number} the value, or null if no controller has the variable
+     */
+    static GetVariableValue(controllers, name)
+    {
+        for (let i = 0; i < controllers.length; i++)
+        {
+            const value = controllers[i].GetVariableValue(name);
+            if (value !== null) return value;
+        }
+        return null;
+    }
+
+    /**
+     * Sets a variable's value on every controller that has it
+     * @param {Array<Tr2Controller>} controllers
+     * @param {String} name
+     * @param {Number|Boolean|String} value - a number, or one of the variable's enum names
+     * @returns {Boolean} true if a controller has the variable
+     */
+    static SetVariableValue(controllers, name, value)
+    {
+        let found = false;
+        for (let i = 0; i < controllers.length; i++)
+        {
+            if (controllers[i].SetVariableValue(name, value))
+            {
+                found = true;
+            }
+        }
+        return found;
+    }
+
+}
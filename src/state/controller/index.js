@@ -0,0 +1,2 @@
+export * from "./Tr2Controller";
+
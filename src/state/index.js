@@ -0,0 +1,7 @@
+export * from "./action";
+export * from "./controller";
+export * from "./variable";
+export * from "./Tr2StateMachine";
+export * from "./Tr2StateMachineState";
+export * from "./Tr2StateMachineTransition";
+
@@ -0,0 +1,94 @@
+import { meta } from "utils";
+
+
+@meta.type("Tr2ControllerFloatVariable")
+export class Tr2ControllerFloatVariable extends meta.Model
+{
+
+    @meta.string
+    name = "";
+
+    @meta.float
+    defaultValue = 0;
+
+    @meta.enums()
+    enumValues = {};
+
+    @meta.uint
+    variableType = 0;
+
+    @meta.float
+    value = 0;
+
+    /**
+     * Gets the variable's value
+     * @returns {Number}
+     */
+    GetValue()
+    {
+        return this.value;
+    }
+
+    /**
+     * Sets the variable's value
+     * - Enum names are converted to their values
+     * @param {Number|Boolean|String} value
+     * @returns {Boolean} true if the value changed
+     */
+    SetValue(value)
+    {
+        value = this.ToValue(value);
+        if (value === this.value) return false;
+        this.value = value;
+        return true;
+    }
+
+    /**
+     * Resets the variable to its default value
+     * @returns {Boolean} true if the value changed
+     */
+    Reset()
+    {
+        return this.SetValue(this.defaultValue);
+    }
+
+    /**
+     * Converts a value to a number
+     * @param {Number|Boolean|String} value
+     * @returns {Number}
+     */
+    ToValue(value)
+    {
+        if (typeof value === "string")
+        {
+            if (this.enumValues && this.enumValues.hasOwnProperty(value))
+            {
+                return this.enumValues[value];
+            }
+
+            value = parseFloat(value);
+        }
+
+        value = Number(value);
+        return Number.isFinite(value) ? value : this.defaultValue;
+    }
+
+    /**
+     * Gets enums as a string
+     * @returns {string}
+     */
+    GetEnumsAsString()
+    {
+        let str = [];
+        for (const string in this.enumValues)
+        {
+            if (this.enumValues.hasOwnProperty(string))
+            {
+                str.push(`${string}=${this.enumValues[string]}`);
+            }
+        }
+
+        return str.sort().join(",");
+    }
+
+}
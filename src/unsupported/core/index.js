@@ -2,7 +2,6 @@ export * from "./lighting";
 export * from "./mesh";
 export * from "./parameter";
 export * from "./post";
-export * from "./resource";
 export * from "./value";
 
 export * from "./Tr2DistanceTracker";
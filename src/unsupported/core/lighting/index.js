@@ -1,4 +1 @@
-export * from "./Tr2SpotLight";
-export * from "./Tr2PointLight";
 export * from "./Tr2ShLightingManager";
-export * from "./Tr2TexturedPointLight";
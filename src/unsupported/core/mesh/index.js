@@ -1 +0,0 @@
-export * from "./Tr2MeshLod";
@@ -1,17 +0,0 @@
-import { meta } from "utils";
-
-@meta.notImplemented
-@meta.type("Tr2PPBloomEffect")
-export class Tr2PPBloomEffect
-{
-
-    @meta.float
-    luminanceThreshold = 0;
-
-    @meta.float
-    luminanceScale = 0;
-
-    @meta.float
-    brightness = 0;
-
-}
@@ -1,17 +0,0 @@
-import { meta } from "utils";
-
-
-@meta.notImplemented
-@meta.type("Tr2PPDepthOfFieldEffect")
-export class Tr2PPDepthOfFieldEffect
-{
-    @meta.float
-    focalDistance = 0;
-
-    @meta.float
-    focalLength = 0;
-
-    @meta.float
-    scale = 0;
-
-}
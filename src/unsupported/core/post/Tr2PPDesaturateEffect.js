@@ -1,11 +0,0 @@
-import { meta } from "utils";
-
-@meta.notImplemented
-@meta.type("Tr2PPDesaturateEffect")
-export class Tr2PPDesaturateEffect
-{
-
-    @meta.float
-    intensity = 0;
-
-}
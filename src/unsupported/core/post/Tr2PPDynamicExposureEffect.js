@@ -1,17 +0,0 @@
-import { meta } from "utils";
-
-@meta.notImplemented
-@meta.type("Tr2PPDynamicExposureEffect")
-export class Tr2PPDynamicExposureEffect
-{
-
-    @meta.float
-    adjustment = 0;
-
-    @meta.float
-    influence = 0;
-
-    @meta.float
-    middleValue = 0;
-
-}
@@ -1,8 +0,0 @@
-import { meta } from "utils";
-
-@meta.notImplemented
-@meta.type("Tr2PPFadeEffect")
-export class Tr2PPFadeEffect
-{
-
-}
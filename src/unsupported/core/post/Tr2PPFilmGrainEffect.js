@@ -1,14 +0,0 @@
-import { meta } from "utils";
-
-@meta.notImplemented
-@meta.type("Tr2PPFilmGrainEffect")
-export class Tr2PPFilmGrainEffect
-{
-
-    @meta.float
-    intensity = 0;
-
-    @meta.float
-    grainSize = 0;
-
-}
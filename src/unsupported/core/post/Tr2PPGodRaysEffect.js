@@ -1,11 +0,0 @@
-import { meta } from "utils";
-
-@meta.notImplemented
-@meta.type("Tr2PPGodRaysEffect")
-export class Tr2PPGodRaysEffect
-{
-
-    @meta.path
-    noiseTexturePath = "";
-
-}
@@ -1,16 +0,0 @@
-import { meta } from "utils";
-
-
-@meta.notImplemented
-@meta.type("Tr2PPLutEffect")
-export class Tr2PPLutEffect
-{
-
-    @meta.path
-    path = "";
-
-    @meta.float
-    influence = 0.0;
-
-
-}
@@ -1,12 +0,0 @@
-import { meta } from "utils";
-
-
-@meta.notImplemented
-@meta.type("Tr2PPVignetteEffect")
-export class Tr2PPVignetteEffect
-{
-
-    @meta.float
-    sineFrequency = 0;
-
-}
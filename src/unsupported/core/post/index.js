@@ -1,13 +1,2 @@
-export * from "./Tr2PostProcess2";
-export * from "./Tr2PPBloomEffect";
-export * from "./Tr2PPDepthOfFieldEffect";
-export * from "./Tr2PPDesaturateEffect";
-export * from "./Tr2PPDynamicExposureEffect";
-export * from "./Tr2PPFadeEffect";
 export * from "./Tr2PPFidelityFXEffect";
-export * from "./Tr2PPFilmGrainEffect";
-export * from "./Tr2PPFogEffect";
-export * from "./Tr2PPGodRaysEffect";
-export * from "./Tr2PPLutEffect";
 export * from "./Tr2PPSignalLossEffect";
-export * from "./Tr2PPVignetteEffect";
@@ -1 +0,0 @@
-export * from "./Tw2LodResource";
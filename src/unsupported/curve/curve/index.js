@@ -4,5 +4,4 @@ export * from "./Tr2BoneMatrixCurve";
 export * from "./Tr2CurveConstant";
 export * from "./Tr2CurveScalar";
 export * from "./Tr2ScalarExprKeyCurve";
-export * from "./Tr2ScalarExprCurve";
 export * from "./Tr2CurveColorMixer";
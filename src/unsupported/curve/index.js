@@ -1,5 +1,2 @@
 export * from "./adapter";
 export * from "./curve";
-export * from "./expression";
-
-export * from "./Tw2CurveSetRange";
@@ -1,5 +1 @@
-export * from "./EveAnimation";
 export * from "./EveAnimationCommand";
-export * from "./EveAnimationCurve";
-export * from "./EveAnimationState";
-export * from "./EveAnimationStateMachine";
\ No newline at end of file
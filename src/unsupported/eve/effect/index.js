@@ -1,2 +1 @@
-export * from "./EveStarfield";
 export * from "./EveStretch2";
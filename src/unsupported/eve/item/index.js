@@ -1,5 +1,3 @@
 export * from "./EveBoosterSet2";
-export * from "./EveHazeSet";
-export * from "./EveSpriteLineSet";
 export * from "./EveTrailsSet";
 export * from "./EveCircle";
\ No newline at end of file
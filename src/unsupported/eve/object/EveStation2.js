@@ -37,7 +37,7 @@ export class EveStation2 extends EveShip2
     @meta.list("EveChild")
     effectChildren = [];
 
-    @meta.list("TriPointLight")
+    @meta.list("Tr2PointLight", "Tr2SpotLight", "Tr2TexturedPointLight")
     lights = [];
 
     @meta.list("EveLocatorSets")
@@ -1,4 +1,3 @@
-export * from "./EveEffectRoot2";
 export * from "./EveMobile";
 export * from "./EveRootTransform";
 export * from "./EveStation2";
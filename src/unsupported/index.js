@@ -2,6 +2,5 @@ export * from "./core";
 export * from "./curve";
 export * from "./eve";
 export * from "./interior";
-export * from "./particle";
 export * from "./state";
 export * from "./AudEmitter";
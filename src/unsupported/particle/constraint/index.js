@@ -1 +0,0 @@
-export * from "./Tr2PlaneConstraint";
\ No newline at end of file
@@ -1,2 +0,0 @@
-export * from "./Tr2GpuSharedEmitter";
-export * from "./Tr2GpuUniqueEmitter";
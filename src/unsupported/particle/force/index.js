@@ -1,2 +0,0 @@
-export * from "./Tr2ForceSphereVolume";
-export * from "./Tr2ParticleVortexForce";
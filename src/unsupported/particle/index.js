@@ -1,4 +0,0 @@
-export * from "./constraint";
-export * from "./emitter";
-export * from "./force";
-export * from "./Tw2GpuParticleSystem";
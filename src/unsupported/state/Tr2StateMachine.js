@@ -1,18 +0,0 @@
-import { meta } from "utils";
-
-
-@meta.notImplemented
-@meta.type("Tr2StateMachine")
-export class Tr2StateMachine extends meta.Model
-{
-
-    @meta.string
-    name = "";
-
-    @meta.uint
-    startState = 0;
-
-    @meta.list("Tr2StateMachineState")
-    states = [];
-
-}
@@ -1,5 +1,5 @@
 import { meta } from "utils";
-import { Tw2Action } from "./Tw2Action";
+import { Tw2Action } from "state";
 
 
 @meta.notImplemented
@@ -1,13 +0,0 @@
-import { meta } from "utils";
-import { Tw2Action } from "./Tw2Action";
-
-
-@meta.notImplemented
-@meta.type("Tr2ActionOverlay")
-export class Tr2ActionOverlay extends Tw2Action
-{
-
-    @meta.path
-    path = "";
-
-}
@@ -1,19 +0,0 @@
-import { meta } from "utils";
-import { Tw2Action } from "./Tw2Action";
-
-
-@meta.notImplemented
-@meta.type("Tr2ActionPlayCurveSet")
-export class Tr2ActionPlayCurveSet extends Tw2Action
-{
-
-    @meta.string
-    curveSetName = "";
-
-    @meta.string
-    rangeName = "";
-
-    @meta.boolean
-    syncToRange = false;
-
-}
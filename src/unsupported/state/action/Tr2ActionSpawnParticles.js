@@ -1,10 +0,0 @@
-import { meta } from "utils";
-import { Tw2Action } from "./Tw2Action";
-
-
-@meta.notImplemented
-@meta.type("Tr2ActionSpawnParticles")
-export class Tr2ActionSpawnParticles extends Tw2Action
-{
-
-}
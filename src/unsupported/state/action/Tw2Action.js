@@ -1,8 +0,0 @@
-import { meta } from "utils";
-
-
-@meta.type("Tw2Action")
-export class Tw2Action extends meta.Model
-{
-
-}
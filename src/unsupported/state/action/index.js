@@ -1,11 +1,4 @@
 export * from "./Tr2ActionAnimateCurveSet";
-export * from "./Tr2ActionAnimateValue";
-export * from "./Tr2ActionChildEffect";
-export * from "./Tr2ActionOverlay";
-export * from "./Tr2ActionPlayCurveSet";
-export * from "./Tr2ActionPlayMeshAnimation";
 export * from "./Tr2ActionPlaySound";
 export * from "./Tr2ActionResetClipSphereCenter";
-export * from "./Tr2ActionSetValue";
-export * from "./Tr2ActionSpawnParticles";
 
@@ -1,3 +1,2 @@
-export * from "./Tr2Controller";
 export * from "./Tr2ControllerReference";
 
@@ -1,8 +1,4 @@
 export * from "./action";
 export * from "./controller";
-export * from "./variable";
-export * from "./Tr2StateMachine";
-export * from "./Tr2StateMachineState";
-export * from "./Tr2StateMachineTransition";
 export * from "./Tr2SyncToAnimation";
 
@@ -0,0 +1,246 @@
+import { readKTX2, getKTX2Info, assertKTX2Info } from "core/resource/formats/KTX2";
+import { ErrResourceFormatInvalid, ErrResourceFormatUnsupported } from "core/Tw2Error";
+import {
+    GL_RGBA,
+    GL_RGBA8,
+    GL_TEXTURE_2D,
+    GL_TEXTURE_2D_ARRAY,
+    GL_TEXTURE_CUBE_MAP,
+    GL_UNSIGNED_BYTE,
+    KTX2_HEADER_OFFSET_FACE_COUNT,
+    KTX2_HEADER_OFFSET_KVD_LENGTH,
+    KTX2_HEADER_OFFSET_KVD_OFFSET,
+    KTX2_HEADER_OFFSET_LAYER_COUNT,
+    KTX2_HEADER_OFFSET_LEVEL_COUNT,
+    KTX2_HEADER_OFFSET_PIXEL_HEIGHT,
+    KTX2_HEADER_OFFSET_PIXEL_WIDTH,
+    KTX2_HEADER_OFFSET_SUPERCOMPRESSION,
+    KTX2_HEADER_OFFSET_VK_FORMAT,
+    KTX2_HEADER_SIZE,
+    KTX2_IDENTIFIER,
+    KTX2_LEVEL_INDEX_ENTRY_SIZE,
+    KTX2_SUPERCOMPRESSION_ZSTD,
+    VK_FORMAT_BC1_RGBA_UNORM_BLOCK,
+    VK_FORMAT_R8G8B8A8_UNORM,
+    VK_FORMAT_R8G8_UNORM,
+    VK_FORMAT_UNDEFINED
+} from "constant";
+
+
+/**
+ * Creates a ktx2 file
+ * @param {Object} [opt]
+ * @returns {ArrayBuffer}
+ */
+function createKTX2({
+    vkFormat = VK_FORMAT_R8G8B8A8_UNORM,
+    width = 4,
+    height = 4,
+    layerCount = 0,
+    faceCount = 1,
+    levelCount = 1,
+    supercompression = 0,
+    bytesPerPixel = 4,
+    keyValue = {}
+} = {})
+{
+    const
+        levels = Math.max(1, levelCount),
+        layers = Math.max(1, layerCount),
+        levelLengths = [];
+
+    for (let i = 0; i < levels; i++)
+    {
+        levelLengths.push(Math.max(1, width >> i) * Math.max(1, height >> i) * bytesPerPixel * layers * faceCount);
+    }
+
+    const kvd = [];
+    for (const key in keyValue)
+    {
+        const
+            pair = Array.from(key + "\0" + keyValue[key] + "\0", x => x.charCodeAt(0)),
+            padding = (4 - pair.length % 4) % 4;
+
+        kvd.push(pair.length & 0xFF, pair.length >> 8 & 0xFF, 0, 0, ...pair);
+        for (let i = 0; i < padding; i++) kvd.push(0);
+    }
+
+    const
+        kvdOffset = KTX2_HEADER_SIZE + levels * KTX2_LEVEL_INDEX_ENTRY_SIZE,
+        dataOffset = kvdOffset + kvd.length,
+        byteLength = dataOffset + levelLengths.reduce((a, b) => a + b, 0),
+        buffer = new ArrayBuffer(byteLength),
+        bytes = new Uint8Array(buffer),
+        view = new DataView(buffer);
+
+    bytes.set(KTX2_IDENTIFIER, 0);
+    view.setUint32(KTX2_HEADER_OFFSET_VK_FORMAT, vkFormat, true);
+    view.setUint32(KTX2_HEADER_OFFSET_PIXEL_WIDTH, width, true);
+    view.setUint32(KTX2_HEADER_OFFSET_PIXEL_HEIGHT, height, true);
+    view.setUint32(KTX2_HEADER_OFFSET_LAYER_COUNT, layerCount, true);
+    view.setUint32(KTX2_HEADER_OFFSET_FACE_COUNT, faceCount, true);
+    view.setUint32(KTX2_HEADER_OFFSET_LEVEL_COUNT, levelCount, true);
+    view.setUint32(KTX2_HEADER_OFFSET_SUPERCOMPRESSION, supercompression, true);
+    view.setUint32(KTX2_HEADER_OFFSET_KVD_OFFSET, kvd.length ? kvdOffset : 0, true);
+    view.setUint32(KTX2_HEADER_OFFSET_KVD_LENGTH, kvd.length, true);
+    bytes.set(kvd, kvdOffset);
+
+    let offset = dataOffset;
+    for (let i = 0; i < levels; i++)
+    {
+        const entry = KTX2_HEADER_SIZE + i * KTX2_LEVEL_INDEX_ENTRY_SIZE;
+        view.setUint32(entry, offset, true);
+        view.setUint32(entry + 8, levelLengths[i], true);
+        view.setUint32(entry + 16, levelLengths[i], true);
+        offset += levelLengths[i];
+    }
+
+    return buffer;
+}
+
+
+describe("readKTX2", () =>
+{
+
+    test("reads the header and level index", () =>
+    {
+        const container = readKTX2(createKTX2({ width: 8, height: 4, levelCount: 3 }));
+
+        expect(container.vkFormat).toBe(VK_FORMAT_R8G8B8A8_UNORM);
+        expect(container.pixelWidth).toBe(8);
+        expect(container.pixelHeight).toBe(4);
+        expect(container.levels.map(x => [ x.width, x.height, x.byteLength ])).toEqual([
+            [ 8, 4, 128 ],
+            [ 4, 2, 32 ],
+            [ 2, 1, 8 ]
+        ]);
+    });
+
+    test("reads levels from array buffer views", () =>
+    {
+        const
+            file = new Uint8Array(createKTX2()),
+            padded = new Uint8Array(file.length + 16);
+
+        padded.set(file, 16);
+
+        const container = readKTX2(padded.subarray(16));
+        expect(container.levels[0].byteOffset).toBe(readKTX2(file).levels[0].byteOffset);
+    });
+
+    test("reads key value data", () =>
+    {
+        const container = readKTX2(createKTX2({ keyValue: { KTXorientation: "rd", KTXwriter: "test" } }));
+        expect(container.keyValue).toEqual({ KTXorientation: "rd", KTXwriter: "test" });
+    });
+
+    test("throws on empty, truncated and unidentified files", () =>
+    {
+        expect(() => readKTX2(new ArrayBuffer(0))).toThrow(ErrResourceFormatInvalid);
+        expect(() => readKTX2(new ArrayBuffer(KTX2_HEADER_SIZE - 1))).toThrow(ErrResourceFormatInvalid);
+        expect(() => readKTX2(new ArrayBuffer(KTX2_HEADER_SIZE + KTX2_LEVEL_INDEX_ENTRY_SIZE))).toThrow(/missing identifier/);
+        expect(() => readKTX2(createKTX2().slice(0, KTX2_HEADER_SIZE + 8))).toThrow(/level index out of bounds/);
+        expect(() => readKTX2(createKTX2().slice(0, -1))).toThrow(/level 0 out of bounds/);
+    });
+
+    test("throws on invalid dimensions", () =>
+    {
+        expect(() => readKTX2(createKTX2({ width: 0 }))).toThrow(/invalid dimensions/);
+        expect(() => readKTX2(createKTX2({ faceCount: 2 }))).toThrow(/invalid dimensions/);
+    });
+
+});
+
+
+describe("getKTX2Info", () =>
+{
+
+    test("gets uncompressed texture info", () =>
+    {
+        const info = getKTX2Info(createKTX2({ levelCount: 3 }));
+
+        expect(info).toMatchObject({
+            name: "RGBA8",
+            width: 4,
+            height: 4,
+            mipmaps: 3,
+            generateMipmaps: false,
+            isCompressed: false,
+            internalFormat: GL_RGBA8,
+            format: GL_RGBA,
+            type: GL_UNSIGNED_BYTE,
+            target: GL_TEXTURE_2D,
+            clientSupport: true
+        });
+    });
+
+    test("requests mip generation when there is no level count", () =>
+    {
+        const info = getKTX2Info(createKTX2({ levelCount: 0 }));
+        expect(info.generateMipmaps).toBe(true);
+        expect(info.mipmaps).toBe(1);
+    });
+
+    test("gets cube and array targets", () =>
+    {
+        const
+            cube = getKTX2Info(createKTX2({ faceCount: 6 })),
+            array = getKTX2Info(createKTX2({ layerCount: 3 }));
+
+        expect(cube.target).toBe(GL_TEXTURE_CUBE_MAP);
+        expect(cube.levels[0].faceByteLength).toBe(64);
+        expect(array.target).toBe(GL_TEXTURE_2D_ARRAY);
+        expect(array.layers).toBe(3);
+        expect(array.levels[0].faceByteLength).toBe(64);
+    });
+
+    test("uses unsized formats for webgl1", () =>
+    {
+        expect(getKTX2Info(createKTX2(), 1).internalFormat).toBe(GL_RGBA);
+        expect(getKTX2Info(createKTX2({ vkFormat: VK_FORMAT_R8G8_UNORM, bytesPerPixel: 2 }), 1).clientSupport).toBe(false);
+        expect(getKTX2Info(createKTX2({ layerCount: 2 }), 1).clientSupport).toBe(false);
+    });
+
+    test("checks compressed format extensions", () =>
+    {
+        const file = createKTX2({ vkFormat: VK_FORMAT_BC1_RGBA_UNORM_BLOCK, bytesPerPixel: 1 });
+
+        expect(getKTX2Info(file).clientSupport).toBe(false);
+
+        const info = getKTX2Info(file, 2, name => name === "compressed_texture_s3tc" ? {} : null);
+        expect(info.isCompressed).toBe(true);
+        expect(info.internalFormat).toBe(0x83F1);
+        expect(info.clientSupport).toBe(true);
+    });
+
+});
+
+
+describe("assertKTX2Info", () =>
+{
+
+    // Unsupported format errors log their info
+    beforeAll(() => jest.spyOn(console, "debug").mockImplementation(() => undefined));
+    afterAll(() => console.debug.mockRestore());
+
+    test("accepts supported textures", () =>
+    {
+        expect(() => assertKTX2Info(getKTX2Info(createKTX2()))).not.toThrow();
+    });
+
+    test("rejects basis universal, supercompressed and unsupported textures", () =>
+    {
+        expect(() => assertKTX2Info(getKTX2Info(createKTX2({ vkFormat: VK_FORMAT_UNDEFINED }))))
+            .toThrow(ErrResourceFormatUnsupported);
+
+        expect(() => assertKTX2Info(getKTX2Info(createKTX2({ supercompression: KTX2_SUPERCOMPRESSION_ZSTD }))))
+            .toThrow(/ZSTD/);
+
+        expect(() => assertKTX2Info(getKTX2Info(createKTX2({ faceCount: 6, layerCount: 2 }))))
+            .toThrow(/cube map arrays/);
+
+        expect(() => assertKTX2Info(getKTX2Info(createKTX2({ vkFormat: VK_FORMAT_BC1_RGBA_UNORM_BLOCK }))))
+            .toThrow(ErrResourceFormatUnsupported);
+    });
+
+});
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { Tr2PlaneConstraint } from "particle/constraint/Tr2PlaneConstraint";
+import { Tw2ParticleElement } from "particle/element/Tw2ParticleElement";
+
+
+// The engine isn't needed to apply constraints
+jest.mock("global/tw2", () => ({ tw2: {}, device: {} }));
+
+
+/**
+ * Creates a particle element from particles' values
+ * @param {Array<Array<Number>>} particles
+ * @returns {Object}
+ */
+function createElement(particles)
+{
+    return {
+        buffer: new Float32Array(particles.flat()),
+        offset: 0,
+        startOffset: 0,
+        instanceStride: 3,
+        dirty: false
+    };
+}
+
+/**
+ * Creates a particle system with position and velocity elements
+ * @param {Array<Array<Number>>} positions
+ * @param {Array<Array<Number>>} [velocities]
+ * @returns {Object}
+ */
+function createParticleSystem(positions, velocities)
+{
+    const elements = {
+        [Tw2ParticleElement.Type.POSITION]: createElement(positions),
+        [Tw2ParticleElement.Type.VELOCITY]: velocities ? createElement(velocities) : undefined
+    };
+
+    return {
+        elements,
+        HasElement: type => !!elements[type],
+        GetElement: type => elements[type]
+    };
+}
+
+/**
+ * Gets a particle's values from an element
+ * @param {Object} element
+ * @param {Number} index
+ * @returns {Array<Number>}
+ */
+function getParticle(element, index)
+{
+    return Array.from(element.buffer.subarray(index * 3, index * 3 + 3));
+}
+
+
+describe("Tr2PlaneConstraint", () =>
+{
+
+    test("moves particles behind the plane onto it and reflects their velocity", () =>
+    {
+        const
+            constraint = new Tr2PlaneConstraint(),
+            ps = createParticleSystem([ [ 1, -1, 2 ], [ 1, 1, 2 ] ], [ [ 3, -2, 0 ], [ 3, -2, 0 ] ]),
+            { [Tw2ParticleElement.Type.POSITION]: position, [Tw2ParticleElement.Type.VELOCITY]: velocity } = ps.elements;
+
+        constraint.ApplyConstraint([], [], 2, 0.1, ps);
+
+        expect(getParticle(position, 0)).toEqual([ 1, 0, 2 ]);
+        expect(getParticle(velocity, 0)).toEqual([ 3, 2, 0 ]);
+        expect(getParticle(position, 1)).toEqual([ 1, 1, 2 ]);
+        expect(getParticle(velocity, 1)).toEqual([ 3, -2, 0 ]);
+        expect(position.offset).toBe(0);
+        expect(velocity.offset).toBe(0);
+        expect(position.dirty && velocity.dirty).toBe(true);
+    });
+
+    test("uses the plane's normal and distance", () =>
+    {
+        const
+            constraint = new Tr2PlaneConstraint(),
+            ps = createParticleSystem([ [ 1, 0, 0 ] ], [ [ 0, 0, 0 ] ]);
+
+        constraint.plane.set([ 1, 0, 0, -3 ]);
+        constraint.ApplyConstraint([], [], 1, 0.1, ps);
+
+        expect(getParticle(ps.elements[Tw2ParticleElement.Type.POSITION], 0)).toEqual([ 3, 0, 0 ]);
+    });
+
+    test("doesn't reflect particles that are already moving away from the plane", () =>
+    {
+        const
+            constraint = new Tr2PlaneConstraint(),
+            ps = createParticleSystem([ [ 0, -1, 0 ] ], [ [ 0, 2, 0 ] ]);
+
+        constraint.ApplyConstraint([], [], 1, 0.1, ps);
+        expect(getParticle(ps.elements[Tw2ParticleElement.Type.VELOCITY], 0)).toEqual([ 0, 2, 0 ]);
+    });
+
+    test("runs generators for particles that hit the plane", () =>
+    {
+        const
+            constraint = new Tr2PlaneConstraint(),
+            generator = { Bind: jest.fn(() => true), Generate: jest.fn() },
+            ps = createParticleSystem([ [ 0, 1, 0 ], [ 0, -1, 0 ] ], [ [ 0, 0, 0 ], [ 0, -1, 0 ] ]);
+
+        constraint.generators.push(generator);
+        constraint.ApplyConstraint([], [], 2, 0.1, ps);
+
+        expect(generator.Bind).toHaveBeenCalledWith(ps);
+        expect(generator.Generate).toHaveBeenCalledTimes(1);
+        expect(generator.Generate.mock.calls[0][2]).toBe(1);
+    });
+
+    test("doesn't run generators that fail to bind", () =>
+    {
+        const
+            constraint = new Tr2PlaneConstraint(),
+            generator = { Bind: jest.fn(() => false), Generate: jest.fn() },
+            ps = createParticleSystem([ [ 0, -1, 0 ] ], [ [ 0, -1, 0 ] ]);
+
+        constraint.generators.push(generator);
+        constraint.ApplyConstraint([], [], 1, 0.1, ps);
+
+        expect(generator.Generate).not.toHaveBeenCalled();
+        expect(getParticle(ps.elements[Tw2ParticleElement.Type.POSITION], 0)).toEqual([ 0, 0, 0 ]);
+    });
+
+    test("ignores particle systems without positions and velocities", () =>
+    {
+        const
+            constraint = new Tr2PlaneConstraint(),
+            ps = createParticleSystem([ [ 0, -1, 0 ] ]);
+
+        constraint.ApplyConstraint([], [], 1, 0.1, ps);
+        expect(getParticle(ps.elements[Tw2ParticleElement.Type.POSITION], 0)).toEqual([ 0, -1, 0 ]);
+    });
+
+});
@@ -0,0 +1,80 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { Tr2ForceSphereVolume } from "particle/force/Tr2ForceSphereVolume";
+
+
+// The engine isn't needed to apply forces
+jest.mock("global/tw2", () => ({ tw2: {}, device: {} }));
+
+
+/**
+ * Creates a particle element with one particle's values
+ * @param {Array<Number>} values
+ * @returns {{buffer: Float32Array, offset: Number}}
+ */
+function createElement(values)
+{
+    return { buffer: new Float32Array(values), offset: 0 };
+}
+
+/**
+ * Creates a sphere volume with forces that record their calls
+ * @param {Number} radius
+ * @param {Number} [forceCount=2]
+ * @returns {Tr2ForceSphereVolume}
+ */
+function createVolume(radius, forceCount = 2)
+{
+    const volume = new Tr2ForceSphereVolume();
+    volume.radius = radius;
+    for (let i = 0; i < forceCount; i++)
+    {
+        volume.forces.push({ ApplyForce: jest.fn(), Update: jest.fn() });
+    }
+    return volume;
+}
+
+
+describe("Tr2ForceSphereVolume", () =>
+{
+
+    test("applies its forces to particles inside of it", () =>
+    {
+        const
+            volume = createVolume(2),
+            position = createElement([ 1, 1, 1 ]),
+            velocity = createElement([ 0, 0, 0 ]),
+            force = [ 0, 0, 0 ];
+
+        volume.ApplyForce(position, velocity, force, 0.5, 1);
+
+        volume.forces.forEach(x =>
+        {
+            expect(x.ApplyForce).toHaveBeenCalledWith(position, velocity, force, 0.5, 1);
+        });
+    });
+
+    test("applies its forces to particles on its surface", () =>
+    {
+        const volume = createVolume(2);
+        volume.ApplyForce(createElement([ 0, 2, 0 ]), createElement([ 0, 0, 0 ]), [ 0, 0, 0 ]);
+        expect(volume.forces[0].ApplyForce).toHaveBeenCalledTimes(1);
+    });
+
+    test("ignores particles outside of it", () =>
+    {
+        const volume = createVolume(2);
+        volume.ApplyForce(createElement([ 2, 1, 0 ]), createElement([ 0, 0, 0 ]), [ 0, 0, 0 ]);
+        volume.forces.forEach(x => expect(x.ApplyForce).not.toHaveBeenCalled());
+    });
+
+    test("updates its forces", () =>
+    {
+        const volume = createVolume(2);
+        volume.Update(0.25);
+        volume.forces.forEach(x => expect(x.Update).toHaveBeenCalledWith(0.25));
+    });
+
+});
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { Tr2ParticleVortexForce } from "particle/force/Tr2ParticleVortexForce";
+
+
+// The engine isn't needed to apply forces
+jest.mock("global/tw2", () => ({ tw2: {}, device: {} }));
+
+
+/**
+ * Creates a particle element with one particle's values
+ * @param {Array<Number>} values
+ * @returns {{buffer: Float32Array, offset: Number}}
+ */
+function createElement(values)
+{
+    return { buffer: new Float32Array(values), offset: 0 };
+}
+
+/**
+ * Creates a vortex force
+ * @param {Object} [values]
+ * @returns {Tr2ParticleVortexForce}
+ */
+function createVortex({ axis = [ 0, 1, 0 ], position = [ 0, 0, 0 ], magnitude = 1 } = {})
+{
+    const vortex = new Tr2ParticleVortexForce();
+    vortex.axis.set(axis);
+    vortex.position.set(position);
+    vortex.magnitude = magnitude;
+    return vortex;
+}
+
+
+describe("Tr2ParticleVortexForce", () =>
+{
+
+    test("pushes particles around the axis", () =>
+    {
+        const force = [ 0, 0, 0 ];
+        createVortex({ magnitude: 2 }).ApplyForce(createElement([ 3, 0, 0 ]), createElement([ 0, 0, 0 ]), force);
+
+        expect(force[0]).toBeCloseTo(0);
+        expect(force[1]).toBeCloseTo(0);
+        expect(force[2]).toBeCloseTo(-2);
+    });
+
+    test("uses the vortex position and a normalized axis", () =>
+    {
+        const force = [ 0, 0, 0 ];
+        createVortex({ axis: [ 0, 5, 0 ], position: [ 1, 7, 1 ] })
+            .ApplyForce(createElement([ 1, 0, 3 ]), createElement([ 0, 0, 0 ]), force);
+
+        expect(force[0]).toBeCloseTo(1);
+        expect(force[1]).toBeCloseTo(0);
+        expect(force[2]).toBeCloseTo(0);
+    });
+
+    test("adds to existing forces", () =>
+    {
+        const force = [ 1, 2, 3 ];
+        createVortex().ApplyForce(createElement([ 0, 0, 1 ]), createElement([ 0, 0, 0 ]), force);
+
+        expect(force[0]).toBeCloseTo(2);
+        expect(force[1]).toBeCloseTo(2);
+        expect(force[2]).toBeCloseTo(3);
+    });
+
+    test("reads particles at the element offset", () =>
+    {
+        const
+            force = [ 0, 0, 0 ],
+            position = { buffer: new Float32Array([ 9, 9, 9, 0, 0, 1 ]), offset: 3 };
+
+        createVortex().ApplyForce(position, createElement([ 0, 0, 0 ]), force);
+        expect(force[0]).toBeCloseTo(1);
+    });
+
+});
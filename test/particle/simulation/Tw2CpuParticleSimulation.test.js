@@ -0,0 +1,214 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { Tw2ParticleSimulation } from "particle/simulation/Tw2ParticleSimulation";
+import { Tw2CpuParticleSimulation } from "particle/simulation/Tw2CpuParticleSimulation";
+
+
+// The engine isn't needed to simulate particles
+jest.mock("global/tw2", () => ({ tw2: {}, device: {} }));
+
+
+const
+    PARTICLE_STRIDE = Tw2ParticleSimulation.PARTICLE_STRIDE,
+    INSTANCE_STRIDE = Tw2ParticleSimulation.INSTANCE_STRIDE,
+    EMITTER_SIZE = Tw2ParticleSimulation.EMITTER_VECTORS * 4;
+
+
+/**
+ * Creates particles, in the particle layout
+ * @param {Array<Object>} particles
+ * @returns {Float32Array}
+ */
+function createParticles(particles)
+{
+    const out = new Float32Array(particles.length * PARTICLE_STRIDE);
+
+    particles.forEach(({
+        position = [ 0, 0, 0 ],
+        velocity = [ 0, 0, 0 ],
+        age = 0,
+        lifetime = 1,
+        sizeScale = 1,
+        slot = 0,
+        seed = 0.5
+    }, i) =>
+    {
+        out.set([ ...position, age, ...velocity, lifetime, sizeScale, slot, seed, 0 ], i * PARTICLE_STRIDE);
+    });
+
+    return out;
+}
+
+/**
+ * Creates a simulation with one emitter's parameters, and no forces unless given
+ * @param {Number} [maxParticleCount=16]
+ * @param {Object} [parameters={}] - emitter parameter layout offsets and values
+ * @returns {Tw2CpuParticleSimulation}
+ */
+function createSimulation(maxParticleCount = 16, parameters = {})
+{
+    const sim = new Tw2CpuParticleSimulation(maxParticleCount);
+    for (const offset in parameters)
+    {
+        sim.emitters[offset] = parameters[offset];
+    }
+    return sim;
+}
+
+/**
+ * Gets a particle's values
+ * @param {Tw2CpuParticleSimulation} sim
+ * @param {Number} slot
+ * @returns {Array<Number>}
+ */
+function getParticle(sim, slot)
+{
+    return Array.from(sim.particles.subarray(slot * PARTICLE_STRIDE, (slot + 1) * PARTICLE_STRIDE));
+}
+
+
+describe("Tw2CpuParticleSimulation", () =>
+{
+
+    test("creates dead particles for a power of two capacity", () =>
+    {
+        const sim = createSimulation(300);
+
+        expect(sim.ringSize).toBe(300);
+        expect(sim.capacity).toBe(512);
+        expect(sim.count).toBe(0);
+        expect(sim.particles.length).toBe(512 * PARTICLE_STRIDE);
+        expect(sim.particles.filter((x, i) => i % PARTICLE_STRIDE === 3).every(x => x === 1)).toBe(true);
+    });
+
+    test("emits into a ring, replacing the oldest particles when full", () =>
+    {
+        const sim = createSimulation(4);
+
+        sim.Emit(createParticles([ 0, 1, 2 ].map(x => ({ position: [ x, 0, 0 ] }))), 3);
+        expect(sim.count).toBe(3);
+
+        sim.Emit(createParticles([ 3, 4 ].map(x => ({ position: [ x, 0, 0 ] }))), 2);
+        expect(sim.count).toBe(4);
+        expect([ 0, 1, 2, 3 ].map(x => getParticle(sim, x)[0])).toEqual([ 4, 1, 2, 3 ]);
+    });
+
+    test("kills all particles when cleared", () =>
+    {
+        const sim = createSimulation();
+
+        sim.Emit(createParticles([ {} ]), 1);
+        sim.Clear();
+
+        expect(sim.count).toBe(0);
+        expect(getParticle(sim, 0)[3]).toBe(1);
+    });
+
+    test("ages and moves particles by their velocity and gravity", () =>
+    {
+        const sim = createSimulation(16, { 24: 2 });
+
+        sim.Emit(createParticles([ { velocity: [ 1, 0, 0 ], lifetime: 2 } ]), 1);
+        sim.Update(0.5);
+
+        const [ x, y, z, age, vx, vy ] = getParticle(sim, 0);
+        expect(x).toBeCloseTo(0.5);
+        expect(y).toBeCloseTo(-0.5);
+        expect(z).toBeCloseTo(0);
+        expect(age).toBeCloseTo(0.25);
+        expect(vx).toBeCloseTo(1);
+        expect(vy).toBeCloseTo(-1);
+        expect(sim.time).toBe(0.5);
+    });
+
+    test("applies drag and attractors", () =>
+    {
+        const sim = createSimulation(16, { 20: 0, 21: 10, 22: 0, 23: 4, 25: 1 });
+
+        sim.Emit(createParticles([ { velocity: [ 2, 0, 0 ], lifetime: 10 } ]), 1);
+        sim.Update(0.5);
+
+        const [ , , , , vx, vy ] = getParticle(sim, 0);
+        expect(vx).toBeCloseTo(1);
+        expect(vy).toBeCloseTo(1);
+    });
+
+    test("doesn't update dead particles", () =>
+    {
+        const sim = createSimulation(16, { 24: 2 });
+
+        sim.Emit(createParticles([ { velocity: [ 1, 0, 0 ], lifetime: 1 } ]), 1);
+        sim.Update(1);
+        const dead = getParticle(sim, 0);
+
+        sim.Update(1);
+        expect(dead[3]).toBe(1);
+        expect(getParticle(sim, 0)).toEqual(dead);
+    });
+
+    test("sorts particles back to front, with dead particles last", () =>
+    {
+        const sim = createSimulation(4);
+
+        sim.Emit(createParticles([
+            { position: [ 1, 0, 0 ] },
+            { position: [ 3, 0, 0 ] },
+            { position: [ 9, 0, 0 ], age: 1 },
+            { position: [ 2, 0, 0 ] }
+        ]), 4);
+
+        sim.Sort([ 0, 0, 0 ]);
+        expect(Array.from(sim.order.subarray(0, 4))).toEqual([ 1, 3, 0, 2 ]);
+        expect(Tw2CpuParticleSimulation.CompareSortKeys(1, 0, 1, 1)).toBeLessThan(0);
+    });
+
+    test("builds render instances from colors and sizes at the particle's age", () =>
+    {
+        const sim = createSimulation(4, {
+            0: 0, 1: 0, 2: 0, 3: 1,     // color0
+            4: 1, 5: 1, 6: 1, 7: 1,     // color1
+            16: 1, 17: 3, 18: 5,        // sizes
+            19: 0.5,                    // color midpoint
+            28: 2,                      // texture index
+            29: 0.25                    // velocity stretch rotation
+        });
+
+        sim.Emit(createParticles([
+            { position: [ 1, 2, 3 ], velocity: [ 4, 5, 6 ], age: 0.25, sizeScale: 2, seed: 0.5 },
+            { age: 1, seed: 0.75 }
+        ]), 2);
+
+        sim.Render(false);
+
+        const [ alive, dead ] = [ 0, 1 ].map(x => Array.from(sim.instances.subarray(x * INSTANCE_STRIDE, (x + 1) * INSTANCE_STRIDE)));
+        expect(alive).toEqual([ 1, 2, 3, 4, 4, 5, 6, 0.25, 0.5, 0.5, 0.5, 1, 0.25, 2, 0.5, 1 ]);
+        expect(dead).toEqual([ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0.75, 0 ]);
+        expect(sim.isSorted).toBe(false);
+    });
+
+    test("builds render instances in sorted order", () =>
+    {
+        const sim = createSimulation(2);
+
+        sim.Emit(createParticles([ { position: [ 1, 0, 0 ] }, { position: [ 2, 0, 0 ] } ]), 2);
+        sim.Sort([ 0, 0, 0 ]);
+        sim.Render(true);
+
+        expect(sim.instances[0]).toBe(2);
+        expect(sim.instances[INSTANCE_STRIDE]).toBe(1);
+        expect(sim.isSorted).toBe(true);
+    });
+
+    test("sets emitter parameters by slot", () =>
+    {
+        const
+            sim = createSimulation(),
+            emitter = { GetParameters: jest.fn() };
+
+        sim.SetEmitter(2, emitter);
+        expect(emitter.GetParameters).toHaveBeenCalledWith(sim.emitters, 2 * EMITTER_SIZE);
+    });
+
+});
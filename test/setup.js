@@ -0,0 +1,7 @@
+import "reflect-metadata";
+import { TextDecoder, TextEncoder } from "util";
+
+
+// Node's TextDecoder and TextEncoder, for tests that use jsdom instead of the default node environment
+if (typeof global.TextDecoder === "undefined") global.TextDecoder = TextDecoder;
+if (typeof global.TextEncoder === "undefined") global.TextEncoder = TextEncoder;